@@ -1,85 +1,73 @@
 const User = require('../models/User');
-const bcrypt = require('bcrypt');
-const jwt = require('jsonwebtoken');
+const RefreshToken = require('../models/RefreshToken');
+const { hashToken, issueTokenPair, revokeFamily, consumeAccountToken } = require('../utils/tokens');
+const { getLoginDelay, recordFailedLogin, clearFailedLogins } = require('../utils/loginAttempts');
+const { sendPasswordResetEmail, sendVerificationEmail } = require('../utils/accountEmails');
+const { cancelAccountDeletion } = require('../utils/accountDeletion');
+const { conflict, invalidField, notFound, unauthorized, tooManyRequests } = require('../utils/errors');
+
+const LOCKOUT_MESSAGE = 'This account is temporarily locked after too many failed login attempts';
+const FORGOT_PASSWORD_MESSAGE = 'If an account exists for this email address, a password reset link has been sent to it';
 
 /**
  * Asynchronous function to handle user signup.
  * @param {Object} req - Express request object.
  * @param {Object} res - Express response object.
+ * @param {function} next - The next middleware function in the stack.
  * @returns {Promise<void>}
  */
-const signup = async (req, res) => {
+const signup = async (req, res, next) => {
     try {
-        const { username, email, password } = req.body;
-
-        // Validate input data using mongoose model validation and custom validation logic
-        if (!username || typeof username !== 'string' || username.trim().length < 3) {
-          return res.status(400).json({ message: 'Username is required and must be at least 3 characters long' });
-        }
-
-        if (!email || typeof email !== 'string' || !/^[^@\s]+@[^@\s]+\.[^@\s]+$/.test(email.trim())) {
-          return res.status(400).json({ message: 'Email is required and must be a valid email address' });
-        }
-
-        if (!password || typeof password !== 'string' || password.trim().length < 8) {
-          return res.status(400).json({ message: 'Password is required and must be at least 8 characters long' });
-        }
-
+        const { username, password } = req.body;
+        // Normalized the way the model stores it, so the duplicate check below sees differently cased addresses
+        const email = req.body.email.trim().toLowerCase();
 
         // Check if user with the same username or email already exists
         const existingUser = await User.findOne({ $or: [{ username }, { email }] });
         if (existingUser) {
-            return res.status(409).json({ message: 'User already exists' });
+            const field = existingUser.username === username ? 'username' : 'email';
+            return next(conflict('User already exists', [{ path: field, message: `This ${field} is already taken` }]));
         }
 
-        // Hash the password using bcrypt with a salt factor of 10
-        const hashedPassword = await bcrypt.hash(password, 10);
-
-        // Create a new user document in the database
+        // Create a new user document in the database; the password is hashed by the pre-save middleware
         const newUser = new User({
             username,
             email,
-            password: hashedPassword,
+            password,
         });
         await newUser.save();
 
+        // The account is usable right away; a failed verification email can be resent later
+        try {
+            await sendVerificationEmail(newUser);
+        } catch (error) {
+            console.error('Error sending verification email:', error);
+        }
 
         // Respond with 201 status and user data (excluding password)
-       const userResponse = {
-            id: newUser.id,
-            username: newUser.username,
-            email: newUser.email,
-        };
-        return res.status(201).json({ message: 'User created successfully', user: userResponse });
+        return res.status(201).json({ message: 'User created successfully', user: newUser.toProfile() });
 
 
     } catch (error) {
-      console.error('Error during user signup:', error);
-      return res.status(500).json({ message: 'Internal Server Error' , error: error.message});
+        return next(error);
     }
 };
 
 
 /**
  * Asynchronous function to handle user login.
+ * Failed attempts are tracked on the user: after a few failures each further attempt has to wait a
+ * growing delay, and repeated failures lock the account for a while (see `utils/loginAttempts.js`).
+ * Both are reported as 429 errors with `Retry-After`. Logging in cancels a scheduled account deletion.
  * @param {Object} req - Express request object.
  * @param {Object} res - Express response object.
+ * @param {function} next - The next middleware function in the stack.
  * @returns {Promise<void>}
  */
-const login = async (req, res) => {
+const login = async (req, res, next) => {
     try {
         const { username, password } = req.body;
 
-         // Validate presence of username and password
-        if (!username || typeof username !== 'string' || username.trim().length < 3 ) {
-            return res.status(400).json({ message: 'Username is required and must be at least 3 characters long' });
-        }
-
-        if (!password || typeof password !== 'string' || password.trim().length < 8 ) {
-            return res.status(400).json({ message: 'Password is required and must be at least 8 characters long' });
-        }
-
-
 
         // Find the user in the database by username
         const user = await User.findOne({ username });
@@ -87,35 +75,294 @@ const login = async (req, res) => {
 
         // If no user is found, return 401 Unauthorized
         if (!user) {
-            return res.status(401).json({ message: 'Invalid credentials' });
+            return next(unauthorized('Invalid credentials'));
         }
 
 
+        // Refuse attempts during a lockout or before the delay following the last failure has passed,
+        // without checking the password so that it cannot be guessed in the meantime
+        const { retryAfterMs, locked } = getLoginDelay(user);
+        if (retryAfterMs > 0) {
+            return next(locked
+                ? tooManyRequests(LOCKOUT_MESSAGE, retryAfterMs / 1000, 'account_locked')
+                : tooManyRequests('Too many failed login attempts', retryAfterMs / 1000));
+        }
+
         // Compare the provided password with the user's hashed password
         const passwordMatch = await user.comparePassword(password);
 
-        // If passwords do not match, return 401 Unauthorized
+        // If passwords do not match, count the failure and return 401 Unauthorized
         if (!passwordMatch) {
-            return res.status(401).json({ message: 'Invalid credentials' });
+            const { lockedUntil } = await recordFailedLogin(user);
+            if (lockedUntil) {
+                return next(tooManyRequests(LOCKOUT_MESSAGE, (lockedUntil.getTime() - Date.now()) / 1000, 'account_locked'));
+            }
+            return next(unauthorized('Invalid credentials'));
+        }
+
+        await clearFailedLogins(user);
+        // Logging in during the grace period of a deleted account restores it
+        await cancelAccountDeletion(user);
+
+       // Generate a short-lived JWT access token and a refresh token starting a new token family
+       const { token, refreshToken } = await issueTokenPair(user);
+
+
+        // Respond with 200 status and the generated tokens
+       return  res.status(200).json({ token, refreshToken, user: user.toProfile() });
+
+
+    } catch (error) {
+        return next(error);
+    }
+};
+
+/**
+ * Asynchronous function to exchange a refresh token for a new access and refresh token pair.
+ * The presented refresh token is rotated (single use). Presenting a token that was already
+ * used or revoked is treated as theft and revokes the whole token family.
+ * @param {Object} req - Express request object with `req.body.refreshToken`.
+ * @param {Object} res - Express response object.
+ * @param {function} next - The next middleware function in the stack.
+ * @returns {Promise<void>}
+ */
+const refresh = async (req, res, next) => {
+    try {
+        const { refreshToken } = req.body;
+
+        const storedToken = await RefreshToken.findOne({ tokenHash: hashToken(refreshToken) });
+
+        if (!storedToken) {
+            return next(unauthorized('Invalid refresh token'));
+        }
+
+        // Reuse detection: a rotated or revoked token must never be presented again
+        if (storedToken.usedAt || storedToken.revokedAt) {
+            await revokeFamily(storedToken.family);
+            return next(unauthorized('Refresh token reuse detected'));
+        }
+
+        if (storedToken.expiresAt.getTime() <= Date.now()) {
+            return next(unauthorized('Refresh token expired'));
         }
 
-       // Generate a JWT token with user id as payload and 1 hour expiration time
-       const token = jwt.sign({ id: user.id }, process.env.JWT_SECRET, { expiresIn: '1h' });
+        const user = await User.findById(storedToken.userId);
+
+        if (!user || user.tokenVersion !== storedToken.tokenVersion) {
+            await revokeFamily(storedToken.family);
+            return next(unauthorized('Refresh token revoked'));
+        }
+
+        // Mark the token as used atomically so concurrent refreshes cannot both succeed
+        const rotated = await RefreshToken.findOneAndUpdate(
+            { _id: storedToken._id, usedAt: null, revokedAt: null },
+            { usedAt: new Date() }
+        );
+
+        if (!rotated) {
+            await revokeFamily(storedToken.family);
+            return next(unauthorized('Refresh token reuse detected'));
+        }
 
+        const tokens = await issueTokenPair(user, storedToken.family);
 
-       const userResponse = {
-         id: user.id,
-         username: user.username,
-       };
+        return res.status(200).json(tokens);
+    } catch (error) {
+        return next(error);
+    }
+};
 
 
-        // Respond with 200 status and the generated JWT token
-       return  res.status(200).json({ token, user: userResponse });
+/**
+ * Asynchronous function to log out the current session by revoking its refresh token family.
+ * @param {Object} req - Express request object with `req.body.refreshToken`.
+ * @param {Object} res - Express response object.
+ * @param {function} next - The next middleware function in the stack.
+ * @returns {Promise<void>}
+ */
+const logout = async (req, res, next) => {
+    try {
+        const { refreshToken } = req.body;
+
+        const storedToken = await RefreshToken.findOne({ tokenHash: hashToken(refreshToken) });
+
+        // Logging out with an unknown token is not an error: the session is gone either way
+        if (storedToken) {
+            await revokeFamily(storedToken.family);
+        }
+
+        return res.status(204).send();
+    } catch (error) {
+        return next(error);
+    }
+};
+
+
+/**
+ * Asynchronous function to log the authenticated user out of every device.
+ * Increments the user's tokenVersion, which invalidates all outstanding access tokens,
+ * and revokes all of the user's refresh tokens.
+ * @param {Object} req - Express request object with `req.user` populated by `authMiddleware.js`.
+ * @param {Object} res - Express response object.
+ * @param {function} next - The next middleware function in the stack.
+ * @returns {Promise<void>}
+ */
+const logoutAll = async (req, res, next) => {
+    try {
+        const userId = req.user.id;
+
+        const user = await User.findByIdAndUpdate(userId, { $inc: { tokenVersion: 1 } });
+
+        if (!user) {
+            return next(notFound('User not found'));
+        }
+
+        await RefreshToken.updateMany({ userId, revokedAt: null }, { revokedAt: new Date() });
+
+        return res.status(204).send();
+    } catch (error) {
+        return next(error);
+    }
+};
+
+/**
+ * Asynchronous function to return the authenticated user's session profile.
+ * `emailVerified` flags accounts whose email address has not been confirmed yet.
+ * @param {Object} req - Express request object with `req.user` populated by `authMiddleware.js`.
+ * @param {Object} res - Express response object.
+ * @param {function} next - The next middleware function in the stack.
+ * @returns {Promise<void>}
+ */
+const me = async (req, res, next) => {
+    try {
+        const user = await User.findById(req.user.id);
+
+        if (!user) {
+            return next(notFound('User not found'));
+        }
+
+        return res.status(200).json({ user: user.toProfile() });
+    } catch (error) {
+        return next(error);
+    }
+};
+
+/**
+ * Asynchronous function to start a password reset by emailing a single-use reset link.
+ * The response is the same whether or not an account uses the address, and the email is sent in the
+ * background, so that the endpoint cannot be used to find out which addresses have an account.
+ * @param {Object} req - Express request object with `req.body.email`.
+ * @param {Object} res - Express response object.
+ * @param {function} next - The next middleware function in the stack.
+ * @returns {Promise<void>}
+ */
+const forgotPassword = async (req, res, next) => {
+    try {
+        const email = req.body.email.trim().toLowerCase();
+
+        const user = await User.findOne({ email });
+        if (user) {
+            sendPasswordResetEmail(user).catch((error) => {
+                console.error('Error sending password reset email:', error);
+            });
+        }
+
+        return res.status(202).json({ message: FORGOT_PASSWORD_MESSAGE });
+    } catch (error) {
+        return next(error);
+    }
+};
+
+/**
+ * Asynchronous function to choose a new password with a reset token.
+ * The token is single use. Resetting the password logs the user out everywhere, lifts any login
+ * lockout, and confirms the email address, since the link could only be opened from the mailbox.
+ * @param {Object} req - Express request object with `req.body` containing `token` and the new `password`.
+ * @param {Object} res - Express response object.
+ * @param {function} next - The next middleware function in the stack.
+ * @returns {Promise<void>}
+ */
+const resetPassword = async (req, res, next) => {
+    try {
+        const { token, password } = req.body;
+
+        const accountToken = await consumeAccountToken(token, 'password_reset');
+        const user = accountToken && await User.findById(accountToken.userId);
+        // A link sent to a previous address of the account is no longer valid
+        if (!user || user.email !== accountToken.email) {
+            return next(invalidField('token', 'This password reset link is invalid or has expired'));
+        }
+
+        // Hashed by the pre-save middleware of the User model
+        user.password = password;
+        user.tokenVersion += 1;
+        user.failedLoginAttempts = 0;
+        user.lastFailedLoginAt = null;
+        user.lockedUntil = null;
+        if (!user.emailVerifiedAt) {
+            user.emailVerifiedAt = new Date();
+        }
+        await user.save();
+        await RefreshToken.updateMany({ userId: user.id, revokedAt: null }, { revokedAt: new Date() });
+
+        return res.status(200).json({ message: 'Your password has been reset. You can now log in with it.' });
+    } catch (error) {
+        return next(error);
+    }
+};
+
+/**
+ * Asynchronous function to confirm the user's email address with a verification token. Does not require
+ * authentication, since the link may be opened on another device than the one the user is logged in on.
+ * @param {Object} req - Express request object with `req.body.token`.
+ * @param {Object} res - Express response object.
+ * @param {function} next - The next middleware function in the stack.
+ * @returns {Promise<void>}
+ */
+const verifyEmail = async (req, res, next) => {
+    try {
+        const { token } = req.body;
+
+        const accountToken = await consumeAccountToken(token, 'email_verification');
+        const user = accountToken && await User.findById(accountToken.userId);
+        if (!user || user.email !== accountToken.email) {
+            return next(invalidField('token', 'This verification link is invalid or has expired'));
+        }
+
+        if (!user.emailVerifiedAt) {
+            user.emailVerifiedAt = new Date();
+            await user.save();
+        }
+
+        return res.status(200).json({ message: 'Your email address has been verified.' });
+    } catch (error) {
+        return next(error);
+    }
+};
+
+/**
+ * Asynchronous function to send a new verification link to the authenticated user. Earlier links stop working.
+ * @param {Object} req - Express request object with `req.user` populated by `authMiddleware.js`.
+ * @param {Object} res - Express response object.
+ * @param {function} next - The next middleware function in the stack.
+ * @returns {Promise<void>}
+ */
+const resendVerification = async (req, res, next) => {
+    try {
+        const user = await User.findById(req.user.id);
+
+        if (!user) {
+            return next(notFound('User not found'));
+        }
+        if (user.emailVerifiedAt) {
+            return next(conflict('Your email address is already verified'));
+        }
 
+        await sendVerificationEmail(user);
 
+        return res.status(202).json({ message: `A verification link has been sent to ${user.email}.` });
     } catch (error) {
-        console.error('Error during user login:', error);
-        return res.status(500).json({ message: 'Internal Server Error', error: error.message });
+        return next(error);
     }
 };
 
@@ -123,4 +370,12 @@ const login = async (req, res) => {
 module.exports = {
     signup,
     login,
+    me,
+    refresh,
+    logout,
+    logoutAll,
+    forgotPassword,
+    resetPassword,
+    verifyEmail,
+    resendVerification,
 };
\ No newline at end of file
@@ -0,0 +1,507 @@
+const crypto = require('crypto');
+const Challenge = require('../models/Challenge');
+const Friendship = require('../models/Friendship');
+const Goal = require('../models/Goal');
+const User = require('../models/User');
+const { createNotification } = require('../utils/notifications');
+const {
+    getChallengeStatus,
+    computeStandings,
+    closeChallengeIfEnded,
+    localizeStandings,
+    publishLeaderboardUpdate,
+} = require('../utils/challengeStandings');
+const { getDisplayUnit, isSameDimension } = require('../utils/units');
+const { conflict, invalidField, notFound } = require('../utils/errors');
+
+// Unambiguous characters only (no 0/O or 1/I), so that codes can be read out and typed without mistakes
+const JOIN_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const JOIN_CODE_LENGTH = 8;
+const MAX_CHALLENGE_MEMBERS = 500;
+
+/**
+ * Generates a random join code. The alphabet has 32 characters, so every byte maps onto it without bias.
+ * @returns {string}
+ */
+const generateJoinCode = () => Array.from(
+    crypto.randomBytes(JOIN_CODE_LENGTH),
+    (byte) => JOIN_CODE_ALPHABET[byte % JOIN_CODE_ALPHABET.length]
+).join('');
+
+/**
+ * Finds a challenge the user runs or was invited to or joined.
+ * @param {string} challengeId - The challenge ID from the route parameters.
+ * @param {string} userId - The ID of the authenticated user.
+ * @returns {Promise<Object | null>}
+ */
+const findVisibleChallenge = (challengeId, userId) => Challenge.findOne({
+    _id: challengeId,
+    $or: [{ ownerId: userId }, { 'members.userId': userId }],
+});
+
+/**
+ * Finds a challenge run by the user.
+ * @param {string} challengeId - The challenge ID from the route parameters.
+ * @param {string} userId - The ID of the authenticated user.
+ * @returns {Promise<Object | null>}
+ */
+const findOwnedChallenge = (challengeId, userId) => Challenge.findOne({ _id: challengeId, ownerId: userId });
+
+/**
+ * Checks that a goal can count for a challenge: it must belong to the user and measure the same kind of value.
+ * @param {string} goalId - The goal ID from the request body.
+ * @param {string} userId - The ID of the authenticated user.
+ * @param {Object} challenge - The challenge document.
+ * @returns {Promise<string | null>} Why the goal cannot be used, or null if it can.
+ */
+const checkMemberGoal = async (goalId, userId, challenge) => {
+    const goal = await Goal.findOne({ _id: goalId, userId });
+    if (!goal) {
+        return 'Goal not found';
+    }
+    if (!isSameDimension(goal.unit, challenge.unit)) {
+        return `The goal must be measured in a unit of the same kind as the challenge (${challenge.unit})`;
+    }
+    return null;
+};
+
+/**
+ * Formats a challenge for a response, from the point of view of the authenticated user.
+ * Only the owner sees the join code.
+ * @param {Object} challenge - The challenge document.
+ * @param {Object} user - `req.user`.
+ * @param {Date} [now=new Date()]
+ * @returns {Object}
+ */
+const formatChallenge = (challenge, user, now = new Date()) => {
+    const { joinCode, members, standings, ...view } = challenge.toJSON();
+    const isOwner = challenge.ownerId.equals(user.id);
+    const member = challenge.findMember(user.id);
+    return {
+        ...view,
+        unit: getDisplayUnit(challenge.unit, user.unitSystem),
+        status: getChallengeStatus(challenge, now),
+        isOwner,
+        ...(isOwner && { joinCode }),
+        membership: member ? { status: member.status, goalId: member.goalId } : null,
+        memberCount: challenge.members.filter((entry) => entry.status === 'active').length,
+    };
+};
+
+/**
+ * Asynchronous function to list the challenges the authenticated user runs, joined or was invited to,
+ * the most recent first.
+ * @param {Object} req - Express request object with `req.user` populated by `authMiddleware.js`.
+ * @param {Object} res - Express response object.
+ * @param {function} next - The next middleware function in the stack.
+ * @returns {Promise<void>}
+ */
+const getChallenges = async (req, res, next) => {
+    try {
+        const userId = req.user.id;
+
+        const challenges = await Challenge.find({ $or: [{ ownerId: userId }, { 'members.userId': userId }] })
+            .sort({ startDate: -1, _id: -1 });
+
+        const now = new Date();
+        return res.status(200).json(challenges.map((challenge) => formatChallenge(challenge, req.user, now)));
+    } catch (error) {
+        return next(error);
+    }
+};
+
+/**
+ * Asynchronous function to retrieve a challenge with its members.
+ * @param {Object} req - Express request object with `req.user` populated by `authMiddleware.js` and `req.params.id` containing the challenge ID.
+ * @param {Object} res - Express response object.
+ * @param {function} next - The next middleware function in the stack.
+ * @returns {Promise<void>}
+ */
+const getChallenge = async (req, res, next) => {
+    try {
+        const challenge = await findVisibleChallenge(req.params.id, req.user.id);
+        if (!challenge) {
+            return next(notFound('Challenge not found'));
+        }
+
+        const users = await User.find({ _id: { $in: challenge.members.map((member) => member.userId) } }).select('username');
+        const members = challenge.members.map((member) => {
+            const user = users.find((candidate) => candidate._id.equals(member.userId));
+            return {
+                userId: member.userId,
+                username: user ? user.username : 'Deleted user',
+                status: member.status,
+                joinedAt: member.joinedAt,
+            };
+        });
+
+        return res.status(200).json({ ...formatChallenge(challenge, req.user), members });
+    } catch (error) {
+        return next(error);
+    }
+};
+
+/**
+ * Asynchronous function to start a challenge run by the authenticated user. Members join with the
+ * returned join code or are invited by username; the owner takes part only by joining like anyone else.
+ * @param {Object} req - Express request object with `req.user` populated by `authMiddleware.js` and `req.body` containing `name`, `description`, `rule` ('total', 'percent' or 'improvement'), `unit`, `startDate` and `endDate`.
+ * @param {Object} res - Express response object.
+ * @param {function} next - The next middleware function in the stack.
+ * @returns {Promise<void>}
+ */
+const createChallenge = async (req, res, next) => {
+    try {
+        const { name, description, rule, unit, startDate, endDate } = req.body;
+
+        const challenge = new Challenge({
+            ownerId: req.user.id,
+            name,
+            description,
+            rule,
+            unit,
+            startDate,
+            endDate,
+            joinCode: generateJoinCode(),
+        });
+        await challenge.save();
+
+        return res.status(201).json(formatChallenge(challenge, req.user));
+    } catch (error) {
+        return next(error);
+    }
+};
+
+/**
+ * Asynchronous function to update a challenge run by the authenticated user. The ranking rule, unit and
+ * start date can only change before the challenge starts, so that members are never ranked on other terms
+ * than the ones they joined on; a closed challenge cannot change at all.
+ * @param {Object} req - Express request object with `req.user` populated by `authMiddleware.js`, `req.params.id` containing the challenge ID and `req.body` containing the fields to change.
+ * @param {Object} res - Express response object.
+ * @param {function} next - The next middleware function in the stack.
+ * @returns {Promise<void>}
+ */
+const updateChallenge = async (req, res, next) => {
+    try {
+        const challenge = await findOwnedChallenge(req.params.id, req.user.id);
+        if (!challenge) {
+            return next(notFound('Challenge not found'));
+        }
+
+        const status = getChallengeStatus(challenge);
+        if (status === 'closed') {
+            return next(conflict('A closed challenge cannot be changed'));
+        }
+        const lockedField = ['rule', 'unit', 'startDate'].find((field) => req.body[field] !== undefined);
+        if (status === 'active' && lockedField) {
+            return next(invalidField(lockedField, 'The rule, unit and start date cannot change once the challenge has started'));
+        }
+
+        ['name', 'description', 'rule', 'unit', 'startDate', 'endDate'].forEach((field) => {
+            if (req.body[field] !== undefined) {
+                challenge.set(field, field === 'description' && req.body[field] === '' ? null : req.body[field]);
+            }
+        });
+        await challenge.save();
+
+        return res.status(200).json(formatChallenge(challenge, req.user));
+    } catch (error) {
+        return next(error);
+    }
+};
+
+/**
+ * Asynchronous function to delete a challenge run by the authenticated user. Members' goals are not affected.
+ * @param {Object} req - Express request object with `req.user` populated by `authMiddleware.js` and `req.params.id` containing the challenge ID.
+ * @param {Object} res - Express response object.
+ * @param {function} next - The next middleware function in the stack.
+ * @returns {Promise<void>}
+ */
+const deleteChallenge = async (req, res, next) => {
+    try {
+        const challenge = await Challenge.findOneAndDelete({ _id: req.params.id, ownerId: req.user.id });
+        if (!challenge) {
+            return next(notFound('Challenge not found'));
+        }
+
+        return res.status(204).send();
+    } catch (error) {
+        return next(error);
+    }
+};
+
+/**
+ * Asynchronous function to replace the join code of a challenge, e.g. after it was shared too widely.
+ * The previous code stops working; members who already joined stay.
+ * @param {Object} req - Express request object with `req.user` populated by `authMiddleware.js` and `req.params.id` containing the challenge ID.
+ * @param {Object} res - Express response object.
+ * @param {function} next - The next middleware function in the stack.
+ * @returns {Promise<void>}
+ */
+const regenerateJoinCode = async (req, res, next) => {
+    try {
+        const challenge = await findOwnedChallenge(req.params.id, req.user.id);
+        if (!challenge) {
+            return next(notFound('Challenge not found'));
+        }
+
+        challenge.joinCode = generateJoinCode();
+        await challenge.save();
+
+        return res.status(200).json({ joinCode: challenge.joinCode });
+    } catch (error) {
+        return next(error);
+    }
+};
+
+/**
+ * Asynchronous function to join a challenge with its join code, optionally choosing right away the goal
+ * whose progress counts for it (see `updateMembership`). Accepts a pending invitation as well.
+ * @param {Object} req - Express request object with `req.user` populated by `authMiddleware.js` and `req.body` containing `code` and an optional `goalId`.
+ * @param {Object} res - Express response object.
+ * @param {function} next - The next middleware function in the stack.
+ * @returns {Promise<void>}
+ */
+const joinChallenge = async (req, res, next) => {
+    try {
+        const userId = req.user.id;
+        const { code, goalId } = req.body;
+
+        const challenge = await Challenge.findOne({ joinCode: code.trim().toUpperCase() });
+        if (!challenge) {
+            return next(invalidField('code', 'This join code is invalid'));
+        }
+        if (getChallengeStatus(challenge) === 'closed') {
+            return next(conflict('This challenge is closed'));
+        }
+
+        let member = challenge.findMember(userId);
+        if (member && member.status === 'active') {
+            return next(conflict('You already joined this challenge'));
+        }
+        if (!member && challenge.members.length >= MAX_CHALLENGE_MEMBERS) {
+            return next(conflict('This challenge is full'));
+        }
+        if (goalId) {
+            const goalError = await checkMemberGoal(goalId, userId, challenge);
+            if (goalError) {
+                return next(invalidField('goalId', goalError));
+            }
+        }
+
+        if (!member) {
+            challenge.members.push({ userId });
+            member = challenge.members[challenge.members.length - 1];
+        }
+        member.status = 'active';
+        member.joinedAt = new Date();
+        member.goalId = goalId || member.goalId;
+        await challenge.save();
+        publishLeaderboardUpdate(challenge);
+
+        return res.status(200).json(formatChallenge(challenge, req.user));
+    } catch (error) {
+        return next(error);
+    }
+};
+
+/**
+ * Asynchronous function to invite a user to a challenge by username. The user is notified and takes part
+ * once they accept the invitation with `updateMembership` or join with the code.
+ * @param {Object} req - Express request object with `req.user` populated by `authMiddleware.js`, `req.params.id` containing the challenge ID and `req.body.username`.
+ * @param {Object} res - Express response object.
+ * @param {function} next - The next middleware function in the stack.
+ * @returns {Promise<void>}
+ */
+const inviteMember = async (req, res, next) => {
+    try {
+        const userId = req.user.id;
+
+        const challenge = await findOwnedChallenge(req.params.id, userId);
+        if (!challenge) {
+            return next(notFound('Challenge not found'));
+        }
+        if (getChallengeStatus(challenge) === 'closed') {
+            return next(conflict('This challenge is closed'));
+        }
+
+        const invitee = await User.findOne({ username: req.body.username.trim() });
+        if (!invitee) {
+            return next(notFound('User not found'));
+        }
+        // Blocked users must not learn that they are blocked
+        const friendship = await Friendship.findBetween(userId, invitee.id);
+        if (friendship && friendship.status === 'blocked') {
+            return next(notFound('User not found'));
+        }
+        if (challenge.findMember(invitee._id)) {
+            return next(conflict('This user is already invited to the challenge'));
+        }
+        if (challenge.members.length >= MAX_CHALLENGE_MEMBERS) {
+            return next(conflict('This challenge is full'));
+        }
+
+        challenge.members.push({ userId: invitee._id, status: 'invited' });
+        await challenge.save();
+
+        try {
+            await createNotification(invitee, {
+                type: 'challenge_invite',
+                title: 'Challenge invitation',
+                message: `You have been invited to the challenge "${challenge.name}".`,
+            });
+        } catch (error) {
+            console.error('Error sending challenge invitation:', error);
+        }
+
+        return res.status(201).json({ userId: invitee._id, username: invitee.username, status: 'invited', joinedAt: null });
+    } catch (error) {
+        return next(error);
+    }
+};
+
+/**
+ * Asynchronous function to choose the goal whose progress counts for a challenge. Accepts a pending
+ * invitation; an active member can switch goals until the challenge closes. The goal must be measured
+ * in a unit of the same kind as the challenge.
+ * @param {Object} req - Express request object with `req.user` populated by `authMiddleware.js`, `req.params.id` containing the challenge ID and `req.body.goalId`.
+ * @param {Object} res - Express response object.
+ * @param {function} next - The next middleware function in the stack.
+ * @returns {Promise<void>}
+ */
+const updateMembership = async (req, res, next) => {
+    try {
+        const userId = req.user.id;
+        const { goalId } = req.body;
+
+        const challenge = await Challenge.findOne({ _id: req.params.id, 'members.userId': userId });
+        if (!challenge) {
+            return next(notFound('Challenge not found'));
+        }
+        if (getChallengeStatus(challenge) === 'closed') {
+            return next(conflict('This challenge is closed'));
+        }
+
+        const goalError = await checkMemberGoal(goalId, userId, challenge);
+        if (goalError) {
+            return next(invalidField('goalId', goalError));
+        }
+
+        const member = challenge.findMember(userId);
+        if (member.status === 'invited') {
+            member.status = 'active';
+            member.joinedAt = new Date();
+        }
+        member.goalId = goalId;
+        await challenge.save();
+        publishLeaderboardUpdate(challenge);
+
+        return res.status(200).json(formatChallenge(challenge, req.user));
+    } catch (error) {
+        return next(error);
+    }
+};
+
+/**
+ * Asynchronous function to leave a challenge, or decline an invitation to it. The frozen standings of a
+ * closed challenge keep the member's result.
+ * @param {Object} req - Express request object with `req.user` populated by `authMiddleware.js` and `req.params.id` containing the challenge ID.
+ * @param {Object} res - Express response object.
+ * @param {function} next - The next middleware function in the stack.
+ * @returns {Promise<void>}
+ */
+const leaveChallenge = async (req, res, next) => {
+    try {
+        const userId = req.user.id;
+
+        const challenge = await Challenge.findOneAndUpdate(
+            { _id: req.params.id, 'members.userId': userId },
+            { $pull: { members: { userId } } }
+        );
+        if (!challenge) {
+            return next(notFound('Challenge not found'));
+        }
+        // The challenge as it was before the member left, so that they are told too
+        publishLeaderboardUpdate(challenge);
+
+        return res.status(204).send();
+    } catch (error) {
+        return next(error);
+    }
+};
+
+/**
+ * Asynchronous function to remove a member from a challenge run by the authenticated user, or withdraw
+ * an invitation.
+ * @param {Object} req - Express request object with `req.user` populated by `authMiddleware.js` and `req.params` containing the challenge `id` and the member's `userId`.
+ * @param {Object} res - Express response object.
+ * @param {function} next - The next middleware function in the stack.
+ * @returns {Promise<void>}
+ */
+const removeMember = async (req, res, next) => {
+    try {
+        const { id: challengeId, userId: memberId } = req.params;
+
+        const challenge = await Challenge.findOneAndUpdate(
+            { _id: challengeId, ownerId: req.user.id, 'members.userId': memberId },
+            { $pull: { members: { userId: memberId } } }
+        );
+        if (!challenge) {
+            return next(notFound('Member not found'));
+        }
+        publishLeaderboardUpdate(challenge);
+
+        return res.status(204).send();
+    } catch (error) {
+        return next(error);
+    }
+};
+
+/**
+ * Asynchronous function to get the leaderboard of a challenge: live standings while it runs, and the
+ * standings frozen when its window ended once it is closed. Scores are in the display unit of the
+ * challenge, or percentages for the 'percent' rule; members without a score are listed unranked.
+ * @param {Object} req - Express request object with `req.user` populated by `authMiddleware.js` and `req.params.id` containing the challenge ID.
+ * @param {Object} res - Express response object.
+ * @param {function} next - The next middleware function in the stack.
+ * @returns {Promise<void>}
+ */
+const getLeaderboard = async (req, res, next) => {
+    try {
+        const challenge = await findVisibleChallenge(req.params.id, req.user.id);
+        if (!challenge) {
+            return next(notFound('Challenge not found'));
+        }
+
+        const now = new Date();
+        if (await closeChallengeIfEnded(challenge, now)) {
+            await challenge.save();
+        }
+        const standings = challenge.closedAt ? challenge.standings : await computeStandings(challenge, now);
+        const unit = getDisplayUnit(challenge.unit, req.user.unitSystem);
+
+        return res.status(200).json({
+            status: getChallengeStatus(challenge, now),
+            rule: challenge.rule,
+            unit: challenge.rule === 'percent' ? 'percent' : unit,
+            closedAt: challenge.closedAt,
+            standings: localizeStandings(challenge, standings, unit),
+        });
+    } catch (error) {
+        return next(error);
+    }
+};
+
+module.exports = {
+    getChallenges,
+    getChallenge,
+    createChallenge,
+    updateChallenge,
+    deleteChallenge,
+    regenerateJoinCode,
+    joinChallenge,
+    inviteMember,
+    updateMembership,
+    leaveChallenge,
+    removeMember,
+    getLeaderboard,
+};
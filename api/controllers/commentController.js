@@ -0,0 +1,266 @@
+const Comment = require('../models/Comment');
+const Friendship = require('../models/Friendship');
+const Goal = require('../models/Goal');
+const Reaction = require('../models/Reaction');
+const User = require('../models/User');
+const { sanitizeCommentText, containsBlockedWord } = require('../utils/commentText');
+const { invalidField, notFound } = require('../utils/errors');
+
+// The friend visibility levels at which friends see a goal's progress entries, as in the activity feed
+const ENTRY_VISIBILITY_LEVELS = ['percent', 'full'];
+
+/**
+ * Finds a goal the user may discuss, and checks the progress entry when one is targeted. Owners can discuss
+ * all their goals; friends can discuss goals shared with friends, and their progress entries when the goal
+ * shares at least its completion percentage. Anyone else gets the same "not found" as for a missing goal.
+ * @param {string} goalId - The goal ID from the route parameters.
+ * @param {string | null | undefined} entryId - The progress entry ID, if the comment or reaction targets one.
+ * @param {string} userId - The ID of the authenticated user.
+ * @returns {Promise<{goal: Object, isOwner: boolean} | {error: Object}>}
+ */
+const findDiscussedGoal = async (goalId, entryId, userId) => {
+    const goal = await Goal.findById(goalId);
+    if (!goal) {
+        return { error: notFound('Goal not found') };
+    }
+
+    const isOwner = goal.userId.equals(userId);
+    if (!isOwner) {
+        const friendship = await Friendship.findBetween(userId, goal.userId);
+        if (!friendship || friendship.status !== 'accepted' || goal.friendVisibility === 'private') {
+            return { error: notFound('Goal not found') };
+        }
+    }
+
+    if (entryId && (!goal.progress.id(entryId) || (!isOwner && !ENTRY_VISIBILITY_LEVELS.includes(goal.friendVisibility)))) {
+        return { error: notFound('Progress entry not found') };
+    }
+    return { goal, isOwner };
+};
+
+/**
+ * Formats a comment for a response.
+ * @param {Object} comment - The comment document.
+ * @param {Object | undefined} author - The author's user document, if it still exists.
+ * @param {string} userId - The ID of the authenticated user.
+ * @returns {Object}
+ */
+const formatComment = (comment, author, userId) => ({
+    id: comment.id,
+    entryId: comment.entryId,
+    author: author ? { id: author.id, username: author.username } : { id: null, username: 'Deleted user' },
+    text: comment.text,
+    createdAt: comment.createdAt,
+    canDelete: comment.authorId.equals(userId) || comment.goalOwnerId.equals(userId),
+});
+
+/**
+ * Asynchronous function to list the comments on a goal, or on one of its progress entries, newest first.
+ * Supports cursor pagination with `before` (an ISO date) and `limit`.
+ * @param {Object} req - Express request object with `req.user` populated by `authMiddleware.js`, `req.params.id` containing the goal ID and optional `req.query.entryId`, `req.query.before` and `req.query.limit`.
+ * @param {Object} res - Express response object.
+ * @param {function} next - The next middleware function in the stack.
+ * @returns {Promise<void>}
+ */
+const getComments = async (req, res, next) => {
+    try {
+        const userId = req.user.id;
+        const { entryId = null, before: beforeDate, limit: pageSize } = req.query;
+
+        const { goal, error } = await findDiscussedGoal(req.params.id, entryId, userId);
+        if (error) {
+            return next(error);
+        }
+
+        const query = { goalId: goal._id, entryId };
+        if (beforeDate) {
+            query.createdAt = { $lt: beforeDate };
+        }
+        // One extra comment tells whether there is another page
+        const comments = await Comment.find(query).sort({ createdAt: -1 }).limit(pageSize + 1);
+        const page = comments.slice(0, pageSize);
+        const authors = await User.find({ _id: { $in: page.map((comment) => comment.authorId) } }).select('username');
+
+        return res.status(200).json({
+            comments: page.map((comment) => formatComment(
+                comment,
+                authors.find((author) => author._id.equals(comment.authorId)),
+                userId
+            )),
+            nextCursor: comments.length > pageSize ? page[page.length - 1].createdAt : null,
+        });
+    } catch (error) {
+        return next(error);
+    }
+};
+
+/**
+ * Asynchronous function to comment on a goal or one of its progress entries. The text is cleaned up with
+ * `sanitizeCommentText` and refused if it is empty or contains offensive language.
+ * @param {Object} req - Express request object with `req.user` populated by `authMiddleware.js`, `req.params.id` containing the goal ID and `req.body` containing `text` and an optional `entryId`.
+ * @param {Object} res - Express response object.
+ * @param {function} next - The next middleware function in the stack.
+ * @returns {Promise<void>}
+ */
+const createComment = async (req, res, next) => {
+    try {
+        const userId = req.user.id;
+        const { entryId = null } = req.body;
+
+        const text = sanitizeCommentText(req.body.text);
+        if (!text) {
+            return next(invalidField('text', 'Comment text is required'));
+        }
+        if (containsBlockedWord(text)) {
+            return next(invalidField('text', 'Comments cannot contain offensive language'));
+        }
+
+        const { goal, error } = await findDiscussedGoal(req.params.id, entryId, userId);
+        if (error) {
+            return next(error);
+        }
+
+        const [comment, author] = await Promise.all([
+            Comment.create({
+                goalId: goal._id,
+                entryId,
+                goalOwnerId: goal.userId,
+                authorId: userId,
+                text,
+            }),
+            User.findById(userId).select('username'),
+        ]);
+
+        return res.status(201).json(formatComment(comment, author, userId));
+    } catch (error) {
+        return next(error);
+    }
+};
+
+/**
+ * Asynchronous function to delete a comment. Authors can delete their comments, even once they no longer
+ * see the goal, and goal owners can delete any comment on their goals.
+ * @param {Object} req - Express request object with `req.user` populated by `authMiddleware.js` and `req.params` containing the goal `id` and the `commentId`.
+ * @param {Object} res - Express response object.
+ * @param {function} next - The next middleware function in the stack.
+ * @returns {Promise<void>}
+ */
+const deleteComment = async (req, res, next) => {
+    try {
+        const userId = req.user.id;
+        const { id: goalId, commentId } = req.params;
+
+        const comment = await Comment.findOneAndDelete({
+            _id: commentId,
+            goalId,
+            $or: [{ authorId: userId }, { goalOwnerId: userId }],
+        });
+        if (!comment) {
+            return next(notFound('Comment not found'));
+        }
+
+        return res.status(204).send();
+    } catch (error) {
+        return next(error);
+    }
+};
+
+/**
+ * Asynchronous function to summarize the reactions on a goal and the progress entries the user can see:
+ * the count of each emoji per target, and whether the user left it.
+ * @param {Object} req - Express request object with `req.user` populated by `authMiddleware.js` and `req.params.id` containing the goal ID.
+ * @param {Object} res - Express response object.
+ * @param {function} next - The next middleware function in the stack.
+ * @returns {Promise<void>}
+ */
+const getReactions = async (req, res, next) => {
+    try {
+        const userId = req.user.id;
+
+        const { goal, isOwner, error } = await findDiscussedGoal(req.params.id, null, userId);
+        if (error) {
+            return next(error);
+        }
+
+        const showEntries = isOwner || ENTRY_VISIBILITY_LEVELS.includes(goal.friendVisibility);
+        const reactions = await Reaction.find({ goalId: goal._id });
+
+        const summary = new Map();
+        reactions
+            // Reactions to entries that were since removed or rebuilt are left out
+            .filter((reaction) => !reaction.entryId || (showEntries && goal.progress.id(reaction.entryId)))
+            .forEach((reaction) => {
+                const key = `${reaction.entryId || ''}:${reaction.emoji}`;
+                const row = summary.get(key) || { entryId: reaction.entryId, emoji: reaction.emoji, count: 0, reacted: false };
+                row.count += 1;
+                row.reacted = row.reacted || reaction.userId.equals(userId);
+                summary.set(key, row);
+            });
+
+        return res.status(200).json({ reactions: [...summary.values()] });
+    } catch (error) {
+        return next(error);
+    }
+};
+
+/**
+ * Asynchronous function to react to a goal or one of its progress entries with an emoji. Reacting twice
+ * with the same emoji keeps a single reaction.
+ * @param {Object} req - Express request object with `req.user` populated by `authMiddleware.js`, `req.params.id` containing the goal ID and `req.body` containing `emoji` and an optional `entryId`.
+ * @param {Object} res - Express response object.
+ * @param {function} next - The next middleware function in the stack.
+ * @returns {Promise<void>}
+ */
+const addReaction = async (req, res, next) => {
+    try {
+        const userId = req.user.id;
+        const { emoji, entryId = null } = req.body;
+
+        const { goal, error } = await findDiscussedGoal(req.params.id, entryId, userId);
+        if (error) {
+            return next(error);
+        }
+
+        const target = { goalId: goal._id, entryId, userId, emoji };
+        const existing = await Reaction.findOne(target);
+        if (existing) {
+            return res.status(200).json(existing);
+        }
+        const reaction = await Reaction.create({ ...target, goalOwnerId: goal.userId });
+
+        return res.status(201).json(reaction);
+    } catch (error) {
+        return next(error);
+    }
+};
+
+/**
+ * Asynchronous function to remove one of the user's reactions.
+ * @param {Object} req - Express request object with `req.user` populated by `authMiddleware.js`, `req.params.id` containing the goal ID and `req.query` containing `emoji` and an optional `entryId`.
+ * @param {Object} res - Express response object.
+ * @param {function} next - The next middleware function in the stack.
+ * @returns {Promise<void>}
+ */
+const removeReaction = async (req, res, next) => {
+    try {
+        const { emoji, entryId = null } = req.query;
+
+        const reaction = await Reaction.findOneAndDelete({ goalId: req.params.id, entryId, userId: req.user.id, emoji });
+        if (!reaction) {
+            return next(notFound('Reaction not found'));
+        }
+
+        return res.status(204).send();
+    } catch (error) {
+        return next(error);
+    }
+};
+
+module.exports = {
+    getComments,
+    createComment,
+    deleteComment,
+    getReactions,
+    addReaction,
+    removeReaction,
+};
@@ -0,0 +1,29 @@
+const { openEventStream } = require('../utils/liveEvents');
+
+/**
+ * Asynchronous function to stream the authenticated user's events with Server-Sent Events, so that apps open
+ * on several devices show the changes made on the others without reloading. Events are sent as they happen:
+ * - `goal.created`, `goal.updated` (the goal as returned by the goals API, without its progress entries) and
+ *   `goal.deleted` (`{id}`);
+ * - `progress.created`, `progress.updated` (`{goalId, entry}`), `progress.deleted` (`{goalId, entryId}`) and
+ *   `progress.synced` (`{goalId}`, when the entries derived from workouts or body measurements were recomputed);
+ * - `leaderboard.updated` (`{challengeId}`), when the standings of one of the user's challenges may have changed;
+ * - `notification.created` (the notification).
+ * A `ready` event is sent once the stream is open. The stream is closed when the access token expires;
+ * clients reconnect with a refreshed token and reload their data, since events sent meanwhile are not replayed.
+ * @param {Object} req - Express request object with `req.user` and `req.tokenExpiresAt` populated by `authMiddleware.js`.
+ * @param {Object} res - Express response object.
+ * @param {function} next - The next middleware function in the stack.
+ * @returns {Promise<void>}
+ */
+const streamEvents = async (req, res, next) => {
+    try {
+        openEventStream(req.user.id, res, { closeAt: req.tokenExpiresAt });
+    } catch (error) {
+        return next(error);
+    }
+};
+
+module.exports = {
+    streamEvents,
+};
@@ -0,0 +1,117 @@
+const Exercise = require('../models/Exercise');
+const Workout = require('../models/Workout');
+const { conflict, notFound } = require('../utils/errors');
+
+const DUPLICATE_NAME_MESSAGE = 'An exercise with this name already exists';
+
+/**
+ * Asynchronous function to list the exercises defined by the authenticated user, sorted by name.
+ * @param {Object} req - Express request object with `req.user` populated by `authMiddleware.js`.
+ * @param {Object} res - Express response object.
+ * @param {function} next - The next middleware function in the stack.
+ * @returns {Promise<void>}
+ */
+const getExercises = async (req, res, next) => {
+    try {
+        const userId = req.user.id;
+
+        const exercises = await Exercise.find({ userId }).sort({ name: 1 });
+
+        return res.status(200).json(exercises);
+    } catch (error) {
+        return next(error);
+    }
+};
+
+/**
+ * Asynchronous function to define a new exercise for the authenticated user.
+ * @param {Object} req - Express request object with `req.user` populated by `authMiddleware.js` and `req.body` containing `name`, `category` and `muscleGroup`.
+ * @param {Object} res - Express response object.
+ * @param {function} next - The next middleware function in the stack.
+ * @returns {Promise<void>}
+ */
+const createExercise = async (req, res, next) => {
+    try {
+        const userId = req.user.id;
+        const { name, category, muscleGroup } = req.body;
+
+        const exercise = new Exercise({ userId, name, category, muscleGroup });
+        await exercise.save();
+
+        return res.status(201).json(exercise);
+    } catch (error) {
+        if (error.code === 11000) {
+            return next(conflict(DUPLICATE_NAME_MESSAGE, [{ path: 'name', message: DUPLICATE_NAME_MESSAGE }]));
+        }
+        return next(error);
+    }
+};
+
+/**
+ * Asynchronous function to update an exercise of the authenticated user.
+ * @param {Object} req - Express request object with `req.user` populated by `authMiddleware.js`, `req.params.id` containing the exercise ID and `req.body` containing the updated fields.
+ * @param {Object} res - Express response object.
+ * @param {function} next - The next middleware function in the stack.
+ * @returns {Promise<void>}
+ */
+const updateExercise = async (req, res, next) => {
+    try {
+        const userId = req.user.id;
+        const exerciseId = req.params.id;
+        const { name, category, muscleGroup } = req.body;
+
+        const exercise = await Exercise.findOneAndUpdate(
+            { _id: exerciseId, userId },
+            { name, category, muscleGroup },
+            { new: true, runValidators: true }
+        );
+
+        if (!exercise) {
+            return next(notFound('Exercise not found'));
+        }
+
+        return res.status(200).json(exercise);
+    } catch (error) {
+        if (error.code === 11000) {
+            return next(conflict(DUPLICATE_NAME_MESSAGE, [{ path: 'name', message: DUPLICATE_NAME_MESSAGE }]));
+        }
+        return next(error);
+    }
+};
+
+/**
+ * Asynchronous function to delete an exercise of the authenticated user.
+ * Exercises that appear in logged workouts cannot be deleted, so workout history stays intact.
+ * @param {Object} req - Express request object with `req.user` populated by `authMiddleware.js` and `req.params.id` containing the exercise ID.
+ * @param {Object} res - Express response object.
+ * @param {function} next - The next middleware function in the stack.
+ * @returns {Promise<void>}
+ */
+const deleteExercise = async (req, res, next) => {
+    try {
+        const userId = req.user.id;
+        const exerciseId = req.params.id;
+
+        const inUse = await Workout.exists({ userId, 'exercises.exerciseId': exerciseId });
+        if (inUse) {
+            return next(conflict('Exercise is used by logged workouts and cannot be deleted'));
+        }
+
+        const exercise = await Exercise.findOneAndDelete({ _id: exerciseId, userId });
+
+        if (!exercise) {
+            return next(notFound('Exercise not found'));
+        }
+
+        return res.status(204).send();
+    } catch (error) {
+        return next(error);
+    }
+};
+
+module.exports = {
+    getExercises,
+    createExercise,
+    updateExercise,
+    deleteExercise,
+};
@@ -0,0 +1,167 @@
+const Friendship = require('../models/Friendship');
+const Goal = require('../models/Goal');
+const User = require('../models/User');
+const { redactGoal } = require('../utils/goalVisibility');
+const { getDisplayUnit, fromBaseValue } = require('../utils/units');
+
+/**
+ * @typedef {Object} FeedItem
+ * @property {'goal_created' | 'progress_logged' | 'goal_completed'} type - The kind of activity.
+ * @property {Date} date - When the activity happened.
+ * @property {{id: string, username: string}} user - The friend the activity belongs to.
+ * @property {string} goalId - The ID of the goal the activity relates to.
+ * @property {Object} goal - The goal, redacted to the owner's friend visibility level.
+ * @property {string} [entryId] - The ID of the progress entry, for progress items; comments and reactions can target it.
+ * @property {number} [value] - The logged value, only for progress entries of fully visible goals.
+ */
+
+// Progress entries are only listed for goals shared at these levels
+const PROGRESS_VISIBILITY_LEVELS = ['percent', 'full'];
+
+/**
+ * Encodes the position of a feed item as a `before` cursor: items are ordered by date, then by key,
+ * so that items sharing a date are neither repeated nor skipped across pages.
+ * @param {{date: Date, key: string}} item
+ * @returns {string}
+ */
+const encodeCursor = ({ date, key }) => `${date.toISOString()}_${key}`;
+
+/**
+ * Decodes a `before` cursor, validated by the `feed` schema (see `routes/schemas.js`).
+ * @param {string} cursor
+ * @returns {{date: Date, key: string}}
+ */
+const decodeCursor = (cursor) => {
+    const separator = cursor.indexOf('_');
+    return { date: new Date(cursor.slice(0, separator)), key: cursor.slice(separator + 1) };
+};
+
+/**
+ * Builds the aggregation listing a page of feed items, newest first, without loading the goals: each goal is
+ * expanded into its creation, its progress entries (for goals shared at 'percent' or 'full' level) and its
+ * completion, then the items after the cursor are sorted and limited in the database. Each item has a unique
+ * `key`: the ID of the progress entry, or the goal ID followed by the kind of item.
+ * @param {Object[]} friendIds - The ObjectIds of the friends.
+ * @param {{date: Date, key: string} | null} cursor - The position of the last item of the previous page.
+ * @param {number} limit - The number of items to return.
+ * @returns {Object[]} The aggregation pipeline.
+ */
+const buildFeedPipeline = (friendIds, cursor, limit) => [
+    // Aggregations skip the query middleware hiding deleted goals
+    { $match: { userId: { $in: friendIds }, friendVisibility: { $ne: 'private' }, deletedAt: null } },
+    {
+        $project: {
+            userId: 1,
+            items: {
+                $concatArrays: [
+                    [{ type: 'goal_created', date: '$createdAt', key: { $concat: [{ $toString: '$_id' }, ':created'] } }],
+                    {
+                        $cond: [
+                            { $in: ['$friendVisibility', PROGRESS_VISIBILITY_LEVELS] },
+                            {
+                                $map: {
+                                    input: '$progress',
+                                    as: 'entry',
+                                    in: { type: 'progress_logged', date: '$$entry.date', key: { $toString: '$$entry._id' }, entryId: '$$entry._id' },
+                                },
+                            },
+                            [],
+                        ],
+                    },
+                    // completedAt is the date of the entry that reached the target, or when the owner marked the goal completed
+                    {
+                        $cond: [
+                            { $ne: [{ $ifNull: ['$completedAt', null] }, null] },
+                            [{ type: 'goal_completed', date: '$completedAt', key: { $concat: [{ $toString: '$_id' }, ':completed'] } }],
+                            [],
+                        ],
+                    },
+                ],
+            },
+        },
+    },
+    { $unwind: '$items' },
+    ...(cursor ? [{
+        $match: {
+            $or: [
+                { 'items.date': { $lt: cursor.date } },
+                { 'items.date': cursor.date, 'items.key': { $lt: cursor.key } },
+            ],
+        },
+    }] : []),
+    { $sort: { 'items.date': -1, 'items.key': -1 } },
+    { $limit: limit },
+];
+
+/**
+ * Completes a feed item with its goal, honouring the goal's friendVisibility: the goal is redacted to it,
+ * and progress values are only included at 'full' level.
+ * @param {{type: string, date: Date, entryId?: Object}} item - The item as listed by the feed aggregation.
+ * @param {Object} goal - The goal document; its progress entries must be sorted by date.
+ * @param {{id: string, username: string}} user - The goal owner.
+ * @param {'metric' | 'imperial'} unitSystem - The viewer's preferred unit system.
+ * @returns {FeedItem}
+ */
+const buildFeedItem = ({ type, date, entryId }, goal, user, unitSystem) => {
+    const visibility = goal.friendVisibility;
+    const feedItem = { user, goalId: goal.id, goal: redactGoal(goal, visibility, unitSystem), type, date };
+    if (type === 'progress_logged') {
+        feedItem.entryId = entryId.toString();
+        const entry = goal.progress.id(entryId);
+        if (visibility === 'full' && entry) {
+            feedItem.value = fromBaseValue(entry.value, getDisplayUnit(goal.unit, unitSystem));
+        }
+    }
+    return feedItem;
+};
+
+/**
+ * Asynchronous function to return the activity feed of the authenticated user's friends:
+ * goal creations, progress entries and completions, newest first.
+ * Supports cursor pagination with `before` (the `nextCursor` of the previous page) and `limit`.
+ * Only the goals shown on the page are loaded.
+ * @param {Object} req - Express request object with `req.user` populated by `authMiddleware.js` and optional `req.query.before` / `req.query.limit`.
+ * @param {Object} res - Express response object.
+ * @param {function} next - The next middleware function in the stack.
+ * @returns {Promise<void>}
+ */
+const getFeed = async (req, res, next) => {
+    try {
+        const userId = req.user.id;
+        const { before, limit: pageSize } = req.query;
+
+        const friendIds = await Friendship.findFriendIds(userId);
+        if (friendIds.length === 0) {
+            return res.status(200).json({ items: [], nextCursor: null });
+        }
+
+        const [friends, rows] = await Promise.all([
+            User.find({ _id: { $in: friendIds } }).select('username'),
+            // One more item than the page tells whether there is a next page
+            Goal.aggregate(buildFeedPipeline(friendIds, before ? decodeCursor(before) : null, pageSize + 1)),
+        ]);
+        const friendsById = new Map(friends.map((friend) => [friend.id, { id: friend.id, username: friend.username }]));
+
+        const pageRows = rows.slice(0, pageSize);
+        const goals = await Goal.find({ _id: { $in: [...new Set(pageRows.map((row) => row._id.toString()))] } });
+        const goalsById = new Map(goals.map((goal) => [goal.id, goal]));
+
+        const items = pageRows
+            .filter((row) => goalsById.has(row._id.toString()) && friendsById.has(row.userId.toString()))
+            .map((row) => buildFeedItem(
+                row.items,
+                goalsById.get(row._id.toString()),
+                friendsById.get(row.userId.toString()),
+                req.user.unitSystem,
+            ));
+        const nextCursor = rows.length > pageSize ? encodeCursor(pageRows[pageRows.length - 1].items) : null;
+
+        return res.status(200).json({ items, nextCursor });
+    } catch (error) {
+        return next(error);
+    }
+};
+
+module.exports = {
+    getFeed,
+};
@@ -0,0 +1,288 @@
+const Friendship = require('../models/Friendship');
+const User = require('../models/User');
+const { conflict, invalidField, notFound } = require('../utils/errors');
+
+/**
+ * Formats the other side of a friendship for the given user.
+ * @param {Object} friendship - The friendship document with requester and recipient populated.
+ * @param {string} userId - The ID of the user viewing the friendship.
+ * @returns {{id: string, friendshipId: string, username: string, status: string, since: Date}}
+ */
+const formatFriendship = (friendship, userId) => {
+    const other = friendship.requester._id.equals(userId) ? friendship.recipient : friendship.requester;
+    return {
+        id: other.id,
+        friendshipId: friendship.id,
+        username: other.username,
+        status: friendship.status,
+        since: friendship.acceptedAt || friendship.createdAt,
+    };
+};
+
+/**
+ * Asynchronous function to list the authenticated user's accepted friends.
+ * @param {Object} req - Express request object with `req.user` populated by `authMiddleware.js`.
+ * @param {Object} res - Express response object.
+ * @param {function} next - The next middleware function in the stack.
+ * @returns {Promise<void>}
+ */
+const getFriends = async (req, res, next) => {
+    try {
+        const userId = req.user.id;
+
+        const friendships = await Friendship.find({
+            status: 'accepted',
+            $or: [{ requester: userId }, { recipient: userId }],
+        }).populate('requester recipient', 'username');
+
+        return res.status(200).json(friendships.map((friendship) => formatFriendship(friendship, userId)));
+    } catch (error) {
+        return next(error);
+    }
+};
+
+/**
+ * Asynchronous function to list the authenticated user's pending incoming and outgoing friend requests.
+ * @param {Object} req - Express request object with `req.user` populated by `authMiddleware.js`.
+ * @param {Object} res - Express response object.
+ * @param {function} next - The next middleware function in the stack.
+ * @returns {Promise<void>}
+ */
+const getFriendRequests = async (req, res, next) => {
+    try {
+        const userId = req.user.id;
+
+        const friendships = await Friendship.find({
+            status: 'pending',
+            $or: [{ requester: userId }, { recipient: userId }],
+        }).populate('requester recipient', 'username');
+
+        return res.status(200).json({
+            incoming: friendships
+                .filter((friendship) => friendship.recipient._id.equals(userId))
+                .map((friendship) => formatFriendship(friendship, userId)),
+            outgoing: friendships
+                .filter((friendship) => friendship.requester._id.equals(userId))
+                .map((friendship) => formatFriendship(friendship, userId)),
+        });
+    } catch (error) {
+        return next(error);
+    }
+};
+
+/**
+ * Asynchronous function to send a friend request. If the other user already sent a request
+ * to the authenticated user, that request is accepted instead.
+ * @param {Object} req - Express request object with `req.user` populated by `authMiddleware.js` and `req.body.username` containing the username of the user to befriend.
+ * @param {Object} res - Express response object.
+ * @param {function} next - The next middleware function in the stack.
+ * @returns {Promise<void>}
+ */
+const sendFriendRequest = async (req, res, next) => {
+    try {
+        const userId = req.user.id;
+        const { username } = req.body;
+
+        const recipient = await User.findOne({ username: username.trim() });
+        if (!recipient) {
+            return next(notFound('User not found'));
+        }
+        if (recipient._id.equals(userId)) {
+            return next(invalidField('username', 'You cannot send a friend request to yourself'));
+        }
+
+        const existing = await Friendship.findBetween(userId, recipient.id);
+        if (existing) {
+            // Blocked users must not learn that they are blocked
+            if (existing.status === 'blocked') {
+                return next(notFound('User not found'));
+            }
+            if (existing.status === 'accepted') {
+                return next(conflict('You are already friends'));
+            }
+            if (existing.requester.equals(userId)) {
+                return next(conflict('Friend request already sent'));
+            }
+            existing.status = 'accepted';
+            existing.acceptedAt = new Date();
+            await existing.save();
+            return res.status(200).json(existing);
+        }
+
+        const friendship = await Friendship.create({ requester: userId, recipient: recipient.id });
+
+        return res.status(201).json(friendship);
+    } catch (error) {
+        return next(error);
+    }
+};
+
+/**
+ * Asynchronous function to accept a pending friend request addressed to the authenticated user.
+ * @param {Object} req - Express request object with `req.user` populated by `authMiddleware.js` and `req.params.id` containing the friendship ID.
+ * @param {Object} res - Express response object.
+ * @param {function} next - The next middleware function in the stack.
+ * @returns {Promise<void>}
+ */
+const acceptFriendRequest = async (req, res, next) => {
+    try {
+        const userId = req.user.id;
+        const friendshipId = req.params.id;
+
+        const friendship = await Friendship.findOneAndUpdate(
+            { _id: friendshipId, recipient: userId, status: 'pending' },
+            { status: 'accepted', acceptedAt: new Date() },
+            { new: true }
+        );
+
+        if (!friendship) {
+            return next(notFound('Friend request not found'));
+        }
+
+        return res.status(200).json(friendship);
+    } catch (error) {
+        return next(error);
+    }
+};
+
+/**
+ * Asynchronous function to decline an incoming or cancel an outgoing pending friend request.
+ * @param {Object} req - Express request object with `req.user` populated by `authMiddleware.js` and `req.params.id` containing the friendship ID.
+ * @param {Object} res - Express response object.
+ * @param {function} next - The next middleware function in the stack.
+ * @returns {Promise<void>}
+ */
+const deleteFriendRequest = async (req, res, next) => {
+    try {
+        const userId = req.user.id;
+        const friendshipId = req.params.id;
+
+        const friendship = await Friendship.findOneAndDelete({
+            _id: friendshipId,
+            status: 'pending',
+            $or: [{ requester: userId }, { recipient: userId }],
+        });
+
+        if (!friendship) {
+            return next(notFound('Friend request not found'));
+        }
+
+        return res.status(204).send();
+    } catch (error) {
+        return next(error);
+    }
+};
+
+/**
+ * Asynchronous function to remove an accepted friend.
+ * @param {Object} req - Express request object with `req.user` populated by `authMiddleware.js` and `req.params.userId` containing the friend's user ID.
+ * @param {Object} res - Express response object.
+ * @param {function} next - The next middleware function in the stack.
+ * @returns {Promise<void>}
+ */
+const removeFriend = async (req, res, next) => {
+    try {
+        const userId = req.user.id;
+        const friendId = req.params.userId;
+
+        const friendship = await Friendship.findOneAndDelete({
+            status: 'accepted',
+            $or: [
+                { requester: userId, recipient: friendId },
+                { requester: friendId, recipient: userId },
+            ],
+        });
+
+        if (!friendship) {
+            return next(notFound('Friend not found'));
+        }
+
+        return res.status(204).send();
+    } catch (error) {
+        return next(error);
+    }
+};
+
+/**
+ * Asynchronous function to block a user. Any existing friendship or pending request is replaced by the block.
+ * @param {Object} req - Express request object with `req.user` populated by `authMiddleware.js` and `req.params.userId` containing the ID of the user to block.
+ * @param {Object} res - Express response object.
+ * @param {function} next - The next middleware function in the stack.
+ * @returns {Promise<void>}
+ */
+const blockUser = async (req, res, next) => {
+    try {
+        const userId = req.user.id;
+        const otherUserId = req.params.userId;
+
+        if (otherUserId === userId) {
+            return next(notFound('User not found'));
+        }
+
+        const otherUser = await User.exists({ _id: otherUserId });
+        if (!otherUser) {
+            return next(notFound('User not found'));
+        }
+
+        const existing = await Friendship.findBetween(userId, otherUserId);
+        if (existing && existing.status === 'blocked' && !existing.blockedBy.equals(userId)) {
+            // Already blocked by the other user; keep their block in place
+            return res.status(204).send();
+        }
+
+        if (existing) {
+            existing.status = 'blocked';
+            existing.blockedBy = userId;
+            existing.acceptedAt = null;
+            await existing.save();
+        } else {
+            await Friendship.create({ requester: userId, recipient: otherUserId, status: 'blocked', blockedBy: userId });
+        }
+
+        return res.status(204).send();
+    } catch (error) {
+        return next(error);
+    }
+};
+
+/**
+ * Asynchronous function to lift a block placed by the authenticated user.
+ * @param {Object} req - Express request object with `req.user` populated by `authMiddleware.js` and `req.params.userId` containing the ID of the blocked user.
+ * @param {Object} res - Express response object.
+ * @param {function} next - The next middleware function in the stack.
+ * @returns {Promise<void>}
+ */
+const unblockUser = async (req, res, next) => {
+    try {
+        const userId = req.user.id;
+        const otherUserId = req.params.userId;
+
+        const friendship = await Friendship.findOneAndDelete({
+            status: 'blocked',
+            blockedBy: userId,
+            $or: [
+                { requester: userId, recipient: otherUserId },
+                { requester: otherUserId, recipient: userId },
+            ],
+        });
+
+        if (!friendship) {
+            return next(notFound('Block not found'));
+        }
+
+        return res.status(204).send();
+    } catch (error) {
+        return next(error);
+    }
+};
+
+module.exports = {
+    getFriends,
+    getFriendRequests,
+    sendFriendRequest,
+    acceptFriendRequest,
+    deleteFriendRequest,
+    removeFriend,
+    blockUser,
+    unblockUser,
+};
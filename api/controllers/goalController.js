@@ -1,40 +1,261 @@
 const Goal = require('../models/Goal');
 const User = require('../models/User');
+const { computeGoalStats, getGoalStatus } = require('../utils/goalStats');
+const {
+    changeGoalStatus,
+    syncGoalCompletion,
+    getRestorableUntil,
+    getRestoreWindowStart,
+} = require('../utils/goalLifecycle');
+const { computeRecurringStats } = require('../utils/recurrence');
+const { evaluateAchievements } = require('../utils/achievements');
+const { canDeriveFromMetric } = require('../utils/bodyMetrics');
+const { rebuildMetricProgress } = require('../utils/metricProgress');
+const { publishLeaderboardChanges } = require('../utils/challengeStandings');
+const { publish } = require('../utils/liveEvents');
+const {
+    UNITS,
+    normalizeUnit,
+    getDisplayUnit,
+    isSameDimension,
+    toBaseValue,
+    localizeGoal,
+    localizeRecurrence,
+    localizeStats,
+} = require('../utils/units');
+const { conflict, invalidField, notFound, preconditionFailed } = require('../utils/errors');
+
+const STALE_GOAL_MESSAGE = 'The goal was changed since it was last loaded';
 
 /**
- * Asynchronous function to retrieve all goals for a specific user.
- * @param {Object} req - Express request object with `req.user` populated by `authMiddleware.js` containing the user ID.
+ * Sends a goal change to the user's other devices through their event streams (see `utils/liveEvents.js`).
+ * The goal is sent as in the response, without its progress entries, which have events of their own.
+ * @param {string} userId
+ * @param {'goal.created' | 'goal.updated'} type
+ * @param {Object} item - The goal as returned by the endpoint.
+ */
+const publishGoal = (userId, type, item) => {
+    const { progress, ...goal } = item;
+    publish(userId, type, goal);
+};
+
+/**
+ * Whether a conditional update targets an older version of the goal than the stored one. Clients that
+ * edit goals offline send the `updatedAt` of the version they edited as `expectedUpdatedAt`.
+ * @param {Object} goal - The goal document.
+ * @param {Date | undefined} expectedUpdatedAt - The `expectedUpdatedAt` of the request body, if any.
+ * @returns {boolean}
+ */
+const isStaleUpdate = (goal, expectedUpdatedAt) => Boolean(expectedUpdatedAt) && goal.updatedAt.getTime() !== expectedUpdatedAt.getTime();
+
+// Stored statuses of active goals; goals created before lifecycle statuses were stored have none
+const ACTIVE_STATUSES = ['active', null];
+
+/**
+ * Escapes a string for literal use inside a regular expression.
+ * @param {string} value
+ * @returns {string}
+ */
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Converts the values of a goal request body from the unit they were entered in into base units.
+ * Values that are missing or not numeric are passed through for schema validation to report.
+ * @param {{targetValue?: any, milestones?: any}} body - The goal fields from the request body.
+ * @param {string | null} unit - The canonical unit the values were entered in, or null if unknown.
+ * @returns {{targetValue: any, milestones: any}}
+ */
+const toBaseGoalValues = ({ targetValue, milestones }, unit) => {
+    const convert = (value) => {
+        if (!unit || value === undefined || value === null || value === '' || !Number.isFinite(Number(value))) {
+            return value;
+        }
+        return toBaseValue(Number(value), unit);
+    };
+    return {
+        targetValue: convert(targetValue),
+        milestones: Array.isArray(milestones)
+            ? milestones.map((milestone) => (milestone && milestone.kind === 'value'
+                ? { ...milestone, threshold: convert(milestone.threshold) }
+                : milestone))
+            : milestones,
+    };
+};
+
+/**
+ * Summarizes the period status of a recurring goal for the goal list: the current period and the streaks,
+ * without the full period history returned by the stats endpoint.
+ * @param {Object} goal - The recurring goal document.
+ * @param {string} unit - The canonical unit code to display values in.
+ * @param {Date} now - The reference date.
+ * @returns {Object}
+ */
+const summarizeRecurrence = (goal, unit, now) => {
+    const { periods, ...summary } = localizeRecurrence(computeRecurringStats(goal, now), unit);
+    return summary;
+};
+
+/**
+ * Evaluates badge rules after a goal's progress was derived from its metric. Failures are logged but never
+ * fail the request, since the goal itself has already been saved.
+ * @param {Object} goal - The saved goal document.
+ * @param {Object[]} reachedMilestones - Milestones newly reached by the derived progress.
+ * @returns {Promise<void>}
+ */
+const recordAchievements = async (goal, reachedMilestones) => {
+    try {
+        await evaluateAchievements(goal, reachedMilestones);
+    } catch (error) {
+        console.error('Error evaluating achievements:', error);
+    }
+};
+
+/**
+ * Builds the database query of the goal list endpoint from its validated query string (see `routes/schemas.js`).
+ * Archived goals are only listed when asked for with `status=archived`. Statuses are filtered on the stored
+ * lifecycle status, which writes keep completed once the target is reached (see `syncGoalCompletion`) and the
+ * notification scheduler completes for recurring goals whose last period has closed; active goals whose end
+ * date has passed are the expired ones.
+ * @param {Object} query - Express `req.query`, validated by the `listGoals` schema.
+ * @param {string} userId - The ID of the authenticated user.
+ * @param {Date} now - The reference date telling active and expired goals apart.
+ * @returns {{filter: Object, sort: Object}}
+ */
+const buildGoalListQuery = ({ type, status, search, from, to, sort }, userId, now) => {
+    const filter = { userId };
+
+    if (status === undefined) {
+        filter.status = { $ne: 'archived' };
+    } else if (status === 'active' || status === 'expired') {
+        filter.status = { $in: ACTIVE_STATUSES };
+        // Kept apart from the `from` filter, which also applies to endDate
+        filter.$and = [{ endDate: status === 'active' ? { $gte: now } : { $lt: now } }];
+    } else {
+        filter.status = status;
+    }
+
+    if (type !== undefined) {
+        filter.type = type;
+    }
+
+    if (search !== undefined && search.trim()) {
+        filter.name = { $regex: escapeRegExp(search.trim()), $options: 'i' };
+    }
+
+    // Date range filters select goals whose period overlaps [from, to]
+    if (from !== undefined) {
+        filter.endDate = { $gte: from };
+    }
+    if (to !== undefined) {
+        filter.startDate = { $lte: to };
+    }
+
+    const sortField = sort.startsWith('-') ? sort.slice(1) : sort;
+    const sortDirection = sort.startsWith('-') ? -1 : 1;
+
+    return {
+        filter,
+        // _id breaks ties so that pages never overlap
+        sort: { [sortField]: sortDirection, _id: sortDirection },
+    };
+};
+
+/**
+ * Asynchronous function to retrieve a page of goals for a specific user.
+ * Supports filtering by `type`, `status` (active/paused/completed/abandoned/archived/expired; archived goals are
+ * left out unless asked for), `search` (name), `from`/`to` dates,
+ * sorting via `sort` (e.g. `-endDate`), page-based pagination via `page`/`limit`, and omitting
+ * the progress array with `includeProgress=false`. Recurring goals come with a `periodStatus` summary
+ * of their current period and streaks.
+ * @param {Object} req - Express request object with `req.user` populated by `authMiddleware.js` containing the user ID, and `req.query` containing the list options.
  * @param {Object} res - Express response object.
+ * @param {function} next - The next middleware function in the stack.
  * @returns {Promise<void>}
  */
-const getAllGoals = async (req, res) => {
+const getAllGoals = async (req, res, next) => {
     try {
         const userId = req.user.id;
 
-        const goals = await Goal.find({ userId });
+        const { page, limit, includeProgress } = req.query;
+        const now = new Date();
+        const { filter, sort } = buildGoalListQuery(req.query, userId, now);
+        const skip = (page - 1) * limit;
 
-        if (!goals || goals.length === 0) {
-            return res.status(404).json({ message: 'No goals found for this user' });
-        }
+        const [total, goals] = await Promise.all([
+            Goal.countDocuments(filter),
+            Goal.find(filter).sort(sort).skip(skip).limit(limit),
+        ]);
+
+        const items = goals.map((goal) => {
+            const item = { ...localizeGoal(goal, req.user.unitSystem), status: getGoalStatus(goal, now) };
+            if (goal.kind === 'recurring') {
+                item.periodStatus = summarizeRecurrence(goal, item.unit, now);
+            }
+            if (!includeProgress) {
+                delete item.progress;
+            }
+            return item;
+        });
 
-        return res.status(200).json(goals);
+        return res.status(200).json({
+            goals: items,
+            page,
+            limit,
+            total,
+            totalPages: Math.ceil(total / limit),
+        });
     } catch (error) {
-        console.error('Error fetching goals:', error);
-        return res.status(500).json({ message: 'Internal Server Error', error: error.message });
+        return next(error);
     }
 };
 
 
+/**
+ * Asynchronous function to retrieve a single goal of a specific user, including its progress entries and milestones.
+ * Values are converted to the user's preferred unit system; recurring goals come with their `periodStatus` summary.
+ * @param {Object} req - Express request object with `req.user` populated by `authMiddleware.js` containing the user ID, and `req.params.id` containing the goal ID.
+ * @param {Object} res - Express response object.
+ * @param {function} next - The next middleware function in the stack.
+ * @returns {Promise<void>}
+ */
+const getGoal = async (req, res, next) => {
+    try {
+        const userId = req.user.id;
+        const goalId = req.params.id;
+
+        const goal = await Goal.findOne({ _id: goalId, userId });
+        if (!goal) {
+            return next(notFound('Goal not found'));
+        }
+
+        const now = new Date();
+        const item = { ...localizeGoal(goal, req.user.unitSystem), status: getGoalStatus(goal, now) };
+        if (goal.kind === 'recurring') {
+            item.periodStatus = summarizeRecurrence(goal, item.unit, now);
+        }
+
+        return res.status(200).json(item);
+    } catch (error) {
+        return next(error);
+    }
+};
+
 /**
  * Asynchronous function to create a new goal for a specific user.
+ * The target value and value milestones are entered in the goal's `unit` and stored in its base unit;
+ * the response is converted to the user's preferred unit system. Recurring goals (`kind: 'recurring'`)
+ * need a `recurrence` rule and their target value applies to each period. Weight loss and muscle gain goals
+ * can derive their progress from a body metric with `metricLink: {metric}` instead of manual entries.
  * @param {Object} req - Express request object with `req.user` populated by `authMiddleware.js` containing the user ID and `req.body` containing goal data.
  * @param {Object} res - Express response object.
+ * @param {function} next - The next middleware function in the stack.
  * @returns {Promise<void>}
  */
-const createGoal = async (req, res) => {
+const createGoal = async (req, res, next) => {
     try {
         const userId = req.user.id;
-        const { name, description, type, startDate, endDate, targetValue, unit } = req.body;
+        const { name, description, type, startDate, endDate, unit, friendVisibility, workoutLink, metricLink, kind, recurrence } = req.body;
+        const { targetValue, milestones } = toBaseGoalValues(req.body, normalizeUnit(unit));
 
          // Input validation with mongoose schema validation
         const newGoal = new Goal({
@@ -46,88 +267,295 @@ const createGoal = async (req, res) => {
             endDate,
             targetValue,
             unit,
+            friendVisibility,
+            // Milestones measure a single target, so recurring goals do not get the default ones
+            milestones: kind === 'recurring' && milestones === undefined ? [] : milestones,
+            workoutLink,
+            metricLink,
+            kind,
+            recurrence,
         });
 
        await newGoal.validate();
+       // Goals following a metric start with the measurements already taken within their period
+       const reachedMilestones = newGoal.metricLink ? await rebuildMetricProgress(newGoal) : [];
        await newGoal.save();
+       await recordAchievements(newGoal, reachedMilestones);
 
 
-        return res.status(201).json(newGoal);
+        const item = { ...localizeGoal(newGoal, req.user.unitSystem), status: getGoalStatus(newGoal) };
+        publishGoal(userId, 'goal.created', item);
+
+        return res.status(201).json(item);
     } catch (error) {
-        console.error('Error creating goal:', error);
-        if(error.name === 'ValidationError') {
-           return res.status(400).json({ message: 'Invalid input data', errors: error.errors})
-        }
-        return res.status(500).json({ message: 'Internal Server Error', error: error.message });
+        return next(error);
     }
 };
 
 /**
  * Asynchronous function to update an existing goal for a specific user.
- * @param {Object} req - Express request object with `req.user` populated by `authMiddleware.js` containing the user ID, `req.params.id` containing the goal ID, and `req.body` containing updated goal data.
+ * The target value and value milestones are read in `unit` when it is sent, otherwise in the unit the goal
+ * is displayed in for the user. A goal with progress can only switch to a unit of the same dimension
+ * (e.g. kg to lbs), so that its stored history keeps its meaning. Switching a goal to `kind: 'recurring'`
+ * requires a `recurrence` rule; switching it back to a target goal drops the rule. Linking a goal to a metric
+ * with `metricLink` replaces its progress with the measurements of its period, so only goals without manual
+ * entries can be linked; unlinking keeps the derived entries. An active goal whose target is reached after
+ * the change is completed. With `expectedUpdatedAt`, the update is refused with 412 if the goal changed since.
+ * @param {Object} req - Express request object with `req.user` populated by `authMiddleware.js` containing the user ID, `req.params.id` containing the goal ID, and `req.body` containing updated goal data and an optional `expectedUpdatedAt`.
  * @param {Object} res - Express response object.
+ * @param {function} next - The next middleware function in the stack.
  * @returns {Promise<void>}
  */
-const updateGoal = async (req, res) => {
+const updateGoal = async (req, res, next) => {
     try {
         const userId = req.user.id;
         const goalId = req.params.id;
-        const { name, description, type, startDate, endDate, targetValue, unit } = req.body;
+        const { name, description, type, startDate, endDate, unit, friendVisibility, workoutLink, metricLink, kind } = req.body;
+
+        const goal = await Goal.findOne({ _id: goalId, userId });
+        if (!goal) {
+            return next(notFound('Goal not found'));
+        }
+        if (isStaleUpdate(goal, req.body.expectedUpdatedAt)) {
+            return next(preconditionFailed(STALE_GOAL_MESSAGE));
+        }
+
+        const newUnit = unit !== undefined ? normalizeUnit(unit) : null;
+        if (newUnit && UNITS[goal.unit] && !isSameDimension(newUnit, goal.unit)) {
+            if (goal.progress.length > 0) {
+                return next(invalidField('unit', 'The unit of a goal with progress can only change to a unit of the same kind'));
+            }
+            if (req.body.targetValue === undefined) {
+                return next(invalidField('targetValue', 'A new target value is required when changing the goal unit'));
+            }
+        }
+        // Update validators run without the document, so rules spanning several fields are checked here
+        const newKind = kind !== undefined ? kind : goal.kind;
+        let { recurrence } = req.body;
+        if (newKind !== 'recurring') {
+            recurrence = null;
+        }
+        const newRecurrence = recurrence !== undefined ? recurrence : goal.recurrence;
+        if (newKind === 'recurring' && !newRecurrence) {
+            return next(invalidField('recurrence', 'A recurrence rule is required for recurring goals'));
+        }
+        if (newRecurrence && newRecurrence.aggregation === 'count' && (newUnit || goal.unit) !== 'sessions') {
+            return next(invalidField('unit', 'Recurring goals that count entries must use the sessions unit'));
+        }
+        const newMetricLink = metricLink !== undefined ? metricLink : goal.metricLink;
+        if (newMetricLink) {
+            const newType = type !== undefined ? type : goal.type;
+            if (newKind === 'recurring' || !canDeriveFromMetric(newType, newUnit || goal.unit, newMetricLink.metric)) {
+                return next(invalidField('metricLink', 'Only weight loss and muscle gain goals set in a unit of the metric can derive their progress from it'));
+            }
+            if (workoutLink !== undefined ? workoutLink : goal.workoutLink) {
+                return next(invalidField('metricLink', 'A goal cannot derive its progress from both workouts and a metric'));
+            }
+            if (!goal.metricLink && goal.progress.some((entry) => !entry.metricId)) {
+                return next(invalidField('metricLink', 'Delete the progress entries of the goal before deriving its progress from a metric'));
+            }
+        }
+
+        const inputUnit = newUnit || (UNITS[goal.unit] ? getDisplayUnit(goal.unit, req.user.unitSystem) : null);
+        const { targetValue, milestones } = toBaseGoalValues(req.body, inputUnit);
 
         // Validate data against schema
         const updatedGoal = await Goal.findOneAndUpdate(
             { _id: goalId, userId },
-            { name, description, type, startDate, endDate, targetValue, unit },
+            { name, description, type, startDate, endDate, targetValue, unit, friendVisibility, milestones, workoutLink, metricLink, kind, recurrence },
             { new: true, runValidators: true }
         );
 
 
 
         if (!updatedGoal) {
-            return res.status(404).json({ message: 'Goal not found' });
+            return next(notFound('Goal not found'));
+        }
+        const relinked = metricLink !== undefined && (metricLink ? metricLink.metric : null) !== (goal.metricLink ? goal.metricLink.metric : null);
+        const periodChanged = updatedGoal.metricLink && (updatedGoal.startDate.getTime() !== goal.startDate.getTime()
+            || updatedGoal.endDate.getTime() !== goal.endDate.getTime());
+        if (relinked || periodChanged) {
+            const reachedMilestones = await rebuildMetricProgress(updatedGoal);
+            await updatedGoal.save();
+            await recordAchievements(updatedGoal, reachedMilestones);
+        } else if (syncGoalCompletion(updatedGoal)) {
+            await updatedGoal.save();
         }
 
+        const item = { ...localizeGoal(updatedGoal, req.user.unitSystem), status: getGoalStatus(updatedGoal) };
+        publishGoal(userId, 'goal.updated', item);
+        // A new unit, period or metric link changes how the goal scores in challenges
+        await publishLeaderboardChanges([updatedGoal._id]);
 
-        return res.status(200).json(updatedGoal);
+        return res.status(200).json(item);
     } catch (error) {
-        console.error('Error updating goal:', error);
-        if(error.name === 'ValidationError') {
-            return res.status(400).json({ message: 'Invalid input data', errors: error.errors})
-        }
-        return res.status(500).json({ message: 'Internal Server Error', error: error.message });
+        return next(error);
     }
 };
 
 
 /**
  * Asynchronous function to delete an existing goal for a specific user.
+ * The goal disappears from every endpoint, including its share links and reminders, but it can be restored
+ * with `restoreGoal` for 30 days (`GOAL_RESTORE_WINDOW_DAYS`) before it is purged for good.
  * @param {Object} req - Express request object with `req.user` populated by `authMiddleware.js` containing the user ID, and `req.params.id` containing the goal ID.
  * @param {Object} res - Express response object.
+ * @param {function} next - The next middleware function in the stack.
  * @returns {Promise<void>}
  */
-const deleteGoal = async (req, res) => {
+const deleteGoal = async (req, res, next) => {
     try {
         const userId = req.user.id;
         const goalId = req.params.id;
 
-        const deletedGoal = await Goal.findOneAndDelete({ _id: goalId, userId });
+        const deletedGoal = await Goal.findOneAndUpdate({ _id: goalId, userId }, { deletedAt: new Date() });
 
         if (!deletedGoal) {
-            return res.status(404).json({ message: 'Goal not found' });
+            return next(notFound('Goal not found'));
         }
+        publish(userId, 'goal.deleted', { id: deletedGoal.id });
+        await publishLeaderboardChanges([deletedGoal._id]);
 
         return res.status(204).send();
     } catch (error) {
-        console.error('Error deleting goal:', error);
-        return res.status(500).json({ message: 'Internal Server Error', error: error.message });
+        return next(error);
+    }
+};
+
+/**
+ * Asynchronous function to list the goals of a specific user that were deleted and can still be restored,
+ * most recently deleted first, each with the `restorableUntil` date. Progress arrays are left out.
+ * @param {Object} req - Express request object with `req.user` populated by `authMiddleware.js` containing the user ID.
+ * @param {Object} res - Express response object.
+ * @param {function} next - The next middleware function in the stack.
+ * @returns {Promise<void>}
+ */
+const getDeletedGoals = async (req, res, next) => {
+    try {
+        const userId = req.user.id;
+
+        const goals = await Goal.find({ userId, deletedAt: { $gt: getRestoreWindowStart() } }).sort({ deletedAt: -1 });
+
+        return res.status(200).json(goals.map((goal) => {
+            const { progress, ...item } = localizeGoal(goal, req.user.unitSystem);
+            return { ...item, restorableUntil: getRestorableUntil(goal) };
+        }));
+    } catch (error) {
+        return next(error);
+    }
+};
+
+/**
+ * Asynchronous function to restore a deleted goal of a specific user, with its share links and reminders,
+ * as long as its restore window has not ended.
+ * @param {Object} req - Express request object with `req.user` populated by `authMiddleware.js` containing the user ID, and `req.params.id` containing the goal ID.
+ * @param {Object} res - Express response object.
+ * @param {function} next - The next middleware function in the stack.
+ * @returns {Promise<void>}
+ */
+const restoreGoal = async (req, res, next) => {
+    try {
+        const userId = req.user.id;
+        const goalId = req.params.id;
+
+        const goal = await Goal.findOneAndUpdate(
+            { _id: goalId, userId, deletedAt: { $gt: getRestoreWindowStart() } },
+            { deletedAt: null },
+            { new: true }
+        );
+        if (!goal) {
+            return next(notFound('Deleted goal not found'));
+        }
+        // The goal comes back on the user's other devices as if it had just been created
+        const item = { ...localizeGoal(goal, req.user.unitSystem), status: getGoalStatus(goal) };
+        publishGoal(userId, 'goal.created', item);
+        await publishLeaderboardChanges([goal._id]);
+
+        return res.status(200).json(item);
+    } catch (error) {
+        return next(error);
+    }
+};
+
+/**
+ * Asynchronous function to change the lifecycle status of a goal of a specific user: pause or resume it,
+ * mark it completed or abandoned, archive it or restore it from the archive (`status: 'active'`).
+ * Time spent paused does not count against the goal's pace: resuming pushes its end date back by the length
+ * of the pause. Transitions that do not apply to the current status are rejected with 409. With
+ * `expectedUpdatedAt`, the change is refused with 412 if the goal changed since.
+ * @param {Object} req - Express request object with `req.user` populated by `authMiddleware.js` containing the user ID, `req.params.id` containing the goal ID, `req.body.status` the new status and an optional `req.body.expectedUpdatedAt`.
+ * @param {Object} res - Express response object.
+ * @param {function} next - The next middleware function in the stack.
+ * @returns {Promise<void>}
+ */
+const updateGoalStatus = async (req, res, next) => {
+    try {
+        const userId = req.user.id;
+        const goalId = req.params.id;
+
+        const goal = await Goal.findOne({ _id: goalId, userId });
+        if (!goal) {
+            return next(notFound('Goal not found'));
+        }
+        if (isStaleUpdate(goal, req.body.expectedUpdatedAt)) {
+            return next(preconditionFailed(STALE_GOAL_MESSAGE));
+        }
+
+        const now = new Date();
+        const refusal = changeGoalStatus(goal, req.body.status, now);
+        if (refusal) {
+            return next(conflict(refusal));
+        }
+        await goal.save();
+
+        const item = { ...localizeGoal(goal, req.user.unitSystem), status: getGoalStatus(goal, now) };
+        publishGoal(userId, 'goal.updated', item);
+
+        return res.status(200).json(item);
+    } catch (error) {
+        return next(error);
     }
 };
 
 
+/**
+ * Asynchronous function to compute progress statistics for a goal: current value, completion percentage,
+ * trend, projected completion date, days remaining and whether the user is on pace. Recurring goals are
+ * evaluated period by period, with their streaks and the status of every period under `recurrence`.
+ * Values are converted to the user's preferred unit system.
+ * @param {Object} req - Express request object with `req.user` populated by `authMiddleware.js` containing the user ID, and `req.params.id` containing the goal ID.
+ * @param {Object} res - Express response object.
+ * @param {function} next - The next middleware function in the stack.
+ * @returns {Promise<void>}
+ */
+const getGoalStats = async (req, res, next) => {
+    try {
+        const userId = req.user.id;
+        const goalId = req.params.id;
+
+        const goal = await Goal.findOne({ _id: goalId, userId });
+
+        if (!goal) {
+            return next(notFound('Goal not found'));
+        }
+
+        const stats = localizeStats(computeGoalStats(goal), getDisplayUnit(goal.unit, req.user.unitSystem));
+
+        return res.status(200).json({ goalId: goal.id, ...stats });
+    } catch (error) {
+        return next(error);
+    }
+};
+
 
 module.exports = {
     getAllGoals,
+    getGoal,
     createGoal,
     updateGoal,
     deleteGoal,
+    getDeletedGoals,
+    restoreGoal,
+    updateGoalStatus,
+    getGoalStats,
 };
\ No newline at end of file
@@ -0,0 +1,20 @@
+const { GOAL_TEMPLATES } = require('../utils/goalTemplates');
+
+/**
+ * Asynchronous function to list the goal templates offered by the goal-creation wizard.
+ * @param {Object} req - Express request object.
+ * @param {Object} res - Express response object.
+ * @param {function} next - The next middleware function in the stack.
+ * @returns {Promise<void>}
+ */
+const getGoalTemplates = async (req, res, next) => {
+    try {
+        return res.status(200).json(GOAL_TEMPLATES);
+    } catch (error) {
+        return next(error);
+    }
+};
+
+module.exports = {
+    getGoalTemplates,
+};
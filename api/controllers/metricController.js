@@ -0,0 +1,298 @@
+const BodyMetric = require('../models/BodyMetric');
+const { METRIC_TYPES, METRIC_TYPE_CODES, summarizeMetric, localizeMetricSummary } = require('../utils/bodyMetrics');
+const { syncMetricProgress } = require('../utils/metricProgress');
+const {
+    normalizeUnit,
+    getDisplayUnit,
+    isSameDimension,
+    toBaseValue,
+    fromBaseValue,
+} = require('../utils/units');
+const { badRequest, invalidField, notFound } = require('../utils/errors');
+
+/**
+ * Resolves the unit a measurement was entered in: the `unit` sent with it, or the unit the metric is
+ * displayed in for the user. The unit must measure the same thing as the metric.
+ * @param {string} type - The metric type.
+ * @param {string | undefined} unit - The unit from the request body.
+ * @param {string} unitSystem - The user's preferred unit system.
+ * @returns {{unit: string} | {error: string}} The canonical unit, or an error.
+ */
+const resolveInputUnit = (type, unit, unitSystem) => {
+    const metricUnit = METRIC_TYPES[type].unit;
+    if (unit === undefined) {
+        return { unit: getDisplayUnit(metricUnit, unitSystem) };
+    }
+    const inputUnit = normalizeUnit(unit);
+    if (!isSameDimension(inputUnit, metricUnit)) {
+        return { error: `Measurement unit must be convertible to the metric unit (${metricUnit})` };
+    }
+    return { unit: inputUnit };
+};
+
+/**
+ * Formats a measurement for a response, with its value converted from the base unit into the display unit.
+ * @param {Object} measurement - The body metric document.
+ * @param {string} unitSystem - The user's preferred unit system.
+ * @returns {Object}
+ */
+const localizeMeasurement = (measurement, unitSystem) => {
+    const unit = getDisplayUnit(METRIC_TYPES[measurement.type].unit, unitSystem);
+    return { ...measurement.toJSON(), value: fromBaseValue(measurement.value, unit), unit };
+};
+
+/**
+ * Keeps metric-linked goals in step with a measurement. Failures are logged but never fail the request,
+ * since the measurement itself has already been saved.
+ * @param {Object} measurement - The body metric document.
+ * @param {{deleted?: boolean}} [options]
+ * @returns {Promise<void>}
+ */
+const syncLinkedGoals = async (measurement, options) => {
+    try {
+        await syncMetricProgress(measurement, options);
+    } catch (error) {
+        console.error('Error syncing body metric progress to goals:', error);
+    }
+};
+
+/**
+ * Builds the date filter of the `from` / `to` query parameters.
+ * @param {Date | undefined} from
+ * @param {Date | undefined} to
+ * @returns {Object | null} The filter, or null without a date range.
+ */
+const buildDateFilter = (from, to) => {
+    if (!from && !to) {
+        return null;
+    }
+    const filter = {};
+    if (from) {
+        filter.$gte = from;
+    }
+    if (to) {
+        filter.$lte = to;
+    }
+    return filter;
+};
+
+/**
+ * Asynchronous function to list the body metrics that can be logged, with the unit each is shown in for the user.
+ * @param {Object} req - Express request object with `req.user` populated by `authMiddleware.js`.
+ * @param {Object} res - Express response object.
+ * @param {function} next - The next middleware function in the stack.
+ * @returns {Promise<void>}
+ */
+const getMetricTypes = async (req, res, next) => {
+    try {
+        return res.status(200).json(METRIC_TYPE_CODES.map((type) => ({
+            type,
+            label: METRIC_TYPES[type].label,
+            unit: getDisplayUnit(METRIC_TYPES[type].unit, req.user.unitSystem),
+        })));
+    } catch (error) {
+        return next(error);
+    }
+};
+
+/**
+ * Asynchronous function to list the authenticated user's measurements, newest first.
+ * Supports `type`, `from` / `to` date filters and `page` / `limit` pagination. Values are converted to the
+ * user's preferred unit system.
+ * @param {Object} req - Express request object with `req.user` populated by `authMiddleware.js` and `req.query` containing the list options.
+ * @param {Object} res - Express response object.
+ * @param {function} next - The next middleware function in the stack.
+ * @returns {Promise<void>}
+ */
+const getMetrics = async (req, res, next) => {
+    try {
+        const userId = req.user.id;
+        const { type, from, to, page, limit } = req.query;
+
+        const filter = { userId };
+        if (type) {
+            filter.type = type;
+        }
+        const dateFilter = buildDateFilter(from, to);
+        if (dateFilter) {
+            filter.date = dateFilter;
+        }
+
+        const [total, measurements] = await Promise.all([
+            BodyMetric.countDocuments(filter),
+            BodyMetric.find(filter)
+                .sort({ date: -1, _id: -1 })
+                .skip((page - 1) * limit)
+                .limit(limit),
+        ]);
+
+        return res.status(200).json({
+            measurements: measurements.map((measurement) => localizeMeasurement(measurement, req.user.unitSystem)),
+            page,
+            limit,
+            total,
+            totalPages: Math.ceil(total / limit),
+        });
+    } catch (error) {
+        return next(error);
+    }
+};
+
+/**
+ * Asynchronous function to summarize the authenticated user's measurements per metric: first and latest
+ * values, extremes, the change over the last 7, 30 and 90 days and a rolling average over `window` days
+ * (7 by default). Supports `type` and `from` / `to` date filters; metrics without measurements are left out.
+ * @param {Object} req - Express request object with `req.user` populated by `authMiddleware.js` and `req.query` containing the summary options.
+ * @param {Object} res - Express response object.
+ * @param {function} next - The next middleware function in the stack.
+ * @returns {Promise<void>}
+ */
+const getMetricSummary = async (req, res, next) => {
+    try {
+        const userId = req.user.id;
+        const { type, from, to, window } = req.query;
+
+        const filter = { userId };
+        if (type) {
+            filter.type = type;
+        }
+        const dateFilter = buildDateFilter(from, to);
+        if (dateFilter) {
+            filter.date = dateFilter;
+        }
+
+        const measurements = await BodyMetric.find(filter).sort({ date: 1, _id: 1 });
+
+        const summaries = (type ? [type] : METRIC_TYPE_CODES)
+            .map((metric) => summarizeMetric(metric, measurements.filter((measurement) => measurement.type === metric), window))
+            .filter(Boolean)
+            .map((summary) => localizeMetricSummary(summary, getDisplayUnit(summary.unit, req.user.unitSystem)));
+
+        return res.status(200).json({ summaries });
+    } catch (error) {
+        return next(error);
+    }
+};
+
+/**
+ * Asynchronous function to log several measurements at once, e.g. the weight and waist taken on the same
+ * morning. Each value is read in its optional `unit` (defaults to the unit the metric is displayed in) and
+ * stored in the base unit; `date` defaults to now. Either every measurement is saved or none is, with the
+ * invalid ones reported as `measurements.<index>.<field>`. Goals linked to the metrics are updated.
+ * @param {Object} req - Express request object with `req.user` populated by `authMiddleware.js` and `req.body.measurements` containing `type`, `value`, and optional `unit`, `date` and `note`.
+ * @param {Object} res - Express response object.
+ * @param {function} next - The next middleware function in the stack.
+ * @returns {Promise<void>}
+ */
+const createMetrics = async (req, res, next) => {
+    try {
+        const userId = req.user.id;
+        const now = new Date();
+
+        const fields = [];
+        const measurements = req.body.measurements.map(({ type, value, unit, date = now, note }, index) => {
+            const inputUnit = resolveInputUnit(type, unit, req.user.unitSystem);
+            if (inputUnit.error) {
+                fields.push({ path: `measurements.${index}.unit`, message: inputUnit.error });
+                return null;
+            }
+            const measurement = new BodyMetric({ userId, type, value: toBaseValue(value, inputUnit.unit), date, note });
+            const error = measurement.validateSync();
+            if (error) {
+                Object.entries(error.errors).forEach(([path, fieldError]) => {
+                    fields.push({ path: `measurements.${index}.${path}`, message: fieldError.message });
+                });
+            }
+            return measurement;
+        });
+        if (fields.length > 0) {
+            return next(badRequest('Invalid input data', fields));
+        }
+
+        const saved = await BodyMetric.insertMany(measurements);
+        for (const measurement of saved) {
+            await syncLinkedGoals(measurement);
+        }
+
+        return res.status(201).json(saved.map((measurement) => localizeMeasurement(measurement, req.user.unitSystem)));
+    } catch (error) {
+        return next(error);
+    }
+};
+
+/**
+ * Asynchronous function to correct a measurement and resync the goals linked to its metric.
+ * The value is read in the optional `unit` (defaults to the unit the metric is displayed in).
+ * @param {Object} req - Express request object with `req.user` populated by `authMiddleware.js`, `req.params.id` containing the measurement ID and `req.body` containing the updated `value`, `date` and/or `note` and an optional `unit`.
+ * @param {Object} res - Express response object.
+ * @param {function} next - The next middleware function in the stack.
+ * @returns {Promise<void>}
+ */
+const updateMetric = async (req, res, next) => {
+    try {
+        const userId = req.user.id;
+        const measurementId = req.params.id;
+        const { value, unit, date, note } = req.body;
+
+        const measurement = await BodyMetric.findOne({ _id: measurementId, userId });
+        if (!measurement) {
+            return next(notFound('Measurement not found'));
+        }
+
+        const inputUnit = resolveInputUnit(measurement.type, unit, req.user.unitSystem);
+        if (inputUnit.error) {
+            return next(invalidField('unit', inputUnit.error));
+        }
+
+        if (value !== undefined) {
+            measurement.value = toBaseValue(value, inputUnit.unit);
+        }
+        if (date !== undefined) {
+            measurement.date = date;
+        }
+        if (note !== undefined) {
+            measurement.note = note === '' ? null : note;
+        }
+        await measurement.save();
+        await syncLinkedGoals(measurement);
+
+        return res.status(200).json(localizeMeasurement(measurement, req.user.unitSystem));
+    } catch (error) {
+        return next(error);
+    }
+};
+
+/**
+ * Asynchronous function to delete a measurement and the goal progress derived from it.
+ * @param {Object} req - Express request object with `req.user` populated by `authMiddleware.js` and `req.params.id` containing the measurement ID.
+ * @param {Object} res - Express response object.
+ * @param {function} next - The next middleware function in the stack.
+ * @returns {Promise<void>}
+ */
+const deleteMetric = async (req, res, next) => {
+    try {
+        const userId = req.user.id;
+        const measurementId = req.params.id;
+
+        const measurement = await BodyMetric.findOneAndDelete({ _id: measurementId, userId });
+
+        if (!measurement) {
+            return next(notFound('Measurement not found'));
+        }
+
+        await syncLinkedGoals(measurement, { deleted: true });
+
+        return res.status(204).send();
+    } catch (error) {
+        return next(error);
+    }
+};
+
+module.exports = {
+    getMetricTypes,
+    getMetrics,
+    getMetricSummary,
+    createMetrics,
+    updateMetric,
+    deleteMetric,
+};
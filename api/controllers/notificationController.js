@@ -0,0 +1,121 @@
+const Notification = require('../models/Notification');
+const { notFound } = require('../utils/errors');
+
+/**
+ * Asynchronous function to list the notifications of the authenticated user, newest first.
+ * Supports page-based pagination via `page`/`limit` and `unread=true` to list unread notifications only.
+ * The response includes the number of unread notifications.
+ * @param {Object} req - Express request object with `req.user` populated by `authMiddleware.js` and `req.query` containing the list options.
+ * @param {Object} res - Express response object.
+ * @param {function} next - The next middleware function in the stack.
+ * @returns {Promise<void>}
+ */
+const getNotifications = async (req, res, next) => {
+    try {
+        const userId = req.user.id;
+        const { page, limit, unread } = req.query;
+
+        const filter = { userId };
+        if (unread) {
+            filter.readAt = null;
+        }
+
+        const [notifications, total, unreadCount] = await Promise.all([
+            Notification.find(filter).sort({ createdAt: -1, _id: -1 }).skip((page - 1) * limit).limit(limit),
+            Notification.countDocuments(filter),
+            Notification.countDocuments({ userId, readAt: null }),
+        ]);
+
+        return res.status(200).json({
+            notifications,
+            unreadCount,
+            page,
+            limit,
+            total,
+            totalPages: Math.ceil(total / limit),
+        });
+    } catch (error) {
+        return next(error);
+    }
+};
+
+/**
+ * Asynchronous function to mark a notification as read or unread.
+ * @param {Object} req - Express request object with `req.user` populated by `authMiddleware.js`, `req.params.id` containing the notification ID and `req.body.read` a boolean.
+ * @param {Object} res - Express response object.
+ * @param {function} next - The next middleware function in the stack.
+ * @returns {Promise<void>}
+ */
+const updateNotification = async (req, res, next) => {
+    try {
+        const userId = req.user.id;
+        const notificationId = req.params.id;
+        const { read } = req.body;
+
+        const notification = await Notification.findOne({ _id: notificationId, userId });
+        if (!notification) {
+            return next(notFound('Notification not found'));
+        }
+
+        // Keep the original read date when a read notification is marked read again
+        if (!read) {
+            notification.readAt = null;
+        } else if (!notification.readAt) {
+            notification.readAt = new Date();
+        }
+        await notification.save();
+
+        return res.status(200).json(notification);
+    } catch (error) {
+        return next(error);
+    }
+};
+
+/**
+ * Asynchronous function to mark all unread notifications of the authenticated user as read.
+ * @param {Object} req - Express request object with `req.user` populated by `authMiddleware.js`.
+ * @param {Object} res - Express response object.
+ * @param {function} next - The next middleware function in the stack.
+ * @returns {Promise<void>}
+ */
+const markAllNotificationsRead = async (req, res, next) => {
+    try {
+        const userId = req.user.id;
+
+        const result = await Notification.updateMany({ userId, readAt: null }, { $set: { readAt: new Date() } });
+
+        return res.status(200).json({ updated: result.modifiedCount });
+    } catch (error) {
+        return next(error);
+    }
+};
+
+/**
+ * Asynchronous function to delete a notification of the authenticated user.
+ * @param {Object} req - Express request object with `req.user` populated by `authMiddleware.js` and `req.params.id` containing the notification ID.
+ * @param {Object} res - Express response object.
+ * @param {function} next - The next middleware function in the stack.
+ * @returns {Promise<void>}
+ */
+const deleteNotification = async (req, res, next) => {
+    try {
+        const userId = req.user.id;
+        const notificationId = req.params.id;
+
+        const deleted = await Notification.findOneAndDelete({ _id: notificationId, userId });
+        if (!deleted) {
+            return next(notFound('Notification not found'));
+        }
+
+        return res.status(204).send();
+    } catch (error) {
+        return next(error);
+    }
+};
+
+module.exports = {
+    getNotifications,
+    updateNotification,
+    markAllNotificationsRead,
+    deleteNotification,
+};
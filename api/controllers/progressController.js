@@ -0,0 +1,274 @@
+const Comment = require('../models/Comment');
+const Goal = require('../models/Goal');
+const Reaction = require('../models/Reaction');
+const { updateMilestones, evaluateAchievements } = require('../utils/achievements');
+const { syncGoalCompletion } = require('../utils/goalLifecycle');
+const { publishLeaderboardChanges } = require('../utils/challengeStandings');
+const { publish } = require('../utils/liveEvents');
+const {
+    UNITS,
+    normalizeUnit,
+    getDisplayUnit,
+    isSameDimension,
+    toBaseValue,
+    fromBaseValue,
+} = require('../utils/units');
+const { conflict, invalidField, notFound } = require('../utils/errors');
+
+const METRIC_LINKED_MESSAGE = 'The progress of this goal is derived from its linked body metric; log a measurement instead';
+const METRIC_ENTRY_MESSAGE = 'This entry is derived from a body measurement; edit the measurement instead';
+
+/**
+ * Checks whether a date falls within the goal's startDate and endDate (inclusive).
+ * @param {import('../models/Goal')} goal - The goal document.
+ * @param {Date} date - The date to check.
+ * @returns {boolean}
+ */
+const isWithinGoalPeriod = (goal, date) => {
+    return date.getTime() >= goal.startDate.getTime() && date.getTime() <= goal.endDate.getTime();
+};
+
+/**
+ * Finds a goal owned by the given user.
+ * @param {string} goalId - The goal ID from the route parameters.
+ * @param {string} userId - The ID of the authenticated user.
+ * @returns {Promise<import('../models/Goal') | null>} The goal document, or null if it does not exist or belongs to another user.
+ */
+const findUserGoal = async (goalId, userId) => Goal.findOne({ _id: goalId, userId });
+
+/**
+ * Resolves the unit a progress value was entered in: the `unit` sent with it, or the unit the goal is
+ * displayed in for the user. The unit must measure the same thing as the goal's unit.
+ * @param {import('../models/Goal')} goal - The goal document.
+ * @param {string | undefined} unit - The unit from the request body.
+ * @param {string} unitSystem - The user's preferred unit system.
+ * @returns {{unit: string | null} | {error: string}} The canonical unit, null for goals outside the unit catalog, or an error.
+ */
+const resolveInputUnit = (goal, unit, unitSystem) => {
+    if (!UNITS[goal.unit]) {
+        return { unit: null };
+    }
+    if (unit === undefined) {
+        return { unit: getDisplayUnit(goal.unit, unitSystem) };
+    }
+    const inputUnit = normalizeUnit(unit);
+    if (!isSameDimension(inputUnit, goal.unit)) {
+        return { error: `Progress unit must be convertible to the goal unit (${goal.unit})` };
+    }
+    return { unit: inputUnit };
+};
+
+/**
+ * Formats a progress entry for a response, with its value converted from the base unit into the display unit.
+ * @param {Object} entry - The progress entry subdocument.
+ * @param {import('../models/Goal')} goal - The goal document the entry belongs to.
+ * @param {string} unitSystem - The user's preferred unit system.
+ * @returns {Object}
+ */
+const localizeEntry = (entry, goal, unitSystem) => {
+    if (!UNITS[goal.unit]) {
+        return entry.toJSON();
+    }
+    const unit = getDisplayUnit(goal.unit, unitSystem);
+    return { ...entry.toJSON(), value: fromBaseValue(entry.value, unit), unit };
+};
+
+/**
+ * Evaluates badge rules after progress was recorded. Failures are logged but never fail the
+ * request, since the progress entry itself has already been saved.
+ * @param {import('../models/Goal')} goal - The saved goal document.
+ * @param {Object[]} reachedMilestones - Milestones newly reached by the change.
+ * @returns {Promise<void>}
+ */
+const recordAchievements = async (goal, reachedMilestones) => {
+    try {
+        await evaluateAchievements(goal, reachedMilestones);
+    } catch (error) {
+        console.error('Error evaluating achievements:', error);
+    }
+};
+
+/**
+ * Asynchronous function to list the progress entries of a goal, optionally filtered by date range.
+ * Values are converted to the user's preferred unit system.
+ * @param {Object} req - Express request object with `req.user` populated by `authMiddleware.js`, `req.params.id` containing the goal ID and optional `req.query.from` / `req.query.to` dates.
+ * @param {Object} res - Express response object.
+ * @param {function} next - The next middleware function in the stack.
+ * @returns {Promise<void>}
+ */
+const getProgress = async (req, res, next) => {
+    try {
+        const userId = req.user.id;
+        const goalId = req.params.id;
+        const { from: fromDate, to: toDate } = req.query;
+
+        const goal = await findUserGoal(goalId, userId);
+        if (!goal) {
+            return next(notFound('Goal not found'));
+        }
+
+        const entries = goal.progress.filter((entry) => {
+            if (fromDate && entry.date < fromDate) {
+                return false;
+            }
+            if (toDate && entry.date > toDate) {
+                return false;
+            }
+            return true;
+        });
+
+        return res.status(200).json(entries.map((entry) => localizeEntry(entry, goal, req.user.unitSystem)));
+    } catch (error) {
+        return next(error);
+    }
+};
+
+/**
+ * Asynchronous function to record a new progress entry on a goal.
+ * The value is read in the optional `unit` (defaults to the unit the goal is displayed in) and stored in the base unit.
+ * An active goal whose target the entry reaches is completed. Goals linked to a body metric take their
+ * progress from its measurements and refuse manual entries.
+ * @param {Object} req - Express request object with `req.user` populated by `authMiddleware.js`, `req.params.id` containing the goal ID and `req.body` containing `value`, an optional `unit` and an optional `date` (defaults to now).
+ * @param {Object} res - Express response object.
+ * @param {function} next - The next middleware function in the stack.
+ * @returns {Promise<void>}
+ */
+const addProgress = async (req, res, next) => {
+    try {
+        const userId = req.user.id;
+        const goalId = req.params.id;
+        const { date: entryDate = new Date(), value, unit } = req.body;
+
+        const goal = await findUserGoal(goalId, userId);
+        if (!goal) {
+            return next(notFound('Goal not found'));
+        }
+        if (goal.metricLink) {
+            return next(conflict(METRIC_LINKED_MESSAGE));
+        }
+
+        if (!isWithinGoalPeriod(goal, entryDate)) {
+            return next(invalidField('date', 'Progress date must be between the goal start and end dates'));
+        }
+
+        const inputUnit = resolveInputUnit(goal, unit, req.user.unitSystem);
+        if (inputUnit.error) {
+            return next(invalidField('unit', inputUnit.error));
+        }
+
+        goal.progress.push({ date: entryDate, value: inputUnit.unit ? toBaseValue(value, inputUnit.unit) : value });
+        const entry = goal.progress[goal.progress.length - 1];
+        const reachedMilestones = updateMilestones(goal);
+        syncGoalCompletion(goal);
+        await goal.save();
+        await recordAchievements(goal, reachedMilestones);
+
+        const item = localizeEntry(entry, goal, req.user.unitSystem);
+        publish(userId, 'progress.created', { goalId: goal.id, entry: item });
+        await publishLeaderboardChanges([goal._id]);
+
+        return res.status(201).json(item);
+    } catch (error) {
+        return next(error);
+    }
+};
+
+/**
+ * Asynchronous function to correct an existing progress entry on a goal.
+ * The value is read in the optional `unit` (defaults to the unit the goal is displayed in) and stored in the base unit.
+ * Entries derived from a body measurement change with the measurement only.
+ * @param {Object} req - Express request object with `req.user` populated by `authMiddleware.js`, `req.params.id` containing the goal ID, `req.params.entryId` containing the progress entry ID and `req.body` containing the updated `date` and/or `value` and an optional `unit`.
+ * @param {Object} res - Express response object.
+ * @param {function} next - The next middleware function in the stack.
+ * @returns {Promise<void>}
+ */
+const updateProgress = async (req, res, next) => {
+    try {
+        const userId = req.user.id;
+        const { id: goalId, entryId } = req.params;
+        const { date: entryDate, value, unit } = req.body;
+
+        const goal = await findUserGoal(goalId, userId);
+        const entry = goal ? goal.progress.id(entryId) : null;
+        if (!entry) {
+            return next(notFound('Progress entry not found'));
+        }
+        if (entry.metricId) {
+            return next(conflict(METRIC_ENTRY_MESSAGE));
+        }
+
+        if (entryDate && !isWithinGoalPeriod(goal, entryDate)) {
+            return next(invalidField('date', 'Progress date must be between the goal start and end dates'));
+        }
+
+        const inputUnit = resolveInputUnit(goal, unit, req.user.unitSystem);
+        if (inputUnit.error) {
+            return next(invalidField('unit', inputUnit.error));
+        }
+
+        if (entryDate) {
+            entry.date = entryDate;
+        }
+        if (value !== undefined) {
+            entry.value = inputUnit.unit ? toBaseValue(value, inputUnit.unit) : value;
+        }
+        const reachedMilestones = updateMilestones(goal);
+        syncGoalCompletion(goal);
+        await goal.save();
+        await recordAchievements(goal, reachedMilestones);
+
+        const item = localizeEntry(entry, goal, req.user.unitSystem);
+        publish(userId, 'progress.updated', { goalId: goal.id, entry: item });
+        await publishLeaderboardChanges([goal._id]);
+
+        return res.status(200).json(item);
+    } catch (error) {
+        return next(error);
+    }
+};
+
+/**
+ * Asynchronous function to delete a progress entry from a goal. Entries derived from a body measurement
+ * go away with the measurement only.
+ * @param {Object} req - Express request object with `req.user` populated by `authMiddleware.js`, `req.params.id` containing the goal ID and `req.params.entryId` containing the progress entry ID.
+ * @param {Object} res - Express response object.
+ * @param {function} next - The next middleware function in the stack.
+ * @returns {Promise<void>}
+ */
+const deleteProgress = async (req, res, next) => {
+    try {
+        const userId = req.user.id;
+        const { id: goalId, entryId } = req.params;
+
+        const goal = await findUserGoal(goalId, userId);
+        const entry = goal ? goal.progress.id(entryId) : null;
+        if (!entry) {
+            return next(notFound('Progress entry not found'));
+        }
+        if (entry.metricId) {
+            return next(conflict(METRIC_ENTRY_MESSAGE));
+        }
+
+        entry.deleteOne();
+        // The entry that is latest once it is gone may reach the target
+        syncGoalCompletion(goal);
+        await goal.save();
+        await Promise.all([
+            Comment.deleteMany({ goalId: goal._id, entryId }),
+            Reaction.deleteMany({ goalId: goal._id, entryId }),
+        ]);
+        publish(userId, 'progress.deleted', { goalId: goal.id, entryId });
+        await publishLeaderboardChanges([goal._id]);
+
+        return res.status(204).send();
+    } catch (error) {
+        return next(error);
+    }
+};
+
+module.exports = {
+    getProgress,
+    addProgress,
+    updateProgress,
+    deleteProgress,
+};
@@ -0,0 +1,129 @@
+const Goal = require('../models/Goal');
+const Reminder = require('../models/Reminder');
+const { notFound } = require('../utils/errors');
+
+const REMINDER_FIELDS = ['frequency', 'dayOfWeek', 'time', 'timezone', 'channels', 'enabled'];
+
+/**
+ * Picks the reminder fields present in a request body.
+ * @param {Object} body - Express `req.body`.
+ * @returns {Object}
+ */
+const pickReminderFields = (body) => Object.fromEntries(
+    REMINDER_FIELDS.filter((field) => body[field] !== undefined).map((field) => [field, body[field]])
+);
+
+/**
+ * Finds a goal owned by the given user.
+ * @param {string} goalId - The goal ID from the route parameters.
+ * @param {string} userId - The ID of the authenticated user.
+ * @returns {Promise<Object | null>} The goal document, or null if it does not exist or belongs to another user.
+ */
+const findUserGoal = async (goalId, userId) => Goal.findOne({ _id: goalId, userId });
+
+/**
+ * Asynchronous function to list the reminder schedules of a goal.
+ * @param {Object} req - Express request object with `req.user` populated by `authMiddleware.js` and `req.params.id` containing the goal ID.
+ * @param {Object} res - Express response object.
+ * @param {function} next - The next middleware function in the stack.
+ * @returns {Promise<void>}
+ */
+const getReminders = async (req, res, next) => {
+    try {
+        const userId = req.user.id;
+
+        const goal = await findUserGoal(req.params.id, userId);
+        if (!goal) {
+            return next(notFound('Goal not found'));
+        }
+
+        const reminders = await Reminder.find({ goalId: goal._id, userId }).sort({ createdAt: 1 });
+
+        return res.status(200).json(reminders);
+    } catch (error) {
+        return next(error);
+    }
+};
+
+/**
+ * Asynchronous function to add a reminder schedule to a goal: daily or weekly (`dayOfWeek`, 0 = Sunday)
+ * at a local `time` ('HH:mm') in an IANA `timezone` (the user's time zone by default), delivered through
+ * `channels` ('in_app', 'email').
+ * @param {Object} req - Express request object with `req.user` populated by `authMiddleware.js`, `req.params.id` containing the goal ID and `req.body` containing the schedule.
+ * @param {Object} res - Express response object.
+ * @param {function} next - The next middleware function in the stack.
+ * @returns {Promise<void>}
+ */
+const createReminder = async (req, res, next) => {
+    try {
+        const userId = req.user.id;
+
+        const goal = await findUserGoal(req.params.id, userId);
+        if (!goal) {
+            return next(notFound('Goal not found'));
+        }
+
+        const reminder = new Reminder({ timezone: req.user.timezone, ...pickReminderFields(req.body), userId, goalId: goal._id });
+        await reminder.save();
+
+        return res.status(201).json(reminder);
+    } catch (error) {
+        return next(error);
+    }
+};
+
+/**
+ * Asynchronous function to update a reminder schedule of a goal; its next run is rescheduled when the schedule changes.
+ * @param {Object} req - Express request object with `req.user` populated by `authMiddleware.js`, `req.params.id` containing the goal ID, `req.params.reminderId` the reminder ID and `req.body` the fields to change.
+ * @param {Object} res - Express response object.
+ * @param {function} next - The next middleware function in the stack.
+ * @returns {Promise<void>}
+ */
+const updateReminder = async (req, res, next) => {
+    try {
+        const userId = req.user.id;
+        const { id: goalId, reminderId } = req.params;
+
+        const reminder = await Reminder.findOne({ _id: reminderId, goalId, userId });
+        if (!reminder) {
+            return next(notFound('Reminder not found'));
+        }
+
+        reminder.set(pickReminderFields(req.body));
+        await reminder.save();
+
+        return res.status(200).json(reminder);
+    } catch (error) {
+        return next(error);
+    }
+};
+
+/**
+ * Asynchronous function to delete a reminder schedule of a goal.
+ * @param {Object} req - Express request object with `req.user` populated by `authMiddleware.js`, `req.params.id` containing the goal ID and `req.params.reminderId` the reminder ID.
+ * @param {Object} res - Express response object.
+ * @param {function} next - The next middleware function in the stack.
+ * @returns {Promise<void>}
+ */
+const deleteReminder = async (req, res, next) => {
+    try {
+        const userId = req.user.id;
+        const { id: goalId, reminderId } = req.params;
+
+        const deleted = await Reminder.findOneAndDelete({ _id: reminderId, goalId, userId });
+        if (!deleted) {
+            return next(notFound('Reminder not found'));
+        }
+
+        return res.status(204).send();
+    } catch (error) {
+        return next(error);
+    }
+};
+
+module.exports = {
+    getReminders,
+    createReminder,
+    updateReminder,
+    deleteReminder,
+};
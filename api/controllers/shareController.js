@@ -0,0 +1,128 @@
+const crypto = require('crypto');
+const Goal = require('../models/Goal');
+const GoalShare = require('../models/GoalShare');
+const { hashToken } = require('../utils/tokens');
+const { redactGoal } = require('../utils/goalVisibility');
+const { invalidField, notFound } = require('../utils/errors');
+
+/**
+ * Asynchronous function to create a share link for a goal.
+ * @param {Object} req - Express request object with `req.user` populated by `authMiddleware.js`, `req.params.id` containing the goal ID and `req.body` containing `visibility` and an optional `expiresAt` date.
+ * @param {Object} res - Express response object.
+ * @param {function} next - The next middleware function in the stack.
+ * @returns {Promise<void>}
+ */
+const createShare = async (req, res, next) => {
+    try {
+        const userId = req.user.id;
+        const goalId = req.params.id;
+        const { visibility, expiresAt = null } = req.body;
+
+        if (expiresAt && expiresAt.getTime() <= Date.now()) {
+            return next(invalidField('expiresAt', 'Expiration date must be a valid date in the future'));
+        }
+
+        const goal = await Goal.findOne({ _id: goalId, userId });
+        if (!goal) {
+            return next(notFound('Goal not found'));
+        }
+
+        const token = crypto.randomBytes(24).toString('base64url');
+        const share = await GoalShare.create({
+            goalId: goal.id,
+            userId,
+            tokenHash: hashToken(token),
+            visibility,
+            expiresAt,
+        });
+
+        // The raw token is only ever returned here; it cannot be recovered later
+        return res.status(201).json({ ...share.toJSON(), token });
+    } catch (error) {
+        return next(error);
+    }
+};
+
+/**
+ * Asynchronous function to list the share links of a goal.
+ * @param {Object} req - Express request object with `req.user` populated by `authMiddleware.js` and `req.params.id` containing the goal ID.
+ * @param {Object} res - Express response object.
+ * @param {function} next - The next middleware function in the stack.
+ * @returns {Promise<void>}
+ */
+const getShares = async (req, res, next) => {
+    try {
+        const userId = req.user.id;
+        const goalId = req.params.id;
+
+        const shares = await GoalShare.find({ goalId, userId }).sort({ createdAt: -1 });
+
+        return res.status(200).json(shares.map((share) => ({ ...share.toJSON(), active: share.isActive() })));
+    } catch (error) {
+        return next(error);
+    }
+};
+
+/**
+ * Asynchronous function to revoke a share link.
+ * @param {Object} req - Express request object with `req.user` populated by `authMiddleware.js`, `req.params.id` containing the goal ID and `req.params.shareId` containing the share ID.
+ * @param {Object} res - Express response object.
+ * @param {function} next - The next middleware function in the stack.
+ * @returns {Promise<void>}
+ */
+const revokeShare = async (req, res, next) => {
+    try {
+        const userId = req.user.id;
+        const { id: goalId, shareId } = req.params;
+
+        const share = await GoalShare.findOne({ _id: shareId, goalId, userId });
+        if (!share) {
+            return next(notFound('Share link not found'));
+        }
+
+        if (!share.revokedAt) {
+            share.revokedAt = new Date();
+            await share.save();
+        }
+
+        return res.status(204).send();
+    } catch (error) {
+        return next(error);
+    }
+};
+
+/**
+ * Asynchronous function to return the public, redacted view of a shared goal. Does not require authentication.
+ * @param {Object} req - Express request object with `req.params.token` containing the share token.
+ * @param {Object} res - Express response object.
+ * @param {function} next - The next middleware function in the stack.
+ * @returns {Promise<void>}
+ */
+const getSharedGoal = async (req, res, next) => {
+    try {
+        const { token } = req.params;
+
+        const share = await GoalShare.findOne({ tokenHash: hashToken(token) });
+
+        // Unknown, revoked and expired links are indistinguishable to the viewer
+        if (!share || !share.isActive()) {
+            return next(notFound('Shared goal not found'));
+        }
+
+        const goal = await Goal.findById(share.goalId);
+        if (!goal) {
+            return next(notFound('Shared goal not found'));
+        }
+
+        return res.status(200).json(redactGoal(goal, share.visibility));
+    } catch (error) {
+        return next(error);
+    }
+};
+
+module.exports = {
+    createShare,
+    getShares,
+    revokeShare,
+    getSharedGoal,
+};
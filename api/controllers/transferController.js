@@ -0,0 +1,146 @@
+const { once } = require('events');
+const Goal = require('../models/Goal');
+const { updateMilestones } = require('../utils/achievements');
+const { syncGoalCompletion } = require('../utils/goalLifecycle');
+const {
+    csvHeader,
+    goalToCsv,
+    goalToJson,
+    readCsvImport,
+    readJsonImport,
+    buildImportedGoals,
+} = require('../utils/goalTransfer');
+const { badRequest, invalidField } = require('../utils/errors');
+
+const MAX_IMPORT_GOALS = 500;
+const MAX_IMPORT_PROGRESS_ENTRIES = 10000;
+
+/**
+ * Writes a chunk to the response, waiting for the buffer to drain when it is full.
+ * @param {Object} res - Express response object.
+ * @param {string} chunk
+ * @returns {Promise<void>}
+ */
+const writeChunk = async (res, chunk) => {
+    if (!res.write(chunk)) {
+        await once(res, 'drain');
+    }
+};
+
+/**
+ * Asynchronous function to export all goals and progress entries of the authenticated user.
+ * The export is streamed goal by goal as a file download, in CSV (one row per progress entry)
+ * or JSON (`{ exportedAt, goals }`), selected with `?format=csv|json` (default `json`).
+ * @param {Object} req - Express request object with `req.user` populated by `authMiddleware.js` and `req.query.format`.
+ * @param {Object} res - Express response object.
+ * @param {function} next - The next middleware function in the stack.
+ * @returns {Promise<void>}
+ */
+const exportData = async (req, res, next) => {
+    try {
+        const userId = req.user.id;
+        const { format } = req.query;
+
+        const cursor = Goal.find({ userId }).sort({ createdAt: 1, _id: 1 }).cursor();
+        const filename = `fitness-goals-${new Date().toISOString().slice(0, 10)}.${format}`;
+
+        res.status(200);
+        res.type(format === 'csv' ? 'text/csv' : 'application/json');
+        res.set('Content-Disposition', `attachment; filename="${filename}"`);
+
+        if (format === 'csv') {
+            await writeChunk(res, csvHeader());
+            for await (const goal of cursor) {
+                await writeChunk(res, goalToCsv(goal));
+            }
+        } else {
+            await writeChunk(res, `{"exportedAt":${JSON.stringify(new Date())},"goals":[`);
+            let separator = '';
+            for await (const goal of cursor) {
+                await writeChunk(res, separator + JSON.stringify(goalToJson(goal)));
+                separator = ',';
+            }
+            await writeChunk(res, ']}');
+        }
+
+        return res.end();
+    } catch (error) {
+        // Once streaming has started the status can no longer change, so the download is cut short instead
+        if (res.headersSent) {
+            console.error('Error exporting data:', error);
+            return res.destroy(error);
+        }
+        return next(error);
+    }
+};
+
+/**
+ * Asynchronous function to import goals and progress history for the authenticated user.
+ * The body carries `format` ('csv' or 'json'), `data` (the CSV text or the JSON document in the
+ * export format) and an optional `dryRun` flag (also accepted as `?dryRun=true`).
+ * Every row is validated against the Goal schema rules and the import is all-or-nothing:
+ * if any row is invalid nothing is saved. A dry run validates and reports without saving,
+ * always responding 200 so that clients can preview the per-row errors.
+ * @param {Object} req - Express request object with `req.user` populated by `authMiddleware.js` and `req.body` containing `format`, `data` and `dryRun`.
+ * @param {Object} res - Express response object.
+ * @param {function} next - The next middleware function in the stack.
+ * @returns {Promise<void>}
+ */
+const importData = async (req, res, next) => {
+    try {
+        const userId = req.user.id;
+        const { format, data } = req.body;
+        const dryRun = req.body.dryRun || req.query.dryRun;
+
+        if (format === 'csv' && typeof data !== 'string') {
+            return next(invalidField('data', 'CSV imports must send the file contents as a string in "data"'));
+        }
+
+        const read = format === 'csv' ? readCsvImport(data) : readJsonImport(data);
+        if (read.entries.length === 0 && read.errors.length === 0) {
+            return next(invalidField('data', 'Import contains no goals'));
+        }
+
+        const progressCount = read.entries.reduce((sum, entry) => sum + entry.progress.length, 0);
+        if (read.entries.length > MAX_IMPORT_GOALS || progressCount > MAX_IMPORT_PROGRESS_ENTRIES) {
+            return next(invalidField('data', `Imports are limited to ${MAX_IMPORT_GOALS} goals and ${MAX_IMPORT_PROGRESS_ENTRIES} progress entries`));
+        }
+
+        const built = buildImportedGoals(read.entries, userId, format);
+        const errors = [...read.errors, ...built.errors];
+        const summary = {
+            dryRun,
+            valid: errors.length === 0,
+            goals: built.goals.length,
+            progressEntries: built.goals.reduce((sum, goal) => sum + goal.progress.length, 0),
+            errors,
+        };
+
+        if (dryRun) {
+            return res.status(200).json(summary);
+        }
+        if (errors.length > 0) {
+            return next(badRequest('Import contains invalid rows', errors.map(({ row, field, message }) => ({
+                path: `rows.${row}.${field}`,
+                message,
+            }))));
+        }
+
+        built.goals.forEach((goal) => {
+            // insertMany bypasses save middleware, so progress is sorted here
+            goal.progress.sort((a, b) => a.date - b.date);
+            updateMilestones(goal);
+            syncGoalCompletion(goal);
+        });
+        await Goal.insertMany(built.goals);
+
+        return res.status(201).json(summary);
+    } catch (error) {
+        return next(error);
+    }
+};
+
+module.exports = {
+    exportData,
+    importData,
+};
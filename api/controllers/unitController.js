@@ -0,0 +1,24 @@
+const { UNIT_SYSTEMS, describeUnits } = require('../utils/units');
+
+/**
+ * Asynchronous function to list the supported units of measure and unit systems.
+ * This endpoint is public, so that clients can build unit pickers before the user signs in.
+ * @param {Object} req - Express request object.
+ * @param {Object} res - Express response object.
+ * @param {function} next - The next middleware function in the stack.
+ * @returns {Promise<void>}
+ */
+const getUnits = async (req, res, next) => {
+    try {
+        return res.status(200).json({
+            units: describeUnits(),
+            unitSystems: Object.keys(UNIT_SYSTEMS),
+        });
+    } catch (error) {
+        return next(error);
+    }
+};
+
+module.exports = {
+    getUnits,
+};
@@ -0,0 +1,174 @@
+const Achievement = require('../models/Achievement');
+const RefreshToken = require('../models/RefreshToken');
+const User = require('../models/User');
+const { BADGES } = require('../utils/achievements');
+const { sendVerificationEmail } = require('../utils/accountEmails');
+const { scheduleAccountDeletion } = require('../utils/accountDeletion');
+const { issueTokenPair } = require('../utils/tokens');
+const { invalidField, notFound } = require('../utils/errors');
+
+const PROFILE_FIELDS = ['username', 'email', 'displayName', 'avatarUrl', 'timezone', 'unitSystem'];
+// Optional fields an empty string clears
+const CLEARABLE_FIELDS = ['displayName', 'avatarUrl'];
+
+/**
+ * Asynchronous function to list the badges earned by the authenticated user, newest first.
+ * @param {Object} req - Express request object with `req.user` populated by `authMiddleware.js`.
+ * @param {Object} res - Express response object.
+ * @param {function} next - The next middleware function in the stack.
+ * @returns {Promise<void>}
+ */
+const getAchievements = async (req, res, next) => {
+    try {
+        const userId = req.user.id;
+
+        const achievements = await Achievement.find({ userId }).sort({ awardedAt: -1 });
+
+        return res.status(200).json(achievements.map((achievement) => ({
+            ...achievement.toJSON(),
+            ...BADGES[achievement.badge],
+        })));
+    } catch (error) {
+        return next(error);
+    }
+};
+
+/**
+ * Asynchronous function to return the authenticated user's profile.
+ * @param {Object} req - Express request object with `req.user` populated by `authMiddleware.js`.
+ * @param {Object} res - Express response object.
+ * @param {function} next - The next middleware function in the stack.
+ * @returns {Promise<void>}
+ */
+const getMe = async (req, res, next) => {
+    try {
+        const user = await User.findById(req.user.id);
+
+        if (!user) {
+            return next(notFound('User not found'));
+        }
+
+        return res.status(200).json({ user: user.toProfile() });
+    } catch (error) {
+        return next(error);
+    }
+};
+
+/**
+ * Asynchronous function to update the authenticated user's profile and preferences: `username`, `email`,
+ * `displayName`, `avatarUrl`, `timezone` and `unitSystem` ('metric' or 'imperial', which decides the units
+ * goal values are returned in). Changing the email address marks it unverified and sends a verification link to it.
+ * @param {Object} req - Express request object with `req.user` populated by `authMiddleware.js` and `req.body` containing the fields to change.
+ * @param {Object} res - Express response object.
+ * @param {function} next - The next middleware function in the stack.
+ * @returns {Promise<void>}
+ */
+const updateMe = async (req, res, next) => {
+    try {
+        const user = await User.findById(req.user.id);
+
+        if (!user) {
+            return next(notFound('User not found'));
+        }
+
+        PROFILE_FIELDS.filter((field) => req.body[field] !== undefined).forEach((field) => {
+            const value = req.body[field];
+            user.set(field, CLEARABLE_FIELDS.includes(field) && value === '' ? null : value);
+        });
+
+        const emailChanged = user.isModified('email');
+        if (emailChanged) {
+            user.emailVerifiedAt = null;
+        }
+        await user.save();
+
+        if (emailChanged) {
+            try {
+                await sendVerificationEmail(user);
+            } catch (error) {
+                console.error('Error sending verification email:', error);
+            }
+        }
+
+        return res.status(200).json({ user: user.toProfile() });
+    } catch (error) {
+        return next(error);
+    }
+};
+
+/**
+ * Asynchronous function to change the authenticated user's password. The current password is required.
+ * Every other session is logged out; the response carries a new token pair for the current one.
+ * @param {Object} req - Express request object with `req.user` populated by `authMiddleware.js` and `req.body` containing `currentPassword` and `newPassword`.
+ * @param {Object} res - Express response object.
+ * @param {function} next - The next middleware function in the stack.
+ * @returns {Promise<void>}
+ */
+const changePassword = async (req, res, next) => {
+    try {
+        const { currentPassword, newPassword } = req.body;
+
+        const user = await User.findById(req.user.id);
+        if (!user) {
+            return next(notFound('User not found'));
+        }
+
+        if (!(await user.comparePassword(currentPassword))) {
+            return next(invalidField('currentPassword', 'Current password is incorrect'));
+        }
+
+        // Hashed by the pre-save middleware of the User model
+        user.password = newPassword;
+        user.tokenVersion += 1;
+        await user.save();
+        await RefreshToken.updateMany({ userId: user.id, revokedAt: null }, { revokedAt: new Date() });
+
+        const { token, refreshToken } = await issueTokenPair(user);
+
+        return res.status(200).json({ message: 'Your password has been changed', token, refreshToken });
+    } catch (error) {
+        return next(error);
+    }
+};
+
+/**
+ * Asynchronous function to delete the authenticated user's account, confirmed with the password.
+ * The account and all of its goals and progress are deleted at the end of a grace period (30 days
+ * by default, `ACCOUNT_DELETION_GRACE_DAYS`); the user is logged out everywhere and logging in again
+ * before then cancels the deletion.
+ * @param {Object} req - Express request object with `req.user` populated by `authMiddleware.js` and `req.body.password`.
+ * @param {Object} res - Express response object.
+ * @param {function} next - The next middleware function in the stack.
+ * @returns {Promise<void>}
+ */
+const deleteMe = async (req, res, next) => {
+    try {
+        const { password } = req.body;
+
+        const user = await User.findById(req.user.id);
+        if (!user) {
+            return next(notFound('User not found'));
+        }
+
+        if (!(await user.comparePassword(password))) {
+            return next(invalidField('password', 'Password is incorrect'));
+        }
+
+        const deletionScheduledFor = await scheduleAccountDeletion(user);
+
+        return res.status(202).json({
+            message: 'Your account will be deleted. Log in again before then to cancel the deletion.',
+            deletionScheduledFor,
+        });
+    } catch (error) {
+        return next(error);
+    }
+};
+
+module.exports = {
+    getAchievements,
+    getMe,
+    updateMe,
+    changePassword,
+    deleteMe,
+};
@@ -0,0 +1,199 @@
+const Exercise = require('../models/Exercise');
+const Workout = require('../models/Workout');
+const { syncWorkoutProgress } = require('../utils/workoutProgress');
+const { invalidField, notFound } = require('../utils/errors');
+
+/**
+ * Checks that every exercise referenced by a workout belongs to the user.
+ * @param {Array<{exerciseId: string}>} exercises - The exercises from the request body.
+ * @param {string} userId - The ID of the authenticated user.
+ * @returns {Promise<boolean>}
+ */
+const ownsAllExercises = async (exercises, userId) => {
+    if (!Array.isArray(exercises) || exercises.length === 0) {
+        return true;
+    }
+    const exerciseIds = [...new Set(exercises.map((exercise) => String(exercise.exerciseId)))];
+    const count = await Exercise.countDocuments({ _id: { $in: exerciseIds }, userId });
+    return count === exerciseIds.length;
+};
+
+/**
+ * Keeps linked goals in step with a workout. Failures are logged but never fail the request,
+ * since the workout itself has already been saved.
+ * @param {Object} workout - The workout document.
+ * @param {{deleted?: boolean}} [options]
+ * @returns {Promise<void>}
+ */
+const syncLinkedGoals = async (workout, options) => {
+    try {
+        await syncWorkoutProgress(workout, options);
+    } catch (error) {
+        console.error('Error syncing workout progress to goals:', error);
+    }
+};
+
+/**
+ * Asynchronous function to list the authenticated user's workouts, newest first.
+ * Supports `from` / `to` date filters and `page` / `limit` pagination.
+ * @param {Object} req - Express request object with `req.user` populated by `authMiddleware.js` and `req.query` containing the list options.
+ * @param {Object} res - Express response object.
+ * @param {function} next - The next middleware function in the stack.
+ * @returns {Promise<void>}
+ */
+const getWorkouts = async (req, res, next) => {
+    try {
+        const userId = req.user.id;
+        const { from, to, page, limit } = req.query;
+
+        const filter = { userId };
+        if (from || to) {
+            filter.date = {};
+            if (from) {
+                filter.date.$gte = from;
+            }
+            if (to) {
+                filter.date.$lte = to;
+            }
+        }
+
+        const [total, workouts] = await Promise.all([
+            Workout.countDocuments(filter),
+            Workout.find(filter)
+                .sort({ date: -1, _id: -1 })
+                .skip((page - 1) * limit)
+                .limit(limit)
+                .populate('exercises.exerciseId', 'name category'),
+        ]);
+
+        return res.status(200).json({
+            workouts,
+            page,
+            limit,
+            total,
+            totalPages: Math.ceil(total / limit),
+        });
+    } catch (error) {
+        return next(error);
+    }
+};
+
+/**
+ * Asynchronous function to retrieve a single workout of the authenticated user.
+ * @param {Object} req - Express request object with `req.user` populated by `authMiddleware.js` and `req.params.id` containing the workout ID.
+ * @param {Object} res - Express response object.
+ * @param {function} next - The next middleware function in the stack.
+ * @returns {Promise<void>}
+ */
+const getWorkout = async (req, res, next) => {
+    try {
+        const userId = req.user.id;
+        const workoutId = req.params.id;
+
+        const workout = await Workout.findOne({ _id: workoutId, userId }).populate('exercises.exerciseId', 'name category');
+
+        if (!workout) {
+            return next(notFound('Workout not found'));
+        }
+
+        return res.status(200).json(workout);
+    } catch (error) {
+        return next(error);
+    }
+};
+
+/**
+ * Asynchronous function to log a workout session and update the goals linked to its exercises.
+ * @param {Object} req - Express request object with `req.user` populated by `authMiddleware.js` and `req.body` containing `name`, `date`, `durationMinutes`, `notes` and `exercises`.
+ * @param {Object} res - Express response object.
+ * @param {function} next - The next middleware function in the stack.
+ * @returns {Promise<void>}
+ */
+const createWorkout = async (req, res, next) => {
+    try {
+        const userId = req.user.id;
+        const { name, date, durationMinutes, notes, exercises } = req.body;
+
+        if (!(await ownsAllExercises(exercises, userId))) {
+            return next(invalidField('exercises', 'Workout references unknown exercises'));
+        }
+
+        const workout = new Workout({ userId, name, date, durationMinutes, notes, exercises });
+        await workout.save();
+        await syncLinkedGoals(workout);
+
+        return res.status(201).json(workout);
+    } catch (error) {
+        return next(error);
+    }
+};
+
+/**
+ * Asynchronous function to update a workout session and resync the goals linked to its exercises.
+ * @param {Object} req - Express request object with `req.user` populated by `authMiddleware.js`, `req.params.id` containing the workout ID and `req.body` containing the updated fields.
+ * @param {Object} res - Express response object.
+ * @param {function} next - The next middleware function in the stack.
+ * @returns {Promise<void>}
+ */
+const updateWorkout = async (req, res, next) => {
+    try {
+        const userId = req.user.id;
+        const workoutId = req.params.id;
+        const { name, date, durationMinutes, notes, exercises } = req.body;
+
+        if (!(await ownsAllExercises(exercises, userId))) {
+            return next(invalidField('exercises', 'Workout references unknown exercises'));
+        }
+
+        const workout = await Workout.findOne({ _id: workoutId, userId });
+        if (!workout) {
+            return next(notFound('Workout not found'));
+        }
+
+        Object.entries({ name, date, durationMinutes, notes, exercises }).forEach(([field, value]) => {
+            if (value !== undefined) {
+                workout.set(field, value);
+            }
+        });
+        await workout.save();
+        await syncLinkedGoals(workout);
+
+        return res.status(200).json(workout);
+    } catch (error) {
+        return next(error);
+    }
+};
+
+/**
+ * Asynchronous function to delete a workout session and the goal progress derived from it.
+ * @param {Object} req - Express request object with `req.user` populated by `authMiddleware.js` and `req.params.id` containing the workout ID.
+ * @param {Object} res - Express response object.
+ * @param {function} next - The next middleware function in the stack.
+ * @returns {Promise<void>}
+ */
+const deleteWorkout = async (req, res, next) => {
+    try {
+        const userId = req.user.id;
+        const workoutId = req.params.id;
+
+        const workout = await Workout.findOneAndDelete({ _id: workoutId, userId });
+
+        if (!workout) {
+            return next(notFound('Workout not found'));
+        }
+
+        await syncLinkedGoals(workout, { deleted: true });
+
+        return res.status(204).send();
+    } catch (error) {
+        return next(error);
+    }
+};
+
+module.exports = {
+    getWorkouts,
+    getWorkout,
+    createWorkout,
+    updateWorkout,
+    deleteWorkout,
+};
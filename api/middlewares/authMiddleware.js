@@ -1,49 +1,61 @@
 const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const { unauthorized } = require('../utils/errors');
 
 /**
  * Middleware function to verify JWT tokens.
  *
  * This middleware extracts the JWT token from the Authorization header,
- * verifies it using the secret key, and attaches the user ID to the request object.
+ * verifies it using the secret key, checks that it has not been revoked through the
+ * user's tokenVersion, and attaches the user ID and preferred unit system to the request object,
+ * along with the token's expiry date as `req.tokenExpiresAt`.
  * It handles various error cases such as missing token, invalid format, invalid token,
- * and token expiration.
+ * token expiration and token revocation, which are passed on as 401 errors.
  *
  * @param {Object} req - Express request object.
  * @param {Object} res - Express response object.
  * @param {function} next - The next middleware function in the stack.
  */
-const verifyToken = (req, res, next) => {
+const verifyToken = async (req, res, next) => {
   try {
     // Extract the token from the Authorization header
     const authHeader = req.headers.authorization;
     if (!authHeader) {
-      return res.status(401).json({ message: 'No token provided' });
+      return next(unauthorized('No token provided'));
     }
 
     const tokenParts = authHeader.split(' ');
     if (tokenParts.length !== 2 || tokenParts[0] !== 'Bearer') {
-      return res.status(401).json({ message: 'Invalid token format' });
+      return next(unauthorized('Invalid token format'));
     }
 
     const token = tokenParts[1];
 
     // Verify the token using the JWT_SECRET from environment variables
-    jwt.verify(token, process.env.JWT_SECRET, (err, decoded) => {
-      if (err) {
-        if (err.name === 'TokenExpiredError') {
-          return res.status(401).json({ message: 'Token expired' });
-        } else {
-          return res.status(401).json({ message: 'Invalid token' });
-        }
+    let decoded;
+    try {
+      decoded = jwt.verify(token, process.env.JWT_SECRET);
+    } catch (err) {
+      if (err.name === 'TokenExpiredError') {
+        return next(unauthorized('Token expired'));
       }
-      // Attach the user ID from the token payload to the request object
-      req.user = { id: decoded.id };
-      next();
-    });
+      return next(unauthorized('Invalid token'));
+    }
+
+    // Reject tokens issued before the user's last "log out everywhere"
+    const user = await User.findById(decoded.id).select('tokenVersion unitSystem timezone');
+    if (!user || user.tokenVersion !== decoded.tokenVersion) {
+      return next(unauthorized('Token revoked'));
+    }
+
+    // Attach the user ID from the token payload and the user's display preferences to the request object
+    req.user = { id: decoded.id, unitSystem: user.unitSystem, timezone: user.timezone };
+    // Long-lived responses, such as event streams, end when the token does
+    req.tokenExpiresAt = decoded.exp ? new Date(decoded.exp * 1000) : null;
+    next();
 
   } catch (error) {
-    console.error('Error during token verification:', error);
-    return res.status(500).json({ message: 'Internal server error' });
+    return next(error);
   }
 };
 
@@ -0,0 +1,91 @@
+const mongoose = require('mongoose');
+const { ApiError, badRequest, invalidField, conflict } = require('../utils/errors');
+
+/**
+ * Describes a single failed path of a Mongoose validation error. Cast errors carry Mongoose internals
+ * in their message, so they are replaced by a plain description.
+ * @param {string} path
+ * @param {Error} error - The validator or cast error of the path.
+ * @returns {string}
+ */
+const describeMongooseError = (path, error) => {
+    if (error instanceof mongoose.Error.CastError) {
+        return `"${path}" has an invalid value`;
+    }
+    return error.message;
+};
+
+/**
+ * Converts an error into the ApiError sent to the client. Errors that are not ApiErrors are mapped
+ * when they stem from invalid input (Mongoose validation and cast errors, duplicate keys, unparsable
+ * request bodies); anything else is an internal error.
+ * @param {Error} error
+ * @returns {ApiError | null} The ApiError, or null for internal errors.
+ */
+const toApiError = (error) => {
+    if (error instanceof ApiError) {
+        return error;
+    }
+    if (error instanceof mongoose.Error.ValidationError) {
+        return badRequest('Invalid input data', Object.entries(error.errors).map(([path, fieldError]) => ({
+            path,
+            message: describeMongooseError(path, fieldError),
+        })));
+    }
+    if (error instanceof mongoose.Error.CastError) {
+        return invalidField(error.path, describeMongooseError(error.path, error));
+    }
+    if (error.code === 11000) {
+        const fields = Object.keys(error.keyValue || {}).map((path) => ({ path, message: `This ${path} is already taken` }));
+        return conflict('A record with the same values already exists', fields);
+    }
+    // Errors raised by body-parser while reading the request body
+    if (error.type === 'entity.parse.failed') {
+        return new ApiError(400, 'invalid_json', 'Request body must be valid JSON');
+    }
+    if (error.type === 'entity.too.large') {
+        return new ApiError(413, 'payload_too_large', 'Request body is too large');
+    }
+    if (error.expose && error.status >= 400 && error.status < 500) {
+        return new ApiError(error.status, 'bad_request', error.message);
+    }
+    return null;
+};
+
+/**
+ * Express error-handling middleware that sends every error as the error envelope
+ * `{ code, message, fields: [{path, message}] }`, plus `retryAfter` (in seconds, also sent as the
+ * `Retry-After` header) for errors the client can retry later. Internal errors are logged and reported
+ * without their details. It is mounted at the end of `routes/apiRoutes.js`; mount it on the
+ * app as well, after the body parser, so that unparsable request bodies get the same envelope.
+ * @param {Error} error - The error passed to `next()`.
+ * @param {Object} req - Express request object.
+ * @param {Object} res - Express response object.
+ * @param {function} next - The next middleware function in the stack.
+ */
+const errorHandler = (error, req, res, next) => {
+    // Once a response has started (e.g. a streamed export) its status can no longer change
+    if (res.headersSent) {
+        return next(error);
+    }
+
+    const apiError = toApiError(error);
+    if (!apiError) {
+        console.error(`Error handling ${req.method} ${req.originalUrl}:`, error);
+        return res.status(500).json({ code: 'internal_error', message: 'Internal Server Error', fields: [] });
+    }
+
+    const body = {
+        code: apiError.code,
+        message: apiError.message,
+        fields: apiError.fields,
+    };
+    if (apiError.retryAfter) {
+        res.set('Retry-After', String(apiError.retryAfter));
+        body.retryAfter = apiError.retryAfter;
+    }
+
+    return res.status(apiError.status).json(body);
+};
+
+module.exports = { errorHandler };
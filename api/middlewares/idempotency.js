@@ -0,0 +1,127 @@
+const IdempotencyKey = require('../models/IdempotencyKey');
+const { hashToken } = require('../utils/tokens');
+const { ApiError, conflict, invalidField } = require('../utils/errors');
+
+const IDEMPOTENCY_KEY_TTL_HOURS = Number(process.env.IDEMPOTENCY_KEY_TTL_HOURS) || 24;
+// A request still processing after this long is taken to have crashed, and a retry can take its key over
+const IDEMPOTENCY_PROCESSING_TIMEOUT_MINUTES = Number(process.env.IDEMPOTENCY_PROCESSING_TIMEOUT_MINUTES) || 5;
+const IDEMPOTENCY_KEY_PATTERN = /^[A-Za-z0-9_-]{8,128}$/;
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+/**
+ * Claims an idempotency key for a request about to run, taking over the record of a first request that
+ * never finished (processing for longer than `IDEMPOTENCY_PROCESSING_TIMEOUT_MINUTES`) or whose key has
+ * expired but not been removed yet.
+ * @param {string} userId
+ * @param {string} key
+ * @param {string} requestHash
+ * @returns {Promise<{record: Object | null, existing: Object | null}>} The claimed record, or else the
+ *   record of the request holding the key, which is null when the key could not be claimed in a race.
+ */
+const claimKey = async (userId, key, requestHash) => {
+    const now = Date.now();
+    const expiresAt = new Date(now + IDEMPOTENCY_KEY_TTL_HOURS * 60 * 60 * 1000);
+
+    // A record missing after the insert failed was removed meanwhile (the first request failed or the
+    // key expired), so the insert is tried once more
+    for (let attempt = 0; attempt < 2; attempt++) {
+        try {
+            return { record: await IdempotencyKey.create({ userId, key, requestHash, expiresAt }), existing: null };
+        } catch (error) {
+            if (error.code !== 11000) {
+                throw error;
+            }
+        }
+
+        const existing = await IdempotencyKey.findOne({ userId, key });
+        if (!existing) {
+            continue;
+        }
+        const stalled = existing.status === 'processing'
+            && existing.updatedAt.getTime() <= now - IDEMPOTENCY_PROCESSING_TIMEOUT_MINUTES * 60 * 1000;
+        const expired = existing.expiresAt.getTime() <= now;
+        if (!expired && (existing.requestHash !== requestHash || !stalled)) {
+            return { record: null, existing };
+        }
+        // Only one retry wins the takeover: the record must still be the one that was read
+        const record = await IdempotencyKey.findOneAndUpdate(
+            { _id: existing._id, updatedAt: existing.updatedAt },
+            { $set: { requestHash, status: 'processing', statusCode: null, body: null, expiresAt } },
+            { new: true }
+        );
+        return record ? { record, existing: null } : { record: null, existing };
+    }
+    return { record: null, existing: null };
+};
+
+/**
+ * Middleware making write requests safe to retry. A client that sends an `Idempotency-Key` header
+ * (e.g. a UUID generated when the change was made) gets the stored response of the first request
+ * carrying that key instead of a second execution, with the `Idempotent-Replayed: true` header.
+ * Keys are scoped to the authenticated user, so the middleware must run after `verifyToken`, and they
+ * are remembered for `IDEMPOTENCY_KEY_TTL_HOURS`. Requests without the header are not affected.
+ * - Reusing a key for a different request (method, URL or body) is rejected with 409.
+ * - A retry arriving while the first request still runs is rejected with 409 and the `request_in_progress`
+ *   code, and can be retried later. A first request still running after `IDEMPOTENCY_PROCESSING_TIMEOUT_MINUTES`
+ *   is taken to have crashed, and the next retry runs in its place.
+ * - Server errors and rate limited requests are not stored, so that retrying them runs them again.
+ * @param {Object} req - Express request object with `req.user` populated by `authMiddleware.js`.
+ * @param {Object} res - Express response object.
+ * @param {function} next - The next middleware function in the stack.
+ * @returns {Promise<void>}
+ */
+const idempotency = async (req, res, next) => {
+    try {
+        const key = req.get('Idempotency-Key');
+        if (SAFE_METHODS.includes(req.method) || key === undefined) {
+            return next();
+        }
+        if (!IDEMPOTENCY_KEY_PATTERN.test(key)) {
+            return next(invalidField('Idempotency-Key', 'Idempotency key must be 8 to 128 letters, digits, dashes or underscores'));
+        }
+
+        const userId = req.user.id;
+        const requestHash = hashToken(`${req.method} ${req.originalUrl} ${JSON.stringify(req.body || {})}`);
+        const { record, existing } = await claimKey(userId, key, requestHash);
+        if (!record) {
+            if (existing && existing.requestHash !== requestHash) {
+                return next(conflict('This idempotency key was already used for a different request'));
+            }
+            if (!existing || existing.status === 'processing') {
+                return next(new ApiError(409, 'request_in_progress', 'A request with this idempotency key is still being processed'));
+            }
+            res.set('Idempotent-Replayed', 'true');
+            return existing.body === null
+                ? res.status(existing.statusCode).send()
+                : res.status(existing.statusCode).json(existing.body);
+        }
+
+        // Keep a plain copy of the response body: it may hold documents that change after the response
+        let responseBody = null;
+        let settled = false;
+        const json = res.json.bind(res);
+        const send = res.send.bind(res);
+        res.json = (body) => {
+            responseBody = body === undefined ? null : JSON.parse(JSON.stringify(body));
+            return json(body);
+        };
+        // The outcome is stored as soon as the handler responds, even if the client disconnected meanwhile:
+        // the change was made, and the client's retry must get its response rather than make it twice
+        res.send = (body) => {
+            if (!settled) {
+                settled = true;
+                const stored = res.statusCode >= 500 || res.statusCode === 429
+                    ? IdempotencyKey.deleteOne({ _id: record._id })
+                    : IdempotencyKey.updateOne({ _id: record._id }, { status: 'completed', statusCode: res.statusCode, body: responseBody });
+                stored.catch((error) => console.error('Error storing idempotent response:', error));
+            }
+            return send(body);
+        };
+
+        return next();
+    } catch (error) {
+        return next(error);
+    }
+};
+
+module.exports = { idempotency };
@@ -0,0 +1,41 @@
+const { getRateLimitStore } = require('../utils/rateLimitStore');
+const { tooManyRequests } = require('../utils/errors');
+
+/**
+ * @typedef {Object} RateLimitOptions
+ * @property {string} name - Namespaces the counters of this limiter in the store.
+ * @property {number} windowMs - The length of a counting window.
+ * @property {number} max - The number of requests allowed per key and window.
+ * @property {(req: Object) => (string | null | undefined)} key - Derives the counted key from the request,
+ *   e.g. the client IP or the targeted account; requests without a key are not limited.
+ * @property {string} message - The error message of rejected requests, without a final period.
+ */
+
+/**
+ * Middleware factory limiting how often a key (e.g. the client IP) can hit the routes it is mounted on.
+ * Requests over the limit are rejected with a 429 `rate_limited` error carrying `Retry-After`.
+ * Counters live in the store returned by `getRateLimitStore()`. Behind a reverse proxy, set Express'
+ * `trust proxy` setting so that `req.ip` is the client address rather than the proxy's.
+ * @param {RateLimitOptions} options
+ * @returns {function} Express middleware.
+ */
+const rateLimit = ({ name, windowMs, max, key, message }) => async (req, res, next) => {
+    try {
+        const requestKey = key(req);
+        if (!requestKey) {
+            return next();
+        }
+
+        const { count, resetAt } = await getRateLimitStore().increment(`${name}:${requestKey}`, windowMs);
+        if (count > max) {
+            const retryAfter = (resetAt.getTime() - Date.now()) / 1000;
+            return next(tooManyRequests(message, retryAfter));
+        }
+
+        return next();
+    } catch (error) {
+        return next(error);
+    }
+};
+
+module.exports = { rateLimit };
@@ -0,0 +1,213 @@
+const { badRequest } = require('../utils/errors');
+
+/**
+ * @typedef {Object} FieldRule
+ * @property {string} type - 'string', 'number', 'integer', 'boolean', 'date', 'objectId', 'array', 'object' or 'any'.
+ * @property {boolean} [required=false] - Whether the field must be present.
+ * @property {boolean} [nullable=false] - Whether null is accepted.
+ * @property {*} [default] - The value used when the field is missing.
+ * @property {Array} [enum] - The accepted values.
+ * @property {number} [min] - The minimum of numbers, or the minimum length of strings and arrays.
+ * @property {number} [max] - The maximum of numbers, or the maximum length of strings and arrays.
+ * @property {RegExp} [pattern] - A pattern strings must match.
+ * @property {FieldRule} [items] - The rule for the items of an array.
+ * @property {Object<string, FieldRule>} [fields] - The rules for the properties of an object.
+ * @property {string} [message] - A message replacing every default message of the field.
+ */
+
+/**
+ * @typedef {Object} RequestSchema
+ * @property {Object<string, FieldRule>} [params] - The rules for the route parameters.
+ * @property {Object<string, FieldRule>} [query] - The rules for the query string.
+ * @property {Object<string, FieldRule>} [body] - The rules for the JSON body.
+ */
+
+const OBJECT_ID_PATTERN = /^[0-9a-fA-F]{24}$/;
+const INVALID = Symbol('invalid');
+
+const TYPE_DESCRIPTIONS = {
+    string: 'a string',
+    number: 'a number',
+    integer: 'an integer',
+    boolean: 'true or false',
+    date: 'a valid date',
+    objectId: 'a valid ID',
+    array: 'an array',
+    object: 'an object',
+};
+
+/**
+ * Reads a number, accepting numeric strings since query strings and form inputs carry numbers as text.
+ * @param {*} value
+ * @returns {number | symbol} The number, or INVALID.
+ */
+const toNumber = (value) => {
+    const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+    return typeof number === 'number' && Number.isFinite(number) ? number : INVALID;
+};
+
+/**
+ * Converters from raw request values to the values handed to controllers, per rule type.
+ * @type {Object<string, (value: *) => *>}
+ */
+const CASTS = {
+    string: (value) => (typeof value === 'string' ? value : INVALID),
+    number: toNumber,
+    integer: (value) => {
+        const number = toNumber(value);
+        return Number.isInteger(number) ? number : INVALID;
+    },
+    boolean: (value) => {
+        if (typeof value === 'boolean') {
+            return value;
+        }
+        return value === 'true' || value === 'false' ? value === 'true' : INVALID;
+    },
+    date: (value) => {
+        if (typeof value !== 'string' && typeof value !== 'number') {
+            return INVALID;
+        }
+        const date = new Date(value);
+        return isNaN(date.getTime()) ? INVALID : date;
+    },
+    objectId: (value) => (typeof value === 'string' && OBJECT_ID_PATTERN.test(value) ? value : INVALID),
+    array: (value) => (Array.isArray(value) ? value : INVALID),
+    object: (value) => (value !== null && typeof value === 'object' && !Array.isArray(value) ? value : INVALID),
+    any: (value) => value,
+};
+
+/**
+ * Describes a field in error messages: query and route parameters are named as such, body fields by their path.
+ * @param {string} location - 'params', 'query' or 'body'.
+ * @param {string} path - The path of the field within its location.
+ * @returns {string}
+ */
+const describeField = (location, path) => {
+    if (location === 'query') {
+        return `Query parameter "${path}"`;
+    }
+    if (location === 'params') {
+        return `Route parameter "${path}"`;
+    }
+    return `"${path}"`;
+};
+
+/**
+ * Checks a value against its rule, collecting the failures in `errors`.
+ * @param {*} value - The raw value.
+ * @param {FieldRule} rule
+ * @param {string} location - 'params', 'query' or 'body'.
+ * @param {string} path - The path of the value within its location.
+ * @param {Array<{path: string, message: string}>} errors - The failures found so far.
+ * @returns {*} The converted value (e.g. a Date for date fields), or the raw value if it is invalid.
+ */
+const checkValue = (value, rule, location, path, errors) => {
+    const label = describeField(location, path);
+    const fail = (message) => {
+        errors.push({ path: location === 'body' ? path : `${location}.${path}`, message: rule.message || message });
+        return value;
+    };
+
+    if (value === undefined) {
+        if (rule.default !== undefined) {
+            return rule.default;
+        }
+        return rule.required ? fail(`${label} is required`) : value;
+    }
+    if (value === null) {
+        if (rule.nullable) {
+            return value;
+        }
+        return fail(rule.required ? `${label} is required` : `${label} must be ${TYPE_DESCRIPTIONS[rule.type]}`);
+    }
+
+    const cast = CASTS[rule.type](value);
+    if (cast === INVALID) {
+        return fail(`${label} must be ${TYPE_DESCRIPTIONS[rule.type]}`);
+    }
+    if (rule.enum && !rule.enum.includes(cast)) {
+        return fail(`${label} must be one of: ${rule.enum.join(', ')}`);
+    }
+
+    if (typeof cast === 'number') {
+        if (rule.min !== undefined && cast < rule.min) {
+            return fail(`${label} must be at least ${rule.min}`);
+        }
+        if (rule.max !== undefined && cast > rule.max) {
+            return fail(`${label} must be at most ${rule.max}`);
+        }
+    }
+    if (typeof cast === 'string' || Array.isArray(cast)) {
+        const unit = typeof cast === 'string' ? 'characters long' : 'items';
+        if (rule.min !== undefined && cast.length < rule.min) {
+            return fail(`${label} must be at least ${rule.min} ${unit}`);
+        }
+        if (rule.max !== undefined && cast.length > rule.max) {
+            return fail(`${label} must be at most ${rule.max} ${unit}`);
+        }
+    }
+    if (rule.pattern && !rule.pattern.test(cast)) {
+        return fail(`${label} is not valid`);
+    }
+
+    if (rule.items) {
+        return cast.map((item, index) => checkValue(item, rule.items, location, `${path}.${index}`, errors));
+    }
+    if (rule.fields) {
+        return { ...cast, ...checkFields(cast, rule.fields, location, `${path}.`, errors) };
+    }
+    return cast;
+};
+
+/**
+ * Checks the declared fields of an object. Fields without a rule are left as they are.
+ * @param {Object} source - The object to check.
+ * @param {Object<string, FieldRule>} rules
+ * @param {string} location - 'params', 'query' or 'body'.
+ * @param {string} prefix - The path of the object within its location, followed by a dot, or ''.
+ * @param {Array<{path: string, message: string}>} errors - The failures found so far.
+ * @returns {Object} The converted values of the declared fields that are present.
+ */
+const checkFields = (source, rules, location, prefix, errors) => {
+    const values = {};
+    Object.entries(rules).forEach(([field, rule]) => {
+        const value = checkValue(source[field], rule, location, `${prefix}${field}`, errors);
+        if (value !== undefined) {
+            values[field] = value;
+        }
+    });
+    return values;
+};
+
+/**
+ * Creates a middleware that validates the route parameters, query string and body of a request
+ * against a declarative schema. Valid values replace the raw ones, converted to their type
+ * (e.g. `?page=2` becomes the number 2) and with defaults filled in, so that controllers can use
+ * them as they are. All failures of a request are reported together as a 400 error whose `fields`
+ * list every invalid field; body fields are named by their path, query and route parameters
+ * are prefixed with 'query.' and 'params.'.
+ * @param {RequestSchema} schema
+ * @returns {(req: Object, res: Object, next: function) => void}
+ */
+const validate = (schema) => (req, res, next) => {
+    const errors = [];
+
+    ['params', 'query', 'body'].forEach((location) => {
+        if (!schema[location]) {
+            return;
+        }
+        const source = req[location] === undefined ? {} : req[location];
+        if (CASTS.object(source) === INVALID) {
+            errors.push({ path: location, message: `Request ${location} must be an object` });
+            return;
+        }
+        req[location] = { ...source, ...checkFields(source, schema[location], location, '', errors) };
+    });
+
+    if (errors.length > 0) {
+        return next(badRequest('Invalid input data', errors));
+    }
+    return next();
+};
+
+module.exports = { validate };
@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+
+/**
+ * @typedef {Object} AccountToken
+ * @property {mongoose.Schema.Types.ObjectId} userId - The ID of the user the token was issued to, referencing the User model.
+ * @property {string} purpose - What the token allows: 'password_reset' or 'email_verification'.
+ * @property {string} tokenHash - SHA-256 hash of the opaque token sent by email; the raw token is never stored.
+ * @property {string} email - The address the token was sent to.
+ * @property {Date} expiresAt - The date after which the token can no longer be used.
+ * @property {Date | null} usedAt - The date the token was used, or superseded by a newer token.
+ * @property {Date} createdAt - The date the token was created
+ * @property {Date} updatedAt - The date the token was updated
+ */
+
+
+/**
+ * Mongoose schema for the AccountToken model.
+ * @type {mongoose.Schema<AccountToken>}
+ */
+const AccountTokenSchema = new mongoose.Schema(
+    {
+        userId: {
+            type: mongoose.Schema.Types.ObjectId,
+            required: [true, 'User ID is required.'],
+            ref: 'User',
+            index: true,
+        },
+        purpose: {
+            type: String,
+            required: [true, 'Token purpose is required.'],
+            enum: ['password_reset', 'email_verification'],
+        },
+        tokenHash: {
+            type: String,
+            required: [true, 'Token hash is required.'],
+            unique: true,
+        },
+        email: {
+            type: String,
+            required: [true, 'Email is required.'],
+            lowercase: true,
+        },
+        expiresAt: {
+            type: Date,
+            required: [true, 'Expiration date is required.'],
+            // Expired tokens are removed automatically by MongoDB
+            expires: 0,
+        },
+        usedAt: {
+            type: Date,
+            default: null,
+        },
+    },
+    {
+        timestamps: true,
+    }
+);
+
+/**
+ * Mongoose model for the AccountToken collection.
+ * @type {mongoose.Model<AccountToken>}
+ */
+const AccountToken = mongoose.model('AccountToken', AccountTokenSchema);
+
+module.exports = AccountToken;
@@ -0,0 +1,72 @@
+const mongoose = require('mongoose');
+
+/**
+ * @typedef {Object} Achievement
+ * @property {mongoose.Schema.Types.ObjectId} userId - The ID of the user who earned the badge, referencing the User model.
+ * @property {string} badge - The badge identifier (e.g., 'first_entry', 'streak_7').
+ * @property {string} key - Uniqueness key, so that each badge is awarded once per user, goal or milestone.
+ * @property {mongoose.Schema.Types.ObjectId | null} goalId - The goal the badge was earned on, if any, referencing the Goal model.
+ * @property {Object} details - Badge-specific details, such as the milestone threshold or personal best value.
+ * @property {Date} awardedAt - The date the badge was awarded.
+ * @property {Date} createdAt - The date the achievement was created
+ * @property {Date} updatedAt - The date the achievement was updated
+ */
+
+
+/**
+ * Mongoose schema for the Achievement model.
+ * @type {mongoose.Schema<Achievement>}
+ */
+const AchievementSchema = new mongoose.Schema(
+    {
+        userId: {
+            type: mongoose.Schema.Types.ObjectId,
+            required: [true, 'User ID is required.'],
+            ref: 'User',
+            index: true,
+        },
+        badge: {
+            type: String,
+            enum: ['first_entry', 'streak_7', 'completed_early', 'personal_best', 'milestone_reached'],
+            required: [true, 'Badge is required.'],
+        },
+        key: {
+            type: String,
+            required: [true, 'Achievement key is required.'],
+        },
+        goalId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Goal',
+            default: null,
+        },
+        details: {
+            type: mongoose.Schema.Types.Mixed,
+            default: {},
+        },
+        awardedAt: {
+            type: Date,
+            required: [true, 'Award date is required.'],
+        },
+    },
+    {
+        timestamps: true,
+        toJSON: {
+            virtuals: true,
+            transform: function (_doc, ret) {
+                delete ret.__v;
+                delete ret.key;
+                return ret;
+            }
+        }
+    }
+);
+
+AchievementSchema.index({ userId: 1, key: 1 }, { unique: true });
+
+/**
+ * Mongoose model for the Achievement collection.
+ * @type {mongoose.Model<Achievement>}
+ */
+const Achievement = mongoose.model('Achievement', AchievementSchema);
+
+module.exports = Achievement;
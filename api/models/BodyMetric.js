@@ -0,0 +1,72 @@
+const mongoose = require('mongoose');
+const { METRIC_TYPE_CODES } = require('../utils/bodyMetrics');
+
+/**
+ * @typedef {Object} BodyMetric
+ * @property {mongoose.Schema.Types.ObjectId} userId - The ID of the user who was measured, referencing the User model.
+ * @property {string} type - The metric measured (e.g., 'weight', 'waist'), see `utils/bodyMetrics.js`.
+ * @property {number} value - The measured value, in the base unit of the metric (e.g., kilograms, centimeters).
+ * @property {Date} date - When the measurement was taken.
+ * @property {string} note - An optional note about the measurement.
+ * @property {Date} createdAt - The date the measurement was created
+ * @property {Date} updatedAt - The date the measurement was updated
+ */
+
+
+/**
+ * Mongoose schema for the BodyMetric model.
+ * @type {mongoose.Schema<BodyMetric>}
+ */
+const BodyMetricSchema = new mongoose.Schema(
+    {
+        userId: {
+            type: mongoose.Schema.Types.ObjectId,
+            required: [true, 'User ID is required.'],
+            ref: 'User',
+            index: true,
+        },
+        type: {
+            type: String,
+            enum: {
+                values: METRIC_TYPE_CODES,
+                message: '`{VALUE}` is not a supported metric.',
+            },
+            required: [true, 'Metric type is required.'],
+        },
+        value: {
+            type: Number,
+            required: [true, 'Measurement value is required.'],
+            min: [0, 'Measurement value cannot be negative.'],
+        },
+        date: {
+            type: Date,
+            required: [true, 'Measurement date is required.'],
+        },
+        note: {
+            type: String,
+            trim: true,
+            maxlength: [200, 'Measurement note cannot exceed 200 characters.'],
+            default: null,
+        },
+    },
+    {
+        timestamps: true,
+        toJSON: {
+            virtuals: true,
+            transform: function (_doc, ret) {
+                delete ret.__v;
+                return ret;
+            }
+        }
+    }
+);
+
+BodyMetricSchema.index({ userId: 1, type: 1, date: -1 });
+
+/**
+ * Mongoose model for the BodyMetric collection.
+ * @type {mongoose.Model<BodyMetric>}
+ */
+const BodyMetric = mongoose.model('BodyMetric', BodyMetricSchema);
+
+module.exports = BodyMetric;
@@ -0,0 +1,179 @@
+const mongoose = require('mongoose');
+const { UNIT_CODES, normalizeUnit } = require('../utils/units');
+
+/**
+ * @typedef {Object} ChallengeMember
+ * @property {mongoose.Schema.Types.ObjectId} userId - The member, referencing the User model.
+ * @property {mongoose.Schema.Types.ObjectId | null} goalId - The member's goal whose progress counts for the challenge, referencing the Goal model.
+ * @property {string} status - 'invited' until the member accepts the invitation, then 'active'.
+ * @property {Date} invitedAt - When the member was invited or joined.
+ * @property {Date | null} joinedAt - When the member joined, null while invited.
+ */
+
+/**
+ * @typedef {Object} Standing
+ * @property {mongoose.Schema.Types.ObjectId} userId - The member, referencing the User model.
+ * @property {string} username - The member's username when the standings were frozen.
+ * @property {number | null} rank - The member's rank; members without a score are not ranked.
+ * @property {number | null} score - The member's score under the ranking rule, in the base unit of `unit` for value rules.
+ */
+
+/**
+ * @typedef {Object} Challenge
+ * @property {mongoose.Schema.Types.ObjectId} ownerId - The user who runs the challenge, referencing the User model.
+ * @property {string} name - The name of the challenge (e.g., 'Most km run in October').
+ * @property {string} description - An optional description of the challenge.
+ * @property {string} rule - How members are ranked: 'total', 'percent' or 'improvement', see `utils/challengeStandings.js`.
+ * @property {string} unit - The catalog unit of the challenge; member goals must measure the same kind of value.
+ * @property {Date} startDate - The start of the window in which progress counts.
+ * @property {Date} endDate - The end of the window; the standings are frozen once it has passed.
+ * @property {string} joinCode - The code users join the challenge with.
+ * @property {ChallengeMember[]} members - The invited and joined users.
+ * @property {Date | null} closedAt - When the final standings were frozen, null while the challenge is open.
+ * @property {Standing[]} standings - The final standings, empty until the challenge is closed.
+ * @property {Date} createdAt - The date the challenge was created
+ * @property {Date} updatedAt - The date the challenge was updated
+ */
+
+
+/**
+ * Mongoose schema for the Challenge model.
+ * @type {mongoose.Schema<Challenge>}
+ */
+const ChallengeSchema = new mongoose.Schema(
+    {
+        ownerId: {
+            type: mongoose.Schema.Types.ObjectId,
+            required: [true, 'Owner ID is required.'],
+            ref: 'User',
+            index: true,
+        },
+        name: {
+            type: String,
+            required: [true, 'Challenge name is required.'],
+            trim: true,
+            minlength: [3, 'Challenge name must be at least 3 characters long.'],
+            maxlength: [80, 'Challenge name cannot exceed 80 characters.'],
+        },
+        description: {
+            type: String,
+            trim: true,
+            maxlength: [500, 'Challenge description cannot exceed 500 characters.'],
+            default: null,
+        },
+        rule: {
+            type: String,
+            enum: ['total', 'percent', 'improvement'],
+            required: [true, 'Ranking rule is required.'],
+        },
+        unit: {
+            type: String,
+            required: [true, 'Unit of measure is required.'],
+            // Accept common spellings ("Kg", "kilometers") and store the canonical code
+            set: (value) => normalizeUnit(value) || value,
+            enum: {
+                values: UNIT_CODES,
+                message: '`{VALUE}` is not a supported unit of measure.',
+            },
+        },
+        startDate: {
+            type: Date,
+            required: [true, 'Start date is required.'],
+        },
+        endDate: {
+            type: Date,
+            required: [true, 'End date is required.'],
+            validate: {
+                // Document validator only: update validators run without the document
+                validator: function (value) {
+                    return !(this instanceof mongoose.Document) || !this.startDate || value.getTime() > this.startDate.getTime();
+                },
+                message: 'End date must be after the start date.',
+            },
+        },
+        joinCode: {
+            type: String,
+            required: [true, 'Join code is required.'],
+            unique: true,
+        },
+        members: [{
+            userId: {
+                type: mongoose.Schema.Types.ObjectId,
+                required: [true, 'Member ID is required.'],
+                ref: 'User',
+            },
+            goalId: {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: 'Goal',
+                default: null,
+            },
+            status: {
+                type: String,
+                enum: ['invited', 'active'],
+                default: 'active',
+            },
+            invitedAt: {
+                type: Date,
+                default: Date.now,
+            },
+            joinedAt: {
+                type: Date,
+                default: null,
+            },
+            _id: false
+        }],
+        closedAt: {
+            type: Date,
+            default: null,
+        },
+        standings: [{
+            userId: {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: 'User',
+            },
+            username: {
+                type: String,
+            },
+            rank: {
+                type: Number,
+                default: null,
+            },
+            score: {
+                type: Number,
+                default: null,
+            },
+            _id: false
+        }],
+    },
+    {
+        timestamps: true,
+        toJSON: {
+            virtuals: true,
+            transform: function (_doc, ret) {
+                delete ret.__v;
+                return ret;
+            }
+        }
+    }
+);
+
+ChallengeSchema.index({ 'members.userId': 1 });
+// Finds the challenges whose leaderboard changes with a goal's progress
+ChallengeSchema.index({ 'members.goalId': 1 });
+
+/**
+ * Finds the membership of a user, invited or active.
+ * @param {string | mongoose.Types.ObjectId} userId
+ * @returns {ChallengeMember | null}
+ */
+ChallengeSchema.methods.findMember = function (userId) {
+    return this.members.find((member) => member.userId.equals(userId)) || null;
+};
+
+/**
+ * Mongoose model for the Challenge collection.
+ * @type {mongoose.Model<Challenge>}
+ */
+const Challenge = mongoose.model('Challenge', ChallengeSchema);
+
+module.exports = Challenge;
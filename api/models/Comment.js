@@ -0,0 +1,70 @@
+const mongoose = require('mongoose');
+const { MAX_COMMENT_LENGTH } = require('../utils/commentText');
+
+/**
+ * @typedef {Object} Comment
+ * @property {mongoose.Schema.Types.ObjectId} goalId - The goal commented on, referencing the Goal model.
+ * @property {mongoose.Schema.Types.ObjectId | null} entryId - The progress entry commented on, null for comments on the goal itself.
+ * @property {mongoose.Schema.Types.ObjectId} goalOwnerId - The owner of the goal, referencing the User model; the owner can delete any comment on their goals.
+ * @property {mongoose.Schema.Types.ObjectId} authorId - The user who wrote the comment, referencing the User model.
+ * @property {string} text - The comment text, see `utils/commentText.js`.
+ * @property {Date} createdAt - The date the comment was created
+ * @property {Date} updatedAt - The date the comment was updated
+ */
+
+
+/**
+ * Mongoose schema for the Comment model.
+ * @type {mongoose.Schema<Comment>}
+ */
+const CommentSchema = new mongoose.Schema(
+    {
+        goalId: {
+            type: mongoose.Schema.Types.ObjectId,
+            required: [true, 'Goal ID is required.'],
+            ref: 'Goal',
+        },
+        entryId: {
+            type: mongoose.Schema.Types.ObjectId,
+            default: null,
+        },
+        goalOwnerId: {
+            type: mongoose.Schema.Types.ObjectId,
+            required: [true, 'Goal owner ID is required.'],
+            ref: 'User',
+            index: true,
+        },
+        authorId: {
+            type: mongoose.Schema.Types.ObjectId,
+            required: [true, 'Author ID is required.'],
+            ref: 'User',
+            index: true,
+        },
+        text: {
+            type: String,
+            required: [true, 'Comment text is required.'],
+            trim: true,
+            maxlength: [MAX_COMMENT_LENGTH, `Comments cannot exceed ${MAX_COMMENT_LENGTH} characters.`],
+        },
+    },
+    {
+        timestamps: true,
+        toJSON: {
+            virtuals: true,
+            transform: function (_doc, ret) {
+                delete ret.__v;
+                return ret;
+            }
+        }
+    }
+);
+
+CommentSchema.index({ goalId: 1, entryId: 1, createdAt: -1 });
+
+/**
+ * Mongoose model for the Comment collection.
+ * @type {mongoose.Model<Comment>}
+ */
+const Comment = mongoose.model('Comment', CommentSchema);
+
+module.exports = Comment;
@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+
+/**
+ * @typedef {Object} Exercise
+ * @property {mongoose.Schema.Types.ObjectId} userId - The ID of the user who defined the exercise, referencing the User model.
+ * @property {string} name - The name of the exercise (e.g., 'Bench Press').
+ * @property {string} category - The category of the exercise: 'strength', 'cardio', 'flexibility' or 'other'.
+ * @property {string} muscleGroup - An optional primary muscle group (e.g., 'chest').
+ * @property {Date} createdAt - The date the exercise was created
+ * @property {Date} updatedAt - The date the exercise was updated
+ */
+
+
+/**
+ * Mongoose schema for the Exercise model.
+ * @type {mongoose.Schema<Exercise>}
+ */
+const ExerciseSchema = new mongoose.Schema(
+    {
+        userId: {
+            type: mongoose.Schema.Types.ObjectId,
+            required: [true, 'User ID is required.'],
+            ref: 'User',
+            index: true,
+        },
+        name: {
+            type: String,
+            required: [true, 'Exercise name is required.'],
+            trim: true,
+            minlength: [2, 'Exercise name must be at least 2 characters long.'],
+            maxlength: [50, 'Exercise name cannot exceed 50 characters.'],
+        },
+        category: {
+            type: String,
+            enum: ['strength', 'cardio', 'flexibility', 'other'],
+            default: 'strength',
+        },
+        muscleGroup: {
+            type: String,
+            trim: true,
+            maxlength: [30, 'Muscle group cannot exceed 30 characters.'],
+            default: null,
+        },
+    },
+    {
+        timestamps: true,
+        toJSON: {
+            virtuals: true,
+            transform: function (_doc, ret) {
+                delete ret.__v;
+                return ret;
+            }
+        }
+    }
+);
+
+ExerciseSchema.index({ userId: 1, name: 1 }, { unique: true });
+
+/**
+ * Mongoose model for the Exercise collection.
+ * @type {mongoose.Model<Exercise>}
+ */
+const Exercise = mongoose.model('Exercise', ExerciseSchema);
+
+module.exports = Exercise;
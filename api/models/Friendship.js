@@ -0,0 +1,99 @@
+const mongoose = require('mongoose');
+
+/**
+ * @typedef {Object} Friendship
+ * @property {mongoose.Schema.Types.ObjectId} requester - The ID of the user who sent the friend request, referencing the User model.
+ * @property {mongoose.Schema.Types.ObjectId} recipient - The ID of the user who received the friend request, referencing the User model.
+ * @property {string} status - The state of the relationship: 'pending', 'accepted' or 'blocked'.
+ * @property {mongoose.Schema.Types.ObjectId | null} blockedBy - The ID of the user who blocked the other, when status is 'blocked'.
+ * @property {Date | null} acceptedAt - The date the friend request was accepted.
+ * @property {Date} createdAt - The date the friendship was created
+ * @property {Date} updatedAt - The date the friendship was updated
+ */
+
+
+/**
+ * Mongoose schema for the Friendship model.
+ * There is at most one document per pair of users, whichever of them sent the request.
+ * @type {mongoose.Schema<Friendship>}
+ */
+const FriendshipSchema = new mongoose.Schema(
+    {
+        requester: {
+            type: mongoose.Schema.Types.ObjectId,
+            required: [true, 'Requester is required.'],
+            ref: 'User',
+            index: true,
+        },
+        recipient: {
+            type: mongoose.Schema.Types.ObjectId,
+            required: [true, 'Recipient is required.'],
+            ref: 'User',
+            index: true,
+        },
+        status: {
+            type: String,
+            enum: ['pending', 'accepted', 'blocked'],
+            default: 'pending',
+        },
+        blockedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            default: null,
+        },
+        acceptedAt: {
+            type: Date,
+            default: null,
+        },
+    },
+    {
+        timestamps: true,
+        toJSON: {
+            virtuals: true,
+            transform: function (_doc, ret) {
+                delete ret.__v;
+                return ret;
+            }
+        }
+    }
+);
+
+FriendshipSchema.index({ requester: 1, recipient: 1 }, { unique: true });
+
+/**
+ * Finds the relationship between two users, regardless of who sent the request.
+ * @param {string} userId - The ID of one user.
+ * @param {string} otherUserId - The ID of the other user.
+ * @returns {Promise<Friendship | null>}
+ */
+FriendshipSchema.statics.findBetween = function (userId, otherUserId) {
+    return this.findOne({
+        $or: [
+            { requester: userId, recipient: otherUserId },
+            { requester: otherUserId, recipient: userId },
+        ],
+    });
+};
+
+/**
+ * Lists the IDs of a user's accepted friends.
+ * @param {string} userId - The ID of the user.
+ * @returns {Promise<mongoose.Types.ObjectId[]>}
+ */
+FriendshipSchema.statics.findFriendIds = async function (userId) {
+    const friendships = await this.find({
+        status: 'accepted',
+        $or: [{ requester: userId }, { recipient: userId }],
+    });
+    return friendships.map((friendship) => (
+        friendship.requester.equals(userId) ? friendship.recipient : friendship.requester
+    ));
+};
+
+/**
+ * Mongoose model for the Friendship collection.
+ * @type {mongoose.Model<Friendship>}
+ */
+const Friendship = mongoose.model('Friendship', FriendshipSchema);
+
+module.exports = Friendship;
@@ -1,9 +1,35 @@
 const mongoose = require('mongoose');
+const { UNIT_CODES, normalizeUnit } = require('../utils/units');
+const { RECURRENCE_FREQUENCIES, RECURRENCE_AGGREGATIONS } = require('../utils/recurrence');
+const { METRIC_TYPE_CODES, canDeriveFromMetric } = require('../utils/bodyMetrics');
 
 /**
  * @typedef {Object} Progress
+ * @property {mongoose.Schema.Types.ObjectId} _id - The unique identifier of the progress entry.
  * @property {Date} date - The date of the progress record.
  * @property {number} value - The value of the progress at the given date.
+ * @property {mongoose.Schema.Types.ObjectId} [workoutId] - The workout the entry was derived from, if any.
+ * @property {mongoose.Schema.Types.ObjectId} [metricId] - The body measurement the entry was derived from, if any.
+ */
+
+/**
+ * @typedef {Object} Milestone
+ * @property {string} kind - 'percent' for a completion percentage, 'value' for an absolute progress value.
+ * @property {number} threshold - The percentage or value at which the milestone is reached.
+ * @property {Date | null} reachedAt - The date of the progress entry that reached the milestone.
+ */
+
+/**
+ * @typedef {Object} Recurrence
+ * @property {string} frequency - Length of a period: 'daily', 'weekly' or 'monthly', anchored at the goal's startDate.
+ * @property {string} aggregation - How the progress entries of a period are combined: 'sum', 'count' or 'max'.
+ * @property {number} gracePeriods - Number of missed periods a streak survives before it is broken.
+ */
+
+/**
+ * @typedef {Object} Pause
+ * @property {Date} startedAt - When the goal was paused.
+ * @property {Date | null} endedAt - When the goal left the paused status, null while it is still paused.
  */
 
 /**
@@ -14,9 +40,20 @@ const mongoose = require('mongoose');
  * @property {string} type - The type of the goal (e.g., 'weight loss', 'muscle gain').
  * @property {Date} startDate - The start date of the goal.
  * @property {Date} endDate - The end date of the goal.
- * @property {number} targetValue - The target value to be achieved for the goal.
- * @property {string} unit - The unit of measure for the target value (e.g., 'kg', 'lbs', 'minutes').
- * @property {Progress[]} progress - An array of progress objects representing user's progress towards the goal.
+ * @property {string} kind - 'target' for a one-off target, 'recurring' for a habit repeated every period.
+ * @property {Recurrence | null} recurrence - The recurrence rule of a recurring goal, null for target goals.
+ * @property {number} targetValue - The target value to be achieved for the goal (per period for recurring goals), stored in the base unit of `unit`.
+ * @property {string} unit - The catalog unit the goal was set in (e.g., 'kg', 'lbs', 'minutes'), see `utils/units.js`.
+ * @property {Progress[]} progress - An array of progress objects representing user's progress towards the goal, with values stored in the base unit.
+ * @property {Milestone[]} milestones - Intermediate milestones on the way to the target; defaults to 25/50/75%.
+ * @property {{exerciseId: mongoose.Schema.Types.ObjectId, metric: string} | null} workoutLink - Optional link that derives progress from logged workouts of an exercise.
+ * @property {{metric: string} | null} metricLink - Optional link that derives the progress of a weight loss or muscle gain goal from a body metric series, see `utils/metricProgress.js`.
+ * @property {string} friendVisibility - How much of the goal friends can see in their activity feed: 'private', 'name', 'percent' or 'full'.
+ * @property {string} status - Lifecycle status: 'active', 'paused', 'completed', 'abandoned' or 'archived', see `utils/goalLifecycle.js`.
+ * @property {Date | null} statusChangedAt - The date of the last status change.
+ * @property {Date | null} completedAt - When the goal was completed, null unless its status is 'completed'.
+ * @property {Pause[]} pauses - The times the goal was paused; paused time does not count against its pace.
+ * @property {Date | null} deletedAt - When the goal was deleted; deleted goals can be restored for a while before they are purged.
  * @property {Date} createdAt - The date the goal was created
  * @property {Date} updatedAt - The date the goal was updated
  */
@@ -60,6 +97,43 @@ const GoalSchema = new mongoose.Schema(
             type: Date,
             required: [true, 'End date is required.'],
         },
+        kind: {
+            type: String,
+            enum: ['target', 'recurring'],
+            default: 'target',
+        },
+        recurrence: {
+            type: {
+                frequency: {
+                    type: String,
+                    enum: RECURRENCE_FREQUENCIES,
+                    required: [true, 'Recurrence frequency is required.'],
+                },
+                aggregation: {
+                    type: String,
+                    enum: RECURRENCE_AGGREGATIONS,
+                    default: 'sum',
+                },
+                gracePeriods: {
+                    type: Number,
+                    min: [0, 'Grace periods cannot be negative.'],
+                    max: [7, 'Grace periods cannot exceed 7.'],
+                    default: 0,
+                },
+                _id: false
+            },
+            default: null,
+            // Document validators only: update validators run without the document, see goalController.updateGoal
+            required: [function () {
+                return this instanceof mongoose.Document && this.kind === 'recurring';
+            }, 'Recurrence rule is required for recurring goals.'],
+            validate: {
+                validator: function (value) {
+                    return !(this instanceof mongoose.Document) || value === null || this.kind === 'recurring';
+                },
+                message: 'Only recurring goals can have a recurrence rule.',
+            },
+        },
         targetValue: {
             type: Number,
             required: [true, 'Target value is required.'],
@@ -67,6 +141,126 @@ const GoalSchema = new mongoose.Schema(
         unit: {
             type: String,
             required: [true, 'Unit of measure is required.'],
+            // Accept common spellings ("Kg", "kilograms") and store the canonical code
+            set: (value) => normalizeUnit(value) || value,
+            enum: {
+                values: UNIT_CODES,
+                message: '`{VALUE}` is not a supported unit of measure.',
+            },
+            validate: {
+                // Goals counting entries per period measure sessions, whatever the entries record
+                validator: function (value) {
+                    return !(this instanceof mongoose.Document) || !this.recurrence
+                        || this.recurrence.aggregation !== 'count' || value === 'sessions';
+                },
+                message: 'Recurring goals that count entries must use the sessions unit.',
+            },
+        },
+        milestones: {
+            type: [{
+                kind: {
+                    type: String,
+                    enum: ['percent', 'value'],
+                    default: 'percent',
+                },
+                threshold: {
+                    type: Number,
+                    required: [true, 'Milestone threshold is required.'],
+                    validate: {
+                        validator: function (value) {
+                            return this.kind !== 'percent' || (value > 0 && value < 100);
+                        },
+                        message: 'Percentage milestones must be between 0 and 100.',
+                    },
+                },
+                reachedAt: {
+                    type: Date,
+                    default: null,
+                },
+                _id: false
+            }],
+            default: () => [25, 50, 75].map((threshold) => ({ kind: 'percent', threshold })),
+        },
+        workoutLink: {
+            type: {
+                exerciseId: {
+                    type: mongoose.Schema.Types.ObjectId,
+                    required: [true, 'Linked exercise is required.'],
+                    ref: 'Exercise',
+                },
+                metric: {
+                    type: String,
+                    enum: ['max_weight', 'total_reps', 'total_volume', 'total_duration'],
+                    required: [true, 'Workout metric is required.'],
+                },
+                _id: false
+            },
+            default: null,
+        },
+        metricLink: {
+            type: {
+                metric: {
+                    type: String,
+                    enum: {
+                        values: METRIC_TYPE_CODES,
+                        message: '`{VALUE}` is not a supported metric.',
+                    },
+                    required: [true, 'Linked metric is required.'],
+                },
+                _id: false
+            },
+            default: null,
+            // Document validators only: update validators run without the document, see goalController.updateGoal
+            validate: [
+                {
+                    validator: function (value) {
+                        return !(this instanceof mongoose.Document) || value === null
+                            || (this.kind !== 'recurring' && canDeriveFromMetric(this.type, this.unit, value.metric));
+                    },
+                    message: 'Only weight loss and muscle gain goals set in a unit of the metric can derive their progress from it.',
+                },
+                {
+                    validator: function (value) {
+                        return !(this instanceof mongoose.Document) || value === null || !this.workoutLink;
+                    },
+                    message: 'A goal cannot derive its progress from both workouts and a metric.',
+                },
+            ],
+        },
+        friendVisibility: {
+            type: String,
+            enum: ['private', 'name', 'percent', 'full'],
+            default: 'private',
+        },
+        status: {
+            type: String,
+            enum: ['active', 'paused', 'completed', 'abandoned', 'archived'],
+            default: 'active',
+            index: true,
+        },
+        statusChangedAt: {
+            type: Date,
+            default: null,
+        },
+        completedAt: {
+            type: Date,
+            default: null,
+        },
+        pauses: [{
+            startedAt: {
+                type: Date,
+                required: [true, 'Pause start date is required.'],
+            },
+            endedAt: {
+                type: Date,
+                default: null,
+            },
+            _id: false
+        }],
+        deletedAt: {
+            type: Date,
+            default: null,
+            index: true,
         },
         progress: [{
             date: {
@@ -77,12 +271,20 @@ const GoalSchema = new mongoose.Schema(
                 type: Number,
                 required: [true, 'Progress value is required.']
             },
-            _id: false
+            workoutId: {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: 'Workout',
+            },
+            metricId: {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: 'BodyMetric',
+            },
         }],
     },
     {
         timestamps: true,
         toJSON: {
+            virtuals: true,
             transform: function (_doc, ret) {
                 delete ret.__v;
                 return ret;
@@ -91,6 +293,27 @@ const GoalSchema = new mongoose.Schema(
     }
 );
 
+/**
+ * Pre-save middleware that keeps progress entries sorted by date (oldest first),
+ * so that every consumer of the progress array can rely on its ordering.
+ */
+GoalSchema.pre('save', function (next) {
+    if (this.isModified('progress')) {
+        this.progress.sort((a, b) => a.date - b.date);
+    }
+    next();
+});
+
+/**
+ * Query middleware that hides deleted goals from every query, unless the query filters on `deletedAt`
+ * itself, as the queries listing, restoring and purging deleted goals do.
+ */
+GoalSchema.pre(['find', 'findOne', 'findOneAndUpdate', 'countDocuments', 'updateOne', 'updateMany'], function () {
+    if (this.getFilter().deletedAt === undefined) {
+        this.where({ deletedAt: null });
+    }
+});
+
 /**
  * Mongoose model for the Goal collection.
  * @type {mongoose.Model<Goal>}
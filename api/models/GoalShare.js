@@ -0,0 +1,84 @@
+const mongoose = require('mongoose');
+
+/**
+ * @typedef {Object} GoalShare
+ * @property {mongoose.Schema.Types.ObjectId} goalId - The ID of the shared goal, referencing the Goal model.
+ * @property {mongoose.Schema.Types.ObjectId} userId - The ID of the goal owner, referencing the User model.
+ * @property {string} tokenHash - SHA-256 hash of the share token; the raw token only appears in the share URL.
+ * @property {string} visibility - How much of the goal is visible: 'name', 'percent' or 'full'.
+ * @property {Date | null} expiresAt - Optional date after which the share link stops working.
+ * @property {Date | null} revokedAt - The date the share link was revoked by its owner.
+ * @property {Date} createdAt - The date the share was created
+ * @property {Date} updatedAt - The date the share was updated
+ */
+
+
+/**
+ * Mongoose schema for the GoalShare model.
+ * @type {mongoose.Schema<GoalShare>}
+ */
+const GoalShareSchema = new mongoose.Schema(
+    {
+        goalId: {
+            type: mongoose.Schema.Types.ObjectId,
+            required: [true, 'Goal ID is required.'],
+            ref: 'Goal',
+            index: true,
+        },
+        userId: {
+            type: mongoose.Schema.Types.ObjectId,
+            required: [true, 'User ID is required.'],
+            ref: 'User',
+            index: true,
+        },
+        tokenHash: {
+            type: String,
+            required: [true, 'Token hash is required.'],
+            unique: true,
+        },
+        visibility: {
+            type: String,
+            enum: ['name', 'percent', 'full'],
+            required: [true, 'Visibility is required.'],
+        },
+        expiresAt: {
+            type: Date,
+            default: null,
+        },
+        revokedAt: {
+            type: Date,
+            default: null,
+        },
+    },
+    {
+        timestamps: true,
+        toJSON: {
+            virtuals: true,
+            transform: function (_doc, ret) {
+                delete ret.__v;
+                delete ret.tokenHash;
+                return ret;
+            }
+        }
+    }
+);
+
+/**
+ * Whether the share link can currently be used.
+ * @param {Date} [now=new Date()]
+ * @returns {boolean}
+ */
+GoalShareSchema.methods.isActive = function (now = new Date()) {
+    if (this.revokedAt) {
+        return false;
+    }
+    return !this.expiresAt || this.expiresAt.getTime() > now.getTime();
+};
+
+/**
+ * Mongoose model for the GoalShare collection.
+ * @type {mongoose.Model<GoalShare>}
+ */
+const GoalShare = mongoose.model('GoalShare', GoalShareSchema);
+
+module.exports = GoalShare;
@@ -0,0 +1,69 @@
+const mongoose = require('mongoose');
+
+/**
+ * @typedef {Object} IdempotencyKey
+ * @property {mongoose.Schema.Types.ObjectId} userId - The user who sent the request, referencing the User model.
+ * @property {string} key - The `Idempotency-Key` header chosen by the client, unique per user.
+ * @property {string} requestHash - SHA-256 hash of the method, URL and body of the request, so that a key cannot be reused for another request.
+ * @property {string} status - 'processing' while the first request runs, then 'completed'.
+ * @property {number | null} statusCode - The HTTP status of the stored response.
+ * @property {*} body - The stored response body, replayed to retries.
+ * @property {Date} expiresAt - The date after which the key is forgotten and the request could run again.
+ * @property {Date} createdAt - The date the key was first used
+ * @property {Date} updatedAt - The date the key was updated
+ */
+
+
+/**
+ * Mongoose schema for the IdempotencyKey model.
+ * @type {mongoose.Schema<IdempotencyKey>}
+ */
+const IdempotencyKeySchema = new mongoose.Schema(
+    {
+        userId: {
+            type: mongoose.Schema.Types.ObjectId,
+            required: [true, 'User ID is required.'],
+            ref: 'User',
+        },
+        key: {
+            type: String,
+            required: [true, 'Idempotency key is required.'],
+        },
+        requestHash: {
+            type: String,
+            required: [true, 'Request hash is required.'],
+        },
+        status: {
+            type: String,
+            enum: ['processing', 'completed'],
+            default: 'processing',
+        },
+        statusCode: {
+            type: Number,
+            default: null,
+        },
+        body: {
+            type: mongoose.Schema.Types.Mixed,
+            default: null,
+        },
+        expiresAt: {
+            type: Date,
+            required: [true, 'Expiration date is required.'],
+            // Expired keys are removed automatically by MongoDB
+            expires: 0,
+        },
+    },
+    {
+        timestamps: true,
+    }
+);
+
+IdempotencyKeySchema.index({ userId: 1, key: 1 }, { unique: true });
+
+/**
+ * Mongoose model for the IdempotencyKey collection.
+ * @type {mongoose.Model<IdempotencyKey>}
+ */
+const IdempotencyKey = mongoose.model('IdempotencyKey', IdempotencyKeySchema);
+
+module.exports = IdempotencyKey;
@@ -0,0 +1,117 @@
+const mongoose = require('mongoose');
+
+/**
+ * @typedef {Object} Delivery
+ * @property {string} channel - The channel the notification was delivered through (e.g. 'in_app', 'email').
+ * @property {string} status - 'sent', 'skipped' (channel not available) or 'failed'.
+ * @property {string | null} error - The delivery error, for failed deliveries.
+ * @property {Date} at - The date of the delivery attempt.
+ */
+
+/**
+ * @typedef {Object} Notification
+ * @property {mongoose.Schema.Types.ObjectId} userId - The ID of the notified user, referencing the User model.
+ * @property {string} type - What the notification is about: 'reminder', 'goal_off_pace' or 'challenge_invite'.
+ * @property {string} title - A short title, also used as the email subject.
+ * @property {string} message - The notification text.
+ * @property {mongoose.Schema.Types.ObjectId | null} goalId - The goal the notification is about, if any, referencing the Goal model.
+ * @property {string | null} key - Optional uniqueness key, so that one-off notifications are sent once per user.
+ * @property {Delivery[]} deliveries - The outcome of each delivery channel.
+ * @property {Date | null} readAt - The date the user read the notification, null while unread.
+ * @property {Date} createdAt - The date the notification was created
+ * @property {Date} updatedAt - The date the notification was updated
+ */
+
+
+/**
+ * Mongoose schema for the Notification model.
+ * @type {mongoose.Schema<Notification>}
+ */
+const NotificationSchema = new mongoose.Schema(
+    {
+        userId: {
+            type: mongoose.Schema.Types.ObjectId,
+            required: [true, 'User ID is required.'],
+            ref: 'User',
+        },
+        type: {
+            type: String,
+            enum: ['reminder', 'goal_off_pace', 'challenge_invite'],
+            required: [true, 'Notification type is required.'],
+        },
+        title: {
+            type: String,
+            required: [true, 'Notification title is required.'],
+            trim: true,
+            maxlength: [120, 'Notification title cannot exceed 120 characters.'],
+        },
+        message: {
+            type: String,
+            required: [true, 'Notification message is required.'],
+            trim: true,
+            maxlength: [500, 'Notification message cannot exceed 500 characters.'],
+        },
+        goalId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Goal',
+            default: null,
+        },
+        key: {
+            type: String,
+            default: null,
+        },
+        deliveries: [{
+            channel: {
+                type: String,
+                required: [true, 'Delivery channel is required.'],
+            },
+            status: {
+                type: String,
+                enum: ['sent', 'skipped', 'failed'],
+                required: [true, 'Delivery status is required.'],
+            },
+            error: {
+                type: String,
+                default: null,
+            },
+            at: {
+                type: Date,
+                required: [true, 'Delivery date is required.'],
+            },
+            _id: false
+        }],
+        readAt: {
+            type: Date,
+            default: null,
+        },
+    },
+    {
+        timestamps: true,
+        toJSON: {
+            virtuals: true,
+            transform: function (_doc, ret) {
+                delete ret.__v;
+                delete ret.key;
+                return ret;
+            }
+        }
+    }
+);
+
+NotificationSchema.index({ userId: 1, createdAt: -1 });
+NotificationSchema.index({ userId: 1, key: 1 }, { unique: true, partialFilterExpression: { key: { $type: 'string' } } });
+
+/**
+ * Whether the user has read the notification.
+ */
+NotificationSchema.virtual('read').get(function () {
+    return this.readAt !== null;
+});
+
+/**
+ * Mongoose model for the Notification collection.
+ * @type {mongoose.Model<Notification>}
+ */
+const Notification = mongoose.model('Notification', NotificationSchema);
+
+module.exports = Notification;
@@ -0,0 +1,73 @@
+const mongoose = require('mongoose');
+const { REACTION_EMOJIS } = require('../utils/commentText');
+
+/**
+ * @typedef {Object} Reaction
+ * @property {mongoose.Schema.Types.ObjectId} goalId - The goal reacted to, referencing the Goal model.
+ * @property {mongoose.Schema.Types.ObjectId | null} entryId - The progress entry reacted to, null for reactions to the goal itself.
+ * @property {mongoose.Schema.Types.ObjectId} goalOwnerId - The owner of the goal, referencing the User model.
+ * @property {mongoose.Schema.Types.ObjectId} userId - The user who reacted, referencing the User model.
+ * @property {string} emoji - One of `REACTION_EMOJIS`.
+ * @property {Date} createdAt - The date of the reaction
+ * @property {Date} updatedAt - The date the reaction was updated
+ */
+
+
+/**
+ * Mongoose schema for the Reaction model.
+ * Each user leaves each emoji at most once per goal or progress entry.
+ * @type {mongoose.Schema<Reaction>}
+ */
+const ReactionSchema = new mongoose.Schema(
+    {
+        goalId: {
+            type: mongoose.Schema.Types.ObjectId,
+            required: [true, 'Goal ID is required.'],
+            ref: 'Goal',
+        },
+        entryId: {
+            type: mongoose.Schema.Types.ObjectId,
+            default: null,
+        },
+        goalOwnerId: {
+            type: mongoose.Schema.Types.ObjectId,
+            required: [true, 'Goal owner ID is required.'],
+            ref: 'User',
+            index: true,
+        },
+        userId: {
+            type: mongoose.Schema.Types.ObjectId,
+            required: [true, 'User ID is required.'],
+            ref: 'User',
+            index: true,
+        },
+        emoji: {
+            type: String,
+            required: [true, 'Emoji is required.'],
+            enum: {
+                values: REACTION_EMOJIS,
+                message: '`{VALUE}` is not a supported reaction.',
+            },
+        },
+    },
+    {
+        timestamps: true,
+        toJSON: {
+            virtuals: true,
+            transform: function (_doc, ret) {
+                delete ret.__v;
+                return ret;
+            }
+        }
+    }
+);
+
+ReactionSchema.index({ goalId: 1, entryId: 1, userId: 1, emoji: 1 }, { unique: true });
+
+/**
+ * Mongoose model for the Reaction collection.
+ * @type {mongoose.Model<Reaction>}
+ */
+const Reaction = mongoose.model('Reaction', ReactionSchema);
+
+module.exports = Reaction;
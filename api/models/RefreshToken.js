@@ -0,0 +1,69 @@
+const mongoose = require('mongoose');
+
+/**
+ * @typedef {Object} RefreshToken
+ * @property {mongoose.Schema.Types.ObjectId} userId - The ID of the user the token was issued to, referencing the User model.
+ * @property {string} tokenHash - SHA-256 hash of the opaque refresh token; the raw token is never stored.
+ * @property {string} family - Identifier shared by every token rotated from the same login.
+ * @property {number} tokenVersion - The user's tokenVersion at the time of issue.
+ * @property {Date} expiresAt - The date after which the token can no longer be used.
+ * @property {Date | null} usedAt - The date the token was exchanged for a new one.
+ * @property {Date | null} revokedAt - The date the token was revoked.
+ * @property {Date} createdAt - The date the token was created
+ * @property {Date} updatedAt - The date the token was updated
+ */
+
+
+/**
+ * Mongoose schema for the RefreshToken model.
+ * @type {mongoose.Schema<RefreshToken>}
+ */
+const RefreshTokenSchema = new mongoose.Schema(
+    {
+        userId: {
+            type: mongoose.Schema.Types.ObjectId,
+            required: [true, 'User ID is required.'],
+            ref: 'User',
+            index: true,
+        },
+        tokenHash: {
+            type: String,
+            required: [true, 'Token hash is required.'],
+            unique: true,
+        },
+        family: {
+            type: String,
+            required: [true, 'Token family is required.'],
+            index: true,
+        },
+        tokenVersion: {
+            type: Number,
+            required: [true, 'Token version is required.'],
+        },
+        expiresAt: {
+            type: Date,
+            required: [true, 'Expiration date is required.'],
+            // Expired tokens are removed automatically by MongoDB
+            expires: 0,
+        },
+        usedAt: {
+            type: Date,
+            default: null,
+        },
+        revokedAt: {
+            type: Date,
+            default: null,
+        },
+    },
+    {
+        timestamps: true,
+    }
+);
+
+/**
+ * Mongoose model for the RefreshToken collection.
+ * @type {mongoose.Model<RefreshToken>}
+ */
+const RefreshToken = mongoose.model('RefreshToken', RefreshTokenSchema);
+
+module.exports = RefreshToken;
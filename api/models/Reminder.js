@@ -0,0 +1,126 @@
+const mongoose = require('mongoose');
+const { hasChannel } = require('../utils/notificationChannels');
+const { isValidTimeZone, getNextOccurrence } = require('../utils/reminderSchedule');
+
+/**
+ * @typedef {Object} Reminder
+ * @property {mongoose.Schema.Types.ObjectId} userId - The ID of the reminded user, referencing the User model.
+ * @property {mongoose.Schema.Types.ObjectId} goalId - The goal to check in on, referencing the Goal model.
+ * @property {string} frequency - 'daily' or 'weekly'.
+ * @property {number | null} dayOfWeek - The local weekday of weekly reminders, 0 (Sunday) to 6 (Saturday).
+ * @property {string} time - The local time of day, as 'HH:mm'.
+ * @property {string} timezone - The IANA time zone the time is expressed in (e.g. 'Europe/Paris').
+ * @property {string[]} channels - The delivery channels, see `utils/notificationChannels.js`.
+ * @property {boolean} enabled - Whether the reminder is active.
+ * @property {Date | null} nextRunAt - The next time the reminder is due, maintained on save; null while disabled.
+ * @property {Date | null} lastSentAt - The last time the reminder was sent.
+ * @property {Date} createdAt - The date the reminder was created
+ * @property {Date} updatedAt - The date the reminder was updated
+ */
+
+
+/**
+ * Mongoose schema for the Reminder model.
+ * @type {mongoose.Schema<Reminder>}
+ */
+const ReminderSchema = new mongoose.Schema(
+    {
+        userId: {
+            type: mongoose.Schema.Types.ObjectId,
+            required: [true, 'User ID is required.'],
+            ref: 'User',
+        },
+        goalId: {
+            type: mongoose.Schema.Types.ObjectId,
+            required: [true, 'Goal ID is required.'],
+            ref: 'Goal',
+            index: true,
+        },
+        frequency: {
+            type: String,
+            enum: ['daily', 'weekly'],
+            required: [true, 'Reminder frequency is required.'],
+        },
+        dayOfWeek: {
+            type: Number,
+            min: [0, 'Day of week must be between 0 (Sunday) and 6 (Saturday).'],
+            max: [6, 'Day of week must be between 0 (Sunday) and 6 (Saturday).'],
+            default: null,
+            required: [function () {
+                return this.frequency === 'weekly';
+            }, 'Day of week is required for weekly reminders.'],
+            validate: {
+                validator: (value) => value === null || Number.isInteger(value),
+                message: 'Day of week must be between 0 (Sunday) and 6 (Saturday).',
+            },
+        },
+        time: {
+            type: String,
+            required: [true, 'Reminder time is required.'],
+            match: [/^([01]\d|2[0-3]):[0-5]\d$/, 'Reminder time must be formatted as HH:mm.'],
+        },
+        timezone: {
+            type: String,
+            default: 'UTC',
+            validate: {
+                validator: isValidTimeZone,
+                message: '`{VALUE}` is not a valid time zone.',
+            },
+        },
+        channels: {
+            type: [String],
+            default: () => ['in_app'],
+            validate: {
+                validator: (value) => value.length > 0 && value.every(hasChannel),
+                message: 'Reminder channels must be one or more supported delivery channels.',
+            },
+        },
+        enabled: {
+            type: Boolean,
+            default: true,
+        },
+        nextRunAt: {
+            type: Date,
+            default: null,
+        },
+        lastSentAt: {
+            type: Date,
+            default: null,
+        },
+    },
+    {
+        timestamps: true,
+        toJSON: {
+            virtuals: true,
+            transform: function (_doc, ret) {
+                delete ret.__v;
+                return ret;
+            }
+        }
+    }
+);
+
+// The scheduler looks up due reminders by nextRunAt
+ReminderSchema.index({ enabled: 1, nextRunAt: 1 });
+
+/**
+ * Pre-save middleware that schedules the next run whenever the schedule changes.
+ * It runs after validation, so the schedule fields are known to be valid.
+ */
+ReminderSchema.pre('save', function (next) {
+    if (this.isNew || this.isModified('frequency dayOfWeek time timezone enabled')) {
+        if (this.frequency !== 'weekly') {
+            this.dayOfWeek = null;
+        }
+        this.nextRunAt = this.enabled ? getNextOccurrence(this, new Date()) : null;
+    }
+    next();
+});
+
+/**
+ * Mongoose model for the Reminder collection.
+ * @type {mongoose.Model<Reminder>}
+ */
+const Reminder = mongoose.model('Reminder', ReminderSchema);
+
+module.exports = Reminder;
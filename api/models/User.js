@@ -1,11 +1,22 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcrypt');
+const { isValidTimeZone } = require('../utils/reminderSchedule');
 
 /**
  * @typedef {Object} User
  * @property {string} username - The username of the user.
  * @property {string} email - The email address of the user.
+ * @property {Date | null} emailVerifiedAt - When the user confirmed owning the email address; null while unverified.
  * @property {string} password - The password of the user.
+ * @property {string | null} displayName - The name shown to other users instead of the username, if set.
+ * @property {string | null} avatarUrl - The http(s) URL of the user's profile picture.
+ * @property {string} timezone - The IANA time zone of the user, used as the default of new reminders.
+ * @property {string} unitSystem - The unit system goal values are displayed in: 'metric' or 'imperial'.
+ * @property {number} tokenVersion - Incremented to invalidate every access and refresh token issued to the user.
+ * @property {number} failedLoginAttempts - Consecutive failed logins since the last success or lockout.
+ * @property {Date | null} lastFailedLoginAt - The date of the last failed login.
+ * @property {Date | null} lockedUntil - The date until which logins are refused after too many failures.
+ * @property {Date | null} deletionScheduledFor - When the account and all of its data will be deleted; logging in before then cancels the deletion.
  * @property {string} _id - The unique identifier of the user
  * @property {Date} createdAt - The date the user was created
  * @property {Date} updatedAt - The date the user was updated
@@ -38,11 +49,62 @@ const UserSchema = new mongoose.Schema(
             ],
             index: true,
         },
+        emailVerifiedAt: {
+            type: Date,
+            default: null,
+        },
         password: {
             type: String,
             required: [true, 'Password is required.'],
             minlength: [8, 'Password must be at least 8 characters long.'],
         },
+        displayName: {
+            type: String,
+            trim: true,
+            maxlength: [50, 'Display name cannot exceed 50 characters.'],
+            default: null,
+        },
+        avatarUrl: {
+            type: String,
+            trim: true,
+            maxlength: [2048, 'Avatar URL cannot exceed 2048 characters.'],
+            match: [/^https?:\/\/\S+$/i, 'Avatar URL must be an http or https URL.'],
+            default: null,
+        },
+        timezone: {
+            type: String,
+            default: 'UTC',
+            validate: {
+                validator: isValidTimeZone,
+                message: '`{VALUE}` is not a valid time zone.',
+            },
+        },
+        unitSystem: {
+            type: String,
+            enum: ['metric', 'imperial'],
+            default: 'metric',
+        },
+        tokenVersion: {
+            type: Number,
+            default: 0,
+        },
+        failedLoginAttempts: {
+            type: Number,
+            default: 0,
+        },
+        lastFailedLoginAt: {
+            type: Date,
+            default: null,
+        },
+        lockedUntil: {
+            type: Date,
+            default: null,
+        },
+        deletionScheduledFor: {
+            type: Date,
+            default: null,
+            index: true,
+        },
     },
     {
         timestamps: true, // Automatically adds createdAt and updatedAt fields
@@ -86,6 +148,25 @@ UserSchema.methods.comparePassword = async function (password) {
     }
 };
 
+/**
+ * Method to describe the user as returned to the user themselves by the auth and profile endpoints.
+ * @returns {{id: string, username: string, email: string, emailVerified: boolean, displayName: string | null,
+ *   avatarUrl: string | null, timezone: string, unitSystem: string, deletionScheduledFor: Date | null}}
+ */
+UserSchema.methods.toProfile = function () {
+    return {
+        id: this.id,
+        username: this.username,
+        email: this.email,
+        emailVerified: Boolean(this.emailVerifiedAt),
+        displayName: this.displayName,
+        avatarUrl: this.avatarUrl,
+        timezone: this.timezone,
+        unitSystem: this.unitSystem,
+        deletionScheduledFor: this.deletionScheduledFor,
+    };
+};
+
 /**
  * Mongoose model for the User collection.
  * @type {mongoose.Model<User>}
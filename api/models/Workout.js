@@ -0,0 +1,116 @@
+const mongoose = require('mongoose');
+
+/**
+ * @typedef {Object} WorkoutSet
+ * @property {number} reps - The number of repetitions performed.
+ * @property {number} weight - The weight lifted, in kilograms (the base mass unit, see `utils/units.js`).
+ * @property {number} durationSeconds - The duration of the set, for timed exercises.
+ * @property {number} rpe - Rate of perceived exertion, from 1 to 10.
+ */
+
+/**
+ * @typedef {Object} WorkoutExercise
+ * @property {mongoose.Schema.Types.ObjectId} exerciseId - The ID of the exercise performed, referencing the Exercise model.
+ * @property {WorkoutSet[]} sets - The sets performed.
+ */
+
+/**
+ * @typedef {Object} Workout
+ * @property {mongoose.Schema.Types.ObjectId} userId - The ID of the user who trained, referencing the User model.
+ * @property {string} name - An optional name for the session (e.g., 'Push day').
+ * @property {Date} date - The date of the session.
+ * @property {number} durationMinutes - The total duration of the session in minutes.
+ * @property {string} notes - Optional notes about the session.
+ * @property {WorkoutExercise[]} exercises - The exercises performed during the session.
+ * @property {Date} createdAt - The date the workout was created
+ * @property {Date} updatedAt - The date the workout was updated
+ */
+
+
+/**
+ * Mongoose schema for the Workout model.
+ * @type {mongoose.Schema<Workout>}
+ */
+const WorkoutSchema = new mongoose.Schema(
+    {
+        userId: {
+            type: mongoose.Schema.Types.ObjectId,
+            required: [true, 'User ID is required.'],
+            ref: 'User',
+            index: true,
+        },
+        name: {
+            type: String,
+            trim: true,
+            maxlength: [50, 'Workout name cannot exceed 50 characters.'],
+            default: null,
+        },
+        date: {
+            type: Date,
+            required: [true, 'Workout date is required.'],
+        },
+        durationMinutes: {
+            type: Number,
+            min: [0, 'Duration cannot be negative.'],
+            default: null,
+        },
+        notes: {
+            type: String,
+            trim: true,
+            maxlength: [500, 'Workout notes cannot exceed 500 characters.'],
+            default: null,
+        },
+        exercises: [{
+            exerciseId: {
+                type: mongoose.Schema.Types.ObjectId,
+                required: [true, 'Exercise ID is required.'],
+                ref: 'Exercise',
+            },
+            sets: [{
+                reps: {
+                    type: Number,
+                    min: [0, 'Reps cannot be negative.'],
+                    default: null,
+                },
+                weight: {
+                    type: Number,
+                    min: [0, 'Weight cannot be negative.'],
+                    default: null,
+                },
+                durationSeconds: {
+                    type: Number,
+                    min: [0, 'Set duration cannot be negative.'],
+                    default: null,
+                },
+                rpe: {
+                    type: Number,
+                    min: [1, 'RPE must be between 1 and 10.'],
+                    max: [10, 'RPE must be between 1 and 10.'],
+                    default: null,
+                },
+                _id: false
+            }],
+            _id: false
+        }],
+    },
+    {
+        timestamps: true,
+        toJSON: {
+            virtuals: true,
+            transform: function (_doc, ret) {
+                delete ret.__v;
+                return ret;
+            }
+        }
+    }
+);
+
+WorkoutSchema.index({ userId: 1, date: -1 });
+
+/**
+ * Mongoose model for the Workout collection.
+ * @type {mongoose.Model<Workout>}
+ */
+const Workout = mongoose.model('Workout', WorkoutSchema);
+
+module.exports = Workout;
@@ -2,28 +2,412 @@ const express = require('express');
 const router = express.Router();
 const authController = require('../controllers/authController');
 const goalController = require('../controllers/goalController');
+const progressController = require('../controllers/progressController');
+const shareController = require('../controllers/shareController');
+const commentController = require('../controllers/commentController');
+const friendController = require('../controllers/friendController');
+const feedController = require('../controllers/feedController');
+const userController = require('../controllers/userController');
+const exerciseController = require('../controllers/exerciseController');
+const workoutController = require('../controllers/workoutController');
+const metricController = require('../controllers/metricController');
+const challengeController = require('../controllers/challengeController');
+const transferController = require('../controllers/transferController');
+const unitController = require('../controllers/unitController');
+const goalTemplateController = require('../controllers/goalTemplateController');
+const reminderController = require('../controllers/reminderController');
+const notificationController = require('../controllers/notificationController');
+const eventController = require('../controllers/eventController');
 const authMiddleware = require('../middlewares/authMiddleware');
+const { validate } = require('../middlewares/validate');
+const { rateLimit } = require('../middlewares/rateLimit');
+const { idempotency } = require('../middlewares/idempotency');
+const { errorHandler } = require('../middlewares/errorHandler');
+const schemas = require('./schemas');
+
+const FIFTEEN_MINUTES = 15 * 60 * 1000;
+const ONE_HOUR = 60 * 60 * 1000;
+
+// Login attempts are limited per client IP and per targeted account, so that neither spreading guesses
+// over many accounts nor over many IPs goes unthrottled
+const loginIpLimit = rateLimit({
+    name: 'login-ip',
+    windowMs: FIFTEEN_MINUTES,
+    max: 50,
+    key: (req) => req.ip,
+    message: 'Too many login attempts from this network',
+});
+const loginAccountLimit = rateLimit({
+    name: 'login-account',
+    windowMs: FIFTEEN_MINUTES,
+    max: 20,
+    key: (req) => req.body.username.trim().toLowerCase(),
+    message: 'Too many login attempts for this account',
+});
+const signupIpLimit = rateLimit({
+    name: 'signup-ip',
+    windowMs: ONE_HOUR,
+    max: 10,
+    key: (req) => req.ip,
+    message: 'Too many accounts created from this network',
+});
+// Reset and verification emails are limited so that they cannot be used to flood a mailbox
+const forgotPasswordIpLimit = rateLimit({
+    name: 'forgot-password-ip',
+    windowMs: ONE_HOUR,
+    max: 10,
+    key: (req) => req.ip,
+    message: 'Too many password reset requests from this network',
+});
+const forgotPasswordEmailLimit = rateLimit({
+    name: 'forgot-password-email',
+    windowMs: ONE_HOUR,
+    max: 3,
+    key: (req) => req.body.email.trim().toLowerCase(),
+    message: 'Too many password reset requests for this email address',
+});
+// Checking the current password must not become a way to guess it with a stolen session
+const passwordCheckLimit = rateLimit({
+    name: 'password-check',
+    windowMs: FIFTEEN_MINUTES,
+    max: 10,
+    key: (req) => req.user.id,
+    message: 'Too many password attempts',
+});
+const resendVerificationLimit = rateLimit({
+    name: 'resend-verification',
+    windowMs: ONE_HOUR,
+    max: 5,
+    key: (req) => req.user.id,
+    message: 'Too many verification emails requested',
+});
+// Join codes are short, so guessing them is throttled per account
+const joinCodeLimit = rateLimit({
+    name: 'join-code',
+    windowMs: FIFTEEN_MINUTES,
+    max: 20,
+    key: (req) => req.user.id,
+    message: 'Too many attempts to join a challenge',
+});
+const commentLimit = rateLimit({
+    name: 'comment',
+    windowMs: FIFTEEN_MINUTES,
+    max: 30,
+    key: (req) => req.user.id,
+    message: 'Too many comments posted',
+});
+// Clients reconnect to the event stream whenever it drops, which must not turn into a request loop
+const eventStreamLimit = rateLimit({
+    name: 'event-stream',
+    windowMs: FIFTEEN_MINUTES,
+    max: 60,
+    key: (req) => req.user.id,
+    message: 'Too many event stream connections',
+});
 
 // Route for user signup
-router.post('/auth/signup', authController.signup);
+router.post('/auth/signup', signupIpLimit, validate(schemas.signup), authController.signup);
 
 // Route for user login
-router.post('/auth/login', authController.login);
+router.post('/auth/login', loginIpLimit, validate(schemas.login), loginAccountLimit, authController.login);
+
+// Route to get the authenticated user's session profile
+router.get('/auth/me', authMiddleware.verifyToken, authController.me);
+
+// Route to exchange a refresh token for a new token pair
+router.post('/auth/refresh', validate(schemas.refresh), authController.refresh);
+
+// Route to log out the current session by revoking its refresh token family
+router.post('/auth/logout', validate(schemas.logout), authController.logout);
+
+// Route to log the authenticated user out of every device
+router.post('/auth/logout-all', authMiddleware.verifyToken, authController.logoutAll);
+
+// Route to email a password reset link
+router.post('/auth/forgot-password', forgotPasswordIpLimit, validate(schemas.forgotPassword), forgotPasswordEmailLimit, authController.forgotPassword);
+
+// Route to choose a new password with a reset token
+router.post('/auth/reset-password', validate(schemas.resetPassword), authController.resetPassword);
+
+// Route to confirm an email address with a verification token
+router.post('/auth/verify-email', validate(schemas.verifyEmail), authController.verifyEmail);
+
+// Route to send the authenticated user a new email verification link
+router.post('/auth/resend-verification', authMiddleware.verifyToken, resendVerificationLimit, authController.resendVerification);
+
+// Route to list the supported units of measure (no authentication required)
+router.get('/units', unitController.getUnits);
+
+// Route to list the goal templates of the goal-creation wizard (no authentication required)
+router.get('/goal-templates', goalTemplateController.getGoalTemplates);
+
+// Route to view a shared goal through its share token (no authentication required)
+router.get('/shared/:token', validate(schemas.sharedGoal), shareController.getSharedGoal);
 
 
 // Apply authMiddleware to all routes under /goals
 router.use('/goals', authMiddleware.verifyToken);
 
+// Make writes under /goals safe to retry with an Idempotency-Key header
+router.use('/goals', idempotency);
+
 // Route to get all goals for the authenticated user
-router.get('/goals', goalController.getAllGoals);
+router.get('/goals', validate(schemas.listGoals), goalController.getAllGoals);
 
 // Route to create a new goal for the authenticated user
-router.post('/goals', goalController.createGoal);
+router.post('/goals', validate(schemas.createGoal), goalController.createGoal);
+
+// Route to list the deleted goals of the authenticated user that can still be restored
+router.get('/goals/deleted', goalController.getDeletedGoals);
+
+// Route to get a single goal of the authenticated user, with its progress and milestones
+router.get('/goals/:id', validate(schemas.goal), goalController.getGoal);
 
 // Route to update an existing goal for the authenticated user
-router.put('/goals/:id', goalController.updateGoal);
+router.put('/goals/:id', validate(schemas.updateGoal), goalController.updateGoal);
 
 // Route to delete an existing goal for the authenticated user
-router.delete('/goals/:id', goalController.deleteGoal);
+router.delete('/goals/:id', validate(schemas.goal), goalController.deleteGoal);
+
+// Route to restore a deleted goal before its restore window ends
+router.post('/goals/:id/restore', validate(schemas.goal), goalController.restoreGoal);
+
+// Route to pause, resume, complete, abandon, archive or unarchive a goal
+router.put('/goals/:id/status', validate(schemas.updateGoalStatus), goalController.updateGoalStatus);
+
+// Route to get computed progress statistics (completion, trend, projection, pace) for a goal
+router.get('/goals/:id/stats', validate(schemas.goal), goalController.getGoalStats);
+
+// Route to list progress entries of a goal, optionally filtered by ?from=&to= dates
+router.get('/goals/:id/progress', validate(schemas.listProgress), progressController.getProgress);
+
+// Route to record a new progress entry on a goal
+router.post('/goals/:id/progress', validate(schemas.addProgress), progressController.addProgress);
+
+// Route to correct an existing progress entry on a goal
+router.put('/goals/:id/progress/:entryId', validate(schemas.updateProgress), progressController.updateProgress);
+
+// Route to delete a progress entry from a goal
+router.delete('/goals/:id/progress/:entryId', validate(schemas.progressEntry), progressController.deleteProgress);
+
+
+// Route to list the share links of a goal
+router.get('/goals/:id/shares', validate(schemas.goal), shareController.getShares);
+
+// Route to create a share link for a goal
+router.post('/goals/:id/shares', validate(schemas.createShare), shareController.createShare);
+
+// Route to revoke a share link of a goal
+router.delete('/goals/:id/shares/:shareId', validate(schemas.share), shareController.revokeShare);
+
+// Route to list the comments on a goal or one of its progress entries
+router.get('/goals/:id/comments', validate(schemas.listComments), commentController.getComments);
+
+// Route to comment on a goal or one of its progress entries
+router.post('/goals/:id/comments', validate(schemas.createComment), commentLimit, commentController.createComment);
+
+// Route to delete a comment
+router.delete('/goals/:id/comments/:commentId', validate(schemas.comment), commentController.deleteComment);
+
+// Route to summarize the reactions on a goal and its progress entries
+router.get('/goals/:id/reactions', validate(schemas.goal), commentController.getReactions);
+
+// Route to react to a goal or one of its progress entries
+router.post('/goals/:id/reactions', validate(schemas.addReaction), commentController.addReaction);
+
+// Route to remove a reaction
+router.delete('/goals/:id/reactions', validate(schemas.removeReaction), commentController.removeReaction);
+
+// Route to list the reminder schedules of a goal
+router.get('/goals/:id/reminders', validate(schemas.goal), reminderController.getReminders);
+
+// Route to add a daily or weekly reminder schedule to a goal
+router.post('/goals/:id/reminders', validate(schemas.createReminder), reminderController.createReminder);
+
+// Route to update a reminder schedule of a goal
+router.put('/goals/:id/reminders/:reminderId', validate(schemas.updateReminder), reminderController.updateReminder);
+
+// Route to delete a reminder schedule of a goal
+router.delete('/goals/:id/reminders/:reminderId', validate(schemas.reminder), reminderController.deleteReminder);
+
+// Apply authMiddleware to all routes under /friends
+router.use('/friends', authMiddleware.verifyToken);
+
+// Route to list the authenticated user's friends
+router.get('/friends', friendController.getFriends);
+
+// Route to list pending incoming and outgoing friend requests
+router.get('/friends/requests', friendController.getFriendRequests);
+
+// Route to send a friend request by username
+router.post('/friends/requests', validate(schemas.sendFriendRequest), friendController.sendFriendRequest);
+
+// Route to accept an incoming friend request
+router.post('/friends/requests/:id/accept', validate(schemas.friendRequest), friendController.acceptFriendRequest);
+
+// Route to decline an incoming or cancel an outgoing friend request
+router.delete('/friends/requests/:id', validate(schemas.friendRequest), friendController.deleteFriendRequest);
+
+// Route to remove a friend
+router.delete('/friends/:userId', validate(schemas.friend), friendController.removeFriend);
+
+// Route to block a user
+router.post('/friends/:userId/block', validate(schemas.friend), friendController.blockUser);
+
+// Route to unblock a user
+router.delete('/friends/:userId/block', validate(schemas.friend), friendController.unblockUser);
+
+// Route to get the activity feed of the authenticated user's friends
+router.get('/feed', authMiddleware.verifyToken, validate(schemas.feed), feedController.getFeed);
+
+// Apply authMiddleware to all routes under /exercises
+router.use('/exercises', authMiddleware.verifyToken);
+
+// Make writes under /exercises safe to retry with an Idempotency-Key header
+router.use('/exercises', idempotency);
+
+// Route to list the authenticated user's exercises
+router.get('/exercises', exerciseController.getExercises);
+
+// Route to define a new exercise
+router.post('/exercises', validate(schemas.createExercise), exerciseController.createExercise);
+
+// Route to update an exercise
+router.put('/exercises/:id', validate(schemas.updateExercise), exerciseController.updateExercise);
+
+// Route to delete an exercise that is not used by any workout
+router.delete('/exercises/:id', validate(schemas.exercise), exerciseController.deleteExercise);
+
+// Apply authMiddleware to all routes under /workouts
+router.use('/workouts', authMiddleware.verifyToken);
+
+// Make writes under /workouts safe to retry with an Idempotency-Key header
+router.use('/workouts', idempotency);
+
+// Route to list the authenticated user's workouts
+router.get('/workouts', validate(schemas.listWorkouts), workoutController.getWorkouts);
+
+// Route to get a single workout
+router.get('/workouts/:id', validate(schemas.workout), workoutController.getWorkout);
+
+// Route to log a new workout
+router.post('/workouts', validate(schemas.createWorkout), workoutController.createWorkout);
+
+// Route to update a workout
+router.put('/workouts/:id', validate(schemas.updateWorkout), workoutController.updateWorkout);
+
+// Route to delete a workout
+router.delete('/workouts/:id', validate(schemas.workout), workoutController.deleteWorkout);
+
+// Apply authMiddleware to all routes under /metrics
+router.use('/metrics', authMiddleware.verifyToken);
+
+// Make writes under /metrics safe to retry with an Idempotency-Key header
+router.use('/metrics', idempotency);
+
+// Route to list the body metrics that can be logged, with their display units
+router.get('/metrics/types', metricController.getMetricTypes);
+
+// Route to summarize the authenticated user's measurements with deltas and rolling averages
+router.get('/metrics/summary', validate(schemas.metricSummary), metricController.getMetricSummary);
+
+// Route to list the authenticated user's measurements, optionally of one metric
+router.get('/metrics', validate(schemas.listMetrics), metricController.getMetrics);
+
+// Route to log several measurements at once
+router.post('/metrics', validate(schemas.createMetrics), metricController.createMetrics);
+
+// Route to correct a measurement
+router.put('/metrics/:id', validate(schemas.updateMetric), metricController.updateMetric);
+
+// Route to delete a measurement
+router.delete('/metrics/:id', validate(schemas.metric), metricController.deleteMetric);
+
+// Apply authMiddleware to all routes under /challenges
+router.use('/challenges', authMiddleware.verifyToken);
+
+// Make writes under /challenges safe to retry with an Idempotency-Key header
+router.use('/challenges', idempotency);
+
+// Route to list the challenges the authenticated user runs, joined or was invited to
+router.get('/challenges', challengeController.getChallenges);
+
+// Route to start a new challenge
+router.post('/challenges', validate(schemas.createChallenge), challengeController.createChallenge);
+
+// Route to join a challenge with its join code
+router.post('/challenges/join', validate(schemas.joinChallenge), joinCodeLimit, challengeController.joinChallenge);
+
+// Route to get a challenge with its members
+router.get('/challenges/:id', validate(schemas.challenge), challengeController.getChallenge);
+
+// Route to update a challenge
+router.put('/challenges/:id', validate(schemas.updateChallenge), challengeController.updateChallenge);
+
+// Route to delete a challenge
+router.delete('/challenges/:id', validate(schemas.challenge), challengeController.deleteChallenge);
+
+// Route to replace the join code of a challenge
+router.post('/challenges/:id/join-code', validate(schemas.challenge), challengeController.regenerateJoinCode);
+
+// Route to get the leaderboard of a challenge
+router.get('/challenges/:id/leaderboard', validate(schemas.challenge), challengeController.getLeaderboard);
+
+// Route to invite a user to a challenge
+router.post('/challenges/:id/members', validate(schemas.inviteChallengeMember), challengeController.inviteMember);
+
+// Route to accept an invitation or choose the goal that counts for a challenge
+router.put('/challenges/:id/membership', validate(schemas.updateMembership), challengeController.updateMembership);
+
+// Route to leave a challenge or decline an invitation
+router.delete('/challenges/:id/membership', validate(schemas.challenge), challengeController.leaveChallenge);
+
+// Route to remove a member from a challenge
+router.delete('/challenges/:id/members/:userId', validate(schemas.challengeMember), challengeController.removeMember);
+
+// Route to export the authenticated user's goals and progress as CSV or JSON
+router.get('/export', authMiddleware.verifyToken, validate(schemas.exportData), transferController.exportData);
+
+// Route to import goals and progress from CSV or JSON, optionally as a dry run
+router.post('/import', authMiddleware.verifyToken, validate(schemas.importData), transferController.importData);
+
+// Apply authMiddleware to all routes under /notifications
+router.use('/notifications', authMiddleware.verifyToken);
+
+// Route to list the authenticated user's notifications, optionally unread only
+router.get('/notifications', validate(schemas.listNotifications), notificationController.getNotifications);
+
+// Route to mark all notifications as read
+router.post('/notifications/read-all', notificationController.markAllNotificationsRead);
+
+// Route to mark a notification as read or unread
+router.patch('/notifications/:id', validate(schemas.updateNotification), notificationController.updateNotification);
+
+// Route to delete a notification
+router.delete('/notifications/:id', validate(schemas.notification), notificationController.deleteNotification);
+
+// Route to stream the authenticated user's goal, progress, leaderboard and notification events
+router.get('/events', authMiddleware.verifyToken, eventStreamLimit, eventController.streamEvents);
+
+// Apply authMiddleware to all routes under /users
+router.use('/users', authMiddleware.verifyToken);
+
+// Route to get the authenticated user's profile
+router.get('/users/me', userController.getMe);
+
+// Route to update the authenticated user's profile and preferences, such as the unit system
+router.patch('/users/me', validate(schemas.updateMe), userController.updateMe);
+
+// Route to delete the authenticated user's account after a grace period
+router.delete('/users/me', passwordCheckLimit, validate(schemas.deleteMe), userController.deleteMe);
+
+// Route to change the authenticated user's password
+router.put('/users/me/password', passwordCheckLimit, validate(schemas.changePassword), userController.changePassword);
+
+// Route to list the badges earned by the authenticated user
+router.get('/users/me/achievements', userController.getAchievements);
+
+// Send every error raised by the routes above in the API error envelope
+router.use(errorHandler);
 
 module.exports = router;
\ No newline at end of file
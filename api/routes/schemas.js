@@ -0,0 +1,421 @@
+const Challenge = require('../models/Challenge');
+const Exercise = require('../models/Exercise');
+const Goal = require('../models/Goal');
+const Reminder = require('../models/Reminder');
+const User = require('../models/User');
+const { METRIC_TYPE_CODES } = require('../utils/bodyMetrics');
+const { REACTION_EMOJIS } = require('../utils/commentText');
+const { VISIBILITY_LEVELS } = require('../utils/goalVisibility');
+const { RECURRENCE_FREQUENCIES, RECURRENCE_AGGREGATIONS } = require('../utils/recurrence');
+
+/*
+ * Request schemas of the routes in apiRoutes.js, checked by `middlewares/validate.js`.
+ * They describe the shape of each request (types, required fields, accepted options and
+ * route parameter formats); the rules of the data itself, such as lengths or date ranges,
+ * stay in the Mongoose models and are reported in the same error format.
+ */
+
+// Lifecycle statuses stored on goals, plus 'expired' which is derived from their dates
+const GOAL_STATUSES = [...Goal.schema.path('status').enumValues, 'expired'];
+const GOAL_SORT_FIELDS = ['name', 'type', 'startDate', 'endDate', 'targetValue', 'createdAt', 'updatedAt'];
+const TRANSFER_FORMATS = ['csv', 'json'];
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+const MAX_MEASUREMENTS_PER_REQUEST = 10;
+// Feed cursors are an item date and key, see `controllers/feedController.js`
+const FEED_CURSOR_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}\.\d{3}Z_[0-9a-f]{24}(:created|:completed)?$/;
+
+const USERNAME_MESSAGE = 'Username is required and must be at least 3 characters long';
+const PASSWORD_MESSAGE = 'Password is required and must be at least 8 characters long';
+
+/**
+ * Builds the rules of route parameters holding ObjectIds.
+ * @param {...string} names - The parameter names.
+ * @returns {Object<string, Object>}
+ */
+const objectIds = (...names) => Object.fromEntries(names.map((name) => [name, { type: 'objectId', required: true }]));
+
+/**
+ * Builds the rules of the page-based pagination query parameters.
+ * @param {number} [maxLimit=MAX_PAGE_SIZE]
+ * @returns {Object<string, Object>}
+ */
+const pagination = (maxLimit = MAX_PAGE_SIZE) => ({
+    page: { type: 'integer', min: 1, default: 1 },
+    limit: { type: 'integer', min: 1, max: maxLimit, default: DEFAULT_PAGE_SIZE },
+});
+
+/**
+ * Builds the rules of a challenge request body.
+ * @param {boolean} creating - Whether the challenge is being created, which makes its core fields required.
+ * @returns {Object<string, Object>}
+ */
+const challengeBody = (creating) => ({
+    name: { type: 'string', required: creating },
+    description: { type: 'string', nullable: true },
+    rule: { type: 'string', required: creating, enum: Challenge.schema.path('rule').enumValues },
+    unit: { type: 'string', required: creating },
+    startDate: { type: 'date', required: creating },
+    endDate: { type: 'date', required: creating },
+});
+
+/**
+ * Builds the rules of a goal request body.
+ * @param {boolean} creating - Whether the goal is being created, which makes its core fields required.
+ * @returns {Object<string, Object>}
+ */
+const goalBody = (creating) => ({
+    name: { type: 'string', required: creating },
+    description: { type: 'string', nullable: true },
+    type: { type: 'string', required: creating, enum: Goal.schema.path('type').enumValues },
+    startDate: { type: 'date', required: creating },
+    endDate: { type: 'date', required: creating },
+    targetValue: { type: 'number', required: creating },
+    unit: { type: 'string', required: creating },
+    friendVisibility: { type: 'string', enum: Goal.schema.path('friendVisibility').enumValues },
+    milestones: { type: 'array', items: { type: 'object' } },
+    workoutLink: {
+        type: 'object',
+        nullable: true,
+        fields: {
+            exerciseId: { type: 'objectId', required: true },
+            metric: { type: 'string', required: true },
+        },
+    },
+    metricLink: {
+        type: 'object',
+        nullable: true,
+        fields: {
+            metric: { type: 'string', required: true, enum: METRIC_TYPE_CODES },
+        },
+    },
+    kind: { type: 'string', enum: Goal.schema.path('kind').enumValues },
+    recurrence: {
+        type: 'object',
+        nullable: true,
+        fields: {
+            frequency: { type: 'string', required: true, enum: RECURRENCE_FREQUENCIES },
+            aggregation: { type: 'string', enum: RECURRENCE_AGGREGATIONS },
+            gracePeriods: { type: 'integer' },
+        },
+    },
+});
+
+/**
+ * Builds the rules of a reminder request body.
+ * @param {boolean} creating - Whether the reminder is being created, which makes its schedule required.
+ * @returns {Object<string, Object>}
+ */
+const reminderBody = (creating) => ({
+    frequency: { type: 'string', required: creating, enum: Reminder.schema.path('frequency').enumValues },
+    dayOfWeek: { type: 'integer', nullable: true },
+    time: { type: 'string', required: creating },
+    timezone: { type: 'string' },
+    channels: { type: 'array', items: { type: 'string' } },
+    enabled: { type: 'boolean' },
+});
+
+/**
+ * Builds the rules of a workout request body.
+ * @param {boolean} creating - Whether the workout is being logged, which makes its date required.
+ * @returns {Object<string, Object>}
+ */
+const workoutBody = (creating) => ({
+    name: { type: 'string', nullable: true },
+    date: { type: 'date', required: creating },
+    durationMinutes: { type: 'number', nullable: true },
+    notes: { type: 'string', nullable: true },
+    exercises: {
+        type: 'array',
+        items: {
+            type: 'object',
+            fields: {
+                exerciseId: { type: 'objectId', required: true },
+                sets: { type: 'array', items: { type: 'object' } },
+            },
+        },
+    },
+});
+
+/**
+ * Builds the rules of an exercise request body.
+ * @param {boolean} creating - Whether the exercise is being defined, which makes its name required.
+ * @returns {Object<string, Object>}
+ */
+const exerciseBody = (creating) => ({
+    name: { type: 'string', required: creating },
+    category: { type: 'string', enum: Exercise.schema.path('category').enumValues },
+    muscleGroup: { type: 'string', nullable: true },
+});
+
+const EMAIL_RULE = {
+    type: 'string',
+    required: true,
+    pattern: /^\s*[^@\s]+@[^@\s]+\.[^@\s]+\s*$/,
+    message: 'Email is required and must be a valid email address',
+};
+
+const refreshTokenBody = {
+    refreshToken: { type: 'string', required: true, min: 1, message: 'Refresh token is required' },
+};
+
+module.exports = {
+    signup: {
+        body: {
+            username: { type: 'string', required: true, min: 3, message: USERNAME_MESSAGE },
+            email: EMAIL_RULE,
+            password: { type: 'string', required: true, min: 8, message: PASSWORD_MESSAGE },
+        },
+    },
+    login: {
+        body: {
+            username: { type: 'string', required: true, min: 3, message: USERNAME_MESSAGE },
+            password: { type: 'string', required: true, min: 8, message: PASSWORD_MESSAGE },
+        },
+    },
+    refresh: { body: refreshTokenBody },
+    logout: { body: refreshTokenBody },
+    forgotPassword: { body: { email: EMAIL_RULE } },
+    resetPassword: {
+        body: {
+            token: { type: 'string', required: true, min: 1, message: 'Reset token is required' },
+            password: { type: 'string', required: true, min: 8, message: PASSWORD_MESSAGE },
+        },
+    },
+    verifyEmail: {
+        body: { token: { type: 'string', required: true, min: 1, message: 'Verification token is required' } },
+    },
+    sharedGoal: {
+        params: { token: { type: 'string', required: true } },
+    },
+    listGoals: {
+        query: {
+            ...pagination(),
+            type: { type: 'string', enum: Goal.schema.path('type').enumValues },
+            status: { type: 'string', enum: GOAL_STATUSES },
+            search: { type: 'string' },
+            from: { type: 'date' },
+            to: { type: 'date' },
+            sort: {
+                type: 'string',
+                default: '-createdAt',
+                enum: GOAL_SORT_FIELDS.flatMap((field) => [field, `-${field}`]),
+                message: `Query parameter "sort" must be one of: ${GOAL_SORT_FIELDS.join(', ')} (prefix with "-" for descending)`,
+            },
+            includeProgress: { type: 'boolean', default: true },
+        },
+    },
+    createGoal: { body: goalBody(true) },
+    updateGoal: {
+        params: objectIds('id'),
+        body: { ...goalBody(false), expectedUpdatedAt: { type: 'date' } },
+    },
+    goal: { params: objectIds('id') },
+    updateGoalStatus: {
+        params: objectIds('id'),
+        body: {
+            status: { type: 'string', required: true, enum: Goal.schema.path('status').enumValues },
+            expectedUpdatedAt: { type: 'date' },
+        },
+    },
+    listProgress: {
+        params: objectIds('id'),
+        query: { from: { type: 'date' }, to: { type: 'date' } },
+    },
+    addProgress: {
+        params: objectIds('id'),
+        body: {
+            value: { type: 'number', required: true },
+            date: { type: 'date' },
+            unit: { type: 'string' },
+        },
+    },
+    updateProgress: {
+        params: objectIds('id', 'entryId'),
+        body: {
+            value: { type: 'number' },
+            date: { type: 'date' },
+            unit: { type: 'string' },
+        },
+    },
+    progressEntry: { params: objectIds('id', 'entryId') },
+    createShare: {
+        params: objectIds('id'),
+        body: {
+            visibility: { type: 'string', enum: VISIBILITY_LEVELS, default: 'percent' },
+            expiresAt: { type: 'date', nullable: true },
+        },
+    },
+    share: { params: objectIds('id', 'shareId') },
+    listComments: {
+        params: objectIds('id'),
+        query: {
+            entryId: { type: 'objectId' },
+            before: { type: 'date' },
+            limit: { type: 'integer', min: 1, max: MAX_PAGE_SIZE, default: DEFAULT_PAGE_SIZE },
+        },
+    },
+    createComment: {
+        params: objectIds('id'),
+        body: {
+            text: { type: 'string', required: true, min: 1, message: 'Comment text is required' },
+            entryId: { type: 'objectId', nullable: true },
+        },
+    },
+    comment: { params: objectIds('id', 'commentId') },
+    addReaction: {
+        params: objectIds('id'),
+        body: {
+            emoji: { type: 'string', required: true, enum: REACTION_EMOJIS },
+            entryId: { type: 'objectId', nullable: true },
+        },
+    },
+    removeReaction: {
+        params: objectIds('id'),
+        query: {
+            emoji: { type: 'string', required: true, enum: REACTION_EMOJIS },
+            entryId: { type: 'objectId' },
+        },
+    },
+    createReminder: { params: objectIds('id'), body: reminderBody(true) },
+    updateReminder: { params: objectIds('id', 'reminderId'), body: reminderBody(false) },
+    reminder: { params: objectIds('id', 'reminderId') },
+    sendFriendRequest: {
+        body: { username: { type: 'string', required: true, min: 1, message: 'Username is required' } },
+    },
+    friendRequest: { params: objectIds('id') },
+    friend: { params: objectIds('userId') },
+    feed: {
+        query: {
+            before: { type: 'string', pattern: FEED_CURSOR_PATTERN, message: 'Query parameter "before" must be a cursor returned by the feed' },
+            limit: { type: 'integer', min: 1, max: MAX_PAGE_SIZE, default: DEFAULT_PAGE_SIZE },
+        },
+    },
+    createExercise: { body: exerciseBody(true) },
+    updateExercise: { params: objectIds('id'), body: exerciseBody(false) },
+    exercise: { params: objectIds('id') },
+    listWorkouts: {
+        query: {
+            ...pagination(),
+            from: { type: 'date' },
+            to: { type: 'date' },
+        },
+    },
+    createWorkout: { body: workoutBody(true) },
+    updateWorkout: { params: objectIds('id'), body: workoutBody(false) },
+    workout: { params: objectIds('id') },
+    listMetrics: {
+        query: {
+            ...pagination(),
+            type: { type: 'string', enum: METRIC_TYPE_CODES },
+            from: { type: 'date' },
+            to: { type: 'date' },
+        },
+    },
+    metricSummary: {
+        query: {
+            type: { type: 'string', enum: METRIC_TYPE_CODES },
+            from: { type: 'date' },
+            to: { type: 'date' },
+            window: { type: 'integer', min: 1, max: 90, default: 7 },
+        },
+    },
+    createMetrics: {
+        body: {
+            measurements: {
+                type: 'array',
+                required: true,
+                min: 1,
+                max: MAX_MEASUREMENTS_PER_REQUEST,
+                items: {
+                    type: 'object',
+                    fields: {
+                        type: { type: 'string', required: true, enum: METRIC_TYPE_CODES },
+                        value: { type: 'number', required: true },
+                        unit: { type: 'string' },
+                        date: { type: 'date' },
+                        note: { type: 'string', nullable: true },
+                    },
+                },
+            },
+        },
+    },
+    updateMetric: {
+        params: objectIds('id'),
+        body: {
+            value: { type: 'number' },
+            unit: { type: 'string' },
+            date: { type: 'date' },
+            note: { type: 'string', nullable: true },
+        },
+    },
+    metric: { params: objectIds('id') },
+    createChallenge: { body: challengeBody(true) },
+    updateChallenge: { params: objectIds('id'), body: challengeBody(false) },
+    challenge: { params: objectIds('id') },
+    joinChallenge: {
+        body: {
+            code: { type: 'string', required: true, min: 1, message: 'Join code is required' },
+            goalId: { type: 'objectId' },
+        },
+    },
+    inviteChallengeMember: {
+        params: objectIds('id'),
+        body: { username: { type: 'string', required: true, min: 1, message: 'Username is required' } },
+    },
+    updateMembership: {
+        params: objectIds('id'),
+        body: { goalId: { type: 'objectId', required: true } },
+    },
+    challengeMember: { params: objectIds('id', 'userId') },
+    exportData: {
+        query: { format: { type: 'string', enum: TRANSFER_FORMATS, default: 'json' } },
+    },
+    importData: {
+        query: { dryRun: { type: 'boolean', default: false } },
+        body: {
+            format: { type: 'string', enum: TRANSFER_FORMATS, default: 'json' },
+            data: { type: 'any', required: true, message: 'Import data is required' },
+            dryRun: { type: 'boolean', default: false },
+        },
+    },
+    listNotifications: {
+        query: {
+            ...pagination(),
+            unread: { type: 'boolean', default: false },
+        },
+    },
+    updateNotification: {
+        params: objectIds('id'),
+        body: { read: { type: 'boolean', required: true, message: '"read" must be a boolean' } },
+    },
+    notification: { params: objectIds('id') },
+    updateMe: {
+        body: {
+            username: { type: 'string' },
+            email: {
+                type: 'string',
+                pattern: EMAIL_RULE.pattern,
+                message: '"email" must be a valid email address',
+            },
+            displayName: { type: 'string', nullable: true },
+            avatarUrl: { type: 'string', nullable: true },
+            timezone: { type: 'string' },
+            unitSystem: { type: 'string', enum: User.schema.path('unitSystem').enumValues },
+        },
+    },
+    changePassword: {
+        body: {
+            currentPassword: { type: 'string', required: true, min: 1, message: 'Current password is required' },
+            newPassword: {
+                type: 'string',
+                required: true,
+                min: 8,
+                message: 'New password is required and must be at least 8 characters long',
+            },
+        },
+    },
+    deleteMe: {
+        body: { password: { type: 'string', required: true, min: 1, message: 'Password is required to delete your account' } },
+    },
+};
@@ -0,0 +1,77 @@
+const mongoose = require('mongoose');
+const { connectDB } = require('../config/database');
+const { normalizeUnit, toBaseValue } = require('../utils/units');
+
+const MIGRATION_ID = 'goal-units-base-values';
+
+/**
+ * One-off migration for the unit catalog.
+ *
+ * Goals created before the catalog existed have free-form units ("Kg", "kilograms") and values
+ * stored in those units. This script rewrites each goal's unit to its canonical code and converts
+ * the target value, progress values and value milestones into the base unit. Goals whose unit is
+ * not in the catalog are listed and left untouched; fix their unit by hand and convert their values.
+ *
+ * The migration records itself in the `migrations` collection and does nothing when run again.
+ *
+ * Usage: MONGODB_URI=... node api/scripts/migrateGoalUnits.js [--dry-run]
+ *
+ * @param {{dryRun: boolean}} options
+ * @returns {Promise<void>}
+ */
+const migrateGoalUnits = async ({ dryRun }) => {
+    const migrations = mongoose.connection.collection('migrations');
+    if (await migrations.findOne({ _id: MIGRATION_ID })) {
+        console.log(`Migration ${MIGRATION_ID} has already been applied`);
+        return;
+    }
+
+    // The raw collection is used so that schema setters and validation do not interfere
+    const goals = mongoose.connection.collection('goals');
+    const cursor = goals.find({}, { projection: { unit: 1, targetValue: 1, progress: 1, milestones: 1 } });
+
+    let migrated = 0;
+    const unknown = [];
+    for await (const goal of cursor) {
+        const unit = normalizeUnit(goal.unit);
+        if (!unit) {
+            unknown.push({ id: goal._id.toString(), unit: goal.unit });
+            continue;
+        }
+
+        const update = {
+            unit,
+            targetValue: toBaseValue(goal.targetValue, unit),
+            progress: (goal.progress || []).map((entry) => ({ ...entry, value: toBaseValue(entry.value, unit) })),
+            milestones: (goal.milestones || []).map((milestone) => (milestone.kind === 'value'
+                ? { ...milestone, threshold: toBaseValue(milestone.threshold, unit) }
+                : milestone)),
+        };
+        if (!dryRun) {
+            await goals.updateOne({ _id: goal._id }, { $set: update });
+        }
+        migrated++;
+    }
+
+    console.log(`${dryRun ? 'Would migrate' : 'Migrated'} ${migrated} goals`);
+    if (unknown.length > 0) {
+        console.log(`${unknown.length} goals have units outside the catalog and were skipped:`);
+        unknown.forEach((goal) => console.log(`  ${goal.id}: ${JSON.stringify(goal.unit)}`));
+    }
+
+    if (!dryRun) {
+        await migrations.insertOne({ _id: MIGRATION_ID, appliedAt: new Date() });
+    }
+};
+
+if (require.main === module) {
+    connectDB()
+        .then(() => migrateGoalUnits({ dryRun: process.argv.includes('--dry-run') }))
+        .catch((error) => {
+            console.error('Error migrating goal units:', error);
+            process.exitCode = 1;
+        })
+        .finally(() => mongoose.disconnect());
+}
+
+module.exports = { migrateGoalUnits };
@@ -0,0 +1,98 @@
+const { describe, it, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret-that-is-long-enough-for-signing';
+process.env.MAIL_TRANSPORT = 'file';
+
+const bcrypt = require('bcrypt');
+const User = require('../models/User');
+const RefreshToken = require('../models/RefreshToken');
+const AccountToken = require('../models/AccountToken');
+const { signup, login } = require('../controllers/authController');
+
+/**
+ * Calls a controller with a request body and resolves with the response it sent, or the error it
+ * passed to `next()`.
+ */
+const call = (controller, body) => new Promise((resolve) => {
+    const res = {
+        statusCode: 200,
+        status(code) {
+            this.statusCode = code;
+            return this;
+        },
+        json(payload) {
+            resolve({ status: this.statusCode, body: payload });
+            return this;
+        },
+    };
+    controller({ body }, res, (error) => resolve({ error }));
+});
+
+describe('signup and login', () => {
+    // Users saved by the tests, standing in for the users collection
+    let users;
+
+    const matches = (user, query) => Object.entries(query).every(([field, value]) => (field === '$or'
+        ? value.some((alternative) => matches(user, alternative))
+        : user[field] === value));
+
+    before(() => {
+        process.env.MAIL_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'auth-test-mail-'));
+    });
+
+    after(() => {
+        fs.rmSync(process.env.MAIL_DIR, { recursive: true, force: true });
+    });
+
+    beforeEach(() => {
+        users = [];
+        // Saving runs the document middleware, including the password hashing, but writes nothing
+        mock.method(User.prototype, '$__handleSave', function (options, callback) {
+            users.push(this);
+            callback(null, this);
+        });
+        mock.method(User, 'findOne', async (query) => users.find((user) => matches(user, query)) || null);
+        mock.method(User, 'findOneAndUpdate', () => ({ select: async () => ({ failedLoginAttempts: 1 }) }));
+        mock.method(RefreshToken, 'create', async () => ({}));
+        mock.method(AccountToken, 'updateMany', async () => ({}));
+        mock.method(AccountToken, 'create', async () => ({}));
+    });
+
+    afterEach(() => {
+        mock.restoreAll();
+    });
+
+    it('lets a new account log in with the password it signed up with', async () => {
+        const created = await call(signup, { username: 'runner', email: 'runner@example.com', password: 'correct horse' });
+        assert.equal(created.status, 201);
+
+        const [user] = users;
+        assert.equal(await bcrypt.compare('correct horse', user.password), true);
+
+        const loggedIn = await call(login, { username: 'runner', password: 'correct horse' });
+        assert.equal(loggedIn.status, 200);
+        assert.equal(typeof loggedIn.body.token, 'string');
+        assert.equal(typeof loggedIn.body.refreshToken, 'string');
+        assert.equal(loggedIn.body.user.username, 'runner');
+    });
+
+    it('rejects a wrong password', async () => {
+        await call(signup, { username: 'runner', email: 'runner@example.com', password: 'correct horse' });
+
+        const { error } = await call(login, { username: 'runner', password: 'wrong horse' });
+        assert.equal(error.status, 401);
+    });
+
+    it('reports an email address taken with different case as a duplicate email', async () => {
+        await call(signup, { username: 'runner', email: 'runner@example.com', password: 'correct horse' });
+
+        const { error } = await call(signup, { username: 'walker', email: ' Runner@Example.com', password: 'correct horse' });
+        assert.equal(error.status, 409);
+        assert.deepEqual(error.fields.map((field) => field.path), ['email']);
+        assert.equal(users.length, 1);
+    });
+});
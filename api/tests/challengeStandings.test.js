@@ -0,0 +1,77 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Goal = require('../models/Goal');
+const { getChallengeStatus, scoreGoal, rankStandings, localizeStandings } = require('../utils/challengeStandings');
+
+const day = (n) => new Date(Date.UTC(2026, 0, 1 + n));
+
+const challenge = (rule, overrides = {}) => ({ rule, startDate: day(10), endDate: day(20), closedAt: null, ...overrides });
+
+const buildGoal = (progress, overrides = {}) => new Goal({
+    userId: new mongoose.Types.ObjectId(),
+    name: 'Goal',
+    type: 'endurance',
+    unit: 'km',
+    targetValue: 100,
+    startDate: day(0),
+    endDate: day(40),
+    progress: progress.map(([n, value]) => ({ date: day(n), value })),
+    ...overrides,
+});
+
+describe('getChallengeStatus', () => {
+    it('follows the challenge window and closes once frozen', () => {
+        assert.equal(getChallengeStatus(challenge('total'), day(5)), 'upcoming');
+        assert.equal(getChallengeStatus(challenge('total'), day(15)), 'active');
+        assert.equal(getChallengeStatus(challenge('total'), day(20)), 'closed');
+        assert.equal(getChallengeStatus(challenge('total', { closedAt: day(12) }), day(15)), 'closed');
+    });
+});
+
+describe('scoreGoal', () => {
+    const progress = [[5, 10], [12, 20], [15, 30], [25, 40]];
+
+    it('adds up the entries within the window for the total rule', () => {
+        assert.equal(scoreGoal(challenge('total'), buildGoal(progress), day(30)), 50);
+        assert.equal(scoreGoal(challenge('total'), buildGoal(progress), day(13)), 20);
+        assert.equal(scoreGoal(challenge('total'), buildGoal([[5, 10]]), day(30)), null);
+    });
+
+    it('scores the completion percentage at the end of the window for the percent rule', () => {
+        assert.equal(scoreGoal(challenge('percent'), buildGoal(progress), day(30)), 30);
+    });
+
+    it('measures the move toward the target from the last value before the window for the improvement rule', () => {
+        assert.equal(scoreGoal(challenge('improvement'), buildGoal(progress), day(30)), 20);
+        assert.equal(scoreGoal(challenge('improvement'), buildGoal([[12, 20], [15, 30]]), day(30)), 10);
+
+        const weightLoss = buildGoal([[5, 90], [15, 87]], { type: 'weight loss', unit: 'kg', targetValue: 80 });
+        assert.equal(scoreGoal(challenge('improvement'), weightLoss, day(30)), 3);
+    });
+});
+
+describe('rankStandings', () => {
+    it('shares the rank of tied members, skips the next one and leaves unscored members last', () => {
+        const ranked = rankStandings([
+            { username: 'dana', score: null },
+            { username: 'bob', score: 10 },
+            { username: 'cleo', score: 25 },
+            { username: 'alex', score: 10 },
+            { username: 'eve', score: 3 },
+        ]);
+
+        assert.deepEqual(ranked.map((row) => [row.username, row.rank]), [
+            ['cleo', 1], ['alex', 2], ['bob', 2], ['eve', 4], ['dana', null],
+        ]);
+    });
+});
+
+describe('localizeStandings', () => {
+    it('converts scores but not percentages into the display unit', () => {
+        const standings = [{ userId: 'a', username: 'alex', rank: 1, score: 16.09344 }];
+
+        assert.equal(localizeStandings(challenge('total'), standings, 'miles')[0].score, 10);
+        assert.equal(localizeStandings(challenge('percent'), standings, 'miles')[0].score, 16.09344);
+    });
+});
@@ -0,0 +1,30 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { sanitizeCommentText, containsBlockedWord } = require('../utils/commentText');
+
+describe('sanitizeCommentText', () => {
+    it('strips HTML tags and control characters and trims the text', () => {
+        assert.equal(sanitizeCommentText('  <b>Great</b> run!<script>alert(1)</script>\u0007 '), 'Great run!alert(1)');
+    });
+
+    it('keeps line breaks and tabs but collapses runs of blank lines', () => {
+        assert.equal(sanitizeCommentText('Well done\r\n\r\n\r\n\r\nKeep\tgoing'), 'Well done\n\nKeep\tgoing');
+    });
+
+    it('leaves comparisons that are not tags alone', () => {
+        assert.equal(sanitizeCommentText('5 < 7 and 9 > 8'), '5 < 7 and 9 > 8');
+    });
+});
+
+describe('containsBlockedWord', () => {
+    it('finds blocked words whatever their case and with character substitutions', () => {
+        assert.equal(containsBlockedWord('What the SHIT'), true);
+        assert.equal(containsBlockedWord('sh1t happens'), true);
+        assert.equal(containsBlockedWord('you b!tch'), true);
+    });
+
+    it('only matches whole words', () => {
+        assert.equal(containsBlockedWord('Scunthorpe and Dickens'), false);
+        assert.equal(containsBlockedWord('Nice pace, keep it up!'), false);
+    });
+});
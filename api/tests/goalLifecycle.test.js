@@ -0,0 +1,83 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Goal = require('../models/Goal');
+const { DAY_IN_MS } = require('../utils/goalStats');
+const { syncGoalCompletion, changeGoalStatus } = require('../utils/goalLifecycle');
+
+const day = (n) => new Date(Date.UTC(2026, 0, 1 + n));
+
+const buildGoal = (progress, overrides = {}) => new Goal({
+    userId: new mongoose.Types.ObjectId(),
+    name: 'Squat 100 kg',
+    type: 'muscle gain',
+    unit: 'kg',
+    targetValue: 100,
+    startDate: day(0),
+    endDate: day(60),
+    progress: progress.map(([n, value]) => ({ date: day(n), value })),
+    ...overrides,
+});
+
+describe('syncGoalCompletion', () => {
+    it('completes an active goal whose latest entry reaches the target, dated by the completing entry', () => {
+        const goal = buildGoal([[1, 80], [5, 100]]);
+
+        assert.equal(syncGoalCompletion(goal, day(6)), true);
+        assert.equal(goal.status, 'completed');
+        assert.deepEqual(goal.completedAt, day(5));
+    });
+
+    it('judges by the latest entry by date, not the last one added', () => {
+        const goal = buildGoal([[10, 80]]);
+        // A back-dated entry is pushed after the latest one
+        goal.progress.push({ date: day(5), value: 100 });
+
+        assert.equal(syncGoalCompletion(goal, day(11)), false);
+        assert.equal(goal.status, 'active');
+        assert.deepEqual(goal.progress.map((entry) => entry.value), [100, 80]);
+    });
+
+    it('sees an entry whose date was moved into the past as an earlier one', () => {
+        const goal = buildGoal([[3, 100], [10, 80]]);
+        goal.progress[0].date = day(12);
+
+        assert.equal(syncGoalCompletion(goal, day(13)), true);
+        assert.deepEqual(goal.completedAt, day(12));
+    });
+
+    it('leaves goals that are not active alone', () => {
+        const goal = buildGoal([[5, 100]], { status: 'paused' });
+
+        assert.equal(syncGoalCompletion(goal, day(6)), false);
+        assert.equal(goal.status, 'paused');
+    });
+});
+
+describe('changeGoalStatus', () => {
+    it('pushes the end date back by the length of a pause', () => {
+        const goal = buildGoal([[1, 50]]);
+
+        assert.equal(changeGoalStatus(goal, 'paused', day(10)), null);
+        assert.equal(changeGoalStatus(goal, 'active', day(15)), null);
+        assert.equal(goal.status, 'active');
+        assert.equal(goal.endDate.getTime(), day(60).getTime() + 5 * DAY_IN_MS);
+        assert.deepEqual(goal.pauses[0].endedAt, day(15));
+    });
+
+    it('refuses transitions the lifecycle does not allow', () => {
+        const goal = buildGoal([], { status: 'completed' });
+
+        assert.equal(changeGoalStatus(goal, 'paused', day(5)), 'A completed goal cannot be changed to paused');
+        assert.equal(changeGoalStatus(goal, 'completed', day(5)), 'The goal is already completed');
+    });
+
+    it('refuses to reopen a goal whose target is reached, and restores it as completed from the archive', () => {
+        const completed = buildGoal([[5, 100]], { status: 'completed' });
+        assert.match(changeGoalStatus(completed, 'active', day(6)), /raise the target value/);
+
+        const archived = buildGoal([[5, 100]], { status: 'archived' });
+        assert.equal(changeGoalStatus(archived, 'active', day(6)), null);
+        assert.equal(archived.status, 'completed');
+    });
+});
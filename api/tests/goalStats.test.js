@@ -0,0 +1,145 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    DAY_IN_MS,
+    getDirection,
+    calculatePercentComplete,
+    calculateTrend,
+    computeGoalStats,
+    findCompletionEntry,
+    getGoalStatus,
+} = require('../utils/goalStats');
+
+const START = new Date('2026-01-01T00:00:00Z');
+const day = (n) => new Date(START.getTime() + n * DAY_IN_MS);
+
+const buildGoal = (overrides = {}) => ({
+    type: 'muscle gain',
+    kind: 'target',
+    targetValue: 100,
+    unit: 'kg',
+    startDate: START,
+    endDate: day(100),
+    progress: [],
+    pauses: [],
+    ...overrides,
+});
+
+describe('getDirection', () => {
+    it('decreases weight loss goals and increases muscle gain and endurance goals', () => {
+        assert.equal(getDirection(buildGoal({ type: 'weight loss' })), 'decrease');
+        assert.equal(getDirection(buildGoal({ type: 'muscle gain' })), 'increase');
+        assert.equal(getDirection(buildGoal({ type: 'endurance' })), 'increase');
+    });
+
+    it('infers other goals from their first entry against the target', () => {
+        const above = buildGoal({ type: 'other', targetValue: 30, progress: [{ date: day(0), value: 35 }] });
+        const below = buildGoal({ type: 'other', targetValue: 30, progress: [{ date: day(0), value: 20 }] });
+        assert.equal(getDirection(above), 'decrease');
+        assert.equal(getDirection(below), 'increase');
+        assert.equal(getDirection(buildGoal({ type: 'other' })), 'increase');
+    });
+});
+
+describe('calculatePercentComplete', () => {
+    it('measures the share of the way from the start value to the target', () => {
+        assert.equal(calculatePercentComplete('increase', 0, 25, 100), 25);
+        assert.equal(calculatePercentComplete('decrease', 90, 85, 80), 50);
+    });
+
+    it('clamps to 0-100 and reports 0 without a current value', () => {
+        assert.equal(calculatePercentComplete('increase', 0, 150, 100), 100);
+        assert.equal(calculatePercentComplete('decrease', 90, 95, 80), 0);
+        assert.equal(calculatePercentComplete('increase', 0, null, 100), 0);
+    });
+
+    it('reports all or nothing when the start value is already past the target', () => {
+        assert.equal(calculatePercentComplete('decrease', 70, 70, 80), 100);
+        assert.equal(calculatePercentComplete('decrease', 70, 85, 80), 0);
+    });
+});
+
+describe('calculateTrend', () => {
+    it('fits a line through the entries in days since the start date', () => {
+        const trend = calculateTrend([{ date: day(0), value: 10 }, { date: day(10), value: 30 }], START);
+        assert.equal(trend.slopePerDay, 2);
+        assert.equal(trend.intercept, 10);
+    });
+
+    it('needs two distinct dates', () => {
+        assert.equal(calculateTrend([{ date: day(1), value: 10 }], START), null);
+        assert.equal(calculateTrend([{ date: day(1), value: 10 }, { date: day(1), value: 20 }], START), null);
+    });
+});
+
+describe('computeGoalStats', () => {
+    it('reports progress, pace and the projected completion date', () => {
+        const goal = buildGoal({ progress: [{ date: day(0), value: 0 }, { date: day(20), value: 40 }] });
+        const stats = computeGoalStats(goal, day(20));
+
+        assert.equal(stats.direction, 'increase');
+        assert.equal(stats.currentValue, 40);
+        assert.equal(stats.percentComplete, 40);
+        assert.equal(stats.expectedPercent, 20);
+        assert.equal(stats.onPace, true);
+        assert.equal(stats.completed, false);
+        assert.equal(stats.daysElapsed, 20);
+        assert.equal(stats.daysRemaining, 80);
+        assert.equal(stats.entryCount, 2);
+        assert.deepEqual(stats.projectedCompletionDate, day(50));
+    });
+
+    it('measures decreasing goals from their first entry', () => {
+        const goal = buildGoal({
+            type: 'weight loss',
+            targetValue: 80,
+            progress: [{ date: day(0), value: 90 }, { date: day(10), value: 88 }],
+        });
+        const stats = computeGoalStats(goal, day(50));
+
+        assert.equal(stats.startValue, 90);
+        assert.equal(stats.percentComplete, 20);
+        assert.equal(stats.onPace, false);
+    });
+
+    it('completes once the latest entry reaches the target and projects nothing', () => {
+        const goal = buildGoal({ progress: [{ date: day(0), value: 50 }, { date: day(5), value: 100 }] });
+        const stats = computeGoalStats(goal, day(5));
+
+        assert.equal(stats.completed, true);
+        assert.equal(stats.projectedCompletionDate, null);
+    });
+
+    it('projects nothing for a trend moving away from the target', () => {
+        const goal = buildGoal({ progress: [{ date: day(0), value: 50 }, { date: day(5), value: 40 }] });
+        assert.equal(computeGoalStats(goal, day(5)).projectedCompletionDate, null);
+    });
+
+    it('stops the goal clock while the goal is paused', () => {
+        const goal = buildGoal({ pauses: [{ startedAt: day(10), endedAt: null }] });
+        const stats = computeGoalStats(goal, day(30));
+
+        assert.equal(stats.daysElapsed, 10);
+        assert.equal(stats.daysRemaining, 90);
+        assert.equal(stats.expectedPercent, 10);
+    });
+});
+
+describe('findCompletionEntry', () => {
+    it('finds the first entry that reached the target', () => {
+        const goal = buildGoal({
+            progress: [{ date: day(1), value: 60 }, { date: day(2), value: 100 }, { date: day(3), value: 110 }],
+        });
+        assert.deepEqual(findCompletionEntry(goal), { date: day(2), value: 100 });
+        assert.equal(findCompletionEntry(buildGoal({ progress: [{ date: day(1), value: 60 }] })), null);
+    });
+});
+
+describe('getGoalStatus', () => {
+    it('keeps lifecycle statuses and derives completed and expired for active goals', () => {
+        assert.equal(getGoalStatus(buildGoal({ progress: [{ date: day(1), value: 100 }] }), day(2)), 'completed');
+        assert.equal(getGoalStatus(buildGoal({ status: 'paused' }), day(200)), 'paused');
+        assert.equal(getGoalStatus(buildGoal(), day(200)), 'expired');
+        assert.equal(getGoalStatus(buildGoal(), day(2)), 'active');
+    });
+});
@@ -0,0 +1,126 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const {
+    csvHeader,
+    goalToCsv,
+    parseCsv,
+    readCsvImport,
+    readJsonImport,
+    buildImportedGoals,
+} = require('../utils/goalTransfer');
+
+const USER_ID = new mongoose.Types.ObjectId().toString();
+
+const HEADER = 'goal_name,goal_type,goal_description,start_date,end_date,target_value,unit,progress_date,progress_value\n';
+
+describe('parseCsv', () => {
+    it('reads quoted values with separators, doubled quotes and line breaks', () => {
+        assert.deepEqual(parseCsv('a,"b,c","say ""hi""","two\nlines"\r\n1,2,3,4'), [
+            ['a', 'b,c', 'say "hi"', 'two\nlines'],
+            ['1', '2', '3', '4'],
+        ]);
+    });
+
+    it('skips blank lines and keeps empty values', () => {
+        assert.deepEqual(parseCsv('a,,c\n\n\r\n,b,\n'), [['a', '', 'c'], ['', 'b', '']]);
+    });
+});
+
+describe('readCsvImport', () => {
+    it('groups the rows of a goal and numbers rows like a spreadsheet', () => {
+        const { entries, errors } = readCsvImport(`\uFEFF${HEADER}`
+            + 'Squat,muscle gain,,2026-01-01,2026-03-01,120,kg,2026-01-05,100\n'
+            + 'Run,endurance,,2026-01-01,2026-03-01,10,km,,\n'
+            + 'Squat,muscle gain,,2026-01-01,2026-03-01,120,kg,2026-01-12,105\n');
+
+        assert.deepEqual(errors, []);
+        assert.equal(entries.length, 2);
+        assert.equal(entries[0].row, 2);
+        assert.equal(entries[0].fields.name, 'Squat');
+        assert.deepEqual(entries[0].progress, [
+            { row: 2, date: '2026-01-05', value: '100' },
+            { row: 4, date: '2026-01-12', value: '105' },
+        ]);
+        assert.deepEqual(entries[1].progress, []);
+    });
+
+    it('reports missing required columns', () => {
+        const { entries, errors } = readCsvImport('goal_name,goal_type\nSquat,muscle gain\n');
+
+        assert.deepEqual(entries, []);
+        assert.deepEqual(errors.map((error) => error.field), ['start_date', 'end_date', 'target_value', 'unit']);
+    });
+});
+
+describe('readJsonImport', () => {
+    it('accepts the export document or a bare array of goals', () => {
+        const goal = { name: 'Run', progress: [{ date: '2026-01-05', value: 3 }] };
+
+        assert.equal(readJsonImport({ goals: [goal] }).entries.length, 1);
+        assert.deepEqual(readJsonImport([goal]).entries[0].progress, [{ row: 1, date: '2026-01-05', value: 3 }]);
+    });
+
+    it('reports goals that are not objects and progress that is not an array', () => {
+        const { entries, errors } = readJsonImport([null, { name: 'Run', progress: 'lots' }]);
+
+        assert.deepEqual(entries, []);
+        assert.deepEqual(errors.map((error) => [error.row, error.field]), [[1, 'goal'], [2, 'progress']]);
+        assert.equal(readJsonImport({}).errors[0].field, 'goals');
+    });
+});
+
+describe('buildImportedGoals', () => {
+    it('builds goals with values converted to their base unit', () => {
+        const { entries } = readCsvImport(`${HEADER}Deadlift,muscle gain,,2026-01-01,2026-03-01,300,lbs,2026-01-05,200\n`);
+        const { goals, errors } = buildImportedGoals(entries, USER_ID, 'csv');
+
+        assert.deepEqual(errors, []);
+        assert.equal(goals.length, 1);
+        assert.equal(goals[0].unit, 'lbs');
+        assert.ok(Math.abs(goals[0].targetValue - 136.0777) < 0.001);
+        assert.ok(Math.abs(goals[0].progress[0].value - 90.7185) < 0.001);
+    });
+
+    it('reports invalid fields by CSV column and row', () => {
+        const { entries } = readCsvImport(`${HEADER}`
+            + 'Squat,flying,,2026-01-01,2026-03-01,120,kg,,\n'
+            + 'Run,endurance,,2026-01-01,2026-03-01,10,km,2026-06-01,3\n');
+        const { goals, errors } = buildImportedGoals(entries, USER_ID, 'csv');
+
+        assert.deepEqual(goals, []);
+        assert.deepEqual(errors.map((error) => [error.row, error.field]), [[2, 'goal_type'], [3, 'progress_date']]);
+    });
+
+    it('names invalid progress entries by their JSON path', () => {
+        const { entries } = readJsonImport([{
+            name: 'Run',
+            type: 'endurance',
+            startDate: '2026-01-01',
+            endDate: '2026-03-01',
+            targetValue: 10,
+            unit: 'km',
+            progress: [{ date: '2026-01-05', value: 3 }, { date: '2026-01-06', value: 'far' }],
+        }]);
+        const { errors } = buildImportedGoals(entries, USER_ID, 'json');
+
+        assert.deepEqual(errors.map((error) => error.field), ['progress[1].value']);
+    });
+});
+
+describe('goalToCsv', () => {
+    it('exports one row per progress entry that reads back into the same goal', () => {
+        const { entries } = readCsvImport(`${HEADER}`
+            + 'Deadlift,muscle gain,"Heavy, slow",2026-01-01,2026-03-01,300,lbs,2026-01-05,200\n'
+            + 'Deadlift,muscle gain,"Heavy, slow",2026-01-01,2026-03-01,300,lbs,2026-01-12,210\n');
+        const [goal] = buildImportedGoals(entries, USER_ID, 'csv').goals;
+
+        const reread = readCsvImport(csvHeader() + goalToCsv(goal));
+        const [rebuilt] = buildImportedGoals(reread.entries, USER_ID, 'csv').goals;
+
+        assert.equal(reread.entries.length, 1);
+        assert.equal(rebuilt.description, 'Heavy, slow');
+        assert.ok(Math.abs(rebuilt.targetValue - goal.targetValue) < 0.001);
+        assert.deepEqual(rebuilt.progress.map((entry) => entry.date), goal.progress.map((entry) => entry.date));
+    });
+});
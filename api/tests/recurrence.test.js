@@ -0,0 +1,114 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { getPeriodStart, computeRecurringStats } = require('../utils/recurrence');
+const { computeGoalStats } = require('../utils/goalStats');
+
+const at = (date, time = '12:00') => new Date(`${date}T${time}:00Z`);
+
+const buildHabit = (recurrence, progress, overrides = {}) => ({
+    kind: 'recurring',
+    type: 'other',
+    unit: 'steps',
+    targetValue: 10000,
+    startDate: at('2026-01-01', '00:00'),
+    endDate: at('2026-01-05', '23:59'),
+    recurrence: { aggregation: 'sum', gracePeriods: 0, ...recurrence },
+    progress: progress.map(([date, value]) => ({ date: at(date), value })),
+    pauses: [],
+    ...overrides,
+});
+
+describe('getPeriodStart', () => {
+    it('steps daily and weekly periods from the start date', () => {
+        const start = at('2026-01-01', '00:00');
+        assert.deepEqual(getPeriodStart(start, 'daily', 3), at('2026-01-04', '00:00'));
+        assert.deepEqual(getPeriodStart(start, 'weekly', 2), at('2026-01-15', '00:00'));
+    });
+
+    it('keeps the day of month of monthly periods, clamped to shorter months', () => {
+        const start = at('2026-01-31', '00:00');
+        assert.deepEqual(getPeriodStart(start, 'monthly', 1), at('2026-02-28', '00:00'));
+        assert.deepEqual(getPeriodStart(start, 'monthly', 2), at('2026-03-31', '00:00'));
+    });
+});
+
+describe('computeRecurringStats', () => {
+    it('sums each day and leaves the current day in progress', () => {
+        const goal = buildHabit({ frequency: 'daily' }, [
+            ['2026-01-01', 6000], ['2026-01-01', 5000], ['2026-01-02', 12000], ['2026-01-03', 2000],
+        ]);
+        const stats = computeRecurringStats(goal, at('2026-01-03', '18:00'));
+
+        assert.equal(stats.totalPeriods, 5);
+        assert.deepEqual(stats.periods.map((period) => [period.value, period.status]), [
+            [11000, 'met'], [12000, 'met'], [2000, 'in_progress'],
+        ]);
+        assert.equal(stats.periodsMet, 2);
+        assert.equal(stats.currentStreak, 2);
+        assert.equal(stats.currentPeriod.value, 2000);
+    });
+
+    it('breaks the streak on a missed period without grace periods', () => {
+        const goal = buildHabit({ frequency: 'daily' }, [['2026-01-01', 10000], ['2026-01-03', 10000]]);
+        const stats = computeRecurringStats(goal, at('2026-01-03', '18:00'));
+
+        assert.equal(stats.periods[1].status, 'missed');
+        assert.equal(stats.periodsMissed, 1);
+        assert.equal(stats.currentStreak, 1);
+        assert.equal(stats.longestStreak, 1);
+    });
+
+    it('forgives a missed period while the streak has grace periods left', () => {
+        const goal = buildHabit({ frequency: 'daily', gracePeriods: 1 }, [
+            ['2026-01-01', 10000], ['2026-01-03', 10000],
+        ]);
+        const stats = computeRecurringStats(goal, at('2026-01-05', '18:00'));
+
+        assert.deepEqual(stats.periods.map((period) => period.status), ['met', 'forgiven', 'met', 'missed', 'in_progress']);
+        assert.equal(stats.periodsForgiven, 1);
+        assert.equal(stats.periodsMissed, 1);
+        assert.equal(stats.currentStreak, 0);
+        assert.equal(stats.longestStreak, 2);
+    });
+
+    it('counts entries and takes the best entry with other aggregations', () => {
+        const entries = [['2026-01-01', 1], ['2026-01-03', 5], ['2026-01-06', 2]];
+        const weekly = { frequency: 'weekly' };
+        const endDate = at('2026-01-14', '23:59');
+
+        const counted = computeRecurringStats(
+            buildHabit({ ...weekly, aggregation: 'count' }, entries, { targetValue: 3, endDate }),
+            at('2026-01-08'),
+        );
+        const best = computeRecurringStats(
+            buildHabit({ ...weekly, aggregation: 'max' }, entries, { targetValue: 3, endDate }),
+            at('2026-01-08'),
+        );
+
+        assert.equal(counted.periods[0].value, 3);
+        assert.equal(counted.periods[0].status, 'met');
+        assert.equal(best.periods[0].value, 5);
+    });
+});
+
+describe('computeGoalStats of recurring goals', () => {
+    it('completes once every period has been met', () => {
+        const progress = ['2026-01-01', '2026-01-02', '2026-01-03', '2026-01-04'].map((date) => [date, 10000]);
+        const now = at('2026-01-05', '18:00');
+
+        assert.equal(computeGoalStats(buildHabit({ frequency: 'daily' }, progress), now).completed, false);
+
+        const stats = computeGoalStats(buildHabit({ frequency: 'daily' }, [...progress, ['2026-01-05', 10000]]), now);
+        assert.equal(stats.completed, true);
+        assert.equal(stats.percentComplete, 100);
+    });
+
+    it('never completes once a period was missed', () => {
+        const progress = [['2026-01-01', 10000], ['2026-01-05', 10000]];
+        const stats = computeGoalStats(buildHabit({ frequency: 'daily' }, progress), at('2026-01-06'));
+
+        assert.equal(stats.completed, false);
+        assert.equal(stats.onPace, false);
+        assert.equal(stats.percentComplete, 40);
+    });
+});
@@ -0,0 +1,50 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { isValidTimeZone, getNextOccurrence } = require('../utils/reminderSchedule');
+
+describe('isValidTimeZone', () => {
+    it('accepts IANA time zones and rejects anything else', () => {
+        assert.equal(isValidTimeZone('Europe/Paris'), true);
+        assert.equal(isValidTimeZone('UTC'), true);
+        assert.equal(isValidTimeZone('Mars/Olympus_Mons'), false);
+        assert.equal(isValidTimeZone(''), false);
+        assert.equal(isValidTimeZone(42), false);
+    });
+});
+
+describe('getNextOccurrence', () => {
+    const daily = { frequency: 'daily', time: '08:00', timezone: 'UTC' };
+
+    it('returns today\'s time until it has passed, then tomorrow\'s', () => {
+        assert.deepEqual(getNextOccurrence(daily, new Date('2026-01-10T07:59:00Z')), new Date('2026-01-10T08:00:00Z'));
+        assert.deepEqual(getNextOccurrence(daily, new Date('2026-01-10T08:00:00Z')), new Date('2026-01-11T08:00:00Z'));
+    });
+
+    it('reads the time in the reminder\'s time zone', () => {
+        const paris = { ...daily, timezone: 'Europe/Paris' };
+        const newYork = { ...daily, time: '21:30', timezone: 'America/New_York' };
+
+        assert.deepEqual(getNextOccurrence(paris, new Date('2026-01-10T12:00:00Z')), new Date('2026-01-11T07:00:00Z'));
+        assert.deepEqual(getNextOccurrence(paris, new Date('2026-07-10T12:00:00Z')), new Date('2026-07-11T06:00:00Z'));
+        // Late evening in New York is already the next day in UTC
+        assert.deepEqual(getNextOccurrence(newYork, new Date('2026-01-10T12:00:00Z')), new Date('2026-01-11T02:30:00Z'));
+    });
+
+    it('moves a time skipped by a daylight saving change forward by the length of the gap', () => {
+        const paris = { ...daily, time: '02:30', timezone: 'Europe/Paris' };
+
+        // 02:00 jumps to 03:00 on 2026-03-29, so 02:30 is 03:30 summer time
+        assert.deepEqual(getNextOccurrence(paris, new Date('2026-03-28T12:00:00Z')), new Date('2026-03-29T01:30:00Z'));
+        assert.deepEqual(getNextOccurrence(paris, new Date('2026-03-29T12:00:00Z')), new Date('2026-03-30T00:30:00Z'));
+    });
+
+    it('finds the next matching weekday of weekly reminders', () => {
+        // 2026-01-10 is a Saturday
+        const monday = { frequency: 'weekly', dayOfWeek: 1, time: '18:00', timezone: 'UTC' };
+        const saturday = { ...monday, dayOfWeek: 6 };
+
+        assert.deepEqual(getNextOccurrence(monday, new Date('2026-01-10T12:00:00Z')), new Date('2026-01-12T18:00:00Z'));
+        assert.deepEqual(getNextOccurrence(saturday, new Date('2026-01-10T12:00:00Z')), new Date('2026-01-10T18:00:00Z'));
+        assert.deepEqual(getNextOccurrence(saturday, new Date('2026-01-10T19:00:00Z')), new Date('2026-01-17T18:00:00Z'));
+    });
+});
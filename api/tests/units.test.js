@@ -0,0 +1,98 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    normalizeUnit,
+    getDisplayUnit,
+    isSameDimension,
+    toBaseValue,
+    fromBaseValue,
+    localizeGoal,
+    localizeStats,
+} = require('../utils/units');
+
+describe('normalizeUnit', () => {
+    it('resolves codes and aliases regardless of case and spacing', () => {
+        assert.equal(normalizeUnit('kg'), 'kg');
+        assert.equal(normalizeUnit(' Kilograms '), 'kg');
+        assert.equal(normalizeUnit('LB'), 'lbs');
+        assert.equal(normalizeUnit('mi'), 'miles');
+        assert.equal(normalizeUnit('%'), 'percent');
+    });
+
+    it('returns null for unknown units and non-strings', () => {
+        assert.equal(normalizeUnit('furlongs'), null);
+        assert.equal(normalizeUnit(5), null);
+        assert.equal(normalizeUnit(undefined), null);
+    });
+});
+
+describe('getDisplayUnit', () => {
+    it('shows mass, distance and length in the preferred unit system', () => {
+        assert.equal(getDisplayUnit('kg', 'imperial'), 'lbs');
+        assert.equal(getDisplayUnit('miles', 'metric'), 'km');
+        assert.equal(getDisplayUnit('in', 'metric'), 'cm');
+    });
+
+    it('keeps the unit of other dimensions, without a preference and outside the catalog', () => {
+        assert.equal(getDisplayUnit('minutes', 'imperial'), 'minutes');
+        assert.equal(getDisplayUnit('lbs', null), 'lbs');
+        assert.equal(getDisplayUnit('furlongs', 'metric'), 'furlongs');
+    });
+});
+
+describe('conversions', () => {
+    it('converts within a dimension through its base unit', () => {
+        assert.equal(toBaseValue(2, 'hours'), 120);
+        assert.equal(fromBaseValue(toBaseValue(10, 'miles'), 'km'), 16.0934);
+        assert.equal(fromBaseValue(toBaseValue(100, 'kg'), 'lbs'), 220.4623);
+    });
+
+    it('rounds away floating point noise and leaves unknown values alone', () => {
+        assert.equal(fromBaseValue(toBaseValue(0.3, 'lbs'), 'lbs'), 0.3);
+        assert.equal(fromBaseValue(null, 'kg'), null);
+        assert.equal(fromBaseValue(7, 'furlongs'), 7);
+    });
+
+    it('tells which units convert into each other', () => {
+        assert.equal(isSameDimension('kg', 'lbs'), true);
+        assert.equal(isSameDimension('km', 'cm'), false);
+        assert.equal(isSameDimension('kg', 'furlongs'), false);
+    });
+});
+
+describe('localizeGoal', () => {
+    it('converts the target, progress and value milestones into the display unit', () => {
+        const goal = {
+            unit: 'kg',
+            targetValue: 100,
+            progress: [{ date: '2026-01-01', value: 50 }],
+            milestones: [{ kind: 'value', threshold: 80 }, { kind: 'percent', threshold: 50 }],
+        };
+        const view = localizeGoal(goal, 'imperial');
+
+        assert.equal(view.unit, 'lbs');
+        assert.equal(view.targetValue, 220.4623);
+        assert.equal(view.progress[0].value, 110.2311);
+        assert.deepEqual(view.milestones, [{ kind: 'value', threshold: 176.3698 }, { kind: 'percent', threshold: 50 }]);
+        assert.equal(goal.targetValue, 100);
+    });
+});
+
+describe('localizeStats', () => {
+    it('converts values and the trend but not percentages', () => {
+        const stats = localizeStats({
+            unit: 'km',
+            startValue: 0,
+            currentValue: 16.09344,
+            targetValue: 32.18688,
+            percentComplete: 50,
+            trend: { slopePerDay: 1.609344, intercept: 0 },
+        }, 'miles');
+
+        assert.equal(stats.unit, 'miles');
+        assert.equal(stats.currentValue, 10);
+        assert.equal(stats.targetValue, 20);
+        assert.equal(stats.percentComplete, 50);
+        assert.deepEqual(stats.trend, { slopePerDay: 1, intercept: 0 });
+    });
+});
@@ -0,0 +1,103 @@
+const AccountToken = require('../models/AccountToken');
+const Achievement = require('../models/Achievement');
+const BodyMetric = require('../models/BodyMetric');
+const Challenge = require('../models/Challenge');
+const Comment = require('../models/Comment');
+const Exercise = require('../models/Exercise');
+const Friendship = require('../models/Friendship');
+const Goal = require('../models/Goal');
+const IdempotencyKey = require('../models/IdempotencyKey');
+const GoalShare = require('../models/GoalShare');
+const Notification = require('../models/Notification');
+const Reaction = require('../models/Reaction');
+const RefreshToken = require('../models/RefreshToken');
+const Reminder = require('../models/Reminder');
+const User = require('../models/User');
+const Workout = require('../models/Workout');
+
+const GRACE_PERIOD_DAYS = Number(process.env.ACCOUNT_DELETION_GRACE_DAYS) || 30;
+
+/**
+ * Schedules the deletion of an account at the end of the grace period and logs the user out everywhere.
+ * Logging in again before then cancels the deletion (see `cancelAccountDeletion`).
+ * @param {Object} user - The user document.
+ * @param {Date} [now=new Date()]
+ * @returns {Promise<Date>} The date the account will be deleted.
+ */
+const scheduleAccountDeletion = async (user, now = new Date()) => {
+    user.deletionScheduledFor = new Date(now.getTime() + GRACE_PERIOD_DAYS * 24 * 60 * 60 * 1000);
+    user.tokenVersion += 1;
+    await user.save();
+    await RefreshToken.updateMany({ userId: user.id, revokedAt: null }, { revokedAt: now });
+    return user.deletionScheduledFor;
+};
+
+/**
+ * Cancels the scheduled deletion of an account, if any.
+ * @param {Object} user - The user document.
+ * @returns {Promise<boolean>} Whether a deletion was cancelled.
+ */
+const cancelAccountDeletion = async (user) => {
+    if (!user.deletionScheduledFor) {
+        return false;
+    }
+    await User.updateOne({ _id: user._id }, { deletionScheduledFor: null });
+    user.deletionScheduledFor = null;
+    return true;
+};
+
+/**
+ * Deletes a user and everything they own: goals with their progress history, reminders, notifications,
+ * share links, friendships, exercises, workouts, body measurements, badges, tokens, the challenges they run,
+ * and the comments and reactions they left or received. They leave the challenges of other users, whose
+ * frozen standings keep their result without their username. The user document goes last, so that
+ * an interrupted deletion is picked up again by the next purge.
+ * @param {string} userId
+ * @returns {Promise<void>}
+ */
+const deleteUserData = async (userId) => {
+    await Promise.all([
+        Goal.deleteMany({ userId }),
+        Reminder.deleteMany({ userId }),
+        Notification.deleteMany({ userId }),
+        GoalShare.deleteMany({ userId }),
+        Friendship.deleteMany({ $or: [{ requester: userId }, { recipient: userId }] }),
+        Exercise.deleteMany({ userId }),
+        Workout.deleteMany({ userId }),
+        BodyMetric.deleteMany({ userId }),
+        Achievement.deleteMany({ userId }),
+        RefreshToken.deleteMany({ userId }),
+        AccountToken.deleteMany({ userId }),
+        IdempotencyKey.deleteMany({ userId }),
+        Comment.deleteMany({ $or: [{ authorId: userId }, { goalOwnerId: userId }] }),
+        Reaction.deleteMany({ $or: [{ userId }, { goalOwnerId: userId }] }),
+        Challenge.deleteMany({ ownerId: userId }),
+        Challenge.updateMany({ 'members.userId': userId }, { $pull: { members: { userId } } }),
+        Challenge.updateMany(
+            { 'standings.userId': userId },
+            { $set: { 'standings.$[row].username': 'Deleted user' } },
+            { arrayFilters: [{ 'row.userId': userId }] }
+        ),
+    ]);
+    await User.deleteOne({ _id: userId });
+};
+
+/**
+ * Deletes the accounts whose grace period has ended.
+ * @param {Date} [now=new Date()]
+ * @returns {Promise<number>} The number of deleted accounts.
+ */
+const purgeDeletedAccounts = async (now = new Date()) => {
+    const users = await User.find({ deletionScheduledFor: { $ne: null, $lte: now } }).select('_id');
+    for (const user of users) {
+        await deleteUserData(user._id);
+    }
+    return users.length;
+};
+
+module.exports = {
+    scheduleAccountDeletion,
+    cancelAccountDeletion,
+    deleteUserData,
+    purgeDeletedAccounts,
+};
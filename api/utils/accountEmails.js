@@ -0,0 +1,74 @@
+const { getMailTransport } = require('./mailer');
+const { issueAccountToken } = require('./tokens');
+const { ApiError } = require('./errors');
+
+const PASSWORD_RESET_TTL_MS = 60 * 60 * 1000;
+const EMAIL_VERIFICATION_TTL_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Builds a link to a page of the web app, whose address is `APP_URL` (`http://localhost:3000` by default).
+ * @param {string} pathname - The page path, e.g. '/reset-password'.
+ * @param {string} token - The account token passed to the page.
+ * @returns {string}
+ */
+const appLink = (pathname, token) => {
+    // Appended rather than resolved, so that an app served under a path keeps it
+    const appUrl = (process.env.APP_URL || 'http://localhost:3000').replace(/\/+$/, '');
+    const url = new URL(`${appUrl}${pathname}`);
+    url.searchParams.set('token', token);
+    return url.toString();
+};
+
+/**
+ * Sends an email to a user, failing when no mail transport is configured.
+ * @param {Object} user - The user document.
+ * @param {string} subject
+ * @param {string} text
+ * @returns {Promise<void>}
+ */
+const sendToUser = async (user, subject, text) => {
+    const transport = getMailTransport();
+    if (!transport) {
+        throw new ApiError(503, 'email_unavailable', 'Email is not available on this server');
+    }
+    await transport.sendMail({ to: user.email, subject, text });
+};
+
+/**
+ * Emails the user a single-use link to choose a new password, valid for one hour.
+ * @param {Object} user - The user document.
+ * @returns {Promise<void>}
+ */
+const sendPasswordResetEmail = async (user) => {
+    const token = await issueAccountToken(user, 'password_reset', PASSWORD_RESET_TTL_MS);
+    await sendToUser(user, 'Reset your password', [
+        `Hi ${user.username},`,
+        '',
+        'Someone asked to reset the password of your account. To choose a new password, open this link within the next hour:',
+        '',
+        appLink('/reset-password', token),
+        '',
+        'If you did not ask for this, you can ignore this email; your password stays the same.',
+    ].join('\n'));
+};
+
+/**
+ * Emails the user a single-use link confirming their email address, valid for 24 hours.
+ * @param {Object} user - The user document.
+ * @returns {Promise<void>}
+ */
+const sendVerificationEmail = async (user) => {
+    const token = await issueAccountToken(user, 'email_verification', EMAIL_VERIFICATION_TTL_MS);
+    await sendToUser(user, 'Confirm your email address', [
+        `Hi ${user.username},`,
+        '',
+        'Please confirm that this is your email address by opening this link within the next 24 hours:',
+        '',
+        appLink('/verify-email', token),
+    ].join('\n'));
+};
+
+module.exports = {
+    sendPasswordResetEmail,
+    sendVerificationEmail,
+};
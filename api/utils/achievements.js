@@ -0,0 +1,197 @@
+const Achievement = require('../models/Achievement');
+const Goal = require('../models/Goal');
+const {
+    DAY_IN_MS,
+    getDirection,
+    getStartValue,
+    calculatePercentComplete,
+    findCompletionEntry,
+} = require('./goalStats');
+
+const STREAK_LENGTH = 7;
+
+/**
+ * Catalog of the badges a user can earn.
+ * @type {Object<string, {title: string, description: string}>}
+ */
+const BADGES = {
+    first_entry: { title: 'First Step', description: 'Logged your first progress entry.' },
+    streak_7: { title: 'On a Roll', description: `Logged progress ${STREAK_LENGTH} days in a row.` },
+    completed_early: { title: 'Ahead of Schedule', description: 'Completed a goal before its end date.' },
+    personal_best: { title: 'Personal Best', description: 'Beat your best recorded value on a goal.' },
+    milestone_reached: { title: 'Milestone', description: 'Reached a milestone on the way to a goal.' },
+};
+
+/**
+ * Returns the goal's progress entries sorted by date, without modifying the goal.
+ * @param {Object} goal - The goal document.
+ * @returns {Array<{date: Date, value: number}>}
+ */
+const sortedProgress = (goal) => [...goal.progress].sort((a, b) => a.date - b.date);
+
+/**
+ * Marks the goal's milestones reached by its progress entries, stamping each with the date
+ * of the first entry that reached it. Reached milestones stay reached. Recurring goals have a
+ * target per period rather than one to work towards, so their milestones are left alone.
+ * Mutates the goal; the caller is responsible for saving it.
+ * @param {Object} goal - The goal document.
+ * @returns {Object[]} The milestones newly reached by this call.
+ */
+const updateMilestones = (goal) => {
+    if (goal.kind === 'recurring') {
+        return [];
+    }
+    const progress = sortedProgress(goal);
+    const view = { type: goal.type, targetValue: goal.targetValue, metricLink: goal.metricLink, progress };
+    const direction = getDirection(view);
+    const startValue = getStartValue(view, direction);
+
+    const isReached = (milestone, value) => {
+        if (milestone.kind === 'value') {
+            return direction === 'decrease' ? value <= milestone.threshold : value >= milestone.threshold;
+        }
+        return calculatePercentComplete(direction, startValue, value, goal.targetValue) >= milestone.threshold;
+    };
+
+    const newlyReached = [];
+    goal.milestones.forEach((milestone) => {
+        if (milestone.reachedAt) {
+            return;
+        }
+        const entry = progress.find((progressEntry) => isReached(milestone, progressEntry.value));
+        if (entry) {
+            milestone.reachedAt = entry.date;
+            newlyReached.push(milestone);
+        }
+    });
+    return newlyReached;
+};
+
+/**
+ * Checks whether a set of dates contains a run of consecutive calendar days (UTC).
+ * @param {Date[]} dates
+ * @param {number} length - The required number of consecutive days.
+ * @returns {boolean}
+ */
+const hasDailyStreak = (dates, length) => {
+    const days = [...new Set(dates.map((date) => Math.floor(date.getTime() / DAY_IN_MS)))].sort((a, b) => a - b);
+    let run = 0;
+    for (let i = 0; i < days.length; i++) {
+        run = i > 0 && days[i] === days[i - 1] + 1 ? run + 1 : 1;
+        if (run >= length) {
+            return true;
+        }
+    }
+    return false;
+};
+
+/**
+ * Lists the dates of the user's progress entries, across goals, from the first day of a streak ending today
+ * (UTC). Only those entries are loaded, however long the user's history is.
+ * @param {Object} userId - The ObjectId of the user.
+ * @param {Date} now
+ * @returns {Promise<Date[]>}
+ */
+const findRecentProgressDates = async (userId, now) => {
+    const since = new Date((Math.floor(now.getTime() / DAY_IN_MS) - (STREAK_LENGTH - 1)) * DAY_IN_MS);
+    const entries = await Goal.aggregate([
+        // Aggregations skip the query middleware hiding deleted goals
+        { $match: { userId, deletedAt: null, 'progress.date': { $gte: since } } },
+        { $unwind: '$progress' },
+        { $match: { 'progress.date': { $gte: since } } },
+        { $project: { _id: 0, date: '$progress.date' } },
+    ]);
+    return entries.map((entry) => entry.date);
+};
+
+/**
+ * Awards a badge unless the user already holds it.
+ * @param {string} userId
+ * @param {string} badge - The badge identifier.
+ * @param {string} key - The uniqueness key of the award.
+ * @param {Object} [fields] - Additional fields (goalId, details, awardedAt).
+ * @returns {Promise<boolean>} True if the badge was newly awarded.
+ */
+const awardOnce = async (userId, badge, key, fields = {}) => {
+    const result = await Achievement.updateOne(
+        { userId, key },
+        { $setOnInsert: { userId, badge, key, awardedAt: new Date(), ...fields } },
+        { upsert: true }
+    );
+    return result.upsertedCount > 0;
+};
+
+/**
+ * Evaluates the badge rules after progress was recorded on a goal and persists new awards.
+ * Milestones must already have been updated with `updateMilestones` and the goal saved.
+ * @param {Object} goal - The saved goal document.
+ * @param {Object[]} reachedMilestones - The milestones returned by `updateMilestones`.
+ * @returns {Promise<string[]>} The badges newly awarded.
+ */
+const evaluateAchievements = async (goal, reachedMilestones = []) => {
+    const userId = goal.userId;
+    const awarded = [];
+    const award = async (badge, key, fields) => {
+        if (await awardOnce(userId, badge, key, fields)) {
+            awarded.push(badge);
+        }
+    };
+
+    if (goal.progress.length > 0) {
+        await award('first_entry', 'first_entry');
+    }
+
+    for (const milestone of reachedMilestones) {
+        await award('milestone_reached', `milestone_reached:${goal.id}:${milestone.kind}:${milestone.threshold}`, {
+            goalId: goal._id,
+            details: { kind: milestone.kind, threshold: milestone.threshold },
+            awardedAt: milestone.reachedAt,
+        });
+    }
+
+    const completingEntry = findCompletionEntry(goal);
+    if (completingEntry && completingEntry.date.getTime() < goal.endDate.getTime()) {
+        await award('completed_early', `completed_early:${goal.id}`, {
+            goalId: goal._id,
+            details: { completedAt: completingEntry.date },
+            awardedAt: completingEntry.date,
+        });
+    }
+
+    // A personal best is the latest entry by date beating every earlier entry; it is refreshed on each new best.
+    // Back-dated and corrected entries are not the latest, so they never count as one.
+    const progress = sortedProgress(goal);
+    const latest = progress[progress.length - 1];
+    const earlier = progress.slice(0, -1);
+    if (latest && earlier.length > 0) {
+        const view = { type: goal.type, targetValue: goal.targetValue, metricLink: goal.metricLink, progress };
+        const isBetter = getDirection(view) === 'decrease'
+            ? earlier.every((entry) => latest.value < entry.value)
+            : earlier.every((entry) => latest.value > entry.value);
+        if (isBetter) {
+            const result = await Achievement.updateOne(
+                { userId, key: `personal_best:${goal.id}` },
+                {
+                    $set: { details: { value: latest.value }, awardedAt: latest.date },
+                    $setOnInsert: { userId, badge: 'personal_best', key: `personal_best:${goal.id}`, goalId: goal._id },
+                },
+                { upsert: true }
+            );
+            if (result.upsertedCount > 0 || result.modifiedCount > 0) {
+                awarded.push('personal_best');
+            }
+        }
+    }
+
+    if (hasDailyStreak(await findRecentProgressDates(userId, new Date()), STREAK_LENGTH)) {
+        await award('streak_7', 'streak_7');
+    }
+
+    return awarded;
+};
+
+module.exports = {
+    BADGES,
+    updateMilestones,
+    evaluateAchievements,
+};
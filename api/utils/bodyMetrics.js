@@ -0,0 +1,146 @@
+const { isSameDimension, fromBaseValue } = require('./units');
+const { DAY_IN_MS } = require('./goalStats');
+
+/**
+ * @typedef {Object} MetricType
+ * @property {string} label - Human readable name of the metric.
+ * @property {string} unit - The unit code values are stored in, the base unit of its dimension (see `utils/units.js`).
+ */
+
+/**
+ * Catalog of the body metrics users can log. Measurements must be of one of these types.
+ * @type {Object<string, MetricType>}
+ */
+const METRIC_TYPES = {
+    weight: { label: 'Weight', unit: 'kg' },
+    body_fat: { label: 'Body fat', unit: 'percent' },
+    waist: { label: 'Waist', unit: 'cm' },
+    resting_heart_rate: { label: 'Resting heart rate', unit: 'bpm' },
+};
+
+const METRIC_TYPE_CODES = Object.keys(METRIC_TYPES);
+
+// Goal types whose progress can be derived from a metric series
+const METRIC_GOAL_TYPES = ['weight loss', 'muscle gain'];
+
+// Spans, in days, of the changes reported for each metric
+const DELTA_PERIODS_DAYS = [7, 30, 90];
+
+/**
+ * @typedef {Object} MetricSummary
+ * @property {string} type - The metric type.
+ * @property {string} label - The metric label.
+ * @property {string} unit - The unit the values are expressed in.
+ * @property {number} count - Number of measurements.
+ * @property {{date: Date, value: number}} first - The oldest measurement.
+ * @property {{date: Date, value: number}} latest - The most recent measurement.
+ * @property {number} min - The lowest value.
+ * @property {number} max - The highest value.
+ * @property {number} change - The change from the first to the latest measurement.
+ * @property {Array<{days: number, value: number | null, since: Date | null}>} deltas - The change of the latest
+ *   measurement over each span of `DELTA_PERIODS_DAYS`, measured from the last measurement at least that old.
+ * @property {number} averageWindowDays - The length of the rolling average window.
+ * @property {Array<{id: string, date: Date, value: number, average: number}>} series - The measurements, oldest
+ *   first, each with the average of the measurements of the window ending on it.
+ */
+
+/**
+ * Checks whether a goal can derive its progress from a metric: the goal must be a weight loss or muscle gain
+ * goal set in a unit of the same kind as the metric (e.g. a weight goal in kg or lbs for the weight metric).
+ * @param {string} goalType - The goal type.
+ * @param {string} unit - The canonical unit code of the goal.
+ * @param {string} metric - The metric type.
+ * @returns {boolean}
+ */
+const canDeriveFromMetric = (goalType, unit, metric) => Boolean(METRIC_TYPES[metric])
+    && METRIC_GOAL_TYPES.includes(goalType)
+    && isSameDimension(unit, METRIC_TYPES[metric].unit);
+
+/**
+ * Summarizes the measurements of one metric: extremes, changes over time and a rolling average.
+ * @param {string} type - The metric type.
+ * @param {Array<{id: string, date: Date, value: number}>} measurements - The measurements, oldest first, in base units.
+ * @param {number} windowDays - The length of the rolling average window, in days.
+ * @returns {MetricSummary | null} The summary in base units, or null without measurements.
+ */
+const summarizeMetric = (type, measurements, windowDays) => {
+    if (measurements.length === 0) {
+        return null;
+    }
+    const first = measurements[0];
+    const latest = measurements[measurements.length - 1];
+    const values = measurements.map((measurement) => measurement.value);
+
+    // The window of each measurement starts at `windowStart`; both ends only move forward
+    let windowStart = 0;
+    let windowSum = 0;
+    const series = measurements.map((measurement, index) => {
+        windowSum += measurement.value;
+        while (measurements[windowStart].date.getTime() <= measurement.date.getTime() - windowDays * DAY_IN_MS) {
+            windowSum -= measurements[windowStart].value;
+            windowStart++;
+        }
+        return {
+            id: measurement.id,
+            date: measurement.date,
+            value: measurement.value,
+            average: windowSum / (index - windowStart + 1),
+        };
+    });
+
+    const deltas = DELTA_PERIODS_DAYS.map((days) => {
+        const cutoff = latest.date.getTime() - days * DAY_IN_MS;
+        const reference = [...measurements].reverse().find((measurement) => measurement.date.getTime() <= cutoff);
+        return {
+            days,
+            value: reference ? latest.value - reference.value : null,
+            since: reference ? reference.date : null,
+        };
+    });
+
+    return {
+        type,
+        label: METRIC_TYPES[type].label,
+        unit: METRIC_TYPES[type].unit,
+        count: measurements.length,
+        first: { date: first.date, value: first.value },
+        latest: { date: latest.date, value: latest.value },
+        min: Math.min(...values),
+        max: Math.max(...values),
+        change: latest.value - first.value,
+        deltas,
+        averageWindowDays: windowDays,
+        series,
+    };
+};
+
+/**
+ * Converts a metric summary computed in base units into a display unit.
+ * @param {MetricSummary} summary
+ * @param {string} unit - The canonical unit code to display values in.
+ * @returns {MetricSummary}
+ */
+const localizeMetricSummary = (summary, unit) => ({
+    ...summary,
+    unit,
+    first: { ...summary.first, value: fromBaseValue(summary.first.value, unit) },
+    latest: { ...summary.latest, value: fromBaseValue(summary.latest.value, unit) },
+    min: fromBaseValue(summary.min, unit),
+    max: fromBaseValue(summary.max, unit),
+    change: fromBaseValue(summary.change, unit),
+    deltas: summary.deltas.map((delta) => ({ ...delta, value: fromBaseValue(delta.value, unit) })),
+    series: summary.series.map((point) => ({
+        ...point,
+        value: fromBaseValue(point.value, unit),
+        average: fromBaseValue(point.average, unit),
+    })),
+});
+
+module.exports = {
+    METRIC_TYPES,
+    METRIC_TYPE_CODES,
+    METRIC_GOAL_TYPES,
+    canDeriveFromMetric,
+    summarizeMetric,
+    localizeMetricSummary,
+};
@@ -0,0 +1,184 @@
+const Challenge = require('../models/Challenge');
+const Goal = require('../models/Goal');
+const User = require('../models/User');
+const { computeGoalStats, getDirection } = require('./goalStats');
+const { publishToUsers } = require('./liveEvents');
+const { fromBaseValue } = require('./units');
+
+/**
+ * @typedef {Object} StandingRow
+ * @property {Object} userId - The member's user ID.
+ * @property {string} username - The member's username.
+ * @property {number | null} rank - The member's rank, shared by tied members; null without a score.
+ * @property {number | null} score - The member's score, in base units for the 'total' and 'improvement' rules.
+ */
+
+/**
+ * Derives the status of a challenge from its window: 'upcoming' before startDate, 'active' until
+ * endDate, 'closed' afterwards or once its standings have been frozen.
+ * @param {Object} challenge - The challenge document.
+ * @param {Date} [now=new Date()]
+ * @returns {'upcoming' | 'active' | 'closed'}
+ */
+const getChallengeStatus = (challenge, now = new Date()) => {
+    if (challenge.closedAt || challenge.endDate.getTime() <= now.getTime()) {
+        return 'closed';
+    }
+    return challenge.startDate.getTime() > now.getTime() ? 'upcoming' : 'active';
+};
+
+/**
+ * Scores a member's goal under the ranking rule of a challenge. Only the progress entries dated within
+ * the challenge window count:
+ * - 'total' adds up their values, for goals logging one session per entry (e.g. the km of each run);
+ * - 'percent' is the completion percentage of the member's own target at the end of the window;
+ * - 'improvement' is how far the value moved toward the member's target during the window, from the last
+ *   value before the window (or the first one within it) to the latest one.
+ * @param {Object} challenge - The challenge document.
+ * @param {Object} goal - The member's goal document; its progress entries must be sorted by date.
+ * @param {Date} now - The reference date.
+ * @returns {number | null} The score, or null if the member has nothing to score yet.
+ */
+const scoreGoal = (challenge, goal, now) => {
+    const windowEnd = Math.min(challenge.endDate.getTime(), now.getTime());
+    const windowStart = challenge.startDate.getTime();
+    const inWindow = goal.progress.filter((entry) => entry.date.getTime() >= windowStart && entry.date.getTime() <= windowEnd);
+
+    if (challenge.rule === 'total') {
+        return inWindow.length > 0 ? inWindow.reduce((sum, entry) => sum + entry.value, 0) : null;
+    }
+    if (challenge.rule === 'percent') {
+        const progress = goal.progress.filter((entry) => entry.date.getTime() <= windowEnd);
+        return computeGoalStats({ ...goal.toObject(), progress }, new Date(windowEnd)).percentComplete;
+    }
+    if (inWindow.length === 0) {
+        return null;
+    }
+    const before = goal.progress.filter((entry) => entry.date.getTime() < windowStart);
+    const baseline = before.length > 0 ? before[before.length - 1] : inWindow[0];
+    const change = inWindow[inWindow.length - 1].value - baseline.value;
+    return getDirection(goal) === 'decrease' ? -change : change;
+};
+
+/**
+ * Ranks scored members, best score first. Tied members share a rank and the next rank is skipped
+ * (1, 1, 3); members without a score come last, unranked.
+ * @param {Array<{userId: Object, username: string, score: number | null}>} rows
+ * @returns {StandingRow[]}
+ */
+const rankStandings = (rows) => {
+    const sorted = [...rows].sort((a, b) => {
+        if (a.score === null || b.score === null) {
+            return (a.score === null) - (b.score === null) || a.username.localeCompare(b.username);
+        }
+        return b.score - a.score || a.username.localeCompare(b.username);
+    });
+    let previous = null;
+    return sorted.map((row, index) => {
+        if (row.score === null) {
+            return { ...row, rank: null };
+        }
+        const rank = previous && previous.score === row.score ? previous.rank : index + 1;
+        previous = { score: row.score, rank };
+        return { ...row, rank };
+    });
+};
+
+/**
+ * Computes the live standings of a challenge from its active members' goals. Goals that were deleted or
+ * no longer belong to the member leave the member unscored.
+ * @param {Object} challenge - The challenge document.
+ * @param {Date} [now=new Date()]
+ * @returns {Promise<StandingRow[]>}
+ */
+const computeStandings = async (challenge, now = new Date()) => {
+    const members = challenge.members.filter((member) => member.status === 'active');
+    const goalIds = members.map((member) => member.goalId).filter(Boolean);
+    const [goals, users] = await Promise.all([
+        Goal.find({ _id: { $in: goalIds } }),
+        User.find({ _id: { $in: members.map((member) => member.userId) } }).select('username'),
+    ]);
+
+    const rows = members.map((member) => {
+        const user = users.find((candidate) => candidate._id.equals(member.userId));
+        const goal = member.goalId
+            ? goals.find((candidate) => candidate._id.equals(member.goalId) && candidate.userId.equals(member.userId))
+            : null;
+        return {
+            userId: member.userId,
+            username: user ? user.username : 'Deleted user',
+            score: goal ? scoreGoal(challenge, goal, now) : null,
+        };
+    });
+    return rankStandings(rows);
+};
+
+/**
+ * Freezes the final standings of a challenge whose window has ended, without saving it.
+ * Entries logged or changed afterwards no longer affect the result.
+ * @param {Object} challenge - The challenge document.
+ * @param {Date} [now=new Date()]
+ * @returns {Promise<boolean>} Whether the challenge was closed by this call.
+ */
+const closeChallengeIfEnded = async (challenge, now = new Date()) => {
+    if (challenge.closedAt || challenge.endDate.getTime() > now.getTime()) {
+        return false;
+    }
+    challenge.standings = await computeStandings(challenge, challenge.endDate);
+    challenge.closedAt = now;
+    return true;
+};
+
+/**
+ * Converts standings scored in base units into the display unit of a challenge.
+ * Percentages are unit independent and left untouched.
+ * @param {Object} challenge - The challenge document.
+ * @param {StandingRow[]} standings
+ * @param {string} unit - The canonical unit code to display values in.
+ * @returns {StandingRow[]}
+ */
+const localizeStandings = (challenge, standings, unit) => standings.map((row) => ({
+    userId: row.userId,
+    username: row.username,
+    rank: row.rank,
+    score: challenge.rule === 'percent' ? row.score : fromBaseValue(row.score, unit),
+}));
+
+/**
+ * Tells everyone who can see the leaderboard of a challenge that it may have changed, through their event
+ * streams: its owner, its members and the users invited to it.
+ * @param {Object} challenge - The challenge document.
+ */
+const publishLeaderboardUpdate = (challenge) => {
+    const userIds = [challenge.ownerId, ...challenge.members.map((member) => member.userId)];
+    publishToUsers(userIds, 'leaderboard.updated', { challengeId: challenge.id });
+};
+
+/**
+ * Publishes a leaderboard update for every open challenge scored on one of the given goals, e.g. after
+ * their progress changed. Failures are logged rather than thrown: the change itself was saved.
+ * @param {Object[]} goalIds - The IDs of the changed goals.
+ * @returns {Promise<void>}
+ */
+const publishLeaderboardChanges = async (goalIds) => {
+    try {
+        const challenges = await Challenge.find({
+            closedAt: null,
+            members: { $elemMatch: { goalId: { $in: goalIds }, status: 'active' } },
+        }).select('ownerId members');
+        challenges.forEach(publishLeaderboardUpdate);
+    } catch (error) {
+        console.error('Error publishing leaderboard updates:', error);
+    }
+};
+
+module.exports = {
+    getChallengeStatus,
+    scoreGoal,
+    rankStandings,
+    computeStandings,
+    closeChallengeIfEnded,
+    localizeStandings,
+    publishLeaderboardUpdate,
+    publishLeaderboardChanges,
+};
@@ -0,0 +1,48 @@
+const MAX_COMMENT_LENGTH = 500;
+
+// The reactions that can be left on goals and progress entries
+const REACTION_EMOJIS = ['👍', '🎉', '💪', '🔥', '👏', '❤️'];
+
+// Words comments are refused for, matched as whole words whatever their case. Extra words can be
+// added with the comma-separated COMMENT_BLOCKED_WORDS environment variable.
+const BLOCKED_WORDS = [
+    'asshole', 'bastard', 'bitch', 'bullshit', 'cunt', 'dick', 'fag', 'faggot', 'fuck', 'fucker',
+    'fucking', 'motherfucker', 'nigger', 'retard', 'shit', 'slut', 'whore',
+    ...(process.env.COMMENT_BLOCKED_WORDS || '').split(',').map((word) => word.trim().toLowerCase()).filter(Boolean),
+];
+
+// Common character substitutions used to get around word filters (e.g. "sh1t", "@ss")
+const SUBSTITUTIONS = { 0: 'o', 1: 'i', 3: 'e', 4: 'a', 5: 's', 7: 't', '@': 'a', $: 's', '!': 'i' };
+
+/**
+ * Cleans up comment text before it is checked and stored: trims it, strips HTML tags and control
+ * characters and collapses runs of blank lines. Comments are shown as plain text, so the tags would
+ * never render anyway; stripping them keeps pasted markup out of the thread.
+ * @param {string} text
+ * @returns {string}
+ */
+const sanitizeCommentText = (text) => text
+    .replace(/<\/?[a-z][^>]*>/gi, '')
+    .replace(/[\u0000-\u0008\u000B-\u001F\u007F]/g, '')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+
+/**
+ * Whether a text contains one of the blocked words, also when written with common character substitutions.
+ * @param {string} text
+ * @returns {boolean}
+ */
+const containsBlockedWord = (text) => {
+    const words = text
+        .toLowerCase()
+        .replace(/[013457@$!]/g, (character) => SUBSTITUTIONS[character])
+        .split(/[^a-z]+/);
+    return words.some((word) => BLOCKED_WORDS.includes(word));
+};
+
+module.exports = {
+    MAX_COMMENT_LENGTH,
+    REACTION_EMOJIS,
+    sanitizeCommentText,
+    containsBlockedWord,
+};
@@ -0,0 +1,111 @@
+/**
+ * @typedef {Object} FieldError
+ * @property {string} path - The invalid field, e.g. 'targetValue', 'recurrence.frequency' or 'query.page'.
+ * @property {string} message - What is wrong with the field.
+ */
+
+/**
+ * An error that is sent to the client as is. Controllers pass it to `next()` and the central error
+ * handler (`middlewares/errorHandler.js`) turns it into the error envelope `{ code, message, fields }`.
+ */
+class ApiError extends Error {
+    /**
+     * @param {number} status - The HTTP status code.
+     * @param {string} code - A stable, machine-readable error code.
+     * @param {string} message - A human-readable description of the error.
+     * @param {FieldError[]} [fields=[]] - The invalid fields of the request, if any.
+     */
+    constructor(status, code, message, fields = []) {
+        super(message);
+        this.name = 'ApiError';
+        this.status = status;
+        this.code = code;
+        this.fields = fields;
+        /** @type {number | undefined} Seconds the client should wait before retrying, sent as `Retry-After`. */
+        this.retryAfter = undefined;
+    }
+}
+
+/**
+ * Creates a 400 error for a request with invalid input.
+ * @param {string} message
+ * @param {FieldError[]} [fields=[]]
+ * @returns {ApiError}
+ */
+const badRequest = (message, fields = []) => new ApiError(400, 'validation_failed', message, fields);
+
+/**
+ * Creates a 400 error for a single invalid field; the message is used both for the error and the field.
+ * @param {string} path - The invalid field.
+ * @param {string} message
+ * @returns {ApiError}
+ */
+const invalidField = (path, message) => badRequest(message, [{ path, message }]);
+
+/**
+ * Creates a 401 error for a request without valid credentials.
+ * @param {string} message
+ * @returns {ApiError}
+ */
+const unauthorized = (message) => new ApiError(401, 'unauthorized', message);
+
+/**
+ * Creates a 404 error for a resource that does not exist or is not visible to the user.
+ * @param {string} message
+ * @returns {ApiError}
+ */
+const notFound = (message) => new ApiError(404, 'not_found', message);
+
+/**
+ * Creates a 409 error for a request that conflicts with the current state of a resource.
+ * @param {string} message
+ * @param {FieldError[]} [fields=[]]
+ * @returns {ApiError}
+ */
+const conflict = (message, fields = []) => new ApiError(409, 'conflict', message, fields);
+
+/**
+ * Creates a 412 error for a conditional update of a resource that changed since the client last read it.
+ * @param {string} message
+ * @returns {ApiError}
+ */
+const preconditionFailed = (message) => new ApiError(412, 'precondition_failed', message);
+
+/**
+ * Describes how long to wait before retrying, e.g. "in 30 seconds" or "in 15 minutes".
+ * @param {number} seconds
+ * @returns {string}
+ */
+const describeRetryAfter = (seconds) => {
+    if (seconds < 60) {
+        return `in ${seconds} second${seconds === 1 ? '' : 's'}`;
+    }
+    const minutes = Math.ceil(seconds / 60);
+    return `in ${minutes} minute${minutes === 1 ? '' : 's'}`;
+};
+
+/**
+ * Creates a 429 error for a client that has to wait before retrying. The message is completed with
+ * when to retry, e.g. "Too many login attempts. Try again in 15 minutes."
+ * @param {string} message - The reason, without a final period.
+ * @param {number} retryAfter - Seconds to wait before retrying.
+ * @param {string} [code='rate_limited'] - The error code, e.g. 'account_locked' for a locked account.
+ * @returns {ApiError}
+ */
+const tooManyRequests = (message, retryAfter, code = 'rate_limited') => {
+    const seconds = Math.max(Math.ceil(retryAfter), 1);
+    const error = new ApiError(429, code, `${message}. Try again ${describeRetryAfter(seconds)}.`);
+    error.retryAfter = seconds;
+    return error;
+};
+
+module.exports = {
+    ApiError,
+    badRequest,
+    invalidField,
+    unauthorized,
+    notFound,
+    conflict,
+    preconditionFailed,
+    tooManyRequests,
+};
@@ -0,0 +1,149 @@
+const Comment = require('../models/Comment');
+const Goal = require('../models/Goal');
+const GoalShare = require('../models/GoalShare');
+const Reaction = require('../models/Reaction');
+const Reminder = require('../models/Reminder');
+const { DAY_IN_MS, computeGoalStats, findCompletionEntry } = require('./goalStats');
+
+const GOAL_RESTORE_WINDOW_DAYS = Number(process.env.GOAL_RESTORE_WINDOW_DAYS) || 30;
+// How long after their end date finished recurring goals are still checked for completion
+const RECURRING_COMPLETION_WINDOW_DAYS = 7;
+
+// The statuses each lifecycle status can change to; 'expired' is derived from the dates and never stored
+const STATUS_TRANSITIONS = {
+    active: ['paused', 'completed', 'abandoned', 'archived'],
+    paused: ['active', 'abandoned', 'archived'],
+    completed: ['active', 'archived'],
+    abandoned: ['active', 'archived'],
+    archived: ['active'],
+};
+
+/**
+ * Completes an active goal whose target has been reached, without saving it. Call it whenever the
+ * progress or the target of a goal changes. Completed goals stay completed when progress goes back down.
+ * Progress entries are sorted by date first, so that a back-dated entry is never taken for the latest one.
+ * @param {Object} goal - The goal document.
+ * @param {Date} [now=new Date()]
+ * @returns {boolean} Whether the goal was completed.
+ */
+const syncGoalCompletion = (goal, now = new Date()) => {
+    goal.progress.sort((a, b) => a.date - b.date);
+    if ((goal.status || 'active') !== 'active' || !computeGoalStats(goal, now).completed) {
+        return false;
+    }
+    // Recurring goals complete with their last period rather than with an entry
+    const completingEntry = findCompletionEntry(goal);
+    goal.status = 'completed';
+    goal.statusChangedAt = now;
+    goal.completedAt = completingEntry ? completingEntry.date : now;
+    return true;
+};
+
+/**
+ * Completes the active recurring goals whose last period has closed with every period met. Unlike target
+ * goals, which complete on the write that reaches the target, these complete with the passing of time,
+ * so the notification scheduler calls this on every run. Goals that ended more than
+ * `RECURRING_COMPLETION_WINDOW_DAYS` ago are no longer checked.
+ * @param {Date} [now=new Date()]
+ * @returns {Promise<number>} The number of completed goals.
+ */
+const completeFinishedRecurringGoals = async (now = new Date()) => {
+    const goals = await Goal.find({
+        kind: 'recurring',
+        // Goals saved before lifecycle statuses existed have none and are active
+        status: { $in: ['active', null] },
+        endDate: { $gt: new Date(now.getTime() - RECURRING_COMPLETION_WINDOW_DAYS * DAY_IN_MS), $lte: now },
+    });
+    const completedGoals = goals.filter((goal) => syncGoalCompletion(goal, now));
+    await Promise.all(completedGoals.map((goal) => goal.save()));
+    return completedGoals.length;
+};
+
+/**
+ * Changes the lifecycle status of a goal, without saving it.
+ * Pausing opens a pause; leaving the paused status closes it and pushes endDate back by its length,
+ * so that the goal keeps the time it had left. Completing records `completedAt`; restoring an archived
+ * goal makes it active again, or completed if its target has been reached.
+ * @param {Object} goal - The goal document.
+ * @param {'active' | 'paused' | 'completed' | 'abandoned' | 'archived'} status - The new status.
+ * @param {Date} [now=new Date()]
+ * @returns {string | null} Why the change is not allowed, or null once it has been applied.
+ */
+const changeGoalStatus = (goal, status, now = new Date()) => {
+    const from = goal.status || 'active';
+    if (from === status) {
+        return `The goal is already ${status}`;
+    }
+    if (!STATUS_TRANSITIONS[from].includes(status)) {
+        return `A ${from} goal cannot be changed to ${status}`;
+    }
+    if (from === 'completed' && status === 'active' && computeGoalStats(goal, now).completed) {
+        return 'The goal has reached its target; raise the target value to reopen it';
+    }
+
+    if (from === 'paused') {
+        const pause = goal.pauses.find((entry) => !entry.endedAt);
+        if (pause) {
+            pause.endedAt = now;
+            goal.endDate = new Date(goal.endDate.getTime() + (now.getTime() - pause.startedAt.getTime()));
+        }
+    }
+    if (status === 'paused') {
+        goal.pauses.push({ startedAt: now, endedAt: null });
+    }
+
+    goal.status = status;
+    goal.statusChangedAt = now;
+    if (status === 'completed') {
+        goal.completedAt = now;
+    } else if (status === 'active') {
+        goal.completedAt = null;
+        syncGoalCompletion(goal, now);
+    }
+    return null;
+};
+
+/**
+ * Returns the date until which a deleted goal can be restored.
+ * @param {Object} goal - The deleted goal document.
+ * @returns {Date}
+ */
+const getRestorableUntil = (goal) => new Date(goal.deletedAt.getTime() + GOAL_RESTORE_WINDOW_DAYS * DAY_IN_MS);
+
+/**
+ * Returns the earliest deletion date of the goals that can still be restored.
+ * @param {Date} [now=new Date()]
+ * @returns {Date}
+ */
+const getRestoreWindowStart = (now = new Date()) => new Date(now.getTime() - GOAL_RESTORE_WINDOW_DAYS * DAY_IN_MS);
+
+/**
+ * Permanently deletes the goals whose restore window has ended, with their share links, reminders, comments and reactions.
+ * @param {Date} [now=new Date()]
+ * @returns {Promise<number>} The number of purged goals.
+ */
+const purgeDeletedGoals = async (now = new Date()) => {
+    const goals = await Goal.find({ deletedAt: { $ne: null, $lte: getRestoreWindowStart(now) } }).select('_id');
+    if (goals.length === 0) {
+        return 0;
+    }
+    const goalIds = goals.map((goal) => goal._id);
+    await Promise.all([
+        GoalShare.deleteMany({ goalId: { $in: goalIds } }),
+        Reminder.deleteMany({ goalId: { $in: goalIds } }),
+        Comment.deleteMany({ goalId: { $in: goalIds } }),
+        Reaction.deleteMany({ goalId: { $in: goalIds } }),
+    ]);
+    await Goal.deleteMany({ _id: { $in: goalIds } });
+    return goals.length;
+};
+
+module.exports = {
+    GOAL_RESTORE_WINDOW_DAYS,
+    changeGoalStatus,
+    syncGoalCompletion,
+    completeFinishedRecurringGoals,
+    getRestorableUntil,
+    getRestoreWindowStart,
+    purgeDeletedGoals,
+};
@@ -0,0 +1,290 @@
+const { computeRecurringStats } = require('./recurrence');
+
+const DAY_IN_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * @typedef {Object} Trend
+ * @property {number} slopePerDay - Change of the progress value per day, from a least-squares linear regression.
+ * @property {number} intercept - Regression value at the goal's startDate.
+ */
+
+/**
+ * @typedef {Object} GoalStats
+ * @property {'increase' | 'decrease'} direction - Whether the value must go up or down to reach the target.
+ * @property {number | null} startValue - The value progress is measured from.
+ * @property {number | null} currentValue - The most recent progress value.
+ * @property {number} targetValue - The goal's target value.
+ * @property {string} unit - The goal's unit of measure.
+ * @property {number} percentComplete - Direction-aware completion percentage, clamped to 0-100.
+ * @property {number} expectedPercent - Completion percentage expected at this point of the goal period.
+ * @property {boolean} completed - Whether the target has been reached.
+ * @property {boolean} onPace - Whether progress is at or ahead of the expected percentage.
+ * @property {Trend | null} trend - Linear-regression trend, or null if there are not enough entries.
+ * @property {Date | null} projectedCompletionDate - Date the trend reaches the target, or null if it never does.
+ * @property {number} daysElapsed - Whole days elapsed since startDate, not counting the days the goal was paused.
+ * @property {number} daysRemaining - Whole days left until endDate (0 once it has passed); frozen while the goal is paused.
+ * @property {number} entryCount - Number of progress entries.
+ * @property {import('./recurrence').RecurrenceStats} [recurrence] - Period-by-period evaluation, for recurring goals only.
+ */
+
+/**
+ * Determines whether a goal's value must increase or decrease to reach its target.
+ * Weight loss goals go down, muscle gain and endurance goals go up, and other goals
+ * are inferred from their first progress entry relative to the target.
+ * @param {Object} goal - The goal document.
+ * @returns {'increase' | 'decrease'}
+ */
+const getDirection = (goal) => {
+    if (goal.type === 'weight loss') {
+        return 'decrease';
+    }
+    if (goal.type === 'other' && goal.progress.length > 0 && goal.progress[0].value > goal.targetValue) {
+        return 'decrease';
+    }
+    return 'increase';
+};
+
+/**
+ * Returns the value progress is measured from: zero for increasing goals, the first recorded value for
+ * decreasing goals and for goals following a body metric, whose first measurement is their baseline.
+ * @param {Object} goal - The goal document; its progress entries must be sorted by date.
+ * @param {'increase' | 'decrease'} direction
+ * @returns {number | null} The start value, or null for a goal measured from its first entry that has none.
+ */
+const getStartValue = (goal, direction) => {
+    if (direction === 'increase' && !goal.metricLink) {
+        return 0;
+    }
+    return goal.progress.length > 0 ? goal.progress[0].value : null;
+};
+
+/**
+ * Calculates the direction-aware completion percentage of a goal, as the share of the way
+ * from the start value to the target covered by the current value.
+ * @param {'increase' | 'decrease'} direction
+ * @param {number | null} startValue
+ * @param {number | null} currentValue
+ * @param {number} targetValue
+ * @returns {number} The percentage, clamped to 0-100.
+ */
+const calculatePercentComplete = (direction, startValue, currentValue, targetValue) => {
+    if (currentValue === null) {
+        return 0;
+    }
+    let percent;
+    if (direction === 'decrease') {
+        const totalChange = startValue - targetValue;
+        if (totalChange <= 0) {
+            return currentValue <= targetValue ? 100 : 0;
+        }
+        percent = ((startValue - currentValue) / totalChange) * 100;
+    } else {
+        const totalChange = targetValue - startValue;
+        if (totalChange <= 0) {
+            return currentValue >= targetValue ? 100 : 0;
+        }
+        percent = ((currentValue - startValue) / totalChange) * 100;
+    }
+    return Math.min(Math.max(percent, 0), 100);
+};
+
+/**
+ * Measures how long a goal has been paused, split between finished pauses and the pause in progress.
+ * Resuming a goal pushes its endDate back by the length of the pause (see `utils/goalLifecycle.js`),
+ * so finished pauses are already part of its endDate while the pause in progress is not yet.
+ * @param {Object} goal - The goal document.
+ * @param {Date} now - The reference date.
+ * @returns {{finished: number, current: number}} The paused time in milliseconds.
+ */
+const getPausedTime = (goal, now) => {
+    let finished = 0;
+    let current = 0;
+    (goal.pauses || []).forEach((pause) => {
+        if (pause.endedAt) {
+            finished += Math.max(pause.endedAt.getTime() - pause.startedAt.getTime(), 0);
+        } else {
+            current += Math.max(now.getTime() - pause.startedAt.getTime(), 0);
+        }
+    });
+    return { finished, current };
+};
+
+/**
+ * Fits a least-squares line through the progress entries, with x measured in days since startDate.
+ * @param {Array<{date: Date, value: number}>} progress - The progress entries.
+ * @param {Date} startDate - The goal start date.
+ * @returns {Trend | null} The trend, or null if fewer than two distinct dates are recorded.
+ */
+const calculateTrend = (progress, startDate) => {
+    if (progress.length < 2) {
+        return null;
+    }
+    const points = progress.map((entry) => ({
+        x: (entry.date.getTime() - startDate.getTime()) / DAY_IN_MS,
+        y: entry.value,
+    }));
+    const n = points.length;
+    const meanX = points.reduce((sum, p) => sum + p.x, 0) / n;
+    const meanY = points.reduce((sum, p) => sum + p.y, 0) / n;
+    const sxx = points.reduce((sum, p) => sum + (p.x - meanX) ** 2, 0);
+    if (sxx === 0) {
+        return null;
+    }
+    const sxy = points.reduce((sum, p) => sum + (p.x - meanX) * (p.y - meanY), 0);
+    const slopePerDay = sxy / sxx;
+    return { slopePerDay, intercept: meanY - slopePerDay * meanX };
+};
+
+/**
+ * Projects the date on which the trend line reaches the target value.
+ * @param {Trend | null} trend
+ * @param {'increase' | 'decrease'} direction
+ * @param {number} targetValue
+ * @param {Date} startDate
+ * @returns {Date | null} The projected date, or null if the trend is flat or moving away from the target.
+ */
+const projectCompletionDate = (trend, direction, targetValue, startDate) => {
+    if (!trend) {
+        return null;
+    }
+    const movingTowardTarget = direction === 'increase' ? trend.slopePerDay > 0 : trend.slopePerDay < 0;
+    if (!movingTowardTarget) {
+        return null;
+    }
+    const days = (targetValue - trend.intercept) / trend.slopePerDay;
+    return new Date(startDate.getTime() + days * DAY_IN_MS);
+};
+
+/**
+ * Computes the statistics of a recurring goal. Completion is measured in periods: the percentage is the share
+ * of periods met, the current value is the progress of the current period, and the goal is completed once its
+ * last period has closed without a missed period that grace periods did not cover. Periods skipped while the
+ * goal was paused are left out of both.
+ * @param {Object} goal - The recurring goal document; its progress entries must be sorted by date.
+ * @param {Date} now - The reference date.
+ * @returns {GoalStats}
+ */
+const computeRecurringGoalStats = (goal, now) => {
+    const { progress, startDate, endDate, targetValue, unit } = goal;
+    const recurrence = computeRecurringStats(goal, now);
+    const { totalPeriods, periodsMet, periodsMissed, periodsPaused, periods } = recurrence;
+
+    const scoredPeriods = totalPeriods - periodsPaused;
+    const closedPeriods = periods.filter((period) => period.status !== 'in_progress' && period.status !== 'paused').length;
+    const percentComplete = scoredPeriods > 0 ? (periodsMet / scoredPeriods) * 100 : 0;
+    const completed = scoredPeriods > 0 && closedPeriods === scoredPeriods && periodsMissed === 0;
+    const paused = getPausedTime(goal, now);
+
+    return {
+        direction: 'increase',
+        startValue: 0,
+        currentValue: recurrence.currentPeriod ? recurrence.currentPeriod.value : null,
+        targetValue,
+        unit,
+        percentComplete,
+        expectedPercent: scoredPeriods > 0 ? (closedPeriods / scoredPeriods) * 100 : 100,
+        completed,
+        onPace: periodsMissed === 0,
+        trend: null,
+        projectedCompletionDate: null,
+        daysElapsed: Math.floor(Math.max(now.getTime() - paused.finished - paused.current - startDate.getTime(), 0) / DAY_IN_MS),
+        daysRemaining: Math.max(Math.ceil((endDate.getTime() + paused.current - now.getTime()) / DAY_IN_MS), 0),
+        entryCount: progress.length,
+        recurrence,
+    };
+};
+
+/**
+ * Computes the authoritative progress statistics of a goal.
+ * @param {Object} goal - The goal document; its progress entries must be sorted by date.
+ * @param {Date} [now=new Date()] - The reference date for pace and remaining-time calculations.
+ * @returns {GoalStats}
+ */
+const computeGoalStats = (goal, now = new Date()) => {
+    if (goal.kind === 'recurring') {
+        return computeRecurringGoalStats(goal, now);
+    }
+    const { progress, startDate, endDate, targetValue, unit } = goal;
+    const direction = getDirection(goal);
+    const currentValue = progress.length > 0 ? progress[progress.length - 1].value : null;
+    const startValue = getStartValue(goal, direction);
+
+    const percentComplete = calculatePercentComplete(direction, startValue, currentValue, targetValue);
+    const completed = percentComplete >= 100;
+
+    // Pace is measured on the goal's own clock, which stands still while the goal is paused
+    const paused = getPausedTime(goal, now);
+    const clock = now.getTime() - paused.finished - paused.current;
+    const totalDuration = endDate.getTime() - paused.finished - startDate.getTime();
+    const elapsed = Math.min(Math.max(clock - startDate.getTime(), 0), Math.max(totalDuration, 0));
+    const expectedPercent = totalDuration > 0 ? (elapsed / totalDuration) * 100 : 100;
+
+    const trend = calculateTrend(progress, startDate);
+    const projectedCompletionDate = completed
+        ? null
+        : projectCompletionDate(trend, direction, targetValue, startDate);
+
+    return {
+        direction,
+        startValue,
+        currentValue,
+        targetValue,
+        unit,
+        percentComplete,
+        expectedPercent,
+        completed,
+        onPace: completed || percentComplete >= expectedPercent,
+        trend,
+        projectedCompletionDate,
+        daysElapsed: Math.floor(Math.max(clock - startDate.getTime(), 0) / DAY_IN_MS),
+        daysRemaining: Math.max(Math.ceil((endDate.getTime() + paused.current - now.getTime()) / DAY_IN_MS), 0),
+        entryCount: progress.length,
+    };
+};
+
+/**
+ * Finds the first progress entry that reached the goal's target.
+ * Recurring goals have a target per period rather than one completing entry, so none is returned for them.
+ * @param {Object} goal - The goal document; its progress entries must be sorted by date.
+ * @returns {{date: Date, value: number} | null} The completing entry, or null if the target has not been reached.
+ */
+const findCompletionEntry = (goal) => {
+    if (goal.kind === 'recurring') {
+        return null;
+    }
+    const direction = getDirection(goal);
+    const startValue = getStartValue(goal, direction);
+    const entry = goal.progress.find((progressEntry) => (
+        calculatePercentComplete(direction, startValue, progressEntry.value, goal.targetValue) >= 100
+    ));
+    return entry || null;
+};
+
+/**
+ * Derives the status of a goal. Paused, completed, abandoned and archived goals keep their lifecycle status
+ * (see `utils/goalLifecycle.js`); an active goal is reported as completed once the target is reached, expired
+ * once endDate has passed without reaching it, and active otherwise.
+ * @param {Object} goal - The goal document; its progress entries must be sorted by date.
+ * @param {Date} [now=new Date()] - The reference date.
+ * @returns {'active' | 'paused' | 'completed' | 'abandoned' | 'archived' | 'expired'}
+ */
+const getGoalStatus = (goal, now = new Date()) => {
+    if (goal.status && goal.status !== 'active') {
+        return goal.status;
+    }
+    if (computeGoalStats(goal, now).completed) {
+        return 'completed';
+    }
+    return goal.endDate.getTime() < now.getTime() ? 'expired' : 'active';
+};
+
+module.exports = {
+    DAY_IN_MS,
+    getDirection,
+    getStartValue,
+    calculatePercentComplete,
+    calculateTrend,
+    computeGoalStats,
+    findCompletionEntry,
+    getGoalStatus,
+};
@@ -0,0 +1,106 @@
+/**
+ * @typedef {Object} GoalTemplate
+ * @property {string} id - Stable identifier of the template.
+ * @property {string} name - Suggested goal name.
+ * @property {string} description - Suggested goal description.
+ * @property {string} type - Goal type, one of the Goal schema types.
+ * @property {string} unit - Canonical unit code from `utils/units.js`.
+ * @property {number | null} targetValue - Absolute target, or null when the target is relative to the baseline.
+ * @property {number | null} targetChange - Change from the baseline to reach (negative to decrease), or null for absolute targets.
+ * @property {number} durationWeeks - Suggested length of the goal period.
+ * @property {string | null} baselinePrompt - Question asking for the user's current value, or null if none is needed.
+ * @property {'target' | 'recurring'} kind - Goal kind; recurring templates describe a habit with a per-period target.
+ * @property {{frequency: string, aggregation: string, gracePeriods: number} | null} recurrence - Recurrence rule of recurring templates.
+ */
+
+/**
+ * Library of goal templates offered by the goal-creation wizard.
+ * Templates with a `targetChange` derive their target from the baseline the user enters, which is
+ * also recorded as the goal's first progress entry.
+ * @type {GoalTemplate[]}
+ */
+const GOAL_TEMPLATES = [
+    {
+        id: 'lose-5-kg',
+        name: 'Lose 5 kg in 12 weeks',
+        description: 'Steady, sustainable weight loss of about 0.4 kg per week.',
+        type: 'weight loss',
+        unit: 'kg',
+        targetValue: null,
+        targetChange: -5,
+        durationWeeks: 12,
+        baselinePrompt: 'What is your current weight?',
+        kind: 'target',
+        recurrence: null,
+    },
+    {
+        id: 'run-5k-under-30',
+        name: 'Run 5k under 30 min',
+        description: 'Bring your 5 km run time below 30 minutes.',
+        // A time to bring down: typed 'other' so the baseline above the target makes it a decreasing goal
+        type: 'other',
+        unit: 'minutes',
+        targetValue: 30,
+        targetChange: null,
+        durationWeeks: 8,
+        baselinePrompt: 'What is your current 5 km time?',
+        kind: 'target',
+        recurrence: null,
+    },
+    {
+        id: 'add-20-kg-squat',
+        name: 'Add 20 kg to squat',
+        description: 'Increase your squat one-rep max by 20 kg.',
+        type: 'muscle gain',
+        unit: 'kg',
+        targetValue: null,
+        targetChange: 20,
+        durationWeeks: 12,
+        baselinePrompt: 'What is your current squat one-rep max?',
+        kind: 'target',
+        recurrence: null,
+    },
+    {
+        id: 'plank-3-min',
+        name: 'Hold a 3 minute plank',
+        description: 'Build core endurance up to a three minute plank.',
+        type: 'endurance',
+        unit: 'minutes',
+        targetValue: 3,
+        targetChange: null,
+        durationWeeks: 6,
+        baselinePrompt: null,
+        kind: 'target',
+        recurrence: null,
+    },
+    {
+        id: '10000-steps',
+        name: 'Walk 10,000 steps a day',
+        description: 'Reach 10,000 steps every day; one missed day keeps your streak alive.',
+        type: 'other',
+        unit: 'steps',
+        targetValue: 10000,
+        targetChange: null,
+        durationWeeks: 4,
+        baselinePrompt: null,
+        kind: 'recurring',
+        recurrence: { frequency: 'daily', aggregation: 'sum', gracePeriods: 1 },
+    },
+    {
+        id: '3-workouts-a-week',
+        name: '3 workouts per week',
+        description: 'Train at least three times every week.',
+        type: 'endurance',
+        unit: 'sessions',
+        targetValue: 3,
+        targetChange: null,
+        durationWeeks: 12,
+        baselinePrompt: null,
+        kind: 'recurring',
+        recurrence: { frequency: 'weekly', aggregation: 'count', gracePeriods: 0 },
+    },
+];
+
+module.exports = {
+    GOAL_TEMPLATES,
+};
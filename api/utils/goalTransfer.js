@@ -0,0 +1,334 @@
+const Goal = require('../models/Goal');
+const { UNITS, toBaseValue, fromBaseValue } = require('./units');
+
+/**
+ * Columns of the CSV format, one row per progress entry. Goals without progress are
+ * exported as a single row with empty progress columns.
+ */
+const CSV_COLUMNS = [
+    'goal_name',
+    'goal_type',
+    'goal_description',
+    'start_date',
+    'end_date',
+    'target_value',
+    'unit',
+    'progress_date',
+    'progress_value',
+];
+
+const REQUIRED_CSV_COLUMNS = ['goal_name', 'goal_type', 'start_date', 'end_date', 'target_value', 'unit'];
+
+/**
+ * Maps Goal schema paths to the CSV column they are read from, for error reporting.
+ */
+const CSV_FIELD_COLUMNS = {
+    name: 'goal_name',
+    type: 'goal_type',
+    description: 'goal_description',
+    startDate: 'start_date',
+    endDate: 'end_date',
+    targetValue: 'target_value',
+    unit: 'unit',
+    date: 'progress_date',
+    value: 'progress_value',
+};
+
+/**
+ * @typedef {Object} ImportEntry
+ * @property {number} row - The row (CSV line or JSON goal number) the goal was read from.
+ * @property {Object} fields - The raw goal fields, cast by the Goal schema during validation.
+ * @property {Array<{row: number, date: any, value: any}>} progress - The raw progress entries.
+ */
+
+/**
+ * @typedef {Object} ImportError
+ * @property {number} row - The row the error refers to.
+ * @property {string} field - The column (CSV) or property path (JSON) the error refers to.
+ * @property {string} message - A description of the problem.
+ */
+
+/**
+ * Escapes a single CSV value, quoting it when it contains a separator, quote or line break.
+ * @param {any} value
+ * @returns {string}
+ */
+const escapeCsvValue = (value) => {
+    if (value === null || value === undefined) {
+        return '';
+    }
+    const text = value instanceof Date ? value.toISOString() : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Formats a list of values as a CSV line.
+ * @param {any[]} values
+ * @returns {string}
+ */
+const toCsvLine = (values) => `${values.map(escapeCsvValue).join(',')}\r\n`;
+
+/**
+ * Returns the CSV header line.
+ * @returns {string}
+ */
+const csvHeader = () => toCsvLine(CSV_COLUMNS);
+
+/**
+ * Formats a goal and its progress entries as CSV lines. Values are written in the goal's own unit.
+ * @param {Object} goal - The goal document.
+ * @returns {string}
+ */
+const goalToCsv = (goal) => {
+    const targetValue = fromBaseValue(goal.targetValue, goal.unit);
+    const goalValues = [goal.name, goal.type, goal.description, goal.startDate, goal.endDate, targetValue, goal.unit];
+    if (goal.progress.length === 0) {
+        return toCsvLine([...goalValues, null, null]);
+    }
+    return goal.progress
+        .map((entry) => toCsvLine([...goalValues, entry.date, fromBaseValue(entry.value, goal.unit)]))
+        .join('');
+};
+
+/**
+ * Returns the portable JSON representation of a goal, as produced by the export and accepted by the import.
+ * Values are written in the goal's own unit. Unlike the CSV format, it keeps the recurrence rule of recurring goals.
+ * @param {Object} goal - The goal document.
+ * @returns {Object}
+ */
+const goalToJson = (goal) => ({
+    name: goal.name,
+    type: goal.type,
+    description: goal.description,
+    startDate: goal.startDate,
+    endDate: goal.endDate,
+    kind: goal.kind,
+    recurrence: goal.recurrence
+        ? { frequency: goal.recurrence.frequency, aggregation: goal.recurrence.aggregation, gracePeriods: goal.recurrence.gracePeriods }
+        : null,
+    targetValue: fromBaseValue(goal.targetValue, goal.unit),
+    unit: goal.unit,
+    progress: goal.progress.map((entry) => ({ date: entry.date, value: fromBaseValue(entry.value, goal.unit) })),
+});
+
+/**
+ * Parses CSV text (RFC 4180: quoted values, doubled quotes, CRLF or LF line endings).
+ * @param {string} text
+ * @returns {string[][]} The records, each an array of values. Blank lines are skipped.
+ */
+const parseCsv = (text) => {
+    const records = [];
+    let record = [];
+    let value = '';
+    let inQuotes = false;
+
+    const endRecord = () => {
+        record.push(value);
+        if (record.length > 1 || record[0].trim() !== '') {
+            records.push(record);
+        }
+        record = [];
+        value = '';
+    };
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (inQuotes) {
+            if (char === '"' && text[i + 1] === '"') {
+                value += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                value += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            record.push(value);
+            value = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') {
+                i++;
+            }
+            endRecord();
+        } else {
+            value += char;
+        }
+    }
+    if (value !== '' || record.length > 0) {
+        endRecord();
+    }
+    return records;
+};
+
+/**
+ * Reads a CSV import into goal entries. Consecutive or scattered rows describing the same goal
+ * (same name, type, description, period, target and unit) are grouped into one goal.
+ * @param {string} text - The CSV file contents.
+ * @returns {{entries: ImportEntry[], errors: ImportError[]}}
+ */
+const readCsvImport = (text) => {
+    const [header, ...rows] = parseCsv(text.replace(/^\uFEFF/, ''));
+    if (!header) {
+        return { entries: [], errors: [] };
+    }
+
+    const columns = header.map((column) => column.trim().toLowerCase());
+    const missing = REQUIRED_CSV_COLUMNS.filter((column) => !columns.includes(column));
+    if (missing.length > 0) {
+        return {
+            entries: [],
+            errors: missing.map((column) => ({ row: 1, field: column, message: `Missing required column "${column}".` })),
+        };
+    }
+
+    const entriesByKey = new Map();
+    rows.forEach((values, index) => {
+        // Row 1 is the header, so data rows are numbered from 2 like in a spreadsheet
+        const row = index + 2;
+        const cell = (column) => {
+            const position = columns.indexOf(column);
+            const value = position === -1 ? '' : (values[position] || '').trim();
+            return value === '' ? null : value;
+        };
+
+        const fields = {
+            name: cell('goal_name'),
+            type: cell('goal_type'),
+            description: cell('goal_description'),
+            startDate: cell('start_date'),
+            endDate: cell('end_date'),
+            targetValue: cell('target_value'),
+            unit: cell('unit'),
+        };
+        const key = JSON.stringify(fields);
+        if (!entriesByKey.has(key)) {
+            entriesByKey.set(key, { row, fields, progress: [] });
+        }
+
+        const date = cell('progress_date');
+        const value = cell('progress_value');
+        if (date !== null || value !== null) {
+            entriesByKey.get(key).progress.push({ row, date, value });
+        }
+    });
+
+    return { entries: [...entriesByKey.values()], errors: [] };
+};
+
+/**
+ * Reads a JSON import into goal entries. Accepts the export document (`{ goals: [...] }`)
+ * or a bare array of goals.
+ * @param {any} data - The parsed JSON document.
+ * @returns {{entries: ImportEntry[], errors: ImportError[]}}
+ */
+const readJsonImport = (data) => {
+    const goals = Array.isArray(data) ? data : data && data.goals;
+    if (!Array.isArray(goals)) {
+        return { entries: [], errors: [{ row: 0, field: 'goals', message: 'Expected an array of goals.' }] };
+    }
+
+    const entries = [];
+    const errors = [];
+    goals.forEach((goal, index) => {
+        const row = index + 1;
+        if (!goal || typeof goal !== 'object' || Array.isArray(goal)) {
+            errors.push({ row, field: 'goal', message: 'Each goal must be an object.' });
+            return;
+        }
+        if (goal.progress !== undefined && !Array.isArray(goal.progress)) {
+            errors.push({ row, field: 'progress', message: 'Progress must be an array of entries.' });
+            return;
+        }
+        const { name, type, description, startDate, endDate, kind, recurrence, targetValue, unit } = goal;
+        entries.push({
+            row,
+            fields: { name, type, description, startDate, endDate, kind, recurrence, targetValue, unit },
+            progress: (goal.progress || []).map((entry) => ({
+                row,
+                date: entry && entry.date,
+                value: entry && entry.value,
+            })),
+        });
+    });
+    return { entries, errors };
+};
+
+/**
+ * Validates import entries against the Goal schema and builds the goal documents to insert.
+ * Progress entries must fall within their goal's period, as when they are logged through the API.
+ * Values are read in the goal's unit and converted to its base unit.
+ * @param {ImportEntry[]} entries - The entries read from the import.
+ * @param {string} userId - The ID of the importing user.
+ * @param {'csv' | 'json'} format - The import format, which decides how fields are named in errors.
+ * @returns {{goals: Object[], errors: ImportError[]}}
+ */
+const buildImportedGoals = (entries, userId, format) => {
+    const goals = [];
+    const errors = [];
+    const fieldName = (path, progressIndex) => {
+        if (format === 'csv') {
+            return CSV_FIELD_COLUMNS[path] || path;
+        }
+        return progressIndex === undefined ? path : `progress[${progressIndex}].${path}`;
+    };
+
+    entries.forEach((entry) => {
+        const goal = new Goal({
+            userId,
+            ...entry.fields,
+            progress: entry.progress.map(({ date, value }) => ({ date, value })),
+        });
+
+        const validationError = goal.validateSync();
+        const entryErrors = [];
+        if (validationError) {
+            Object.entries(validationError.errors).forEach(([path, error]) => {
+                const progressPath = path.match(/^progress\.(\d+)\.(\w+)$/);
+                if (progressPath) {
+                    const index = Number(progressPath[1]);
+                    entryErrors.push({ row: entry.progress[index].row, field: fieldName(progressPath[2], index), message: error.message });
+                } else if (!path.startsWith('progress')) {
+                    entryErrors.push({ row: entry.row, field: fieldName(path), message: error.message });
+                }
+            });
+        } else {
+            goal.progress.forEach((progressEntry, index) => {
+                if (progressEntry.date < goal.startDate || progressEntry.date > goal.endDate) {
+                    entryErrors.push({
+                        row: entry.progress[index].row,
+                        field: fieldName('date', index),
+                        message: 'Progress date must be within the goal period.',
+                    });
+                }
+            });
+        }
+
+        if (entryErrors.length > 0) {
+            errors.push(...entryErrors);
+        } else {
+            if (UNITS[goal.unit]) {
+                goal.targetValue = toBaseValue(goal.targetValue, goal.unit);
+                goal.progress.forEach((progressEntry) => {
+                    progressEntry.value = toBaseValue(progressEntry.value, goal.unit);
+                });
+            }
+            goals.push(goal);
+        }
+    });
+
+    errors.sort((a, b) => a.row - b.row);
+    return { goals, errors };
+};
+
+module.exports = {
+    CSV_COLUMNS,
+    csvHeader,
+    goalToCsv,
+    goalToJson,
+    parseCsv,
+    readCsvImport,
+    readJsonImport,
+    buildImportedGoals,
+};
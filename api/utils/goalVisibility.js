@@ -0,0 +1,58 @@
+const { computeGoalStats } = require('./goalStats');
+const { getDisplayUnit, fromBaseValue, localizeStats } = require('./units');
+
+/**
+ * Visibility levels, from least to most revealing.
+ * - name: only the goal's name and type.
+ * - percent: adds the completion percentage and goal period.
+ * - full: adds the description, target, unit and full progress history.
+ * @type {string[]}
+ */
+const VISIBILITY_LEVELS = ['name', 'percent', 'full'];
+
+/**
+ * Builds the view of a goal that may be shown to someone other than its owner.
+ * Owner identifiers are never included. Values are shown in the viewer's unit system when it is known,
+ * otherwise in the unit the goal was set in.
+ * @param {Object} goal - The goal document; its progress entries must be sorted by date.
+ * @param {'name' | 'percent' | 'full'} visibility - The visibility level granted to the viewer.
+ * @param {'metric' | 'imperial' | null} [unitSystem] - The viewer's preferred unit system.
+ * @returns {Object} The redacted goal.
+ */
+const redactGoal = (goal, visibility, unitSystem = null) => {
+    const view = {
+        name: goal.name,
+        type: goal.type,
+        visibility,
+    };
+    if (visibility === 'name') {
+        return view;
+    }
+
+    const stats = computeGoalStats(goal);
+    Object.assign(view, {
+        startDate: goal.startDate,
+        endDate: goal.endDate,
+        percentComplete: stats.percentComplete,
+        completed: stats.completed,
+    });
+    if (visibility === 'percent') {
+        return view;
+    }
+
+    const unit = getDisplayUnit(goal.unit, unitSystem);
+    const localizedStats = localizeStats(stats, unit);
+    return Object.assign(view, {
+        description: goal.description,
+        targetValue: localizedStats.targetValue,
+        unit: localizedStats.unit,
+        currentValue: localizedStats.currentValue,
+        onPace: stats.onPace,
+        progress: goal.progress.map((entry) => ({ date: entry.date, value: fromBaseValue(entry.value, unit) })),
+    });
+};
+
+module.exports = {
+    VISIBILITY_LEVELS,
+    redactGoal,
+};
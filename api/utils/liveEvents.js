@@ -0,0 +1,100 @@
+// Comment lines sent on idle streams, so that proxies do not close them for inactivity
+const HEARTBEAT_INTERVAL_MS = 25 * 1000;
+// Older streams of a user are closed beyond this, e.g. tabs left open on many devices
+const MAX_STREAMS_PER_USER = Number(process.env.MAX_EVENT_STREAMS_PER_USER) || 10;
+// How long clients wait before reconnecting to a closed stream
+const RECONNECT_DELAY_MS = 5 * 1000;
+
+/**
+ * The open event streams, by user ID, in the order they were opened. Streams live in the memory of the
+ * current process: deployments running several API processes must forward events between them (e.g.
+ * with Redis pub/sub calling `publish` in every process) for users to get the changes made elsewhere.
+ * @type {Map<string, Set<{res: Object, close: () => void}>>}
+ */
+const streams = new Map();
+
+/**
+ * Formats an event in the Server-Sent Events wire format.
+ * @param {string} type
+ * @param {any} data - Serialized as JSON.
+ * @returns {string}
+ */
+const formatEvent = (type, data) => `event: ${type}\ndata: ${JSON.stringify(data)}\n\n`;
+
+/**
+ * Turns a response into a Server-Sent Events stream of the user's events, until the client disconnects
+ * or `closeAt` is reached. Streams are closed when the access token they were opened with expires, so
+ * that clients reconnect with a valid one and revoked sessions stop receiving events.
+ * @param {string} userId
+ * @param {Object} res - Express response object.
+ * @param {{closeAt?: Date}} [options]
+ */
+const openEventStream = (userId, res, { closeAt } = {}) => {
+    res.status(200).set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache, no-transform',
+        Connection: 'keep-alive',
+        // Disables response buffering in nginx
+        'X-Accel-Buffering': 'no',
+    });
+    res.flushHeaders();
+    res.write(`retry: ${RECONNECT_DELAY_MS}\n\n`);
+    res.write(formatEvent('ready', {}));
+
+    const key = String(userId);
+    const userStreams = streams.get(key) || new Set();
+    streams.set(key, userStreams);
+
+    const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_INTERVAL_MS);
+    const expiry = closeAt ? setTimeout(() => stream.close(), Math.max(closeAt.getTime() - Date.now(), 0)) : null;
+    const stream = {
+        res,
+        close: () => {
+            clearInterval(heartbeat);
+            clearTimeout(expiry);
+            userStreams.delete(stream);
+            if (userStreams.size === 0 && streams.get(key) === userStreams) {
+                streams.delete(key);
+            }
+            res.end();
+        },
+    };
+    res.on('close', stream.close);
+
+    userStreams.add(stream);
+    if (userStreams.size > MAX_STREAMS_PER_USER) {
+        userStreams.values().next().value.close();
+    }
+};
+
+/**
+ * Sends an event to every open stream of a user. Users without an open stream miss the event; clients
+ * reload their data when they connect.
+ * @param {Object | string} userId
+ * @param {string} type - The event type, e.g. 'goal.updated'.
+ * @param {any} data - The event data, serialized as JSON; documents are serialized with their `toJSON`.
+ */
+const publish = (userId, type, data) => {
+    const userStreams = streams.get(String(userId));
+    if (!userStreams) {
+        return;
+    }
+    const message = formatEvent(type, data);
+    userStreams.forEach((stream) => stream.res.write(message));
+};
+
+/**
+ * Sends an event to every open stream of several users.
+ * @param {(Object | string)[]} userIds
+ * @param {string} type
+ * @param {any} data
+ */
+const publishToUsers = (userIds, type, data) => {
+    new Set(userIds.map(String)).forEach((userId) => publish(userId, type, data));
+};
+
+module.exports = {
+    openEventStream,
+    publish,
+    publishToUsers,
+};
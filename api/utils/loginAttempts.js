@@ -0,0 +1,84 @@
+const User = require('../models/User');
+
+// The first failures of a series are free; each further one doubles the wait before the next attempt
+const FREE_ATTEMPTS = 3;
+const BASE_DELAY_MS = 1000;
+const MAX_DELAY_MS = 60 * 1000;
+// Reaching this many consecutive failures locks the account
+const LOCKOUT_ATTEMPTS = 10;
+const LOCKOUT_MS = 15 * 60 * 1000;
+// A series of failures ends when no attempt failed for this long
+const ATTEMPT_WINDOW_MS = 60 * 60 * 1000;
+
+/**
+ * Computes how long the user has to wait before the next login attempt is accepted: until the end
+ * of a lockout, or the progressive delay that follows the latest failure.
+ * @param {Object} user - The user document.
+ * @param {Date} [now=new Date()]
+ * @returns {{retryAfterMs: number, locked: boolean}} The remaining wait (0 when a login may be attempted)
+ *   and whether it is caused by a lockout.
+ */
+const getLoginDelay = (user, now = new Date()) => {
+    if (user.lockedUntil && user.lockedUntil > now) {
+        return { retryAfterMs: user.lockedUntil.getTime() - now.getTime(), locked: true };
+    }
+
+    const failures = user.failedLoginAttempts || 0;
+    if (failures < FREE_ATTEMPTS || !user.lastFailedLoginAt) {
+        return { retryAfterMs: 0, locked: false };
+    }
+
+    const delayMs = Math.min(BASE_DELAY_MS * 2 ** (failures - FREE_ATTEMPTS), MAX_DELAY_MS);
+    const retryAfterMs = user.lastFailedLoginAt.getTime() + delayMs - now.getTime();
+    return { retryAfterMs: Math.max(retryAfterMs, 0), locked: false };
+};
+
+/**
+ * Records a failed login of the user, locking the account once the failures reach the lockout threshold.
+ * The count is incremented atomically so that concurrent attempts are all counted.
+ * @param {Object} user - The user document.
+ * @param {Date} [now=new Date()]
+ * @returns {Promise<{failedLoginAttempts: number, lockedUntil: Date | null}>} The updated lockout state.
+ */
+const recordFailedLogin = async (user, now = new Date()) => {
+    const windowStart = new Date(now.getTime() - ATTEMPT_WINDOW_MS);
+    const updated = await User.findOneAndUpdate(
+        { _id: user._id },
+        [{
+            $set: {
+                failedLoginAttempts: {
+                    $cond: [{ $gt: ['$lastFailedLoginAt', windowStart] }, { $add: [{ $ifNull: ['$failedLoginAttempts', 0] }, 1] }, 1],
+                },
+                lastFailedLoginAt: now,
+            },
+        }],
+        { new: true }
+    ).select('failedLoginAttempts');
+
+    if (!updated || updated.failedLoginAttempts < LOCKOUT_ATTEMPTS) {
+        return { failedLoginAttempts: updated ? updated.failedLoginAttempts : 0, lockedUntil: null };
+    }
+
+    // The lockout replaces the series, so the count starts over once it ends
+    const lockedUntil = new Date(now.getTime() + LOCKOUT_MS);
+    await User.updateOne({ _id: user._id }, { failedLoginAttempts: 0, lockedUntil });
+    return { failedLoginAttempts: 0, lockedUntil };
+};
+
+/**
+ * Clears the failed login series of the user after a successful login.
+ * @param {Object} user - The user document.
+ * @returns {Promise<void>}
+ */
+const clearFailedLogins = async (user) => {
+    if (!user.failedLoginAttempts && !user.lockedUntil) {
+        return;
+    }
+    await User.updateOne({ _id: user._id }, { failedLoginAttempts: 0, lastFailedLoginAt: null, lockedUntil: null });
+};
+
+module.exports = {
+    getLoginDelay,
+    recordFailedLogin,
+    clearFailedLogins,
+};
@@ -0,0 +1,51 @@
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+
+/*
+ * Mail transports for development and tests, with the same `sendMail` interface as the SMTP
+ * transport of `smtpTransport.js`. They deliver nothing: messages are printed or written to disk.
+ */
+
+/**
+ * Normalizes the recipients of a message to a list.
+ * @param {string | string[]} to
+ * @returns {string[]}
+ */
+const toRecipients = (to) => (Array.isArray(to) ? to : [to]);
+
+/**
+ * Creates a transport that prints every message to the console.
+ * @param {{from?: string, log?: (text: string) => void}} [options] - `log` defaults to `console.log`.
+ * @returns {import('./mailer').MailTransport}
+ */
+const createConsoleTransport = ({ from = 'no-reply@localhost', log = console.log } = {}) => ({
+    sendMail: async ({ to, subject, text }) => {
+        const recipients = toRecipients(to);
+        log([`From: ${from}`, `To: ${recipients.join(', ')}`, `Subject: ${subject}`, '', text].join('\n'));
+        return { accepted: recipients, response: 'logged to console' };
+    },
+});
+
+/**
+ * Creates a transport that writes every message as a JSON file (`{ from, to, subject, text, date }`)
+ * into a directory, where tests and developers can pick it up.
+ * @param {{dir: string, from?: string}} options - The directory is created when missing.
+ * @returns {import('./mailer').MailTransport}
+ */
+const createFileTransport = ({ dir, from = 'no-reply@localhost' }) => ({
+    sendMail: async ({ to, subject, text }) => {
+        const recipients = toRecipients(to);
+        const date = new Date();
+        // Timestamped names keep the files in sending order
+        const file = path.join(dir, `${date.getTime()}-${crypto.randomBytes(4).toString('hex')}.json`);
+        await fs.mkdir(dir, { recursive: true });
+        await fs.writeFile(file, JSON.stringify({ from, to: recipients, subject, text, date }, null, 2));
+        return { accepted: recipients, response: `written to ${file}` };
+    },
+});
+
+module.exports = {
+    createConsoleTransport,
+    createFileTransport,
+};
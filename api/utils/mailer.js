@@ -0,0 +1,72 @@
+const os = require('os');
+const path = require('path');
+const { createSmtpTransport } = require('./smtpTransport');
+const { createConsoleTransport, createFileTransport } = require('./mailTransports');
+
+/**
+ * @typedef {Object} MailTransport
+ * @property {(message: import('./smtpTransport').MailMessage) => Promise<Object>} sendMail - Delivers one message.
+ */
+
+let transport;
+
+/**
+ * Creates the mail transport configured by the environment. `MAIL_TRANSPORT` picks it explicitly:
+ * - 'smtp': SMTP to `SMTP_HOST` (with `SMTP_PORT`, `SMTP_SECURE`, `SMTP_USER` and `SMTP_PASS`),
+ * - 'console': messages are printed, for development,
+ * - 'file': messages are written as JSON files into `MAIL_DIR`, for development and tests,
+ * - 'none': email is disabled.
+ * When it is not set, SMTP is used if `SMTP_HOST` is set, otherwise the console outside production
+ * and no transport in production. `MAIL_FROM` is the sender address of every transport.
+ * @returns {MailTransport | null}
+ */
+const createTransportFromEnv = () => {
+    const from = process.env.MAIL_FROM || 'no-reply@localhost';
+    const kind = process.env.MAIL_TRANSPORT
+        || (process.env.SMTP_HOST ? 'smtp' : process.env.NODE_ENV === 'production' ? 'none' : 'console');
+
+    switch (kind) {
+        case 'smtp':
+            return createSmtpTransport({
+                host: process.env.SMTP_HOST,
+                port: Number(process.env.SMTP_PORT) || 25,
+                secure: process.env.SMTP_SECURE === 'true',
+                user: process.env.SMTP_USER,
+                pass: process.env.SMTP_PASS,
+                from,
+            });
+        case 'console':
+            return createConsoleTransport({ from });
+        case 'file':
+            return createFileTransport({ dir: process.env.MAIL_DIR || path.join(os.tmpdir(), 'fitness-app-mail'), from });
+        case 'none':
+            return null;
+        default:
+            throw new Error(`Unknown MAIL_TRANSPORT "${kind}"; expected smtp, console, file or none`);
+    }
+};
+
+/**
+ * Returns the mail transport used to send email, created from the environment on first use.
+ * @returns {MailTransport | null} The transport, or null when email is not configured.
+ */
+const getMailTransport = () => {
+    if (transport === undefined) {
+        transport = createTransportFromEnv();
+    }
+    return transport;
+};
+
+/**
+ * Replaces the mail transport, e.g. with an SMTP transport pointing at a local stand-in server in tests.
+ * Pass null to disable email, or undefined to go back to the environment configuration.
+ * @param {MailTransport | null | undefined} mailTransport
+ */
+const setMailTransport = (mailTransport) => {
+    transport = mailTransport;
+};
+
+module.exports = {
+    getMailTransport,
+    setMailTransport,
+};
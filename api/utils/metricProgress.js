@@ -0,0 +1,96 @@
+const BodyMetric = require('../models/BodyMetric');
+const Goal = require('../models/Goal');
+const { updateMilestones, evaluateAchievements } = require('./achievements');
+const { syncGoalCompletion } = require('./goalLifecycle');
+const { publishLeaderboardChanges } = require('./challengeStandings');
+const { publish } = require('./liveEvents');
+
+/**
+ * Checks whether a measurement falls within the goal's startDate and endDate (inclusive).
+ * @param {Object} goal - The goal document.
+ * @param {Date} date - The measurement date.
+ * @returns {boolean}
+ */
+const isWithinGoalPeriod = (goal, date) => date.getTime() >= goal.startDate.getTime()
+    && date.getTime() <= goal.endDate.getTime();
+
+/**
+ * Recomputes the progress entries a body measurement contributes to the user's metric-linked goals.
+ * Metric values and goal values of the same dimension share their base unit, so values are copied as is.
+ * Entries previously derived from the measurement are replaced, so the function is safe to call
+ * after creating, updating or deleting a measurement (pass `deleted` for the latter).
+ * The user's devices, and the members of the challenges scored on the changed goals, are told through their event streams.
+ * @param {Object} measurement - The body metric document.
+ * @param {{deleted?: boolean}} [options]
+ * @returns {Promise<void>}
+ */
+const syncMetricProgress = async (measurement, { deleted = false } = {}) => {
+    const goals = await Goal.find({
+        userId: measurement.userId,
+        $or: [
+            { 'metricLink.metric': measurement.type },
+            { 'progress.metricId': measurement._id },
+        ],
+    });
+
+    const synced = [];
+    for (const goal of goals) {
+        const previousEntries = goal.progress.filter((entry) => entry.metricId && entry.metricId.equals(measurement._id));
+        previousEntries.forEach((entry) => entry.deleteOne());
+
+        const linked = goal.metricLink && goal.metricLink.metric === measurement.type;
+        if (linked && !deleted && isWithinGoalPeriod(goal, measurement.date)) {
+            goal.progress.push({ date: measurement.date, value: measurement.value, metricId: measurement._id });
+        }
+
+        if (!goal.isModified('progress')) {
+            continue;
+        }
+
+        const reachedMilestones = updateMilestones(goal);
+        syncGoalCompletion(goal);
+        await goal.save();
+        try {
+            await evaluateAchievements(goal, reachedMilestones);
+        } catch (error) {
+            console.error('Error evaluating achievements:', error);
+        }
+        synced.push(goal._id);
+        publish(goal.userId, 'progress.synced', { goalId: goal.id });
+    }
+    await publishLeaderboardChanges(synced);
+};
+
+/**
+ * Rebuilds the progress of a goal from its linked metric series, without saving it. Call it when a goal
+ * is linked to a metric or when the period of a linked goal changes: entries derived from measurements
+ * are replaced by the measurements taken within the goal period. A goal whose link was removed keeps
+ * its derived entries as regular progress entries.
+ * @param {Object} goal - The goal document.
+ * @returns {Promise<Object[]>} The milestones newly reached by the rebuilt progress.
+ */
+const rebuildMetricProgress = async (goal) => {
+    if (!goal.metricLink) {
+        goal.progress.filter((entry) => entry.metricId).forEach((entry) => entry.set('metricId', undefined));
+        return [];
+    }
+
+    goal.progress.filter((entry) => entry.metricId).forEach((entry) => entry.deleteOne());
+    const measurements = await BodyMetric.find({
+        userId: goal.userId,
+        type: goal.metricLink.metric,
+        date: { $gte: goal.startDate, $lte: goal.endDate },
+    }).sort({ date: 1 });
+    measurements.forEach((measurement) => {
+        goal.progress.push({ date: measurement.date, value: measurement.value, metricId: measurement._id });
+    });
+
+    const reachedMilestones = updateMilestones(goal);
+    syncGoalCompletion(goal);
+    return reachedMilestones;
+};
+
+module.exports = {
+    syncMetricProgress,
+    rebuildMetricProgress,
+};
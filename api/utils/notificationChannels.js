@@ -0,0 +1,56 @@
+const { getMailTransport } = require('./mailer');
+
+/**
+ * @typedef {Object} NotificationChannel
+ * @property {(notification: Object, user: Object) => Promise<'sent' | 'skipped'>} deliver - Delivers a stored
+ *   notification to its user; resolves to 'skipped' when the channel cannot be used, rejects when delivery fails.
+ */
+
+/**
+ * Registered delivery channels, by name.
+ * @type {Map<string, NotificationChannel>}
+ */
+const channels = new Map();
+
+/**
+ * Registers a delivery channel, or replaces the channel registered under the same name.
+ * @param {string} name - The name used in reminder `channels` lists.
+ * @param {NotificationChannel} channel
+ */
+const registerChannel = (name, channel) => {
+    channels.set(name, channel);
+};
+
+/**
+ * @param {string} name
+ * @returns {NotificationChannel | undefined}
+ */
+const getChannel = (name) => channels.get(name);
+
+/**
+ * @param {any} name
+ * @returns {boolean} Whether a channel is registered under the name.
+ */
+const hasChannel = (name) => channels.has(name);
+
+// Every notification is stored and listed by `GET /notifications`, which is the in-app inbox
+registerChannel('in_app', {
+    deliver: async () => 'sent',
+});
+
+registerChannel('email', {
+    deliver: async (notification, user) => {
+        const transport = getMailTransport();
+        if (!transport || !user.email) {
+            return 'skipped';
+        }
+        await transport.sendMail({ to: user.email, subject: notification.title, text: notification.message });
+        return 'sent';
+    },
+});
+
+module.exports = {
+    registerChannel,
+    getChannel,
+    hasChannel,
+};
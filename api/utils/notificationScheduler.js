@@ -0,0 +1,156 @@
+const Goal = require('../models/Goal');
+const Reminder = require('../models/Reminder');
+const User = require('../models/User');
+const { completeFinishedRecurringGoals } = require('./goalLifecycle');
+const { DAY_IN_MS, computeGoalStats, getGoalStatus } = require('./goalStats');
+const { createNotification } = require('./notifications');
+const { getNextOccurrence } = require('./reminderSchedule');
+
+const SCHEDULER_INTERVAL_MS = Number(process.env.NOTIFICATION_INTERVAL_MS) || 60 * 1000;
+const OFF_PACE_CHECK_INTERVAL_MS = 60 * 60 * 1000;
+const OFF_PACE_WINDOW_DAYS = 7;
+const REMINDER_BATCH_SIZE = 100;
+
+/**
+ * Sends the reminders that are due. Each reminder is claimed by atomically moving its nextRunAt to the
+ * next occurrence before it is sent, so that several API processes never send the same reminder twice.
+ * Reminders missed while no scheduler was running are sent once and then resume their schedule.
+ * Goals that are not active (paused, completed, expired...) and accounts scheduled for deletion are not reminded.
+ * @param {Date} [now=new Date()]
+ * @returns {Promise<number>} The number of reminders sent.
+ */
+const sendDueReminders = async (now = new Date()) => {
+    const dueReminders = await Reminder.find({ enabled: true, nextRunAt: { $lte: now } })
+        .sort({ nextRunAt: 1 })
+        .limit(REMINDER_BATCH_SIZE);
+
+    let sent = 0;
+    for (const reminder of dueReminders) {
+        const claimed = await Reminder.findOneAndUpdate(
+            { _id: reminder._id, nextRunAt: reminder.nextRunAt },
+            { $set: { nextRunAt: getNextOccurrence(reminder, now), lastSentAt: now } }
+        );
+        if (!claimed) {
+            continue;
+        }
+
+        const [goal, user] = await Promise.all([
+            Goal.findOne({ _id: reminder.goalId, userId: reminder.userId }),
+            // Accounts scheduled for deletion get no more notifications
+            User.findOne({ _id: reminder.userId, deletionScheduledFor: null }).select('email'),
+        ]);
+        if (!goal || !user || getGoalStatus(goal, now) !== 'active') {
+            continue;
+        }
+
+        await createNotification(user, {
+            type: 'reminder',
+            title: `Time to check in on "${goal.name}"`,
+            message: `Log your latest progress on "${goal.name}" to keep it on track.`,
+            goalId: goal._id,
+        }, reminder.channels);
+        sent++;
+    }
+    return sent;
+};
+
+/**
+ * Notifies users whose goals end within the next week while they are behind pace. Each goal is
+ * flagged once; the notification goes through the channels of the goal's reminders, in-app otherwise.
+ * Accounts scheduled for deletion are left out.
+ * @param {Date} [now=new Date()]
+ * @returns {Promise<number>} The number of notifications created.
+ */
+const notifyOffPaceGoals = async (now = new Date()) => {
+    const goals = await Goal.find({
+        // Goals saved before lifecycle statuses existed have none and are active
+        status: { $in: ['active', null] },
+        startDate: { $lte: now },
+        endDate: { $gte: now, $lte: new Date(now.getTime() + OFF_PACE_WINDOW_DAYS * DAY_IN_MS) },
+    });
+    const offPaceGoals = goals.filter((goal) => {
+        const stats = computeGoalStats(goal, now);
+        return !stats.completed && !stats.onPace;
+    });
+    if (offPaceGoals.length === 0) {
+        return 0;
+    }
+
+    const [users, reminders] = await Promise.all([
+        User.find({ _id: { $in: offPaceGoals.map((goal) => goal.userId) }, deletionScheduledFor: null }).select('email'),
+        Reminder.find({ goalId: { $in: offPaceGoals.map((goal) => goal._id) }, enabled: true }).select('goalId channels'),
+    ]);
+    const usersById = new Map(users.map((user) => [user.id, user]));
+
+    let created = 0;
+    for (const goal of offPaceGoals) {
+        const user = usersById.get(goal.userId.toString());
+        if (!user) {
+            continue;
+        }
+        const goalReminders = reminders.filter((reminder) => reminder.goalId.equals(goal._id));
+        const channels = goalReminders.length > 0 ? goalReminders.flatMap((reminder) => reminder.channels) : ['in_app'];
+        const daysRemaining = Math.max(Math.ceil((goal.endDate.getTime() - now.getTime()) / DAY_IN_MS), 0);
+
+        const notification = await createNotification(user, {
+            type: 'goal_off_pace',
+            title: `"${goal.name}" is behind pace`,
+            message: `"${goal.name}" ends in ${daysRemaining} day${daysRemaining === 1 ? '' : 's'} and is behind the pace needed to reach its target.`,
+            goalId: goal._id,
+            key: `goal_off_pace:${goal.id}`,
+        }, channels);
+        if (notification) {
+            created++;
+        }
+    }
+    return created;
+};
+
+/**
+ * Starts the background notification scheduler in the current Node process: finished recurring goals are
+ * completed and due reminders are sent every `intervalMs` (`NOTIFICATION_INTERVAL_MS`, one minute by default),
+ * and off-pace goals are checked hourly.
+ * Call it once the database is connected. The timer does not keep the process alive, and a run never
+ * starts while the previous one is still in progress.
+ * @param {{intervalMs?: number}} [options]
+ * @returns {{stop: () => void, runOnce: () => Promise<void>}} Handles to stop the scheduler or trigger a run.
+ */
+const startNotificationScheduler = ({ intervalMs = SCHEDULER_INTERVAL_MS } = {}) => {
+    let running = false;
+    let lastOffPaceCheck = 0;
+
+    const runOnce = async () => {
+        if (running) {
+            return;
+        }
+        running = true;
+        try {
+            const now = new Date();
+            await completeFinishedRecurringGoals(now);
+            await sendDueReminders(now);
+            if (now.getTime() - lastOffPaceCheck >= OFF_PACE_CHECK_INTERVAL_MS) {
+                lastOffPaceCheck = now.getTime();
+                await notifyOffPaceGoals(now);
+            }
+        } catch (error) {
+            console.error('Error running notification scheduler:', error);
+        } finally {
+            running = false;
+        }
+    };
+
+    const timer = setInterval(runOnce, intervalMs);
+    timer.unref();
+    runOnce();
+
+    return {
+        stop: () => clearInterval(timer),
+        runOnce,
+    };
+};
+
+module.exports = {
+    sendDueReminders,
+    notifyOffPaceGoals,
+    startNotificationScheduler,
+};
@@ -0,0 +1,47 @@
+const Notification = require('../models/Notification');
+const { getChannel } = require('./notificationChannels');
+const { publish } = require('./liveEvents');
+
+/**
+ * Stores a notification for a user and delivers it through the given channels. The stored notification is
+ * the in-app inbox entry; the outcome of every channel is recorded on it. A failing channel does not prevent
+ * the others from being tried. The user's open apps get the notification through their event streams.
+ * @param {Object} user - The user document; `email` is needed for email delivery.
+ * @param {{type: string, title: string, message: string, goalId?: Object | null, key?: string | null}} fields -
+ *   The notification fields. With a `key`, the notification is created at most once per user.
+ * @param {string[]} [channels=['in_app']] - The names of the delivery channels.
+ * @returns {Promise<Object | null>} The notification, or null if one with the same key already exists.
+ */
+const createNotification = async (user, { type, title, message, goalId = null, key = null }, channels = ['in_app']) => {
+    let notification;
+    try {
+        notification = await Notification.create({ userId: user._id, type, title, message, goalId, key });
+    } catch (error) {
+        if (error.code === 11000) {
+            return null;
+        }
+        throw error;
+    }
+
+    for (const name of [...new Set(channels)]) {
+        const channel = getChannel(name);
+        const delivery = { channel: name, status: 'skipped', error: null, at: new Date() };
+        try {
+            if (channel) {
+                delivery.status = await channel.deliver(notification, user);
+            }
+        } catch (error) {
+            console.error(`Error delivering notification through ${name}:`, error);
+            delivery.status = 'failed';
+            delivery.error = error.message;
+        }
+        notification.deliveries.push(delivery);
+    }
+    await notification.save();
+    publish(notification.userId, 'notification.created', notification);
+    return notification;
+};
+
+module.exports = {
+    createNotification,
+};
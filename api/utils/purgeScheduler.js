@@ -0,0 +1,44 @@
+const { purgeDeletedAccounts } = require('./accountDeletion');
+const { purgeDeletedGoals } = require('./goalLifecycle');
+
+const PURGE_INTERVAL_MS = 60 * 60 * 1000;
+
+/**
+ * Starts permanently deleting the accounts and goals whose grace period has ended, checking every
+ * `intervalMs` (hourly by default). Call it once the database is connected. The timer does not keep
+ * the process alive.
+ * @param {{intervalMs?: number}} [options]
+ * @returns {{stop: () => void, runOnce: () => Promise<void>}} Handles to stop the purge or trigger a run.
+ */
+const startPurgeScheduler = ({ intervalMs = PURGE_INTERVAL_MS } = {}) => {
+    let running = false;
+
+    const runOnce = async () => {
+        if (running) {
+            return;
+        }
+        running = true;
+        try {
+            const now = new Date();
+            await purgeDeletedAccounts(now);
+            await purgeDeletedGoals(now);
+        } catch (error) {
+            console.error('Error purging deleted data:', error);
+        } finally {
+            running = false;
+        }
+    };
+
+    const timer = setInterval(runOnce, intervalMs);
+    timer.unref();
+    runOnce();
+
+    return {
+        stop: () => clearInterval(timer),
+        runOnce,
+    };
+};
+
+module.exports = {
+    startPurgeScheduler,
+};
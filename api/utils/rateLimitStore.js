@@ -0,0 +1,83 @@
+/**
+ * @typedef {Object} RateLimitHit
+ * @property {number} count - The number of hits in the current window, including this one.
+ * @property {Date} resetAt - When the current window ends and the count starts over.
+ */
+
+/**
+ * @typedef {Object} RateLimitStore
+ * @property {(key: string, windowMs: number) => Promise<RateLimitHit>} increment - Counts a hit for the key,
+ *   starting a new window of `windowMs` when there is no current one.
+ * @property {(key: string) => Promise<void>} reset - Forgets the hits of the key.
+ */
+
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Creates a rate limit store that keeps fixed-window counters in the memory of the current process.
+ * Counters are not shared between processes, so deployments running several API processes should
+ * use a shared store (e.g. backed by Redis) implementing the same interface.
+ * @returns {RateLimitStore}
+ */
+const createMemoryStore = () => {
+    const windows = new Map();
+    let lastSweep = Date.now();
+
+    // Expired windows are dropped lazily, at most once a minute
+    const sweep = (now) => {
+        if (now - lastSweep < SWEEP_INTERVAL_MS) {
+            return;
+        }
+        lastSweep = now;
+        windows.forEach((window, key) => {
+            if (window.resetAt <= now) {
+                windows.delete(key);
+            }
+        });
+    };
+
+    return {
+        increment: async (key, windowMs) => {
+            const now = Date.now();
+            sweep(now);
+            let window = windows.get(key);
+            if (!window || window.resetAt <= now) {
+                window = { count: 0, resetAt: now + windowMs };
+                windows.set(key, window);
+            }
+            window.count += 1;
+            return { count: window.count, resetAt: new Date(window.resetAt) };
+        },
+        reset: async (key) => {
+            windows.delete(key);
+        },
+    };
+};
+
+let store;
+
+/**
+ * Returns the store used by the rate limiters, an in-memory store unless another one was set.
+ * @returns {RateLimitStore}
+ */
+const getRateLimitStore = () => {
+    if (!store) {
+        store = createMemoryStore();
+    }
+    return store;
+};
+
+/**
+ * Replaces the store used by the rate limiters, e.g. with a store shared by several API processes.
+ * Pass undefined to go back to a fresh in-memory store.
+ * @param {RateLimitStore | undefined} rateLimitStore
+ */
+const setRateLimitStore = (rateLimitStore) => {
+    store = rateLimitStore;
+};
+
+module.exports = {
+    createMemoryStore,
+    getRateLimitStore,
+    setRateLimitStore,
+};
@@ -0,0 +1,166 @@
+const RECURRENCE_FREQUENCIES = ['daily', 'weekly', 'monthly'];
+const RECURRENCE_AGGREGATIONS = ['sum', 'count', 'max'];
+
+/**
+ * @typedef {Object} RecurrencePeriod
+ * @property {Date} start - First instant of the period.
+ * @property {Date} end - End of the period: exclusive, except for the last period which ends on the goal endDate inclusive.
+ * @property {number} value - The aggregated progress of the period.
+ * @property {number} target - The per-period target (the goal's targetValue).
+ * @property {'met' | 'missed' | 'forgiven' | 'paused' | 'in_progress'} status - Outcome of the period. 'forgiven' periods were
+ *   missed but covered by a grace period; 'paused' periods were not met while the goal was paused and neither count
+ *   nor break a streak; 'in_progress' is the current, not yet met period.
+ */
+
+/**
+ * @typedef {Object} RecurrenceStats
+ * @property {string} frequency - The recurrence frequency.
+ * @property {string} aggregation - How progress entries of a period are combined.
+ * @property {number} gracePeriods - Missed periods a streak survives.
+ * @property {number} totalPeriods - Number of periods between the goal's startDate and endDate.
+ * @property {number} periodsMet - Periods whose target was met, including the current one.
+ * @property {number} periodsMissed - Closed periods that were missed and broke (or never started) a streak.
+ * @property {number} periodsForgiven - Closed periods that were missed but covered by a grace period.
+ * @property {number} periodsPaused - Periods that were not met while the goal was paused.
+ * @property {number} currentStreak - Consecutive met periods up to now; an unmet current period does not end it.
+ * @property {number} longestStreak - The longest streak of the goal.
+ * @property {RecurrencePeriod | null} currentPeriod - The period containing now, or null outside the goal period.
+ * @property {RecurrencePeriod[]} periods - The periods that have started, oldest first.
+ */
+
+/**
+ * Returns the start of the nth period of a recurrence anchored at the goal start date (UTC).
+ * Monthly periods keep the start day of month, clamped to the length of shorter months.
+ * @param {Date} startDate - The goal start date.
+ * @param {'daily' | 'weekly' | 'monthly'} frequency
+ * @param {number} index - The period number, 0 for the first period.
+ * @returns {Date}
+ */
+const getPeriodStart = (startDate, frequency, index) => {
+    const date = new Date(startDate.getTime());
+    if (frequency === 'daily') {
+        date.setUTCDate(date.getUTCDate() + index);
+    } else if (frequency === 'weekly') {
+        date.setUTCDate(date.getUTCDate() + index * 7);
+    } else {
+        const month = date.getUTCMonth() + index;
+        const daysInMonth = new Date(Date.UTC(date.getUTCFullYear(), month + 1, 0)).getUTCDate();
+        date.setUTCDate(1);
+        date.setUTCMonth(month);
+        date.setUTCDate(Math.min(startDate.getUTCDate(), daysInMonth));
+    }
+    return date;
+};
+
+/**
+ * Combines the progress values of a period.
+ * @param {number[]} values
+ * @param {'sum' | 'count' | 'max'} aggregation
+ * @returns {number}
+ */
+const aggregateValues = (values, aggregation) => {
+    if (aggregation === 'count') {
+        return values.length;
+    }
+    if (aggregation === 'max') {
+        return values.length > 0 ? Math.max(...values) : 0;
+    }
+    return values.reduce((sum, value) => sum + value, 0);
+};
+
+/**
+ * Evaluates a recurring goal period by period. Each period is met when its aggregated progress reaches
+ * the goal's targetValue (an "at least" target). A missed period breaks the current streak unless one of the
+ * goal's grace periods is left; grace periods are consumed per streak and restored when a new streak starts.
+ * Periods that overlap a pause of the goal and were not met are skipped rather than missed.
+ * @param {Object} goal - The recurring goal document; its progress entries must be sorted by date.
+ * @param {Date} [now=new Date()] - The reference date.
+ * @returns {RecurrenceStats}
+ */
+const computeRecurringStats = (goal, now = new Date()) => {
+    const { frequency, aggregation = 'sum', gracePeriods = 0 } = goal.recurrence;
+    const periods = [];
+    let totalPeriods = 0;
+    let periodsMet = 0;
+    let periodsMissed = 0;
+    let periodsForgiven = 0;
+    let periodsPaused = 0;
+    let currentStreak = 0;
+    let longestStreak = 0;
+    let graceLeft = gracePeriods;
+    let currentPeriod = null;
+
+    for (let index = 0; ; index++) {
+        const start = getPeriodStart(goal.startDate, frequency, index);
+        if (start.getTime() > goal.endDate.getTime()) {
+            break;
+        }
+        totalPeriods++;
+        if (start.getTime() > now.getTime()) {
+            continue;
+        }
+
+        const nextStart = getPeriodStart(goal.startDate, frequency, index + 1);
+        const isLast = nextStart.getTime() > goal.endDate.getTime();
+        const end = isLast ? goal.endDate : nextStart;
+        const inPeriod = (date) => date.getTime() >= start.getTime()
+            && (isLast ? date.getTime() <= end.getTime() : date.getTime() < end.getTime());
+        const closed = isLast ? now.getTime() > end.getTime() : now.getTime() >= end.getTime();
+
+        const values = goal.progress.filter((entry) => inPeriod(entry.date)).map((entry) => entry.value);
+        const value = aggregateValues(values, aggregation);
+        const met = value >= goal.targetValue;
+        const paused = (goal.pauses || []).some((pause) => pause.startedAt.getTime() < end.getTime()
+            && (pause.endedAt || now).getTime() > start.getTime());
+
+        let status;
+        if (met) {
+            status = 'met';
+            periodsMet++;
+            currentStreak++;
+            longestStreak = Math.max(longestStreak, currentStreak);
+        } else if (paused) {
+            status = 'paused';
+            periodsPaused++;
+        } else if (!closed) {
+            status = 'in_progress';
+        } else if (currentStreak > 0 && graceLeft > 0) {
+            status = 'forgiven';
+            periodsForgiven++;
+            graceLeft--;
+        } else {
+            status = 'missed';
+            periodsMissed++;
+            currentStreak = 0;
+            graceLeft = gracePeriods;
+        }
+
+        const period = { start, end, value, target: goal.targetValue, status };
+        periods.push(period);
+        if (!closed) {
+            currentPeriod = period;
+        }
+    }
+
+    return {
+        frequency,
+        aggregation,
+        gracePeriods,
+        totalPeriods,
+        periodsMet,
+        periodsMissed,
+        periodsForgiven,
+        periodsPaused,
+        currentStreak,
+        longestStreak,
+        currentPeriod,
+        periods,
+    };
+};
+
+module.exports = {
+    RECURRENCE_FREQUENCIES,
+    RECURRENCE_AGGREGATIONS,
+    getPeriodStart,
+    computeRecurringStats,
+};
@@ -0,0 +1,103 @@
+/**
+ * Checks whether a string is an IANA time zone known to the runtime (e.g. 'Europe/Paris', 'UTC').
+ * @param {any} timezone
+ * @returns {boolean}
+ */
+const isValidTimeZone = (timezone) => {
+    if (typeof timezone !== 'string' || !timezone) {
+        return false;
+    }
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+        return true;
+    } catch (error) {
+        return false;
+    }
+};
+
+/**
+ * Returns the wall-clock date and time of an instant in a time zone.
+ * @param {Date} date
+ * @param {string} timezone - An IANA time zone.
+ * @returns {{year: number, month: number, day: number, hour: number, minute: number, second: number}} The month is 0-based.
+ */
+const getZonedParts = (date, timezone) => {
+    const parts = new Intl.DateTimeFormat('en-US', {
+        timeZone: timezone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        second: '2-digit',
+    }).formatToParts(date);
+    const value = (type) => Number(parts.find((part) => part.type === type).value);
+    return {
+        year: value('year'),
+        month: value('month') - 1,
+        day: value('day'),
+        hour: value('hour'),
+        minute: value('minute'),
+        second: value('second'),
+    };
+};
+
+/**
+ * Returns the offset of a time zone from UTC at an instant, in milliseconds.
+ * @param {Date} date
+ * @param {string} timezone
+ * @returns {number}
+ */
+const getTimeZoneOffset = (date, timezone) => {
+    const { year, month, day, hour, minute, second } = getZonedParts(date, timezone);
+    return Date.UTC(year, month, day, hour, minute, second) - Math.floor(date.getTime() / 1000) * 1000;
+};
+
+/**
+ * Converts a wall-clock time in a time zone to the instant it denotes. Times skipped by a daylight
+ * saving change are moved forward by the length of the gap (02:30 becomes 03:30 when 02:00 jumps to 03:00).
+ * @param {number} year
+ * @param {number} month - 0-based month.
+ * @param {number} day
+ * @param {number} hour
+ * @param {number} minute
+ * @param {string} timezone
+ * @returns {Date}
+ */
+const zonedTimeToDate = (year, month, day, hour, minute, timezone) => {
+    const wallClock = Date.UTC(year, month, day, hour, minute);
+    const offset = getTimeZoneOffset(new Date(wallClock), timezone);
+    // The offset at the result can differ from the one at the wall-clock guess around daylight saving changes
+    const correctedOffset = getTimeZoneOffset(new Date(wallClock - offset), timezone);
+    return new Date(wallClock - correctedOffset);
+};
+
+/**
+ * Computes the next time a reminder is due, strictly after a date.
+ * @param {{frequency: 'daily' | 'weekly', dayOfWeek?: number | null, time: string, timezone: string}} schedule -
+ *   `time` is the local 'HH:mm' time and `dayOfWeek` (0 = Sunday) the local weekday of weekly reminders.
+ * @param {Date} after - The date to look after.
+ * @returns {Date}
+ */
+const getNextOccurrence = ({ frequency, dayOfWeek, time, timezone }, after) => {
+    const [hour, minute] = time.split(':').map(Number);
+    const today = getZonedParts(after, timezone);
+    // A week and a day always contains the next occurrence, even when today's has already passed
+    for (let offsetDays = 0; offsetDays <= 7; offsetDays++) {
+        const day = new Date(Date.UTC(today.year, today.month, today.day + offsetDays));
+        if (frequency === 'weekly' && day.getUTCDay() !== dayOfWeek) {
+            continue;
+        }
+        const occurrence = zonedTimeToDate(day.getUTCFullYear(), day.getUTCMonth(), day.getUTCDate(), hour, minute, timezone);
+        if (occurrence.getTime() > after.getTime()) {
+            return occurrence;
+        }
+    }
+    throw new Error(`No upcoming occurrence for a ${frequency} reminder at ${time}`);
+};
+
+module.exports = {
+    isValidTimeZone,
+    getNextOccurrence,
+};
@@ -0,0 +1,212 @@
+const crypto = require('crypto');
+const net = require('net');
+const os = require('os');
+const tls = require('tls');
+
+const DEFAULT_TIMEOUT_MS = 10000;
+
+/**
+ * @typedef {Object} MailMessage
+ * @property {string | string[]} to - Recipient address or addresses.
+ * @property {string} subject - The subject line.
+ * @property {string} text - The plain-text body.
+ */
+
+/**
+ * @typedef {Object} SmtpOptions
+ * @property {string} host - The SMTP server host.
+ * @property {number} [port=25] - The SMTP server port.
+ * @property {boolean} [secure=false] - Connect over TLS from the start (port 465 style); otherwise the connection
+ *   is upgraded with STARTTLS when the server offers it.
+ * @property {string} [user] - User name for AUTH PLAIN; no authentication is attempted when omitted. Credentials
+ *   are only ever sent over an encrypted connection.
+ * @property {string} [pass] - Password for AUTH PLAIN.
+ * @property {string} from - The sender address.
+ * @property {number} [timeoutMs=10000] - Idle timeout of the connection.
+ */
+
+/**
+ * Rejects header values that could inject additional headers or SMTP commands.
+ * @param {string} value
+ * @param {string} name - The name of the value, for the error message.
+ * @returns {string}
+ */
+const assertSingleLine = (value, name) => {
+    if (typeof value !== 'string' || /[\r\n]/.test(value)) {
+        throw new Error(`Invalid ${name}`);
+    }
+    return value;
+};
+
+/**
+ * Encodes a header value as an RFC 2047 encoded word when it is not plain ASCII.
+ * @param {string} value
+ * @returns {string}
+ */
+const encodeHeader = (value) => (/^[\x20-\x7e]*$/.test(value)
+    ? value
+    : `=?UTF-8?B?${Buffer.from(value, 'utf8').toString('base64')}?=`);
+
+/**
+ * Builds the RFC 5322 message sent after DATA: headers, then the body in base64 so that any
+ * UTF-8 text passes servers without 8BITMIME.
+ * @param {string} from
+ * @param {string[]} recipients
+ * @param {MailMessage} message
+ * @returns {string}
+ */
+const buildMessage = (from, recipients, { subject, text }) => {
+    const body = Buffer.from(text, 'utf8').toString('base64').replace(/.{1,76}/g, '$&\r\n');
+    return [
+        `From: ${from}`,
+        `To: ${recipients.join(', ')}`,
+        `Subject: ${encodeHeader(assertSingleLine(subject, 'subject'))}`,
+        `Date: ${new Date().toUTCString()}`,
+        `Message-ID: <${crypto.randomUUID()}@${os.hostname()}>`,
+        'MIME-Version: 1.0',
+        'Content-Type: text/plain; charset=utf-8',
+        'Content-Transfer-Encoding: base64',
+        '',
+        body,
+    ].join('\r\n');
+};
+
+/**
+ * Creates a minimal SMTP client transport, speaking SMTP (RFC 5321) over a socket without external
+ * dependencies. Each `sendMail` call opens a connection, upgrades it with STARTTLS (RFC 3207) when the
+ * server supports it, delivers one message and quits. Authentication fails rather than sending the
+ * password over a connection that is not encrypted. Any SMTP server works, including a local
+ * stand-in server that records messages in tests.
+ * @param {SmtpOptions} options
+ * @returns {{sendMail: (message: MailMessage) => Promise<{accepted: string[], response: string}>}}
+ */
+const createSmtpTransport = ({ host, port = 25, secure = false, user, pass, from, timeoutMs = DEFAULT_TIMEOUT_MS }) => {
+    const sendMail = async (message) => {
+        const sender = assertSingleLine(from, 'sender address');
+        const recipients = (Array.isArray(message.to) ? message.to : [message.to])
+            .map((recipient) => assertSingleLine(recipient, 'recipient address'));
+        if (recipients.length === 0) {
+            throw new Error('At least one recipient is required');
+        }
+
+        let socket = null;
+        let encrypted = secure;
+
+        // Replies are collected as they arrive and handed out one per command
+        const replies = [];
+        let pendingLines = [];
+        let buffer = '';
+        let failure = null;
+        let waiting = null;
+        const settle = () => {
+            if (!waiting) {
+                return;
+            }
+            const { resolve, reject } = waiting;
+            if (replies.length > 0) {
+                waiting = null;
+                resolve(replies.shift());
+            } else if (failure) {
+                waiting = null;
+                reject(failure);
+            }
+        };
+
+        const onData = (chunk) => {
+            buffer += chunk;
+            let newline;
+            while ((newline = buffer.indexOf('\n')) !== -1) {
+                const line = buffer.slice(0, newline).replace(/\r$/, '');
+                buffer = buffer.slice(newline + 1);
+                pendingLines.push(line);
+                // "250-..." continues a multi-line reply, "250 ..." ends it
+                if (/^\d{3}(?: |$)/.test(line)) {
+                    replies.push({ code: Number(line.slice(0, 3)), text: pendingLines.map((part) => part.slice(4)).join('\n') });
+                    pendingLines = [];
+                }
+            }
+            settle();
+        };
+        const onTimeout = () => socket.destroy(new Error('SMTP connection timed out'));
+        const onError = (error) => {
+            failure = error;
+            settle();
+        };
+        const onClose = () => {
+            failure = failure || new Error('SMTP connection closed unexpectedly');
+            settle();
+        };
+        const attach = (nextSocket) => {
+            socket = nextSocket;
+            socket.setEncoding('utf8');
+            socket.setTimeout(timeoutMs);
+            socket.on('data', onData);
+            socket.on('timeout', onTimeout);
+            socket.on('error', onError);
+            socket.on('close', onClose);
+        };
+        const detach = () => {
+            socket.off('data', onData);
+            socket.off('timeout', onTimeout);
+            socket.off('error', onError);
+            socket.off('close', onClose);
+        };
+
+        attach(secure ? tls.connect({ host, port, servername: host }) : net.connect({ host, port }));
+
+        const command = async (line, expectedCodes) => {
+            if (line !== null) {
+                socket.write(`${line}\r\n`);
+            }
+            const reply = await new Promise((resolve, reject) => {
+                waiting = { resolve, reject };
+                settle();
+            });
+            if (!expectedCodes.includes(reply.code)) {
+                throw new Error(`SMTP server rejected ${line === null ? 'the connection' : line.split(' ')[0]}: ${reply.code} ${reply.text}`);
+            }
+            return reply;
+        };
+
+        try {
+            await command(null, [220]);
+            const capabilities = await command(`EHLO ${os.hostname()}`, [250]);
+            if (!encrypted && /^STARTTLS\b/im.test(capabilities.text)) {
+                await command('STARTTLS', [220]);
+                // The TLS socket takes over the connection; the server forgets the session and expects a new EHLO
+                detach();
+                attach(tls.connect({ socket, servername: host }));
+                encrypted = true;
+                await command(`EHLO ${os.hostname()}`, [250]);
+            }
+            if (user) {
+                if (!encrypted) {
+                    throw new Error('SMTP server does not support STARTTLS; refusing to send credentials unencrypted');
+                }
+                await command(`AUTH PLAIN ${Buffer.from(`\0${user}\0${pass || ''}`, 'utf8').toString('base64')}`, [235]);
+            }
+            await command(`MAIL FROM:<${sender}>`, [250]);
+            for (const recipient of recipients) {
+                await command(`RCPT TO:<${recipient}>`, [250, 251]);
+            }
+            await command('DATA', [354]);
+            // Lines starting with a dot are escaped (dot-stuffing); the body is base64 so only headers can start with one
+            const data = buildMessage(sender, recipients, message).replace(/^\./gm, '..');
+            const reply = await command(`${data}\r\n.`, [250]);
+            try {
+                await command('QUIT', [221]);
+            } catch (error) {
+                // The message has been accepted; a failed goodbye does not matter
+            }
+            return { accepted: recipients, response: `${reply.code} ${reply.text}` };
+        } finally {
+            socket.destroy();
+        }
+    };
+
+    return { sendMail };
+};
+
+module.exports = {
+    createSmtpTransport,
+};
@@ -0,0 +1,111 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const RefreshToken = require('../models/RefreshToken');
+const AccountToken = require('../models/AccountToken');
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+/**
+ * Hashes an opaque token with SHA-256 so that only the hash is persisted.
+ * @param {string} token - The raw token.
+ * @returns {string} The hex-encoded hash.
+ */
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Signs a short-lived JWT access token for a user.
+ * @param {Object} user - The user document.
+ * @returns {string} The signed access token.
+ */
+const createAccessToken = (user) => {
+    return jwt.sign(
+        { id: user.id, tokenVersion: user.tokenVersion },
+        process.env.JWT_SECRET,
+        { expiresIn: ACCESS_TOKEN_TTL }
+    );
+};
+
+/**
+ * Issues a new opaque refresh token and persists its hash.
+ * @param {Object} user - The user document.
+ * @param {string} [family] - The token family to rotate within; a new family is started when omitted.
+ * @returns {Promise<string>} The raw refresh token, to be returned to the client once.
+ */
+const issueRefreshToken = async (user, family = crypto.randomUUID()) => {
+    const token = crypto.randomBytes(48).toString('hex');
+    await RefreshToken.create({
+        userId: user.id,
+        tokenHash: hashToken(token),
+        family,
+        tokenVersion: user.tokenVersion,
+        expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000),
+    });
+    return token;
+};
+
+/**
+ * Issues an access token and a refresh token for a user.
+ * @param {Object} user - The user document.
+ * @param {string} [family] - The refresh token family to rotate within.
+ * @returns {Promise<{token: string, refreshToken: string}>}
+ */
+const issueTokenPair = async (user, family) => {
+    const refreshToken = await issueRefreshToken(user, family);
+    return { token: createAccessToken(user), refreshToken };
+};
+
+/**
+ * Revokes every refresh token of a family.
+ * @param {string} family - The token family.
+ * @returns {Promise<void>}
+ */
+const revokeFamily = async (family) => {
+    await RefreshToken.updateMany({ family, revokedAt: null }, { revokedAt: new Date() });
+};
+
+/**
+ * Issues a single-use account token (e.g. for a password reset link) and persists its hash.
+ * Unused tokens of the same purpose issued to the user before are superseded, so only the latest link works.
+ * @param {Object} user - The user document; the token is bound to its current email address.
+ * @param {'password_reset' | 'email_verification'} purpose
+ * @param {number} ttlMs - How long the token stays valid.
+ * @returns {Promise<string>} The raw token, to be sent to the user once.
+ */
+const issueAccountToken = async (user, purpose, ttlMs) => {
+    await AccountToken.updateMany({ userId: user.id, purpose, usedAt: null }, { usedAt: new Date() });
+
+    const token = crypto.randomBytes(32).toString('base64url');
+    await AccountToken.create({
+        userId: user.id,
+        purpose,
+        tokenHash: hashToken(token),
+        email: user.email,
+        expiresAt: new Date(Date.now() + ttlMs),
+    });
+    return token;
+};
+
+/**
+ * Uses up an account token. Marking it used is atomic, so a token can only ever be consumed once.
+ * @param {string} token - The raw token.
+ * @param {'password_reset' | 'email_verification'} purpose
+ * @returns {Promise<Object | null>} The token document, or null when the token is unknown, used or expired.
+ */
+const consumeAccountToken = async (token, purpose) => {
+    const now = new Date();
+    return AccountToken.findOneAndUpdate(
+        { tokenHash: hashToken(token), purpose, usedAt: null, expiresAt: { $gt: now } },
+        { usedAt: now },
+        { new: true }
+    );
+};
+
+module.exports = {
+    hashToken,
+    createAccessToken,
+    issueTokenPair,
+    revokeFamily,
+    issueAccountToken,
+    consumeAccountToken,
+};
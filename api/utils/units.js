@@ -0,0 +1,200 @@
+/**
+ * @typedef {Object} UnitDefinition
+ * @property {string} dimension - What the unit measures; only units of the same dimension convert into each other.
+ * @property {number} toBase - Factor converting a value in this unit into the dimension's base unit.
+ * @property {string} label - Human readable name of the unit.
+ * @property {string[]} aliases - Alternative spellings accepted on input.
+ */
+
+/**
+ * Canonical unit catalog. Goal units must be one of these codes. Values are stored in the
+ * base unit of their dimension, the unit whose `toBase` factor is 1.
+ * @type {Object<string, UnitDefinition>}
+ */
+const UNITS = {
+    kg: { dimension: 'mass', toBase: 1, label: 'kilograms', aliases: ['kilogram', 'kilograms', 'kgs', 'kilo', 'kilos'] },
+    lbs: { dimension: 'mass', toBase: 0.45359237, label: 'pounds', aliases: ['lb', 'pound', 'pounds'] },
+    km: { dimension: 'distance', toBase: 1, label: 'kilometers', aliases: ['kilometer', 'kilometers', 'kilometre', 'kilometres', 'kms'] },
+    m: { dimension: 'distance', toBase: 0.001, label: 'meters', aliases: ['meter', 'meters', 'metre', 'metres'] },
+    miles: { dimension: 'distance', toBase: 1.609344, label: 'miles', aliases: ['mile', 'mi'] },
+    cm: { dimension: 'length', toBase: 1, label: 'centimeters', aliases: ['centimeter', 'centimeters', 'centimetre', 'centimetres'] },
+    in: { dimension: 'length', toBase: 2.54, label: 'inches', aliases: ['inch', 'inches', '"'] },
+    minutes: { dimension: 'time', toBase: 1, label: 'minutes', aliases: ['minute', 'min', 'mins'] },
+    seconds: { dimension: 'time', toBase: 1 / 60, label: 'seconds', aliases: ['second', 's', 'sec', 'secs'] },
+    hours: { dimension: 'time', toBase: 60, label: 'hours', aliases: ['hour', 'h', 'hr', 'hrs'] },
+    reps: { dimension: 'repetitions', toBase: 1, label: 'repetitions', aliases: ['rep', 'repetition', 'repetitions'] },
+    steps: { dimension: 'steps', toBase: 1, label: 'steps', aliases: ['step'] },
+    sessions: { dimension: 'sessions', toBase: 1, label: 'sessions', aliases: ['session', 'workout', 'workouts'] },
+    kcal: { dimension: 'energy', toBase: 1, label: 'kilocalories', aliases: ['calorie', 'calories', 'cal', 'kcals'] },
+    percent: { dimension: 'percentage', toBase: 1, label: 'percent', aliases: ['%', 'pct'] },
+    bpm: { dimension: 'heart rate', toBase: 1, label: 'beats per minute', aliases: ['beats per minute', 'beats/min'] },
+};
+
+const UNIT_CODES = Object.keys(UNITS);
+
+/**
+ * Unit systems a user can prefer, mapping each dimension they affect to the unit values are shown in.
+ * Dimensions not listed (time, counts, percentages, heart rate) are shown in the value's own unit.
+ */
+const UNIT_SYSTEMS = {
+    metric: { mass: 'kg', distance: 'km', length: 'cm' },
+    imperial: { mass: 'lbs', distance: 'miles', length: 'in' },
+};
+
+/**
+ * Resolves a unit as typed by a user ("Kg", "kilograms", "lb") to its canonical code.
+ * @param {any} value
+ * @returns {string | null} The canonical unit code, or null if the unit is not in the catalog.
+ */
+const normalizeUnit = (value) => {
+    if (typeof value !== 'string') {
+        return null;
+    }
+    const unit = value.trim().toLowerCase();
+    if (UNITS[unit]) {
+        return unit;
+    }
+    return UNIT_CODES.find((code) => UNITS[code].aliases.includes(unit)) || null;
+};
+
+/**
+ * Returns the unit a value of the given unit is displayed in for a unit system.
+ * @param {string} unit - A canonical unit code.
+ * @param {'metric' | 'imperial' | null} unitSystem - The viewer's preferred unit system, or null for the unit itself.
+ * @returns {string}
+ */
+const getDisplayUnit = (unit, unitSystem) => {
+    if (!UNITS[unit]) {
+        return unit;
+    }
+    const preferred = unitSystem && UNIT_SYSTEMS[unitSystem] && UNIT_SYSTEMS[unitSystem][UNITS[unit].dimension];
+    return preferred || unit;
+};
+
+/**
+ * Checks whether two units measure the same dimension and can be converted into each other.
+ * @param {string} unit - A canonical unit code.
+ * @param {string} otherUnit - A canonical unit code.
+ * @returns {boolean}
+ */
+const isSameDimension = (unit, otherUnit) => Boolean(UNITS[unit] && UNITS[otherUnit]
+    && UNITS[unit].dimension === UNITS[otherUnit].dimension);
+
+/**
+ * Converts a value in the given unit into its base unit.
+ * @param {number} value
+ * @param {string} unit - A canonical unit code.
+ * @returns {number}
+ */
+const toBaseValue = (value, unit) => value * UNITS[unit].toBase;
+
+/**
+ * Converts a value stored in the base unit into the given unit, rounded to hide floating point noise.
+ * Values of units outside the catalog are returned unchanged.
+ * @param {number | null} value
+ * @param {string} unit - A canonical unit code.
+ * @returns {number | null}
+ */
+const fromBaseValue = (value, unit) => {
+    if (typeof value !== 'number' || !UNITS[unit]) {
+        return value;
+    }
+    return Number((value / UNITS[unit].toBase).toFixed(4));
+};
+
+/**
+ * Converts a goal, with its values stored in base units, for display in a unit system.
+ * Returns a plain object; the target, progress values and value milestones are converted and
+ * `unit` is replaced by the display unit.
+ * @param {Object} goal - The goal document or its JSON representation.
+ * @param {'metric' | 'imperial' | null} unitSystem - The viewer's preferred unit system.
+ * @returns {Object}
+ */
+const localizeGoal = (goal, unitSystem) => {
+    const view = typeof goal.toJSON === 'function' ? goal.toJSON() : { ...goal };
+    if (!UNITS[view.unit]) {
+        return view;
+    }
+    const unit = getDisplayUnit(view.unit, unitSystem);
+    view.unit = unit;
+    view.targetValue = fromBaseValue(view.targetValue, unit);
+    if (Array.isArray(view.progress)) {
+        view.progress = view.progress.map((entry) => ({ ...entry, value: fromBaseValue(entry.value, unit) }));
+    }
+    if (Array.isArray(view.milestones)) {
+        view.milestones = view.milestones.map((milestone) => (milestone.kind === 'value'
+            ? { ...milestone, threshold: fromBaseValue(milestone.threshold, unit) }
+            : milestone));
+    }
+    return view;
+};
+
+/**
+ * Converts the period values of a recurring goal evaluation (see `computeRecurringStats`) into a display unit.
+ * @param {Object} recurrence - The statistics returned by `computeRecurringStats`.
+ * @param {string} unit - The canonical unit code to display values in.
+ * @returns {Object}
+ */
+const localizeRecurrence = (recurrence, unit) => {
+    const localizePeriod = (period) => period && {
+        ...period,
+        value: fromBaseValue(period.value, unit),
+        target: fromBaseValue(period.target, unit),
+    };
+    return {
+        ...recurrence,
+        currentPeriod: localizePeriod(recurrence.currentPeriod),
+        periods: recurrence.periods.map(localizePeriod),
+    };
+};
+
+/**
+ * Converts goal statistics computed in base units (see `computeGoalStats`) into a display unit.
+ * Percentages and dates are unit independent and left untouched.
+ * @param {Object} stats - The statistics returned by `computeGoalStats`.
+ * @param {string} unit - The canonical unit code to display values in.
+ * @returns {Object}
+ */
+const localizeStats = (stats, unit) => {
+    if (!UNITS[stats.unit] || !UNITS[unit]) {
+        return stats;
+    }
+    return {
+        ...stats,
+        unit,
+        startValue: fromBaseValue(stats.startValue, unit),
+        currentValue: fromBaseValue(stats.currentValue, unit),
+        targetValue: fromBaseValue(stats.targetValue, unit),
+        trend: stats.trend && {
+            slopePerDay: fromBaseValue(stats.trend.slopePerDay, unit),
+            intercept: fromBaseValue(stats.trend.intercept, unit),
+        },
+        ...(stats.recurrence && { recurrence: localizeRecurrence(stats.recurrence, unit) }),
+    };
+};
+
+/**
+ * Describes the unit catalog for clients.
+ * @returns {Array<{code: string, dimension: string, label: string, aliases: string[]}>}
+ */
+const describeUnits = () => UNIT_CODES.map((code) => ({
+    code,
+    dimension: UNITS[code].dimension,
+    label: UNITS[code].label,
+    aliases: UNITS[code].aliases,
+}));
+
+module.exports = {
+    UNITS,
+    UNIT_CODES,
+    UNIT_SYSTEMS,
+    normalizeUnit,
+    getDisplayUnit,
+    isSameDimension,
+    toBaseValue,
+    fromBaseValue,
+    localizeGoal,
+    localizeRecurrence,
+    localizeStats,
+    describeUnits,
+};
@@ -0,0 +1,97 @@
+const Goal = require('../models/Goal');
+const { updateMilestones, evaluateAchievements } = require('./achievements');
+const { syncGoalCompletion } = require('./goalLifecycle');
+const { publishLeaderboardChanges } = require('./challengeStandings');
+const { publish } = require('./liveEvents');
+
+/**
+ * Computes a goal metric from the sets of one exercise in a workout.
+ * Set weights are in kilograms and durations in seconds, so values come out in the base units
+ * goal values are stored in (kg, kg x reps, repetitions and minutes).
+ * @param {Array<{reps: number|null, weight: number|null, durationSeconds: number|null}>} sets - The sets performed.
+ * @param {'max_weight' | 'total_reps' | 'total_volume' | 'total_duration'} metric - The metric to compute.
+ * @returns {number | null} The metric value, or null if no set carries the data the metric needs.
+ */
+const computeWorkoutMetric = (sets, metric) => {
+    if (metric === 'max_weight') {
+        const weights = sets.map((set) => set.weight).filter((weight) => typeof weight === 'number');
+        return weights.length > 0 ? Math.max(...weights) : null;
+    }
+    if (metric === 'total_reps') {
+        const reps = sets.map((set) => set.reps).filter((value) => typeof value === 'number');
+        return reps.length > 0 ? reps.reduce((sum, value) => sum + value, 0) : null;
+    }
+    if (metric === 'total_volume') {
+        const volumes = sets
+            .filter((set) => typeof set.reps === 'number' && typeof set.weight === 'number')
+            .map((set) => set.reps * set.weight);
+        return volumes.length > 0 ? volumes.reduce((sum, value) => sum + value, 0) : null;
+    }
+    if (metric === 'total_duration') {
+        // Reported in minutes, the unit durations are usually tracked in on goals
+        const durations = sets.map((set) => set.durationSeconds).filter((value) => typeof value === 'number');
+        return durations.length > 0 ? durations.reduce((sum, value) => sum + value, 0) / 60 : null;
+    }
+    return null;
+};
+
+/**
+ * Recomputes the progress entries a workout contributes to the user's linked goals.
+ * Entries previously derived from the workout are replaced, so the function is safe to call
+ * after creating, updating or deleting a workout (pass `deleted` for the latter).
+ * The user's devices, and the members of the challenges scored on the changed goals, are told through their event streams.
+ * @param {Object} workout - The workout document.
+ * @param {{deleted?: boolean}} [options]
+ * @returns {Promise<void>}
+ */
+const syncWorkoutProgress = async (workout, { deleted = false } = {}) => {
+    const exerciseIds = workout.exercises.map((exercise) => exercise.exerciseId);
+
+    const goals = await Goal.find({
+        userId: workout.userId,
+        $or: [
+            { 'workoutLink.exerciseId': { $in: exerciseIds } },
+            { 'progress.workoutId': workout._id },
+        ],
+    });
+
+    const synced = [];
+    for (const goal of goals) {
+        const previousEntries = goal.progress.filter((entry) => entry.workoutId && entry.workoutId.equals(workout._id));
+        previousEntries.forEach((entry) => entry.deleteOne());
+
+        const performed = goal.workoutLink && !deleted
+            ? workout.exercises.filter((exercise) => exercise.exerciseId.equals(goal.workoutLink.exerciseId))
+            : [];
+        const value = performed.length > 0
+            ? computeWorkoutMetric(performed.flatMap((exercise) => exercise.sets), goal.workoutLink.metric)
+            : null;
+        const withinPeriod = workout.date.getTime() >= goal.startDate.getTime()
+            && workout.date.getTime() <= goal.endDate.getTime();
+
+        if (value !== null && withinPeriod) {
+            goal.progress.push({ date: workout.date, value, workoutId: workout._id });
+        }
+
+        if (!goal.isModified('progress')) {
+            continue;
+        }
+
+        const reachedMilestones = updateMilestones(goal);
+        syncGoalCompletion(goal);
+        await goal.save();
+        try {
+            await evaluateAchievements(goal, reachedMilestones);
+        } catch (error) {
+            console.error('Error evaluating achievements:', error);
+        }
+        synced.push(goal._id);
+        publish(goal.userId, 'progress.synced', { goalId: goal.id });
+    }
+    await publishLeaderboardChanges(synced);
+};
+
+module.exports = {
+    computeWorkoutMetric,
+    syncWorkoutProgress,
+};
@@ -0,0 +1,54 @@
+const express = require('express');
+const cors = require('cors');
+const mongoose = require('mongoose');
+const { connectDB } = require('./api/config/database');
+const apiRoutes = require('./api/routes/apiRoutes');
+const { errorHandler } = require('./api/middlewares/errorHandler');
+const { startNotificationScheduler } = require('./api/utils/notificationScheduler');
+const { startPurgeScheduler } = require('./api/utils/purgeScheduler');
+
+const PORT = Number(process.env.PORT) || 3001;
+
+const app = express();
+
+app.use(cors());
+// Imports carry a user's whole goal and progress history in the body
+app.use(express.json({ limit: '5mb' }));
+app.use(apiRoutes);
+// Unparsable request bodies fail before the routes and get the API error envelope here
+app.use(errorHandler);
+
+/**
+ * Connects to the database, then starts the background schedulers and the HTTP server.
+ * SIGINT and SIGTERM stop the schedulers, close the server and disconnect from the database.
+ * @returns {Promise<void>}
+ */
+const start = async () => {
+    await connectDB();
+
+    const schedulers = [startNotificationScheduler(), startPurgeScheduler()];
+    const server = app.listen(PORT, () => {
+        console.log(`Server listening on port ${PORT}`);
+    });
+
+    const shutdown = (signal) => {
+        console.log(`${signal} received, shutting down`);
+        schedulers.forEach((scheduler) => scheduler.stop());
+        server.close(() => {
+            mongoose.disconnect().finally(() => process.exit(0));
+        });
+        // Open event streams would otherwise keep the server from closing
+        server.closeAllConnections();
+    };
+    process.once('SIGINT', shutdown);
+    process.once('SIGTERM', shutdown);
+};
+
+if (require.main === module) {
+    start().catch((error) => {
+        console.error('Error starting server:', error);
+        process.exit(1);
+    });
+}
+
+module.exports = { app };
@@ -1,36 +1,78 @@
-import React, { useState, useContext } from 'react';
-import AuthContext from '../context/AuthContext';
+import React, { useState, useEffect } from 'react';
+import useAuth from '../hooks/useAuth';
 import Input from './Input';
 import Button from './Button';
+import { getFieldErrors } from '../utils/helpers';
 
 /**
  * @typedef {Object} AuthFormProps
  */
 
+/**
+ * Formats a remaining wait as minutes and seconds, e.g. '14:05'.
+ * @param {number} ms
+ * @returns {string}
+ */
+const formatWait = (ms) => {
+  const seconds = Math.max(Math.ceil(ms / 1000), 0);
+  return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+};
+
 /**
  * A component for user authentication including login and signup.
+ * Both modes go through AuthProvider, which talks to the backend and owns the session.
+ * When the server rate limits the form or locks the account, submitting is disabled until the
+ * wait it announced has passed, with a countdown.
  * @param {AuthFormProps} props
  * @returns {JSX.Element}
  */
 const AuthForm = () => {
-  const { login } = useContext(AuthContext);
+  const { login, signup } = useAuth();
   const [username, setUsername] = useState('');
+  const [email, setEmail] = useState('');
   const [password, setPassword] = useState('');
     const [isLogin, setIsLogin] = useState(true);
   const [error, setError] = useState('');
+  const [fieldErrors, setFieldErrors] = useState({});
     const [loading, setLoading] = useState(false);
+  const [retryBlock, setRetryBlock] = useState(null);
+  const [now, setNow] = useState(Date.now());
+
+  // Ticks the countdown of a rate limit or lockout, and lifts it once it has run out
+  useEffect(() => {
+    if (!retryBlock) {
+      return undefined;
+    }
+    const timer = setInterval(() => {
+      const current = Date.now();
+      setNow(current);
+      if (current >= retryBlock.until) {
+        setRetryBlock(null);
+      }
+    }, 1000);
+    return () => clearInterval(timer);
+  }, [retryBlock]);
 
+  // Mirrors the validation rules of the auth API
   const validateForm = () => {
       if (!username.trim()) {
           setError('Username is required.');
           return false;
       }
+      if (username.trim().length < 3) {
+          setError('Username must be at least 3 characters long.');
+          return false;
+      }
+      if (!isLogin && !/^[^@\s]+@[^@\s]+\.[^@\s]+$/.test(email.trim())) {
+          setError('A valid email address is required.');
+          return false;
+      }
       if (!password.trim()) {
           setError('Password is required.');
           return false;
       }
-       if (password.length < 6) {
-        setError('Password must be at least 6 characters long.');
+       if (password.length < 8) {
+        setError('Password must be at least 8 characters long.');
         return false;
        }
        setError('');
@@ -46,15 +88,23 @@ const AuthForm = () => {
 
         setLoading(true);
         setError('');
+        setFieldErrors({});
         try {
           if(isLogin) {
             await login(username, password);
           } else {
-              // For MVP, signup does not exist, we just redirect to login
-              setIsLogin(true);
+            await signup(username, email.trim(), password);
           }
         } catch (err) {
-            setError(err.message);
+            if (err.status === 429 && err.retryAfter) {
+                setNow(Date.now());
+                setRetryBlock({ until: Date.now() + err.retryAfter * 1000, locked: err.code === 'account_locked' });
+                return;
+            }
+            const errorsByField = getFieldErrors(err);
+            setFieldErrors(errorsByField);
+            // Field errors are shown next to their inputs instead of as a single message
+            setError(Object.keys(errorsByField).length > 0 ? '' : err.message);
           console.error('Authentication error:', err);
         } finally {
           setLoading(false);
@@ -65,7 +115,10 @@ const AuthForm = () => {
   const handleToggleFormType = () => {
         setIsLogin(!isLogin);
         setError('');
+        setFieldErrors({});
+        setRetryBlock(null);
         setUsername('');
+        setEmail('');
         setPassword('');
     };
 
@@ -74,9 +127,6 @@ const AuthForm = () => {
   return (
     <form onSubmit={handleSubmit} className="p-4  bg-gray-100 rounded flex flex-col w-full sm:w-96">
       <h2 className="text-2xl text-black font-bold mb-4">{isLogin ? 'Login' : 'Sign Up'}</h2>
-        {!isLogin && (<div className="mb-2 text-black">
-            Signup is not supported in this MVP
-        </div>)}
       <div className="mb-2">
           <label htmlFor="username" className="block text-gray-700 text-sm font-bold mb-2">
               Username:
@@ -86,10 +136,27 @@ const AuthForm = () => {
           placeholder="Enter your username"
           value={username}
           onChange={(e) => setUsername(e.target.value)}
+          error={fieldErrors.username}
           style={{width: '100%'}}
           disabled={loading}
         />
       </div>
+      {!isLogin && (
+        <div className="mb-2">
+            <label htmlFor="email" className="block text-gray-700 text-sm font-bold mb-2">
+                Email:
+            </label>
+          <Input
+            type="email"
+            placeholder="Enter your email"
+            value={email}
+            onChange={(e) => setEmail(e.target.value)}
+            error={fieldErrors.email}
+            style={{width: '100%'}}
+            disabled={loading}
+          />
+        </div>
+      )}
       <div className="mb-2">
           <label htmlFor="password" className="block text-gray-700 text-sm font-bold mb-2">
               Password:
@@ -99,12 +166,25 @@ const AuthForm = () => {
           placeholder="Enter your password"
           value={password}
           onChange={(e) => setPassword(e.target.value)}
+          error={fieldErrors.password}
           style={{width: '100%'}}
            disabled={loading}
         />
       </div>
+      {isLogin && (
+          <a href="/forgot-password" className="text-blue-600 text-sm hover:underline mb-2">Forgot your password?</a>
+      )}
         {error && <div className="text-red-500 my-2">{error}</div>}
-        <Button type="submit" style={{backgroundColor:'#4299e1', color:'white'}} disabled={loading}>
+        {retryBlock && (
+            <div role="alert" className="bg-yellow-100 border border-yellow-400 text-yellow-800 rounded p-2 my-2">
+                {retryBlock.locked
+                    ? 'This account is temporarily locked after too many failed login attempts.'
+                    : 'Too many attempts.'}
+                {' '}You can try again in {formatWait(retryBlock.until - now)}
+                {retryBlock.locked ? ', or reset your password to unlock it now.' : '.'}
+            </div>
+        )}
+        <Button type="submit" style={{backgroundColor:'#4299e1', color:'white'}} disabled={loading || retryBlock !== null}>
           {loading ? 'Loading...' : isLogin ? 'Login' : 'Sign Up'}
       </Button>
         <Button type="button" style={{marginTop: '10px'}}  onClick={handleToggleFormType}>
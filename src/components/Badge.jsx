@@ -0,0 +1,51 @@
+import React from 'react';
+
+/**
+ * @typedef {Object} Achievement
+ * @property {string} id - The unique identifier for the achievement.
+ * @property {string} badge - The badge identifier (e.g., 'first_entry', 'streak_7').
+ * @property {string} title - The badge title.
+ * @property {string} description - What the badge was awarded for.
+ * @property {string | null} goalId - The goal the badge was earned on, if any.
+ * @property {string} awardedAt - The date the badge was awarded.
+ */
+
+/**
+ * Icons displayed for each badge.
+ * @type {Object<string, string>}
+ */
+const BADGE_ICONS = {
+  first_entry: '👣',
+  streak_7: '🔥',
+  completed_early: '⏱️',
+  personal_best: '🏆',
+  milestone_reached: '🚩',
+};
+
+/**
+ * A small pill displaying an earned achievement badge.
+ * @param {{achievement: Achievement}} props
+ * @returns {JSX.Element | null}
+ */
+const Badge = ({ achievement }) => {
+  if (!achievement) {
+    return null;
+  }
+
+  let awardedDate = '';
+  if (achievement.awardedAt) {
+    awardedDate = new Date(achievement.awardedAt).toLocaleDateString();
+  }
+
+  return (
+    <span
+      className="inline-flex items-center px-2 py-1 mr-2 mb-2 bg-yellow-100 text-yellow-800 rounded-full text-sm"
+      title={`${achievement.description} ${awardedDate}`.trim()}
+    >
+      <span className="mr-1">{BADGE_ICONS[achievement.badge] || '🏅'}</span>
+      {achievement.title}
+    </span>
+  );
+};
+
+export default Badge;
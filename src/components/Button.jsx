@@ -6,6 +6,7 @@ import React from 'react';
  * @property {React.ReactNode} children - The content to be displayed within the button.
  * @property {React.CSSProperties} style - Optional inline styles to apply to the button.
  * @property {'button' | 'submit' | 'reset'} type - Optional button type.
+ * @property {boolean} [disabled] - Whether the button is disabled.
  */
 
 /**
@@ -13,7 +14,7 @@ import React from 'react';
  * @param {ButtonProps} props
  * @returns {JSX.Element}
  */
-const Button = ({ onClick, children, style, type = 'button' }) => {
+const Button = ({ onClick, children, style, type = 'button', disabled = false }) => {
     const handleClick = (event) => {
         if (onClick) {
             onClick(event);
@@ -30,13 +31,14 @@ const Button = ({ onClick, children, style, type = 'button' }) => {
         border: 'none',
       cursor: 'pointer'
     };
-  const combinedStyle = { ...defaultStyle, ...style };
+  const combinedStyle = { ...defaultStyle, ...style, ...(disabled ? { opacity: 0.6, cursor: 'not-allowed' } : {}) };
 
 
   return (
       <button
         type={type}
         onClick={handleClick}
+        disabled={disabled}
         style={combinedStyle}
         className="focus:outline-none"
       >
@@ -0,0 +1,167 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import Button from './Button';
+import useApi from '../hooks/useApi';
+import { formatDate, getFieldErrors } from '../utils/helpers';
+
+/**
+ * @typedef {Object} Comment
+ * @property {string} id - The unique identifier of the comment.
+ * @property {string | null} entryId - The progress entry commented on, null for comments on the goal.
+ * @property {{id: string | null, username: string}} author - The author of the comment.
+ * @property {string} text - The comment text.
+ * @property {string} createdAt - When the comment was posted.
+ * @property {boolean} canDelete - Whether the user can delete the comment (as its author or the goal owner).
+ */
+
+/**
+ * @typedef {Object} ReactionCount
+ * @property {string | null} entryId - The progress entry reacted to, null for reactions to the goal.
+ * @property {string} emoji - The emoji.
+ * @property {number} count - How many users reacted with it.
+ * @property {boolean} reacted - Whether the user reacted with it.
+ */
+
+/**
+ * The reactions that can be left, as accepted by the backend.
+ * @type {string[]}
+ */
+const REACTION_EMOJIS = ['👍', '🎉', '💪', '🔥', '👏', '❤️'];
+
+const MAX_COMMENT_LENGTH = 500;
+
+/**
+ * The emoji reactions and comment thread of a goal, or of one of its progress entries when `entryId`
+ * is given. Used on the goal owner's detail view and on friends' activity in the feed; the backend
+ * decides what each user may see based on the goal's friend visibility.
+ * @param {{goalId: string, entryId?: string | null}} props
+ * @returns {JSX.Element}
+ */
+const CommentThread = ({ goalId, entryId = null }) => {
+  const { get, post, delete: del } = useApi();
+  const [comments, setComments] = useState([]);
+  const [reactions, setReactions] = useState([]);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [text, setText] = useState('');
+  const [error, setError] = useState(null);
+  const [posting, setPosting] = useState(false);
+
+  const basePath = `/goals/${encodeURIComponent(goalId)}`;
+  const entryQuery = entryId ? `entryId=${encodeURIComponent(entryId)}` : '';
+
+  const fetchReactions = useCallback(async () => {
+    const data = await get(`${basePath}/reactions`);
+    setReactions(data.reactions.filter((reaction) => (reaction.entryId || null) === entryId));
+  }, [get, basePath, entryId]);
+
+  const fetchComments = useCallback(async (before) => {
+    const params = [entryQuery, before ? `before=${encodeURIComponent(before)}` : ''].filter(Boolean).join('&');
+    const data = await get(`${basePath}/comments${params ? `?${params}` : ''}`);
+    setComments((prevComments) => (before ? [...prevComments, ...data.comments] : data.comments));
+    setNextCursor(data.nextCursor);
+  }, [get, basePath, entryQuery]);
+
+  useEffect(() => {
+    const loadThread = async () => {
+      try {
+        setError(null);
+        await Promise.all([fetchComments(), fetchReactions()]);
+      } catch (err) {
+        setError(err.message);
+      }
+    };
+    loadThread();
+  }, [fetchComments, fetchReactions]);
+
+  const handleToggleReaction = async (emoji) => {
+    const current = reactions.find((reaction) => reaction.emoji === emoji);
+    try {
+      setError(null);
+      if (current && current.reacted) {
+        await del(`${basePath}/reactions?emoji=${encodeURIComponent(emoji)}${entryQuery ? `&${entryQuery}` : ''}`);
+      } else {
+        await post(`${basePath}/reactions`, { emoji, entryId });
+      }
+      await fetchReactions();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handlePostComment = async (event) => {
+    event.preventDefault();
+    if (!text.trim()) {
+      return;
+    }
+    try {
+      setPosting(true);
+      setError(null);
+      const comment = await post(`${basePath}/comments`, { text, entryId });
+      setComments((prevComments) => [comment, ...prevComments]);
+      setText('');
+    } catch (err) {
+      setError(getFieldErrors(err).text || err.message);
+    } finally {
+      setPosting(false);
+    }
+  };
+
+  const handleDeleteComment = async (commentId) => {
+    try {
+      setError(null);
+      await del(`${basePath}/comments/${commentId}`);
+      setComments((prevComments) => prevComments.filter((comment) => comment.id !== commentId));
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  return (
+    <div className="mt-2">
+      <div className="flex flex-wrap mb-2">
+        {REACTION_EMOJIS.map((emoji) => {
+          const reaction = reactions.find((entry) => entry.emoji === emoji);
+          return (
+            <button
+              key={emoji}
+              type="button"
+              onClick={() => handleToggleReaction(emoji)}
+              className={`px-2 py-1 mr-1 mb-1 rounded-full text-sm border ${reaction && reaction.reacted ? 'bg-blue-100 border-blue-400' : 'bg-white border-gray-300'}`}
+            >
+              {emoji}{reaction ? ` ${reaction.count}` : ''}
+            </button>
+          );
+        })}
+      </div>
+      {error && <div className="text-red-500 text-sm mb-2">{error}</div>}
+      {nextCursor && (
+        <button type="button" onClick={() => fetchComments(nextCursor)} className="text-blue-600 text-xs hover:underline">Show older comments</button>
+      )}
+      {/* Comments are fetched newest first and shown oldest first, like a conversation */}
+      {[...comments].reverse().map((comment) => (
+        <div key={comment.id} className="text-sm text-gray-700 mb-1 flex justify-between">
+          <div>
+            <span className="font-semibold">{comment.author.username}</span>{' '}
+            <span className="text-gray-500">{formatDate(new Date(comment.createdAt))}</span>
+            <div className="whitespace-pre-line">{comment.text}</div>
+          </div>
+          {comment.canDelete && (
+            <button type="button" onClick={() => handleDeleteComment(comment.id)} className="text-red-500 text-xs ml-2">Delete</button>
+          )}
+        </div>
+      ))}
+      <form onSubmit={handlePostComment} className="flex items-start space-x-2 mb-2">
+        <textarea
+          value={text}
+          onChange={(e) => setText(e.target.value)}
+          maxLength={MAX_COMMENT_LENGTH}
+          rows={2}
+          placeholder="Write a comment"
+          className="flex-grow p-2 border rounded text-sm"
+        />
+        <Button type="submit" disabled={posting || !text.trim()} style={{padding: '5px 10px'}}>Post</Button>
+      </form>
+    </div>
+  );
+};
+
+export default CommentThread;
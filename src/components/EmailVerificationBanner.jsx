@@ -0,0 +1,43 @@
+import React, { useState } from 'react';
+import useApi from '../hooks/useApi';
+import Button from './Button';
+
+/**
+ * A banner asking the user to confirm their email address, with a button to send a new verification link.
+ * @param {{email: string}} props - The address the link is sent to.
+ * @returns {JSX.Element}
+ */
+const EmailVerificationBanner = ({ email }) => {
+  const { post } = useApi();
+  const [message, setMessage] = useState('');
+  const [error, setError] = useState('');
+  const [sending, setSending] = useState(false);
+
+  const handleResend = async () => {
+    setSending(true);
+    setError('');
+    try {
+      const data = await post('/auth/resend-verification', {});
+      setMessage(data.message);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSending(false);
+    }
+  };
+
+  return (
+    <div role="status" className="w-full max-w-2xl bg-yellow-100 border border-yellow-400 text-yellow-800 rounded p-3 mb-4">
+      <p>Please confirm your email address{email ? ` (${email})` : ''} using the link we sent you.</p>
+      {message && <p className="text-sm mt-2">{message}</p>}
+      {error && <p className="text-red-500 text-sm mt-2">{error}</p>}
+      {!message && (
+        <Button onClick={handleResend} style={{marginTop: '8px'}} disabled={sending}>
+          {sending ? 'Sending...' : 'Resend verification email'}
+        </Button>
+      )}
+    </div>
+  );
+};
+
+export default EmailVerificationBanner;
@@ -1,31 +1,56 @@
 import React from 'react';
+import Badge from './Badge';
 
 /**
  * @typedef {Object} Goal
  * @property {string} id - The unique identifier for the goal.
  * @property {string} name - The name of the goal.
- * @property {number} progress - The current progress of the goal.
- * @property {number} target - The target value for the goal.
+ * @property {string} [status] - The goal status: 'active', 'paused', 'completed', 'abandoned', 'archived' or 'expired'.
+ * @property {{kind: 'percent' | 'value', threshold: number, reachedAt: string | null}[]} [milestones] - Intermediate milestones of the goal.
  * @property {string} createdAt - The date when the goal was created.
  */
 
+/**
+ * @typedef {Object} GoalStats
+ * @property {number} percentComplete - Completion percentage computed by the `/goals/:id/stats` endpoint.
+ * @property {boolean} onPace - Whether the user is on pace to reach the target by the end date.
+ * @property {boolean} completed - Whether the target has been reached.
+ * @property {number} daysRemaining - Days left until the goal end date.
+ * @property {number | null} currentValue - The latest progress value, in the user's preferred units.
+ * @property {number} targetValue - The target value, in the user's preferred units.
+ * @property {string} unit - The unit the values are expressed in.
+ * @property {RecurrenceStats} [recurrence] - The period-by-period evaluation of a recurring goal.
+ */
+
+/**
+ * @typedef {Object} RecurrenceStats
+ * @property {'daily' | 'weekly' | 'monthly'} frequency - The length of a period.
+ * @property {number} currentStreak - Consecutive periods met up to now.
+ * @property {number} longestStreak - The longest streak of the goal.
+ * @property {{value: number, target: number, status: string} | null} currentPeriod - The period containing today.
+ */
+
+const PERIOD_NAMES = { daily: 'Today', weekly: 'This week', monthly: 'This month' };
+const STATUS_LABELS = { abandoned: 'Abandoned', archived: 'Archived' };
+
 /**
  * A component that displays a single goal item.
- * @param {{goal: Goal | null}} props
+ * Progress figures come from the server-computed stats; no progress math is done on the client.
+ * Recurring goals show their current period and streak counters instead of milestones.
+ * @param {{goal: Goal | null, stats?: GoalStats | null, achievements?: import('./Badge').Achievement[]}} props
  * @returns {JSX.Element}
  */
-const GoalItem = ({ goal }) => {
+const GoalItem = ({ goal, stats, achievements = [] }) => {
     if (!goal) {
         return <div className="p-4 bg-white rounded shadow-md mb-4">No goal data provided.</div>;
     }
 
-    const { name, progress, target, createdAt } = goal;
+    const { name, createdAt } = goal;
+    const recurrence = stats && stats.recurrence;
+    const milestones = recurrence ? [] : goal.milestones || [];
+    const reachedMilestones = milestones.filter((milestone) => milestone.reachedAt).length;
     const sanitizedName = name ? name.replace(/</g, "&lt;").replace(/>/g, "&gt;") : "No Name";
-    let progressPercentage = 0;
-
-    if (typeof progress === 'number' && typeof target === 'number' && target > 0) {
-        progressPercentage = Math.min(Math.max((progress / target) * 100, 0), 100);
-    }
+    const progressPercentage = stats && typeof stats.percentComplete === 'number' ? stats.percentComplete : 0;
 
     let formattedDate = "Invalid date";
     if (createdAt) {
@@ -42,13 +67,57 @@ const GoalItem = ({ goal }) => {
         <div className="p-4 bg-white rounded shadow-md mb-4">
             <h3 className="text-xl font-semibold text-gray-800">{sanitizedName}</h3>
             <div className="text-gray-600">Progress: {progressPercentage.toFixed(0)}%</div>
-          <div className="bg-gray-200 rounded-full h-2 mt-2">
+          {recurrence ? (
+            <>
+              {recurrence.currentPeriod && (
+                <div className="text-gray-600 text-sm">
+                  {PERIOD_NAMES[recurrence.frequency]}: {recurrence.currentPeriod.value} / {recurrence.currentPeriod.target} {stats.unit}
+                  {recurrence.currentPeriod.status === 'met' && ' ✓'}
+                </div>
+              )}
+              <div className="text-gray-600 text-sm">
+                Streak: {recurrence.currentStreak} · Best: {recurrence.longestStreak}
+              </div>
+            </>
+          ) : stats && typeof stats.targetValue === 'number' && (
+            <div className="text-gray-600 text-sm">
+              {stats.currentValue !== null ? stats.currentValue : '-'} / {stats.targetValue} {stats.unit}
+            </div>
+          )}
+          <div className="bg-gray-200 rounded-full h-2 mt-2 relative">
             <div
               className="bg-green-500 rounded-full h-2"
               style={{ width: `${progressPercentage}%` }}
             ></div>
+            {milestones.filter((milestone) => milestone.kind === 'percent').map((milestone) => (
+              <div
+                key={milestone.threshold}
+                className={`absolute top-0 h-2 w-1 ${milestone.reachedAt ? 'bg-yellow-500' : 'bg-gray-400'}`}
+                style={{ left: `${milestone.threshold}%` }}
+                title={`${milestone.threshold}% milestone`}
+              ></div>
+            ))}
           </div>
+          {milestones.length > 0 && (
+            <div className="text-gray-500 text-sm mt-1">Milestones: {reachedMilestones}/{milestones.length} reached</div>
+          )}
+          {stats && (
+            <div className="text-gray-500 text-sm mt-1">
+              {goal.status === 'paused'
+                ? `Paused · ${stats.daysRemaining} days remaining`
+                : STATUS_LABELS[goal.status] || (stats.completed
+                  ? 'Completed'
+                  : `${stats.onPace ? 'On pace' : 'Behind pace'} · ${stats.daysRemaining} days remaining`)}
+            </div>
+          )}
             <div className="text-gray-500 text-sm">Created at: {formattedDate}</div>
+          {achievements.length > 0 && (
+            <div className="flex flex-wrap mt-2">
+              {achievements.map((achievement) => (
+                <Badge key={achievement.id} achievement={achievement} />
+              ))}
+            </div>
+          )}
         </div>
     );
 };
@@ -7,6 +7,7 @@ import React, { useCallback } from 'react';
  * @property {(event: React.ChangeEvent<HTMLInputElement>) => void} onChange - Callback function triggered on input change.
  * @property {string} placeholder - Placeholder text for the input.
  * @property {React.CSSProperties} style - Optional inline styles for the input.
+ * @property {string} [error] - Optional error message, shown below the input with a red border.
  */
 
 /**
@@ -20,6 +21,7 @@ const Input = ({
   onChange,
   placeholder,
   style,
+  error,
 }) => {
   const handleChange = useCallback(
     (event) => {
@@ -46,18 +48,30 @@ const Input = ({
       boxSizing: 'border-box',
   };
 
-  const combinedStyle = { ...defaultStyle, ...style };
+  const combinedStyle = { ...defaultStyle, ...style, ...(error ? { borderColor: '#ef4444' } : {}) };
 
-  return (
+  const input = (
     <input
       type={type}
       value={value || ''}
       onChange={handleChange}
       placeholder={placeholder}
       style={combinedStyle}
+      aria-invalid={error ? true : undefined}
         className="focus:outline-none"
     />
   );
+
+  if (!error) {
+    return input;
+  }
+
+  return (
+    <div>
+      {input}
+      <p className="text-red-500 text-sm mt-1">{error}</p>
+    </div>
+  );
 };
 
 export default Input;
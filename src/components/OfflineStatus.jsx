@@ -0,0 +1,47 @@
+import React from 'react';
+import Button from './Button';
+
+/**
+ * A banner telling the user that they are offline, that changes are waiting to be synced, and which
+ * queued changes the server refused. Renders nothing when everything is in sync.
+ * @param {import('../hooks/useOfflineSync').OfflineSync & {fromCache?: boolean}} props - The state returned by
+ * `useOfflineSync`, and whether the page shows data saved on the device.
+ * @returns {JSX.Element | null}
+ */
+const OfflineStatus = ({ online, pendingMutations, syncing, failures, dismissFailures, fromCache = false }) => {
+  const pendingCount = pendingMutations.length;
+  if (online && !fromCache && pendingCount === 0 && failures.length === 0) {
+    return null;
+  }
+
+  let message = null;
+  if (!online) {
+    message = 'You are offline. Your changes are saved on this device and will be synced when you are back online.';
+  } else if (fromCache) {
+    message = 'The server cannot be reached. Showing the data saved on this device.';
+  }
+
+  return (
+    <div role="status" className="w-full max-w-2xl bg-blue-50 border border-blue-300 text-blue-800 rounded p-3 mb-4">
+      {message && <p>{message}</p>}
+      {pendingCount > 0 && (
+        <p className="text-sm">
+          {syncing ? 'Syncing' : 'Waiting to sync'} {pendingCount} {pendingCount === 1 ? 'change' : 'changes'}...
+        </p>
+      )}
+      {failures.length > 0 && (
+        <div className="mt-2">
+          <p className="text-sm font-semibold">Some offline changes could not be saved:</p>
+          <ul className="text-sm list-disc ml-5">
+            {failures.map((failure) => (
+              <li key={failure.mutation.idempotencyKey}>{failure.message}</li>
+            ))}
+          </ul>
+          <Button onClick={dismissFailures} style={{marginTop: '8px', padding: '5px 10px'}}>Dismiss</Button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default OfflineStatus;
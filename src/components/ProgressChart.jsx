@@ -0,0 +1,285 @@
+import React, { useMemo, useState } from 'react';
+import Button from './Button';
+import Input from './Input';
+import { formatDate } from '../utils/helpers';
+
+/**
+ * @typedef {Object} ChartGoal
+ * @property {string} id - The unique identifier for the goal.
+ * @property {string} startDate - The goal start date.
+ * @property {string} endDate - The goal end date.
+ * @property {number} targetValue - The target value (per period for recurring goals), in the user's preferred units.
+ * @property {string} unit - The unit the values are expressed in.
+ * @property {{date: string, value: number}[]} progress - The progress entries, oldest first.
+ * @property {{kind: 'percent' | 'value', threshold: number, reachedAt: string | null}[]} [milestones] - The goal milestones.
+ */
+
+/**
+ * @typedef {Object} ChartPoint
+ * @property {Date} date
+ * @property {number} value
+ */
+
+const CHART_WIDTH = 600;
+const CHART_HEIGHT = 300;
+const PADDING = { top: 20, right: 60, bottom: 40, left: 50 };
+const DAY_IN_MS = 24 * 60 * 60 * 1000;
+const TICK_COUNT = 5;
+
+/**
+ * Date ranges the chart can be zoomed to, counted back from today (or the goal end date once it has passed).
+ */
+const RANGE_PRESETS = [
+    { id: 'all', label: 'Whole goal', days: null },
+    { id: '90', label: '90 days', days: 90 },
+    { id: '30', label: '30 days', days: 30 },
+    { id: '7', label: '7 days', days: 7 },
+];
+
+const AVERAGE_WINDOWS = [0, 3, 7];
+
+/**
+ * Computes the trailing moving average of a series of points.
+ * @param {ChartPoint[]} points - The points, oldest first.
+ * @param {number} size - The number of points averaged.
+ * @returns {ChartPoint[]}
+ */
+const movingAverage = (points, size) => points.map((point, index) => {
+    const window = points.slice(Math.max(index - size + 1, 0), index + 1);
+    return { date: point.date, value: window.reduce((sum, entry) => sum + entry.value, 0) / window.length };
+});
+
+/**
+ * Creates a function mapping a value of the domain linearly onto the range.
+ * @param {number} domainMin
+ * @param {number} domainMax
+ * @param {number} rangeMin
+ * @param {number} rangeMax
+ * @returns {(value: number) => number}
+ */
+const linearScale = (domainMin, domainMax, rangeMin, rangeMax) => (value) => (domainMax === domainMin
+    ? (rangeMin + rangeMax) / 2
+    : rangeMin + ((value - domainMin) / (domainMax - domainMin)) * (rangeMax - rangeMin));
+
+/**
+ * Returns evenly spaced tick values between two bounds, both included.
+ * @param {number} min
+ * @param {number} max
+ * @returns {number[]}
+ */
+const evenTicks = (min, max) => Array.from({ length: TICK_COUNT + 1 }, (_, index) => min + ((max - min) * index) / TICK_COUNT);
+
+/**
+ * Formats an axis value without trailing noise ("72.5", "10000").
+ * @param {number} value
+ * @returns {string}
+ */
+const formatTick = (value) => String(Math.round(value * 10) / 10);
+
+/**
+ * A progress chart rendered as SVG, with no external charting library or service.
+ * It plots the progress entries of a goal over time against its target line and the ideal pace line
+ * from the start value on startDate to the target on endDate, and annotates the goal milestones.
+ * The date range can be zoomed with presets or custom dates, and a moving average can be overlaid.
+ * Recurring goals plot the value of each period against the per-period target instead, without a pace line.
+ * @param {{goal: ChartGoal, stats?: import('./GoalItem').GoalStats & {startValue: number | null} | null}} props
+ * @returns {JSX.Element}
+ */
+const ProgressChart = ({ goal, stats }) => {
+    const [rangePreset, setRangePreset] = useState('all');
+    const [customFrom, setCustomFrom] = useState('');
+    const [customTo, setCustomTo] = useState('');
+    const [averageWindow, setAverageWindow] = useState(0);
+
+    const recurrence = stats && stats.recurrence;
+    const goalStart = new Date(goal.startDate);
+    const goalEnd = new Date(goal.endDate);
+    const startValue = stats && typeof stats.startValue === 'number' ? stats.startValue : null;
+
+    const points = useMemo(() => (recurrence
+        ? recurrence.periods.map((period) => ({ date: new Date(period.start), value: period.value }))
+        : (goal.progress || []).map((entry) => ({ date: new Date(entry.date), value: entry.value }))), [goal.progress, recurrence]);
+    const averagePoints = useMemo(() => (averageWindow > 0 ? movingAverage(points, averageWindow) : []), [points, averageWindow]);
+
+    // Milestones are drawn at the value they stand for; percentages need the value progress is measured from
+    const milestoneLines = (recurrence ? [] : goal.milestones || [])
+        .map((milestone) => ({
+            ...milestone,
+            level: milestone.kind === 'value'
+                ? milestone.threshold
+                : startValue !== null ? startValue + ((goal.targetValue - startValue) * milestone.threshold) / 100 : null,
+            label: milestone.kind === 'value' ? `${milestone.threshold} ${goal.unit}` : `${milestone.threshold}%`,
+        }))
+        .filter((milestone) => milestone.level !== null);
+
+    // The visible date range
+    const lastEntryTime = points.length > 0 ? points[points.length - 1].date.getTime() : goalEnd.getTime();
+    let rangeStart = goalStart.getTime();
+    let rangeEnd = Math.max(goalEnd.getTime(), lastEntryTime);
+    const customStart = customFrom ? new Date(customFrom).getTime() : NaN;
+    const customEnd = customTo ? new Date(customTo).getTime() + DAY_IN_MS : NaN;
+    if (!isNaN(customStart) && !isNaN(customEnd) && customStart < customEnd) {
+        rangeStart = customStart;
+        rangeEnd = customEnd;
+    } else {
+        const preset = RANGE_PRESETS.find((option) => option.id === rangePreset);
+        if (preset && preset.days) {
+            rangeEnd = Math.min(Date.now(), rangeEnd);
+            rangeStart = Math.max(rangeEnd - preset.days * DAY_IN_MS, goalStart.getTime());
+        }
+    }
+    if (rangeEnd <= rangeStart) {
+        rangeEnd = rangeStart + DAY_IN_MS;
+    }
+
+    const paceValueAt = (time) => startValue + ((goal.targetValue - startValue) * (time - goalStart.getTime())) / (goalEnd.getTime() - goalStart.getTime());
+    const showPace = !recurrence && startValue !== null && goalEnd.getTime() > goalStart.getTime();
+
+    // The value axis covers the visible points, the target and the pace line
+    const inRange = (point) => point.date.getTime() >= rangeStart && point.date.getTime() <= rangeEnd;
+    const visibleValues = [
+        ...points.filter(inRange).map((point) => point.value),
+        ...averagePoints.filter(inRange).map((point) => point.value),
+        goal.targetValue,
+    ];
+    if (showPace) {
+        visibleValues.push(paceValueAt(rangeStart), paceValueAt(rangeEnd));
+    }
+    let valueMin = Math.min(...visibleValues);
+    let valueMax = Math.max(...visibleValues);
+    const margin = (valueMax - valueMin) * 0.1 || Math.abs(valueMax) * 0.1 || 1;
+    valueMin -= margin;
+    valueMax += margin;
+
+    const x = linearScale(rangeStart, rangeEnd, PADDING.left, CHART_WIDTH - PADDING.right);
+    const y = linearScale(valueMin, valueMax, CHART_HEIGHT - PADDING.bottom, PADDING.top);
+    const toPath = (series) => series
+        .map((point, index) => `${index === 0 ? 'M' : 'L'}${x(point.date.getTime()).toFixed(1)},${y(point.value).toFixed(1)}`)
+        .join(' ');
+    const clipId = `progress-chart-clip-${goal.id}`;
+    const plotRight = CHART_WIDTH - PADDING.right;
+    const plotBottom = CHART_HEIGHT - PADDING.bottom;
+
+    const handleSelectPreset = (presetId) => {
+        setCustomFrom('');
+        setCustomTo('');
+        setRangePreset(presetId);
+    };
+
+    return (
+        <div className="p-4 bg-white rounded shadow-md mb-4">
+            <div className="flex flex-wrap items-center space-x-2 mb-2">
+                {RANGE_PRESETS.map((preset) => (
+                    <Button
+                        key={preset.id}
+                        onClick={() => handleSelectPreset(preset.id)}
+                        style={{padding: '5px 10px', ...(rangePreset === preset.id && !customFrom && !customTo ? {backgroundColor: '#4299e1', color: 'white'} : {})}}
+                    >
+                        {preset.label}
+                    </Button>
+                ))}
+                <Input type="date" value={customFrom} onChange={(e) => setCustomFrom(e.target.value)} />
+                <span className="text-gray-500 text-sm">to</span>
+                <Input type="date" value={customTo} onChange={(e) => setCustomTo(e.target.value)} />
+                <select
+                    value={averageWindow}
+                    onChange={(e) => setAverageWindow(Number(e.target.value))}
+                    className="p-2 border rounded"
+                    aria-label="Moving average"
+                >
+                    {AVERAGE_WINDOWS.map((size) => (
+                        <option key={size} value={size}>{size === 0 ? 'No average' : `${size}-${recurrence ? 'period' : 'entry'} average`}</option>
+                    ))}
+                </select>
+            </div>
+            <svg viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`} className="w-full" role="img" aria-label="Progress chart">
+                <defs>
+                    <clipPath id={clipId}>
+                        <rect x={PADDING.left} y={PADDING.top} width={plotRight - PADDING.left} height={plotBottom - PADDING.top} />
+                    </clipPath>
+                </defs>
+
+                {/* Axes and grid */}
+                {evenTicks(valueMin, valueMax).map((tick) => (
+                    <g key={`y-${tick}`}>
+                        <line x1={PADDING.left} x2={plotRight} y1={y(tick)} y2={y(tick)} stroke="#edf2f7" />
+                        <text x={PADDING.left - 6} y={y(tick)} textAnchor="end" dominantBaseline="middle" fontSize="10" fill="#718096">{formatTick(tick)}</text>
+                    </g>
+                ))}
+                {evenTicks(rangeStart, rangeEnd).map((tick) => (
+                    <text key={`x-${tick}`} x={x(tick)} y={plotBottom + 16} textAnchor="middle" fontSize="10" fill="#718096">
+                        {formatDate(new Date(tick))}
+                    </text>
+                ))}
+                <line x1={PADDING.left} x2={PADDING.left} y1={PADDING.top} y2={plotBottom} stroke="#a0aec0" />
+                <line x1={PADDING.left} x2={plotRight} y1={plotBottom} y2={plotBottom} stroke="#a0aec0" />
+                <text x={PADDING.left} y={PADDING.top - 6} fontSize="10" fill="#718096">{goal.unit}</text>
+
+                <g clipPath={`url(#${clipId})`}>
+                    {/* Milestone annotations: a level line for each milestone, a marker where it was reached */}
+                    {milestoneLines.map((milestone) => (
+                        <g key={`${milestone.kind}-${milestone.threshold}`}>
+                            <line x1={PADDING.left} x2={plotRight} y1={y(milestone.level)} y2={y(milestone.level)} stroke="#ecc94b" strokeDasharray="2 4" />
+                            {milestone.reachedAt && (
+                                <line
+                                    x1={x(new Date(milestone.reachedAt).getTime())}
+                                    x2={x(new Date(milestone.reachedAt).getTime())}
+                                    y1={PADDING.top}
+                                    y2={plotBottom}
+                                    stroke="#d69e2e"
+                                    strokeDasharray="4 2"
+                                >
+                                    <title>{`${milestone.label} reached on ${formatDate(new Date(milestone.reachedAt))}`}</title>
+                                </line>
+                            )}
+                        </g>
+                    ))}
+
+                    {/* Ideal pace from the start value to the target */}
+                    {showPace && (
+                        <line
+                            x1={x(goalStart.getTime())}
+                            y1={y(startValue)}
+                            x2={x(goalEnd.getTime())}
+                            y2={y(goal.targetValue)}
+                            stroke="#a0aec0"
+                            strokeDasharray="6 4"
+                        />
+                    )}
+
+                    <line x1={PADDING.left} x2={plotRight} y1={y(goal.targetValue)} y2={y(goal.targetValue)} stroke="#e53e3e" strokeDasharray="6 4" />
+
+                    {averagePoints.length > 1 && <path d={toPath(averagePoints)} fill="none" stroke="#ed8936" strokeWidth="2" />}
+                    {points.length > 1 && <path d={toPath(points)} fill="none" stroke="#48bb78" strokeWidth="2" />}
+                    {points.map((point, index) => (
+                        <circle key={index} cx={x(point.date.getTime())} cy={y(point.value)} r="3" fill="#38a169">
+                            <title>{`${formatDate(point.date)}: ${formatTick(point.value)} ${goal.unit}`}</title>
+                        </circle>
+                    ))}
+                </g>
+
+                {/* Labels are drawn outside the clipped area, in the right margin */}
+                <text x={plotRight + 4} y={y(goal.targetValue)} dominantBaseline="middle" fontSize="10" fill="#e53e3e">
+                    {recurrence ? 'Per period' : 'Target'}
+                </text>
+                {milestoneLines
+                    .filter((milestone) => y(milestone.level) >= PADDING.top && y(milestone.level) <= plotBottom)
+                    .map((milestone) => (
+                        <text key={`label-${milestone.kind}-${milestone.threshold}`} x={plotRight + 4} y={y(milestone.level)} dominantBaseline="middle" fontSize="10" fill="#d69e2e">
+                            {milestone.label}
+                        </text>
+                    ))}
+            </svg>
+            <div className="flex flex-wrap text-xs text-gray-600 space-x-4 mt-2">
+                <span><span style={{color: '#38a169'}}>●</span> {recurrence ? 'Period value' : 'Progress'}</span>
+                <span><span style={{color: '#e53e3e'}}>- -</span> Target</span>
+                {showPace && <span><span style={{color: '#a0aec0'}}>- -</span> Ideal pace</span>}
+                {averageWindow > 0 && <span><span style={{color: '#ed8936'}}>—</span> Moving average</span>}
+                {milestoneLines.length > 0 && <span><span style={{color: '#d69e2e'}}>┆</span> Milestones</span>}
+            </div>
+            {points.length === 0 && <div className="text-gray-500 text-sm mt-2">No progress recorded yet.</div>}
+        </div>
+    );
+};
+
+export default ProgressChart;
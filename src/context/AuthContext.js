@@ -1,12 +1,32 @@
 import React, { createContext, useState, useEffect, useCallback } from 'react';
+import api, { SESSION_EXPIRED_EVENT } from '../services/api';
+import { claimOfflineData, clearOfflineData } from '../services/offlineStore';
+
+// Define the authenticated user type
+export type AuthUser = {
+  id: string;
+  username: string;
+  email?: string;
+  emailVerified?: boolean;
+  displayName?: string | null;
+  avatarUrl?: string | null;
+  timezone?: string;
+  unitSystem?: 'metric' | 'imperial';
+};
 
 // Define the context type
 export type AuthContextType = {
   isAuthenticated: boolean;
-  user: { id: string; username: string } | null;
+  user: AuthUser | null;
+  loading: boolean;
+  error: string | null;
   login: (username: string, password: string) => Promise<void>;
-  logout: () => void;
+  signup: (username: string, email: string, password: string) => Promise<void>;
+  logout: () => Promise<void>;
   checkAuth: () => Promise<void>;
+  updateUser: (changes: Partial<AuthUser>) => Promise<void>;
+  changePassword: (currentPassword: string, newPassword: string) => Promise<void>;
+  deleteAccount: (password: string) => Promise<string>;
 };
 
 // Define the props type for the AuthProvider
@@ -18,82 +38,169 @@ export type AuthProviderProps = {
 const authContext = {
   isAuthenticated: false,
   user: null,
+  loading: true,
+  error: null,
   login: async () => {},
-  logout: () => {},
+  signup: async () => {},
+  logout: async () => {},
   checkAuth: async () => {},
+  updateUser: async () => {},
+  changePassword: async () => {},
+  deleteAccount: async () => '',
 };
 
 // Create the Auth context
 const AuthContext = createContext<AuthContextType>(authContext);
 
-// AuthProvider component
+/**
+ * Removes the stored access and refresh tokens.
+ */
+const clearStoredTokens = () => {
+  localStorage.removeItem('authToken');
+  localStorage.removeItem('refreshToken');
+};
+
+// AuthProvider component: the single source of truth for the backend session
 export const AuthProvider: React.FC<AuthProviderProps> = ({ children }) => {
-  const [isAuthenticated, setIsAuthenticated] = useState(authContext.isAuthenticated);
   const [user, setUser] = useState<AuthContextType['user']>(authContext.user);
+  const [loading, setLoading] = useState(authContext.loading);
+  const [error, setError] = useState<string | null>(authContext.error);
+
+  /**
+   * Restores the session from the stored tokens by asking the backend who they belong to.
+   * An expired access token is refreshed transparently by the API layer.
+   */
+  const checkAuth = useCallback(async () => {
+    if (!localStorage.getItem('authToken')) {
+      setUser(null);
+      setLoading(false);
+      return;
+    }
+    try {
+      setLoading(true);
+      const { user: sessionUser } = await api.get('/auth/me');
+      setUser(sessionUser);
+    } catch (err: any) {
+      console.error('Error checking authentication:', err);
+      clearStoredTokens();
+      setUser(null);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
 
-    const checkAuth = useCallback(async () => {
-        try {
-            const token = localStorage.getItem('authToken');
-            if (token) {
-                const userId = token;
-                setUser({ id: userId, username: 'user' });
-                setIsAuthenticated(true);
-            } else {
-                setIsAuthenticated(false);
-                setUser(null)
-            }
-        } catch (error) {
-            console.error('Error checking authentication:', error);
-            setIsAuthenticated(false);
-            setUser(null);
-        }
-    }, []);
-  
-  
   useEffect(() => {
-      checkAuth();
+    checkAuth();
   }, [checkAuth]);
 
+  // The API layer signals when the refresh token is rejected; the session is over at that point
+  useEffect(() => {
+    const handleSessionExpired = () => {
+      setUser(null);
+    };
+    window.addEventListener(SESSION_EXPIRED_EVENT, handleSessionExpired);
+    return () => window.removeEventListener(SESSION_EXPIRED_EVENT, handleSessionExpired);
+  }, []);
+
+  // Goals cached and changes queued offline belong to the user who made them; another user starts afresh
+  const userId = user ? user.id : null;
+  useEffect(() => {
+    if (userId) {
+      claimOfflineData(userId);
+    }
+  }, [userId]);
 
-  const login = async (username: string, password: string) => {
+  const login = useCallback(async (username: string, password: string) => {
+    setError(null);
     try {
-        if (username === 'user' && password === 'password') {
-          const userId = 'user-123';
-          setUser({ id: userId, username });
-          setIsAuthenticated(true);
-          localStorage.setItem('authToken', userId);
-        } else {
-            setIsAuthenticated(false);
-             setUser(null);
-            throw new Error('Invalid credentials');
-        }
-    } catch (error) {
-        console.error('Login failed:', error);
-        setIsAuthenticated(false);
-        setUser(null)
-        throw new Error('Login failed');
+      const { token, refreshToken, user: loggedInUser } = await api.post('/auth/login', { username, password });
+      if (!token || !loggedInUser) {
+        throw new Error('Login failed: Invalid response from server');
+      }
+      localStorage.setItem('authToken', token);
+      localStorage.setItem('refreshToken', refreshToken);
+      setUser(loggedInUser);
+    } catch (err: any) {
+      console.error('Login failed:', err);
+      clearStoredTokens();
+      setUser(null);
+      setError(err.message || 'Login failed');
+      // Rethrown as is so that callers keep the status and field errors
+      throw err;
     }
-  };
+  }, []);
 
-  const logout = () => {
+  const signup = useCallback(async (username: string, email: string, password: string) => {
+    setError(null);
     try {
-      localStorage.removeItem('authToken');
-      setIsAuthenticated(false);
-      setUser(null);
-    } catch (error) {
-        console.error('Logout failed:', error);
+      await api.post('/auth/signup', { username, email, password });
+    } catch (err: any) {
+      console.error('Signup failed:', err);
+      setError(err.message || 'Signup failed');
+      throw err;
     }
-  };
+    await login(username, password);
+  }, [login]);
+
+  const logout = useCallback(async () => {
+    const refreshToken = localStorage.getItem('refreshToken');
+    clearStoredTokens();
+    clearOfflineData();
+    setUser(null);
+    setError(null);
+    if (refreshToken) {
+      try {
+        await api.post('/auth/logout', { refreshToken });
+      } catch (err: any) {
+        console.error('Server-side logout failed:', err);
+      }
+    }
+  }, []);
+
+  /**
+   * Saves changes to the signed-in user's profile or preferences (e.g. the unit system) and refreshes the session user.
+   */
+  const updateUser = useCallback(async (changes: Partial<AuthUser>) => {
+    const { user: updatedUser } = await api.patch('/users/me', changes);
+    setUser(updatedUser);
+  }, []);
+
+  /**
+   * Changes the password. The backend logs out every other session and returns new tokens for this one.
+   */
+  const changePassword = useCallback(async (currentPassword: string, newPassword: string) => {
+    const { token, refreshToken } = await api.put('/users/me/password', { currentPassword, newPassword });
+    localStorage.setItem('authToken', token);
+    localStorage.setItem('refreshToken', refreshToken);
+  }, []);
+
+  /**
+   * Schedules the deletion of the account and ends the session, which the backend has already revoked.
+   * Resolves with the date the account will be deleted; logging in before then cancels the deletion.
+   */
+  const deleteAccount = useCallback(async (password: string) => {
+    const { deletionScheduledFor } = await api.delete('/users/me', { password });
+    clearStoredTokens();
+    clearOfflineData();
+    setUser(null);
+    return deletionScheduledFor;
+  }, []);
 
   const value = {
-    isAuthenticated,
+    isAuthenticated: user !== null,
     user,
+    loading,
+    error,
     login,
+    signup,
     logout,
-      checkAuth
+    checkAuth,
+    updateUser,
+    changePassword,
+    deleteAccount,
   };
 
   return <AuthContext.Provider value={value}>{children}</AuthContext.Provider>;
 };
 
-export default AuthContext;
\ No newline at end of file
+export default AuthContext;
@@ -1,23 +1,32 @@
 import axios from 'axios';
-import { useContext } from 'react';
-import AuthContext from '../context/AuthContext';
+import { useMemo } from 'react';
+import { refreshSession, clearSession, shouldRefreshAndRetry, handleResponseError } from '../services/api';
 
 /**
- * @typedef {Object} APIError
- * @property {string} message
+ * @typedef {import('../services/api').APIError} APIError
  */
 
 
 /**
- * Custom React hook for making API requests.
- * @returns {{
- *   get: (url: string) => Promise<any>,
- *   post: (url: string, data: any) => Promise<any>,
- *   put: (url: string, data: any) => Promise<any>,
- *   delete: (url: string) => Promise<any>
- * }} An object containing functions for making API requests.
+ * @typedef {Object} ApiClient
+ * @property {(url: string) => Promise<any>} get
+ * @property {(url: string, data: any, config?: RequestConfig) => Promise<any>} post
+ * @property {(url: string, data: any, config?: RequestConfig) => Promise<any>} put
+ * @property {(url: string, data: any, config?: RequestConfig) => Promise<any>} patch
+ * @property {(url: string, config?: RequestConfig) => Promise<any>} delete
  */
-const useApi = () => {
+
+/**
+ * @typedef {Object} RequestConfig
+ * @property {Object<string, string>} [headers] - Extra request headers, e.g. an `Idempotency-Key`.
+ */
+
+
+/**
+ * Creates an axios-backed client for making API requests.
+ * @returns {ApiClient} An object containing functions for making API requests.
+ */
+const createApiClient = () => {
     const api = axios.create({
         baseURL: process.env.REACT_APP_API_URL || 'http://localhost:3001',
         headers: {
@@ -43,30 +52,20 @@ const useApi = () => {
             return response;
         },
         async (error) => {
-            const { logout } = useContext(AuthContext);
-            if (error.response && error.response.status === 401) {
-                if(logout){
-                    logout();
+            // Transparently refresh the access token and replay the request once
+            if (shouldRefreshAndRetry(error)) {
+                const originalRequest = error.config;
+                originalRequest._retry = true;
+                try {
+                    const token = await refreshSession();
+                    originalRequest.headers.Authorization = `Bearer ${token}`;
+                    return api(originalRequest);
+                } catch (refreshError) {
+                    clearSession();
                 }
             }
-            
-            if (error.response) {
-                // The request was made and the server responded with a status code
-                // that falls out of the range of 2xx
-                console.error('API Error:', error.response.data);
-                 throw { message: `API Error: ${error.response.status} - ${error.response.data.message || 'Unknown error'}` };
-            } else if (error.request) {
-                // The request was made but no response was received
-                console.error('Network Error:', error.request);
-                  throw { message: 'Network Error: No response received from the server' };
-            } else {
-                // Something happened in setting up the request that triggered an Error
-                console.error('Request setup error', error.message);
-                  throw { message: `Request setup error: ${error.message}`};
-            }
-
 
-            return Promise.reject(error);
+            handleResponseError(error);
         }
     );
 
@@ -92,10 +91,11 @@ const useApi = () => {
      * Makes a POST request to the specified URL with the given data.
      * @param {string} url - The URL to make the request to.
      * @param {any} data - The data to send with the request.
+     * @param {RequestConfig} [config] - Extra request options.
      * @returns {Promise<any>} A promise that resolves with the response data.
      * @throws {APIError} If the URL or data is missing, or if the request fails.
      */
-    const post = async (url, data) => {
+    const post = async (url, data, config) => {
          if (!url) {
               throw { message: 'URL is required for POST request' };
           }
@@ -103,7 +103,7 @@ const useApi = () => {
             throw { message: 'Data is required for POST request' };
         }
         try {
-            const response = await api.post(url, JSON.stringify(data));
+            const response = await api.post(url, JSON.stringify(data), config);
             return response.data;
         } catch (error) {
             throw error;
@@ -114,10 +114,11 @@ const useApi = () => {
      * Makes a PUT request to the specified URL with the given data.
      * @param {string} url - The URL to make the request to.
      * @param {any} data - The data to send with the request.
+     * @param {RequestConfig} [config] - Extra request options.
      * @returns {Promise<any>} A promise that resolves with the response data.
      * @throws {APIError} If the URL or data is missing, or if the request fails.
      */
-    const put = async (url, data) => {
+    const put = async (url, data, config) => {
         if (!url) {
             throw { message: 'URL is required for PUT request' };
         }
@@ -125,7 +126,30 @@ const useApi = () => {
             throw { message: 'Data is required for PUT request' };
         }
         try {
-            const response = await api.put(url, JSON.stringify(data));
+            const response = await api.put(url, JSON.stringify(data), config);
+            return response.data;
+        } catch (error) {
+            throw error;
+        }
+    };
+
+    /**
+     * Makes a PATCH request to the specified URL with the given data.
+     * @param {string} url - The URL to make the request to.
+     * @param {any} data - The partial data to send with the request.
+     * @param {RequestConfig} [config] - Extra request options.
+     * @returns {Promise<any>} A promise that resolves with the response data.
+     * @throws {APIError} If the URL or data is missing, or if the request fails.
+     */
+    const patch = async (url, data, config) => {
+        if (!url) {
+            throw { message: 'URL is required for PATCH request' };
+        }
+        if (!data) {
+            throw { message: 'Data is required for PATCH request' };
+        }
+        try {
+            const response = await api.patch(url, JSON.stringify(data), config);
             return response.data;
         } catch (error) {
             throw error;
@@ -135,15 +159,16 @@ const useApi = () => {
     /**
      * Makes a DELETE request to the specified URL.
      * @param {string} url - The URL to make the request to.
+     * @param {RequestConfig} [config] - Extra request options.
      * @returns {Promise<any>} A promise that resolves with the response data.
      * @throws {APIError} If the URL is missing or if the request fails.
      */
-    const del = async (url) => {
+    const del = async (url, config) => {
         if (!url) {
              throw { message: 'URL is required for DELETE request' };
         }
         try {
-            const response = await api.delete(url);
+            const response = await api.delete(url, config);
             return response.data;
         } catch (error) {
             throw error;
@@ -154,10 +179,21 @@ const useApi = () => {
         get,
         post,
         put,
+        patch,
         delete: del,
     };
 };
 
+/**
+ * Custom React hook for making API requests.
+ * The client is created once per component, so its functions keep a stable identity
+ * and can safely be used as effect dependencies.
+ * @returns {ApiClient} An object containing functions for making API requests.
+ */
+const useApi = () => {
+    return useMemo(() => createApiClient(), []);
+};
+
 export default useApi;
 
 /* Example Usage:
@@ -0,0 +1,35 @@
+import { useEffect, useRef } from 'react';
+import useAuth from './useAuth';
+import { subscribeToLiveEvents } from '../services/liveEvents';
+
+/**
+ * @typedef {import('../services/liveEvents').LiveEvent} LiveEvent
+ */
+
+/**
+ * Custom React hook that calls handlers for the signed-in user's live events, e.g. goals changed on another
+ * device or challenge leaderboards changed by other members. Nothing is received while signed out.
+ * @param {Object<string, (data: any) => void>} handlers - Handlers by event type, e.g. `{'goal.updated': (goal) => ...}`.
+ * A `ready` handler is called with `{reconnected}` whenever the stream opens; after a reconnection, events may
+ * have been missed and the page's data should be reloaded.
+ */
+const useLiveEvents = (handlers) => {
+    const { isAuthenticated } = useAuth();
+    // Handlers are read when an event arrives, so that they see the latest state without resubscribing
+    const handlersRef = useRef(handlers);
+    handlersRef.current = handlers;
+
+    useEffect(() => {
+        if (!isAuthenticated) {
+            return undefined;
+        }
+        return subscribeToLiveEvents((event) => {
+            const handler = handlersRef.current[event.type];
+            if (handler) {
+                handler(event.data);
+            }
+        });
+    }, [isAuthenticated]);
+};
+
+export default useLiveEvents;
@@ -0,0 +1,103 @@
+import { useCallback, useEffect, useState } from 'react';
+import useApi from './useApi';
+import { OFFLINE_QUEUE_EVENT, getPendingMutations, replayQueue } from '../services/offlineQueue';
+
+/**
+ * @typedef {import('../services/offlineStore').Mutation} Mutation
+ * @typedef {import('../services/offlineQueue').SyncFailure} SyncFailure
+ */
+
+/**
+ * @typedef {Object} OfflineSync
+ * @property {boolean} online - Whether the browser reports a network connection.
+ * @property {Mutation[]} pendingMutations - The changes waiting to be sent, oldest first.
+ * @property {boolean} syncing - True while queued changes are being sent.
+ * @property {SyncFailure[]} failures - The queued changes the server refused during the last replay.
+ * @property {() => void} dismissFailures
+ */
+
+// How often queued changes are retried while the browser is online but the server could not be reached
+const RETRY_INTERVAL_MS = 30 * 1000;
+
+/**
+ * Custom React hook that sends the changes queued while offline: when the component mounts, when the
+ * browser comes back online, when a change is queued while online, and periodically while changes wait.
+ * Every page using it shares a single replay at a time.
+ * @param {{onSynced?: () => void}} [options] - `onSynced` is called after a replay that applied or dropped changes, e.g. to reload the page's data.
+ * @returns {OfflineSync}
+ */
+const useOfflineSync = ({ onSynced } = {}) => {
+    const api = useApi();
+    const [online, setOnline] = useState(navigator.onLine);
+    const [pendingMutations, setPendingMutations] = useState([]);
+    const [syncing, setSyncing] = useState(false);
+    const [failures, setFailures] = useState([]);
+
+    const refreshPending = useCallback(async () => {
+        try {
+            setPendingMutations(await getPendingMutations());
+        } catch (error) {
+            console.error('Error reading queued changes:', error);
+        }
+    }, []);
+
+    const sync = useCallback(async () => {
+        if (!navigator.onLine) {
+            return;
+        }
+        try {
+            setSyncing(true);
+            await replayQueue(api);
+        } catch (error) {
+            console.error('Error sending queued changes:', error);
+        } finally {
+            setSyncing(false);
+        }
+    }, [api]);
+
+    useEffect(() => {
+        refreshPending().then(sync);
+    }, [refreshPending, sync]);
+
+    useEffect(() => {
+        const handleOnline = () => {
+            setOnline(true);
+            sync();
+        };
+        const handleOffline = () => setOnline(false);
+        const handleQueueChanged = (event) => {
+            refreshPending();
+            const detail = event.detail || {};
+            if (detail.queued) {
+                sync();
+            } else if (detail.synced > 0 || (detail.failures && detail.failures.length > 0)) {
+                setFailures((prevFailures) => [...prevFailures, ...detail.failures]);
+                if (onSynced) {
+                    onSynced();
+                }
+            }
+        };
+        window.addEventListener('online', handleOnline);
+        window.addEventListener('offline', handleOffline);
+        window.addEventListener(OFFLINE_QUEUE_EVENT, handleQueueChanged);
+        return () => {
+            window.removeEventListener('online', handleOnline);
+            window.removeEventListener('offline', handleOffline);
+            window.removeEventListener(OFFLINE_QUEUE_EVENT, handleQueueChanged);
+        };
+    }, [refreshPending, sync, onSynced]);
+
+    useEffect(() => {
+        if (!online || pendingMutations.length === 0) {
+            return undefined;
+        }
+        const timer = setInterval(sync, RETRY_INTERVAL_MS);
+        return () => clearInterval(timer);
+    }, [online, pendingMutations.length, sync]);
+
+    const dismissFailures = useCallback(() => setFailures([]), []);
+
+    return { online, pendingMutations, syncing, failures, dismissFailures };
+};
+
+export default useOfflineSync;
@@ -0,0 +1,332 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import Input from '../components/Input';
+import Button from '../components/Button';
+import useApi from '../hooks/useApi';
+import useLiveEvents from '../hooks/useLiveEvents';
+import { formatDate, getFieldErrors } from '../utils/helpers';
+
+/**
+ * @typedef {Object} Challenge
+ * @property {string} id - The unique identifier of the challenge.
+ * @property {string} name - The name of the challenge.
+ * @property {string | null} description - An optional description.
+ * @property {string} rule - How members are ranked: 'total', 'percent' or 'improvement'.
+ * @property {string} unit - The unit of the challenge, in the user's preferred units.
+ * @property {string} startDate - The start of the challenge window.
+ * @property {string} endDate - The end of the challenge window.
+ * @property {string} status - 'upcoming', 'active' or 'closed'.
+ * @property {boolean} isOwner - Whether the user runs the challenge.
+ * @property {string} [joinCode] - The join code, for the owner only.
+ * @property {{status: string, goalId: string | null} | null} membership - The user's membership, if any.
+ * @property {number} memberCount - The number of members who joined.
+ */
+
+/**
+ * @typedef {Object} Leaderboard
+ * @property {string} status - The status of the challenge.
+ * @property {string} unit - The unit of the scores.
+ * @property {string | null} closedAt - When the final standings were frozen.
+ * @property {Array<{userId: string, username: string, rank: number | null, score: number | null}>} standings
+ */
+
+const RULES = [
+    { value: 'total', label: 'Total logged in the window' },
+    { value: 'percent', label: 'Percent of personal target' },
+    { value: 'improvement', label: 'Improvement during the window' },
+];
+
+const EMPTY_DRAFT = { name: '', description: '', rule: 'total', unit: '', startDate: '', endDate: '' };
+
+/**
+ * Challenges component
+ *
+ * This component lets users run group challenges (e.g. "most km run in October") and take part
+ * in them: create a challenge with a ranking rule, unit and date window, share its join code or
+ * invite users by username, join with a code, choose the goal whose progress counts, and follow
+ * the leaderboard live, whose final standings are frozen once the challenge closes. It uses the
+ * useApi hook for all backend calls and Tailwind CSS for styling.
+ */
+const Challenges = () => {
+    const { get, post, put, delete: del } = useApi();
+    const [challenges, setChallenges] = useState([]);
+    const [goals, setGoals] = useState([]);
+    const [units, setUnits] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState(null);
+    const [draft, setDraft] = useState(EMPTY_DRAFT);
+    const [fieldErrors, setFieldErrors] = useState({});
+    const [joinCode, setJoinCode] = useState('');
+    const [joinError, setJoinError] = useState(null);
+    const [selectedId, setSelectedId] = useState(null);
+    const [leaderboard, setLeaderboard] = useState(null);
+    const [inviteUsername, setInviteUsername] = useState('');
+    const [goalChoice, setGoalChoice] = useState('');
+
+    const fetchChallenges = useCallback(async () => {
+        try {
+            setLoading(true);
+            setError(null);
+            const [challengeData, goalData, unitData] = await Promise.all([
+                get('/challenges'),
+                get('/goals?status=active&includeProgress=false'),
+                get('/units'),
+            ]);
+            setChallenges(challengeData);
+            setGoals(goalData.goals);
+            setUnits(unitData.units);
+        } catch (err) {
+            setError(err.message);
+        } finally {
+            setLoading(false);
+        }
+    }, [get]);
+
+    useEffect(() => {
+        fetchChallenges();
+    }, [fetchChallenges]);
+
+    const selected = challenges.find((challenge) => challenge.id === selectedId) || null;
+
+    const fetchLeaderboard = useCallback(async () => {
+        if (!selectedId) {
+            setLeaderboard(null);
+            return;
+        }
+        try {
+            setLeaderboard(await get(`/challenges/${selectedId}/leaderboard`));
+        } catch (err) {
+            setError(err.message);
+        }
+    }, [get, selectedId]);
+
+    useEffect(() => {
+        fetchLeaderboard();
+    }, [fetchLeaderboard]);
+
+    // The leaderboard follows the progress logged by the members and their joining or leaving as it happens
+    useLiveEvents({
+        'leaderboard.updated': ({ challengeId }) => {
+            if (challengeId === selectedId) {
+                fetchLeaderboard();
+            }
+        },
+        ready: ({ reconnected }) => {
+            if (reconnected) {
+                fetchLeaderboard();
+            }
+        },
+    });
+
+    // Only goals measured in the same kind of unit as the challenge can count for it
+    const dimensionOf = (code) => {
+        const unit = units.find((option) => option.code === code);
+        return unit ? unit.dimension : null;
+    };
+    const eligibleGoals = selected ? goals.filter((goal) => dimensionOf(goal.unit) === dimensionOf(selected.unit)) : [];
+
+    const handleCreate = async (event) => {
+        event.preventDefault();
+        try {
+            setError(null);
+            setFieldErrors({});
+            const challenge = await post('/challenges', { ...draft, description: draft.description || null });
+            setDraft(EMPTY_DRAFT);
+            await fetchChallenges();
+            setSelectedId(challenge.id);
+        } catch (err) {
+            const errorsByField = getFieldErrors(err);
+            setFieldErrors(errorsByField);
+            setError(Object.keys(errorsByField).length > 0 ? null : err.message);
+        }
+    };
+
+    const handleJoin = async (event) => {
+        event.preventDefault();
+        try {
+            setJoinError(null);
+            const challenge = await post('/challenges/join', { code: joinCode });
+            setJoinCode('');
+            await fetchChallenges();
+            setSelectedId(challenge.id);
+        } catch (err) {
+            setJoinError(getFieldErrors(err).code || err.message);
+        }
+    };
+
+    // Runs a change to the selected challenge, then refreshes the list and the leaderboard
+    const runAction = async (action) => {
+        try {
+            setError(null);
+            await action();
+            await fetchChallenges();
+            if (selectedId) {
+                setLeaderboard(await get(`/challenges/${selectedId}/leaderboard`));
+            }
+        } catch (err) {
+            setError(err.message);
+        }
+    };
+
+    const handleChooseGoal = () => runAction(() => put(`/challenges/${selectedId}/membership`, { goalId: goalChoice }));
+
+    const handleInvite = (event) => {
+        event.preventDefault();
+        runAction(async () => {
+            await post(`/challenges/${selectedId}/members`, { username: inviteUsername });
+            setInviteUsername('');
+        });
+    };
+
+    const handleNewJoinCode = () => runAction(() => post(`/challenges/${selectedId}/join-code`));
+
+    const handleLeave = async () => {
+        await runAction(() => del(`/challenges/${selectedId}/membership`));
+        setSelectedId(null);
+    };
+
+    const handleDelete = async () => {
+        if (!window.confirm('Delete this challenge? Its leaderboard will be lost.')) {
+            return;
+        }
+        await runAction(() => del(`/challenges/${selectedId}`));
+        setSelectedId(null);
+    };
+
+    if (loading && challenges.length === 0) {
+        return <div className="container p-4 flex flex-col items-center justify-start min-h-screen bg-gray-100"><div className="text-gray-500 my-2">Loading challenges...</div></div>;
+    }
+
+    return (
+        <div className="container p-4 flex flex-col items-center justify-start min-h-screen bg-gray-100">
+            <h2 className="text-2xl text-gray-800 font-bold mb-4">Challenges</h2>
+            {error && <div className="text-red-500 my-2">{error}</div>}
+
+            <div className="w-full max-w-2xl mb-4">
+                {challenges.length > 0 ? (
+                    challenges.map((challenge) => (
+                        <div
+                            key={challenge.id}
+                            onClick={() => setSelectedId(challenge.id === selectedId ? null : challenge.id)}
+                            className={`p-2 bg-white rounded shadow-md mb-2 cursor-pointer ${challenge.id === selectedId ? 'border border-blue-500' : ''}`}
+                        >
+                            <div className="font-semibold text-gray-800">{challenge.name}</div>
+                            <div className="text-gray-600 text-sm">
+                                {formatDate(new Date(challenge.startDate))} – {formatDate(new Date(challenge.endDate))} · {challenge.status} · {challenge.memberCount} member{challenge.memberCount === 1 ? '' : 's'}
+                                {challenge.membership && challenge.membership.status === 'invited' && <span className="text-blue-600"> · invited</span>}
+                            </div>
+                        </div>
+                    ))
+                ) : (
+                    <div className="text-gray-500 my-2">No challenges yet</div>
+                )}
+            </div>
+
+            {selected && (
+                <div className="w-full max-w-2xl p-4 bg-white rounded shadow-md mb-4">
+                    <h3 className="text-lg font-semibold text-gray-800">{selected.name}</h3>
+                    {selected.description && <p className="text-gray-600 text-sm mb-2">{selected.description}</p>}
+                    <p className="text-gray-600 text-sm mb-2">
+                        Ranked by {RULES.find((rule) => rule.value === selected.rule).label.toLowerCase()}, in {selected.unit}.
+                    </p>
+                    {selected.isOwner && (
+                        <div className="flex items-center space-x-2 mb-2">
+                            <span className="text-gray-700">Join code: <span className="font-mono font-semibold">{selected.joinCode}</span></span>
+                            {selected.status !== 'closed' && <Button onClick={handleNewJoinCode} style={{padding: '5px 10px'}}>New code</Button>}
+                        </div>
+                    )}
+
+                    {selected.status !== 'closed' && selected.membership && (
+                        <div className="flex items-center space-x-2 mb-2">
+                            <select value={goalChoice} onChange={(e) => setGoalChoice(e.target.value)} className="p-2 border rounded">
+                                <option value="">Choose the goal that counts</option>
+                                {eligibleGoals.map((goal) => (
+                                    <option key={goal.id} value={goal.id}>{goal.name} ({goal.unit})</option>
+                                ))}
+                            </select>
+                            <Button onClick={handleChooseGoal} disabled={!goalChoice}>
+                                {selected.membership.status === 'invited' ? 'Accept invitation' : 'Change goal'}
+                            </Button>
+                        </div>
+                    )}
+                    {selected.membership && selected.membership.status === 'active' && !selected.membership.goalId && selected.status !== 'closed' && (
+                        <p className="text-gray-500 text-sm mb-2">Choose a goal to appear on the leaderboard.</p>
+                    )}
+
+                    {selected.isOwner && selected.status !== 'closed' && (
+                        <form onSubmit={handleInvite} className="flex items-center space-x-2 mb-2">
+                            <Input type="text" placeholder="Username to invite" value={inviteUsername} onChange={(e) => setInviteUsername(e.target.value)} />
+                            <Button type="submit" disabled={!inviteUsername.trim()}>Invite</Button>
+                        </form>
+                    )}
+
+                    {leaderboard && (
+                        <div className="mb-2">
+                            <h4 className="font-semibold text-gray-800">{leaderboard.closedAt ? 'Final standings' : 'Leaderboard'}</h4>
+                            {leaderboard.standings.length > 0 ? (
+                                <ol>
+                                    {leaderboard.standings.map((row) => (
+                                        <li key={row.userId} className="text-gray-700 text-sm">
+                                            {row.rank !== null ? `${row.rank}.` : '–'} {row.username}: {row.score !== null ? `${Math.round(row.score * 10) / 10} ${leaderboard.unit === 'percent' ? '%' : leaderboard.unit}` : 'no score yet'}
+                                        </li>
+                                    ))}
+                                </ol>
+                            ) : (
+                                <div className="text-gray-500 text-sm">Nobody has joined yet</div>
+                            )}
+                        </div>
+                    )}
+
+                    <div className="flex space-x-2">
+                        {selected.membership && (
+                            <Button onClick={handleLeave} style={{padding: '5px 10px'}}>
+                                {selected.membership.status === 'invited' ? 'Decline' : 'Leave'}
+                            </Button>
+                        )}
+                        {selected.isOwner && (
+                            <Button onClick={handleDelete} style={{backgroundColor: '#e53e3e', color: 'white', padding: '5px 10px'}}>Delete</Button>
+                        )}
+                    </div>
+                </div>
+            )}
+
+            <form onSubmit={handleJoin} className="w-full max-w-2xl p-4 bg-white rounded shadow-md mb-4">
+                <h3 className="text-lg font-semibold text-gray-800 mb-2">Join a challenge</h3>
+                <div className="flex items-center space-x-2">
+                    <Input type="text" placeholder="Join code" value={joinCode} onChange={(e) => setJoinCode(e.target.value)} error={joinError} />
+                    <Button type="submit" disabled={!joinCode.trim()}>Join</Button>
+                </div>
+            </form>
+
+            <form onSubmit={handleCreate} className="w-full max-w-2xl p-4 bg-white rounded shadow-md mb-4">
+                <h3 className="text-lg font-semibold text-gray-800 mb-2">Start a challenge</h3>
+                <div className="mb-2">
+                    <Input type="text" placeholder="Name, e.g. Most km run in October" value={draft.name} onChange={(e) => setDraft({ ...draft, name: e.target.value })} error={fieldErrors.name} />
+                </div>
+                <div className="mb-2">
+                    <Input type="text" placeholder="Description (optional)" value={draft.description} onChange={(e) => setDraft({ ...draft, description: e.target.value })} error={fieldErrors.description} />
+                </div>
+                <div className="flex items-center space-x-2 mb-2">
+                    <select value={draft.rule} onChange={(e) => setDraft({ ...draft, rule: e.target.value })} className="p-2 border rounded">
+                        {RULES.map((rule) => (
+                            <option key={rule.value} value={rule.value}>{rule.label}</option>
+                        ))}
+                    </select>
+                    <select value={draft.unit} onChange={(e) => setDraft({ ...draft, unit: e.target.value })} className="p-2 border rounded">
+                        <option value="">Unit</option>
+                        {units.map((unit) => (
+                            <option key={unit.code} value={unit.code}>{unit.label}</option>
+                        ))}
+                    </select>
+                </div>
+                {(fieldErrors.rule || fieldErrors.unit) && <div className="text-red-500 text-sm mb-2">{fieldErrors.rule || fieldErrors.unit}</div>}
+                <div className="flex items-center space-x-2 mb-2">
+                    <Input type="date" value={draft.startDate} onChange={(e) => setDraft({ ...draft, startDate: e.target.value })} error={fieldErrors.startDate} />
+                    <Input type="date" value={draft.endDate} onChange={(e) => setDraft({ ...draft, endDate: e.target.value })} error={fieldErrors.endDate} />
+                </div>
+                <Button type="submit" style={{backgroundColor: '#4299e1', color: 'white'}}>Create Challenge</Button>
+            </form>
+        </div>
+    );
+};
+
+export default Challenges;
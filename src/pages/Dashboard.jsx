@@ -1,25 +1,70 @@
-import React, { useEffect, useState } from 'react';
+import React, { useCallback, useEffect, useState } from 'react';
 import useAuth from '../hooks/useAuth';
 import GoalItem from '../components/GoalItem';
+import Button from '../components/Button';
+import Badge from '../components/Badge';
+import EmailVerificationBanner from '../components/EmailVerificationBanner';
+import Input from '../components/Input';
+import OfflineStatus from '../components/OfflineStatus';
 import useApi from '../hooks/useApi';
+import useLiveEvents from '../hooks/useLiveEvents';
+import useOfflineSync from '../hooks/useOfflineSync';
+import { applyPendingMutations, getWithOfflineCache, sendOrQueue } from '../services/offlineQueue';
 
 /**
  * @typedef {Object} Goal
  * @property {string} id - The unique identifier for the goal.
  * @property {string} name - The name of the goal.
- * @property {number} progress - The current progress of the goal.
- * @property {number} target - The target value for the goal.
+ * @property {{currentStreak: number, longestStreak: number} | undefined} periodStatus - The streaks of a recurring goal.
+ * @property {{metric: string} | null} [metricLink] - The body metric the goal's progress follows, if any.
+ * @property {{value: number, unit: string, date: string}[]} [pendingProgress] - Progress logged offline and not synced yet.
+ * @property {string} status - 'active', 'paused', 'completed', 'abandoned', 'archived' or 'expired'.
  * @property {string} createdAt - The date when the goal was created.
  */
 
+/**
+ * @typedef {Object} Notification
+ * @property {string} id - The unique identifier for the notification.
+ * @property {string} title - A short title.
+ * @property {string} message - The notification text.
+ * @property {string} createdAt - The date when the notification was created.
+ */
+
+// Unread notifications listed on the dashboard
+const NOTIFICATIONS_LIMIT = 5;
+
+/**
+ * Shows the progress logged offline in a one-off goal's stats until it is synced, by measuring the
+ * completion percentage from the last queued value as the server would. Recurring goals combine the
+ * entries of each period on the server, so their stats are left as they are.
+ * @param {any} stats - The goal's stats, as returned by `GET /goals/:id/stats`.
+ * @param {{value: number}[]} pendingProgress - The queued progress entries, oldest first.
+ * @returns {any}
+ */
+const projectPendingProgress = (stats, pendingProgress) => {
+  if (!stats || stats.recurrence || !pendingProgress || pendingProgress.length === 0) {
+    return stats;
+  }
+  const currentValue = pendingProgress[pendingProgress.length - 1].value;
+  const startValue = stats.startValue === null ? pendingProgress[0].value : stats.startValue;
+  const totalChange = stats.direction === 'decrease' ? startValue - stats.targetValue : stats.targetValue - startValue;
+  const change = stats.direction === 'decrease' ? startValue - currentValue : currentValue - startValue;
+  const percentComplete = totalChange <= 0
+    ? (change >= totalChange ? 100 : 0)
+    : Math.min(Math.max((change / totalChange) * 100, 0), 100);
+  return { ...stats, currentValue, startValue, percentComplete };
+};
+
 /**
  * Dashboard component
  *
  * This component serves as the main dashboard for authenticated users, displaying
- * their goals and providing a logout option. It uses the useAuth hook to manage
- * authentication state and the useApi hook to fetch user goals. It includes
- * error handling, loading states, and conditional rendering based on the
- * authentication status. It uses Tailwind CSS for styling.
+ * their goals, the streak counters of their recurring goals and providing a logout
+ * option. Progress can be logged from each goal, also without a connection: the entry is queued on
+ * the device, shown right away and synced once the connection is back. Goals, figures, badges and the latest unread
+ * notifications follow the changes made on the user's other devices as they happen. Users who have not confirmed their email address yet are asked to. It uses the useAuth hook to read the session state owned by AuthProvider
+ * and the useApi hook to fetch user goals. It includes error handling, loading states,
+ * and conditional rendering based on the authentication status. It uses Tailwind CSS for styling.
  *
  * Test cases:
  * 1.  User authentication check: should render a loading message while checking for authentication
@@ -30,36 +75,134 @@ import useApi from '../hooks/useApi';
  *     success and an error if api call fails. Should handle the loading state.
  */
 const Dashboard = () => {
-  const { isAuthenticated, user, logout, checkAuth } = useAuth();
-  const { get } = useApi();
+  const { isAuthenticated, loading: authLoading, user, logout } = useAuth();
+  const api = useApi();
   const [goals, setGoals] = useState<Goal[]>([]);
+  const [statsById, setStatsById] = useState<Record<string, any>>({});
+  const [achievements, setAchievements] = useState<any[]>([]);
     const [loading, setLoading] = useState(true);
     const [error, setError] = useState<string | null>(null);
+  const [fromCache, setFromCache] = useState(false);
+  const [logValues, setLogValues] = useState<Record<string, string>>({});
+  const [notifications, setNotifications] = useState<Notification[]>([]);
+  const [unreadCount, setUnreadCount] = useState(0);
 
-    useEffect(() => {
-        // Check for authentication on mount and when checkAuth changes
-        checkAuth();
-    }, [checkAuth]);
-
-    useEffect(() => {
-    // Fetch user goals when the component mounts or when the user is authenticated
-    const fetchGoals = async () => {
+    // Fetch user goals when the component mounts or when the user is authenticated; without a connection,
+    // the data saved on the device the last time the dashboard was loaded is shown
+    const fetchGoals = useCallback(async () => {
         if (isAuthenticated) {
           try {
               setLoading(true);
               setError(null);
-            const data = await get('/goals');
-            setGoals(data);
+            const goalsResult = await getWithOfflineCache(api, '/goals?status=active&includeProgress=false');
+            setGoals(goalsResult.data.goals);
+            // Progress figures are computed server-side, one stats request per goal
+            const statsResults = await Promise.all(goalsResult.data.goals.map((goal) => getWithOfflineCache(api, `/goals/${goal.id}/stats`)));
+            setStatsById(Object.fromEntries(statsResults.map(({ data: stats }) => [stats.goalId, stats])));
+            const achievementsResult = await getWithOfflineCache(api, '/users/me/achievements');
+            setAchievements(achievementsResult.data);
+            setFromCache([goalsResult, achievementsResult, ...statsResults].some((result) => result.fromCache));
           } catch (err: any) {
               setError(err.message);
           } finally {
               setLoading(false);
           }
         }
-      };
+      }, [api, isAuthenticated]);
+
+    useEffect(() => {
       fetchGoals();
-  }, [get, isAuthenticated]);
+  }, [fetchGoals]);
+
+  // Progress logged offline is sent when the connection is back; the figures are then reloaded from the server
+  const offlineSync = useOfflineSync({ onSynced: fetchGoals });
 
+  const fetchNotifications = useCallback(async () => {
+    if (isAuthenticated) {
+      try {
+        const data = await api.get(`/notifications?unread=true&limit=${NOTIFICATIONS_LIMIT}`);
+        setNotifications(data.notifications);
+        setUnreadCount(data.unreadCount);
+      } catch (err: any) {
+        // The dashboard stays usable without its notifications, e.g. offline
+        console.error('Error fetching notifications:', err);
+      }
+    }
+  }, [api, isAuthenticated]);
+
+  useEffect(() => {
+    fetchNotifications();
+  }, [fetchNotifications]);
+
+  /**
+   * Reloads the figures of a listed goal after its progress changed on another device: its stats, the
+   * streaks of a recurring goal, and the badges the new entries may have earned.
+   */
+  const refreshGoal = async (goalId: string) => {
+    const goal = goals.find((listedGoal) => listedGoal.id === goalId);
+    if (!goal) {
+      return;
+    }
+    try {
+      const [{ data: stats }, { data: updatedAchievements }] = await Promise.all([
+        getWithOfflineCache(api, `/goals/${goalId}/stats`),
+        getWithOfflineCache(api, '/users/me/achievements'),
+      ]);
+      setStatsById((prevStats) => ({ ...prevStats, [goalId]: stats }));
+      setAchievements(updatedAchievements);
+      if (goal.periodStatus) {
+        const { periodStatus } = await api.get(`/goals/${goalId}`);
+        setGoals((prevGoals) => prevGoals.map((prevGoal) => (prevGoal.id === goalId ? { ...prevGoal, periodStatus } : prevGoal)));
+      }
+    } catch (err: any) {
+      console.error('Error refreshing goal:', err);
+    }
+  };
+
+  // Only active goals are listed. Changed goals keep the streaks of the listed version, which goal events do
+  // not carry, until their progress changes.
+  const applyGoalChange = async (changedGoal: Goal) => {
+    if (changedGoal.status !== 'active') {
+      setGoals((prevGoals) => prevGoals.filter((goal) => goal.id !== changedGoal.id));
+      return;
+    }
+    setGoals((prevGoals) => (prevGoals.some((goal) => goal.id === changedGoal.id)
+      ? prevGoals.map((goal) => (goal.id === changedGoal.id ? { ...goal, ...changedGoal } : goal))
+      : [...prevGoals, changedGoal]));
+    try {
+      const { data: stats } = await getWithOfflineCache(api, `/goals/${changedGoal.id}/stats`);
+      setStatsById((prevStats) => ({ ...prevStats, [changedGoal.id]: stats }));
+    } catch (err: any) {
+      console.error('Error refreshing goal:', err);
+    }
+  };
+
+  useLiveEvents({
+    'goal.created': applyGoalChange,
+    'goal.updated': applyGoalChange,
+    'goal.deleted': ({ id }: { id: string }) => setGoals((prevGoals) => prevGoals.filter((goal) => goal.id !== id)),
+    'progress.created': ({ goalId }: { goalId: string }) => refreshGoal(goalId),
+    'progress.updated': ({ goalId }: { goalId: string }) => refreshGoal(goalId),
+    'progress.deleted': ({ goalId }: { goalId: string }) => refreshGoal(goalId),
+    'progress.synced': ({ goalId }: { goalId: string }) => refreshGoal(goalId),
+    'notification.created': (notification: Notification) => {
+      setNotifications((prevNotifications) => [notification, ...prevNotifications].slice(0, NOTIFICATIONS_LIMIT));
+      setUnreadCount((prevCount) => prevCount + 1);
+    },
+    // Events sent while the stream was down are lost, so everything is reloaded after a reconnection
+    ready: ({ reconnected }: { reconnected: boolean }) => {
+      if (reconnected) {
+        fetchGoals();
+        fetchNotifications();
+      }
+    },
+  });
+
+
+    // Conditional rendering: While the session is being restored, display a loading message
+  if (authLoading) {
+      return <div className="text-gray-500 my-2">Checking session...</div>;
+  }
 
     // Conditional rendering: If not authenticated, return null
   if (!isAuthenticated) {
@@ -71,21 +214,127 @@ const Dashboard = () => {
     logout();
   };
 
+  const handleMarkNotificationsRead = async () => {
+    try {
+      setError(null);
+      await api.post('/notifications/read-all', {});
+      setNotifications([]);
+      setUnreadCount(0);
+    } catch (err: any) {
+      setError(err.message);
+    }
+  };
+
+  const handleLogProgress = async (event: React.FormEvent, goal: Goal) => {
+    event.preventDefault();
+    const value = Number(logValues[goal.id]);
+    if (logValues[goal.id] === undefined || logValues[goal.id] === '' || !Number.isFinite(value)) {
+      return;
+    }
+    const stats = statsById[goal.id];
+    try {
+      setError(null);
+      const result = await sendOrQueue(api, {
+        kind: 'addProgress',
+        method: 'post',
+        url: `/goals/${goal.id}/progress`,
+        data: { value, unit: stats ? stats.unit : goal.unit, date: new Date().toISOString() },
+        goalId: goal.id,
+      });
+      setLogValues((prevValues) => ({ ...prevValues, [goal.id]: '' }));
+      if (!result.queued) {
+        const { data: updatedStats } = await getWithOfflineCache(api, `/goals/${goal.id}/stats`);
+        setStatsById((prevStats) => ({ ...prevStats, [goal.id]: updatedStats }));
+      }
+    } catch (err: any) {
+      setError(err.message);
+    }
+  };
+
+  const visibleGoals = applyPendingMutations(goals, offlineSync.pendingMutations, { status: 'active' });
+  const streakGoals = visibleGoals.filter((goal) => goal.periodStatus);
+
   return (
     <div className="container p-4 flex flex-col items-center justify-start min-h-screen bg-gray-100">
       {/* Dashboard content */}
       <h2 className="text-2xl text-gray-800 font-bold mb-4">Dashboard</h2>
         {/* Conditional rendering: If there is an error, display the error message */}
       {error && <div className="text-red-500 my-2">{error}</div>}
+      <OfflineStatus {...offlineSync} fromCache={fromCache} />
          {/* Conditional rendering: If is loading, display the loading message */}
        {loading && <div className="text-gray-500 my-2">Loading goals...</div>}
-      {user && <p className="text-xl text-gray-700 mb-4">Welcome {user.username} </p>}
+      {user && <p className="text-xl text-gray-700 mb-4">Welcome {user.displayName || user.username} </p>}
+      {user && user.emailVerified === false && <EmailVerificationBanner email={user.email} />}
         <Button onClick={handleLogout} style={{marginTop: '10px'}}>Logout</Button>
+      <a href="/metrics" className="text-blue-600 text-sm hover:underline mt-2">Body metrics</a>
+      <a href="/challenges" className="text-blue-600 text-sm hover:underline mt-2">Challenges</a>
+      <a href="/settings" className="text-blue-600 text-sm hover:underline mt-2">Account settings</a>
+      {notifications.length > 0 && (
+        <div className="w-full max-w-2xl mt-4">
+          <h3 className="text-lg font-semibold text-gray-800 mb-2">Notifications ({unreadCount} unread)</h3>
+          <ul className="bg-white rounded shadow-md p-2 mb-2">
+            {notifications.map((notification) => (
+              <li key={notification.id} className="py-1">
+                <p className="text-gray-800 font-semibold text-sm">{notification.title}</p>
+                <p className="text-gray-600 text-sm">{notification.message}</p>
+              </li>
+            ))}
+          </ul>
+          <Button onClick={handleMarkNotificationsRead} style={{padding: '5px 10px'}}>Mark all as read</Button>
+        </div>
+      )}
+      {streakGoals.length > 0 && (
+        <div className="w-full max-w-2xl mt-4">
+          <h3 className="text-lg font-semibold text-gray-800 mb-2">Streaks</h3>
+          <div className="flex flex-wrap">
+            {streakGoals.map((goal) => (
+              <div key={goal.id} className="p-2 bg-white rounded shadow-md mr-2 mb-2 text-center">
+                <div className="text-2xl font-bold text-orange-500">{goal.periodStatus.currentStreak}</div>
+                <div className="text-gray-700 text-sm">{goal.name}</div>
+                <div className="text-gray-500 text-xs">Best: {goal.periodStatus.longestStreak}</div>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+      {achievements.length > 0 && (
+        <div className="w-full max-w-2xl mt-4">
+          <h3 className="text-lg font-semibold text-gray-800 mb-2">Badges</h3>
+          <div className="flex flex-wrap">
+            {achievements.map((achievement) => (
+              <Badge key={achievement.id} achievement={achievement} />
+            ))}
+          </div>
+        </div>
+      )}
       <div className="w-full max-w-2xl mt-4">
             {/* Conditional rendering: If there are goals, map over them. If not display a message*/}
-        {goals && goals.length > 0 ? (
-          goals.map((goal) => (
-            <GoalItem key={goal.id} goal={goal} />
+        {visibleGoals.length > 0 ? (
+          visibleGoals.map((goal) => (
+            <div key={goal.id}>
+              <GoalItem
+                goal={goal}
+                stats={projectPendingProgress(statsById[goal.id], goal.pendingProgress)}
+                achievements={achievements.filter((achievement) => achievement.goalId === goal.id)}
+              />
+              {goal.pendingProgress && (
+                <p className="text-gray-500 text-sm -mt-3 mb-2">
+                  {goal.pendingProgress.length} {goal.pendingProgress.length === 1 ? 'entry' : 'entries'} waiting to sync
+                </p>
+              )}
+              {/* Goals following a body metric get their progress from the Metrics page */}
+              {!goal.metricLink && (
+                <form onSubmit={(event) => handleLogProgress(event, goal)} className="flex items-center space-x-2 -mt-2 mb-4">
+                  <Input
+                    type="number"
+                    placeholder={`Log progress${statsById[goal.id] ? ` (${statsById[goal.id].unit})` : ''}`}
+                    value={logValues[goal.id] || ''}
+                    onChange={(e) => setLogValues((prevValues) => ({ ...prevValues, [goal.id]: e.target.value }))}
+                  />
+                  <Button type="submit" style={{padding: '5px 10px'}}>Log</Button>
+                </form>
+              )}
+            </div>
           ))
         ) : (
             !loading && <div className="text-gray-500 my-2">No goals found</div>
@@ -0,0 +1,199 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import useAuth from '../hooks/useAuth';
+import useApi from '../hooks/useApi';
+import Input from '../components/Input';
+import Button from '../components/Button';
+import CommentThread from '../components/CommentThread';
+import { formatDate } from '../utils/helpers';
+
+/**
+ * @typedef {Object} FeedItem
+ * @property {'goal_created' | 'progress_logged' | 'goal_completed'} type - The kind of activity.
+ * @property {string} date - When the activity happened.
+ * @property {{id: string, username: string}} user - The friend the activity belongs to.
+ * @property {string} goalId - The ID of the goal the activity relates to.
+ * @property {string} [entryId] - The ID of the progress entry, for progress items.
+ * @property {{name: string, unit?: string, percentComplete?: number}} goal - The goal, redacted to the owner's visibility level.
+ * @property {number} [value] - The logged value, when the owner shares full history.
+ */
+
+/**
+ * @typedef {Object} FriendRequest
+ * @property {string} id - The user ID of the other user.
+ * @property {string} friendshipId - The ID of the friend request.
+ * @property {string} username - The username of the other user.
+ */
+
+/**
+ * Describes a feed item in a single sentence.
+ * @param {FeedItem} item
+ * @returns {string}
+ */
+const describeFeedItem = (item) => {
+  const goalName = item.goal.name;
+  if (item.type === 'goal_created') {
+    return `${item.user.username} started a new goal: ${goalName}`;
+  }
+  if (item.type === 'goal_completed') {
+    return `${item.user.username} completed ${goalName}!`;
+  }
+  if (typeof item.value === 'number') {
+    return `${item.user.username} logged ${item.value} ${item.goal.unit || ''} on ${goalName}`;
+  }
+  return `${item.user.username} logged progress on ${goalName}`;
+};
+
+/**
+ * Feed component
+ *
+ * This component shows the activity of the authenticated user's friends (new goals,
+ * progress entries and completions, limited to what each friend chose to share), lets
+ * the user react to and comment on them, and send, accept and decline friend requests.
+ * It uses the useApi hook for all backend calls and Tailwind CSS for styling.
+ */
+const Feed = () => {
+  const { isAuthenticated } = useAuth();
+  const { get, post, delete: del } = useApi();
+  const [items, setItems] = useState([]);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [incomingRequests, setIncomingRequests] = useState([]);
+  const [friendUsername, setFriendUsername] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [notice, setNotice] = useState(null);
+  const [openItemKey, setOpenItemKey] = useState(null);
+
+  const fetchFeed = useCallback(async (before) => {
+    try {
+      setLoading(true);
+      setError(null);
+      const query = before ? `?before=${encodeURIComponent(before)}` : '';
+      const data = await get(`/feed${query}`);
+      setItems((prevItems) => (before ? [...prevItems, ...data.items] : data.items));
+      setNextCursor(data.nextCursor);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [get]);
+
+  const fetchRequests = useCallback(async () => {
+    try {
+      const data = await get('/friends/requests');
+      setIncomingRequests(data.incoming);
+    } catch (err) {
+      setError(err.message);
+    }
+  }, [get]);
+
+  useEffect(() => {
+    if (isAuthenticated) {
+      fetchFeed();
+      fetchRequests();
+    }
+  }, [isAuthenticated, fetchFeed, fetchRequests]);
+
+  const handleSendRequest = async (event) => {
+    event.preventDefault();
+    if (!friendUsername.trim()) {
+      setError('Username cannot be empty');
+      return;
+    }
+    try {
+      setError(null);
+      await post('/friends/requests', { username: friendUsername.trim() });
+      setNotice(`Friend request sent to ${friendUsername.trim()}`);
+      setFriendUsername('');
+      fetchFeed();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleAcceptRequest = async (friendshipId) => {
+    try {
+      setError(null);
+      await post(`/friends/requests/${friendshipId}/accept`, {});
+      setIncomingRequests((prevRequests) => prevRequests.filter((request) => request.friendshipId !== friendshipId));
+      fetchFeed();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleDeclineRequest = async (friendshipId) => {
+    try {
+      setError(null);
+      await del(`/friends/requests/${friendshipId}`);
+      setIncomingRequests((prevRequests) => prevRequests.filter((request) => request.friendshipId !== friendshipId));
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  if (!isAuthenticated) {
+    return null;
+  }
+
+  return (
+    <div className="container p-4 flex flex-col items-center justify-start min-h-screen bg-gray-100">
+      <h2 className="text-2xl text-gray-800 font-bold mb-4">Friends' Activity</h2>
+      {error && <div className="text-red-500 my-2">{error}</div>}
+      {notice && <div className="text-green-600 my-2">{notice}</div>}
+      <form onSubmit={handleSendRequest} className="w-full max-w-2xl flex items-center space-x-2 mb-4">
+        <Input
+          type="text"
+          placeholder="Add a friend by username"
+          value={friendUsername}
+          onChange={(e) => setFriendUsername(e.target.value)}
+          style={{flexGrow: 1}}
+        />
+        <Button type="submit" style={{backgroundColor: '#4299e1', color: 'white'}}>Send Request</Button>
+      </form>
+      {incomingRequests.length > 0 && (
+        <div className="w-full max-w-2xl mb-4">
+          <h3 className="text-lg font-semibold text-gray-800 mb-2">Friend Requests</h3>
+          {incomingRequests.map((request) => (
+            <div key={request.friendshipId} className="p-4 bg-white rounded shadow-md mb-2 flex items-center justify-between">
+              <span className="text-gray-800">{request.username}</span>
+              <div className="flex space-x-2">
+                <Button onClick={() => handleAcceptRequest(request.friendshipId)} style={{backgroundColor: '#48bb78', color: 'white', padding: '5px 10px'}}>Accept</Button>
+                <Button onClick={() => handleDeclineRequest(request.friendshipId)} style={{padding: '5px 10px'}}>Decline</Button>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+      <div className="w-full max-w-2xl">
+        {items.length > 0 ? (
+          items.map((item) => {
+            const itemKey = `${item.type}-${item.goalId}-${item.date}`;
+            return (
+              <div key={itemKey} className="p-4 bg-white rounded shadow-md mb-2">
+                <div className="text-gray-800">{describeFeedItem(item)}</div>
+                {typeof item.goal.percentComplete === 'number' && (
+                  <div className="text-gray-600 text-sm">Progress: {item.goal.percentComplete.toFixed(0)}%</div>
+                )}
+                <div className="text-gray-500 text-sm">{formatDate(new Date(item.date))}</div>
+                {/* Progress items are discussed on their entry, the other items on the goal itself */}
+                <button type="button" onClick={() => setOpenItemKey(openItemKey === itemKey ? null : itemKey)} className="text-blue-600 text-xs hover:underline">
+                  {openItemKey === itemKey ? 'Hide comments' : 'React or comment'}
+                </button>
+                {openItemKey === itemKey && <CommentThread goalId={item.goalId} entryId={item.entryId || null} />}
+              </div>
+            );
+          })
+        ) : (
+          !loading && <div className="text-gray-500 my-2">No activity from your friends yet</div>
+        )}
+        {loading && <div className="text-gray-500 my-2">Loading activity...</div>}
+        {nextCursor && !loading && (
+          <Button onClick={() => fetchFeed(nextCursor)}>Load More</Button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default Feed;
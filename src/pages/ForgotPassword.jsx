@@ -0,0 +1,80 @@
+import React, { useState } from 'react';
+import Input from '../components/Input';
+import Button from '../components/Button';
+import useApi from '../hooks/useApi';
+import { getFieldErrors } from '../utils/helpers';
+
+/**
+ * ForgotPassword component
+ *
+ * This page asks for the email address of an account and has the backend email a
+ * password reset link to it. The backend answers the same way whether or not an account
+ * uses the address, so the page only ever confirms that the request was received.
+ *
+ * @returns {JSX.Element}
+ */
+const ForgotPassword = () => {
+  const { post } = useApi();
+  const [email, setEmail] = useState('');
+  const [error, setError] = useState('');
+  const [fieldErrors, setFieldErrors] = useState({});
+  const [message, setMessage] = useState('');
+  const [loading, setLoading] = useState(false);
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    if (!/^[^@\s]+@[^@\s]+\.[^@\s]+$/.test(email.trim())) {
+      setFieldErrors({ email: 'A valid email address is required.' });
+      return;
+    }
+
+    setLoading(true);
+    setError('');
+    setFieldErrors({});
+    try {
+      const data = await post('/auth/forgot-password', { email: email.trim() });
+      setMessage(data.message);
+    } catch (err) {
+      const errorsByField = getFieldErrors(err);
+      setFieldErrors(errorsByField);
+      setError(Object.keys(errorsByField).length > 0 ? '' : err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="container p-4 flex flex-col items-center justify-start min-h-screen bg-gray-100">
+      <form onSubmit={handleSubmit} className="p-4 bg-gray-100 rounded flex flex-col w-full sm:w-96">
+        <h2 className="text-2xl text-black font-bold mb-4">Forgot your password?</h2>
+        {message ? (
+          <p className="text-gray-700 mb-4">{message}. Check your inbox and follow the link to choose a new password.</p>
+        ) : (
+          <>
+            <p className="text-gray-600 text-sm mb-4">Enter the email address of your account and we will send you a link to reset your password.</p>
+            <div className="mb-2">
+              <label htmlFor="email" className="block text-gray-700 text-sm font-bold mb-2">
+                Email:
+              </label>
+              <Input
+                type="email"
+                placeholder="Enter your email"
+                value={email}
+                onChange={(e) => setEmail(e.target.value)}
+                error={fieldErrors.email}
+                style={{width: '100%'}}
+              />
+            </div>
+            {error && <div className="text-red-500 my-2">{error}</div>}
+            <Button type="submit" style={{backgroundColor:'#4299e1', color:'white'}} disabled={loading}>
+              {loading ? 'Sending...' : 'Send reset link'}
+            </Button>
+          </>
+        )}
+        <a href="/" className="text-blue-600 text-sm hover:underline mt-4">Back to login</a>
+      </form>
+    </div>
+  );
+};
+
+export default ForgotPassword;
@@ -0,0 +1,151 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import Button from '../components/Button';
+import CommentThread from '../components/CommentThread';
+import GoalItem from '../components/GoalItem';
+import ProgressChart from '../components/ProgressChart';
+import useApi from '../hooks/useApi';
+import { formatDate } from '../utils/helpers';
+
+// The status changes offered for each goal status, as [new status, button label]
+const STATUS_ACTIONS = {
+  active: [['paused', 'Pause'], ['completed', 'Mark completed'], ['abandoned', 'Abandon'], ['archived', 'Archive']],
+  expired: [['completed', 'Mark completed'], ['abandoned', 'Abandon'], ['archived', 'Archive']],
+  paused: [['active', 'Resume'], ['abandoned', 'Abandon'], ['archived', 'Archive']],
+  completed: [['active', 'Reopen'], ['archived', 'Archive']],
+  abandoned: [['active', 'Reopen'], ['archived', 'Archive']],
+  archived: [['active', 'Restore from archive']],
+};
+
+/**
+ * Reads the goal ID from a `/goals/:id` URL.
+ * @returns {string | null}
+ */
+const getGoalIdFromLocation = () => {
+  if (typeof window === 'undefined') {
+    return null;
+  }
+  const match = window.location.pathname.match(/\/goals\/([^/]+)/);
+  return match ? decodeURIComponent(match[1]) : null;
+};
+
+/**
+ * GoalDetail component
+ *
+ * This component renders the detail page of one of the user's goals: the goal summary
+ * (GoalItem, with the server-computed stats), a progress chart plotting the progress entries
+ * against the target and the ideal pace, and the list of progress entries. The goal can be paused,
+ * resumed, completed, abandoned, archived and restored from here. Friends' comments and reactions are
+ * shown in threads on the goal and on each progress entry. The goal ID is
+ * taken from the `goalId` prop or, when absent, from the `/goals/:id` URL. It uses the
+ * useApi hook for all backend calls and Tailwind CSS for styling.
+ *
+ * @param {{goalId?: string}} props
+ * @returns {JSX.Element}
+ */
+const GoalDetail = ({ goalId }) => {
+  const { get, put } = useApi();
+  const [goal, setGoal] = useState(null);
+  const [stats, setStats] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [statusError, setStatusError] = useState(null);
+  const [changingStatus, setChangingStatus] = useState(false);
+  const [openEntryId, setOpenEntryId] = useState(null);
+
+  const id = goalId || getGoalIdFromLocation();
+
+  const fetchGoal = useCallback(async () => {
+    const [goalData, statsData] = await Promise.all([
+      get(`/goals/${encodeURIComponent(id)}`),
+      get(`/goals/${encodeURIComponent(id)}/stats`),
+    ]);
+    setGoal(goalData);
+    setStats(statsData);
+  }, [get, id]);
+
+  useEffect(() => {
+    const loadGoal = async () => {
+      if (!id) {
+        setError('Goal not found');
+        setLoading(false);
+        return;
+      }
+      try {
+        setLoading(true);
+        setError(null);
+        await fetchGoal();
+      } catch (err) {
+        setError(err.message);
+      } finally {
+        setLoading(false);
+      }
+    };
+    loadGoal();
+  }, [id, fetchGoal]);
+
+  const handleStatusChange = async (status) => {
+    try {
+      setChangingStatus(true);
+      setStatusError(null);
+      await put(`/goals/${encodeURIComponent(id)}/status`, { status });
+      // Pausing and resuming move the pace and the end date, so the stats are fetched again
+      await fetchGoal();
+    } catch (err) {
+      setStatusError(err.message);
+    } finally {
+      setChangingStatus(false);
+    }
+  };
+
+  if (loading) {
+    return <div className="container p-4 flex flex-col items-center justify-start min-h-screen bg-gray-100"><div className="text-gray-500 my-2">Loading goal...</div></div>;
+  }
+
+  if (error || !goal) {
+    return <div className="container p-4 flex flex-col items-center justify-start min-h-screen bg-gray-100"><div className="text-red-500 my-2">{error}</div></div>;
+  }
+
+  return (
+    <div className="container p-4 flex flex-col items-center justify-start min-h-screen bg-gray-100">
+      <div className="w-full max-w-2xl">
+        <GoalItem goal={goal} stats={stats} />
+        <div className="flex flex-wrap items-center mb-4">
+          {(STATUS_ACTIONS[goal.status] || []).map(([status, label]) => (
+            <Button key={status} onClick={() => handleStatusChange(status)} style={{marginRight: '8px', marginBottom: '8px'}} disabled={changingStatus}>
+              {label}
+            </Button>
+          ))}
+        </div>
+        {statusError && <div className="text-red-500 mb-4">{statusError}</div>}
+        {goal.metricLink && (
+          <p className="text-gray-600 text-sm mb-4">
+            Progress follows your <a href="/metrics" className="text-blue-600 hover:underline">body metric measurements</a>.
+          </p>
+        )}
+        <ProgressChart goal={goal} stats={stats} />
+        <div className="p-4 bg-white rounded shadow-md mb-4">
+          <h3 className="text-lg font-semibold text-gray-800 mb-2">Comments</h3>
+          <CommentThread goalId={goal.id} />
+        </div>
+        {goal.progress.length > 0 && (
+          <div className="p-4 bg-white rounded shadow-md mb-4">
+            <h3 className="text-lg font-semibold text-gray-800 mb-2">Progress entries</h3>
+            <ul>
+              {[...goal.progress].reverse().map((entry) => (
+                <li key={entry._id} className="text-gray-600 text-sm">
+                  {formatDate(new Date(entry.date))}: {entry.value} {goal.unit}{' '}
+                  <button type="button" onClick={() => setOpenEntryId(openEntryId === entry._id ? null : entry._id)} className="text-blue-600 text-xs hover:underline">
+                    {openEntryId === entry._id ? 'Hide comments' : 'Comments'}
+                  </button>
+                  {openEntryId === entry._id && <CommentThread goalId={goal.id} entryId={entry._id} />}
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default GoalDetail;
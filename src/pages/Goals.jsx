@@ -2,100 +2,582 @@ import React, { useState, useEffect, useCallback } from 'react';
 import Input from '../components/Input';
 import Button from '../components/Button';
 import Modal from '../components/Modal';
+import OfflineStatus from '../components/OfflineStatus';
 import useApi from '../hooks/useApi';
+import useAuth from '../hooks/useAuth';
+import useLiveEvents from '../hooks/useLiveEvents';
+import useOfflineSync from '../hooks/useOfflineSync';
+import {
+    applyPendingMutations,
+    createLocalGoalId,
+    getWithOfflineCache,
+    isLocalGoalId,
+    sendOrQueue,
+} from '../services/offlineQueue';
+import { formatDate, generateShareLink, getFieldErrors } from '../utils/helpers';
 
 /**
  * @typedef {Object} Goal
  * @property {string} id - The unique identifier for the goal.
  * @property {string} name - The name of the goal.
- * @property {number} progress - The current progress of the goal.
- * @property {number} target - The target value for the goal.
+ * @property {number} targetValue - The target value, in the user's preferred units.
+ * @property {string} unit - The unit the target value is expressed in.
+ * @property {'target' | 'recurring'} kind - Whether the goal is a one-off target or a habit repeated every period.
+ * @property {{frequency: string} | null} recurrence - The recurrence rule of a recurring goal.
+ * @property {{currentStreak: number, longestStreak: number} | undefined} periodStatus - The streaks of a recurring goal.
+ * @property {string} status - 'active', 'paused', 'completed', 'abandoned', 'archived' or 'expired'.
+ * @property {string | null} [completedAt] - When the goal was completed.
+ * @property {string} [restorableUntil] - Until when a deleted goal can be restored.
  * @property {string} createdAt - The date when the goal was created.
+ * @property {string} [updatedAt] - When the goal was last changed on the server, sent back with changes to detect conflicts.
+ * @property {boolean} [pending] - Whether the goal has changes made offline that are not synced yet.
  */
 
+/**
+ * @typedef {Object} UnitOption
+ * @property {string} code - The canonical unit code, e.g. 'kg'.
+ * @property {string} dimension - What the unit measures, e.g. 'mass'.
+ * @property {string} label - The human readable name of the unit.
+ */
+
+/**
+ * @typedef {Object} MetricOption
+ * @property {string} type - The body metric code, e.g. 'weight'.
+ * @property {string} label - The human readable name of the metric.
+ * @property {string} unit - The unit the metric is shown in for the user.
+ */
+
+/**
+ * @typedef {Object} GoalTemplate
+ * @property {string} id - The identifier of the template.
+ * @property {string} name - The suggested goal name.
+ * @property {string} description - The suggested goal description.
+ * @property {string} type - The goal type.
+ * @property {string} unit - The unit code.
+ * @property {number | null} targetValue - The absolute target, or null when it is relative to the baseline.
+ * @property {number | null} targetChange - The change from the baseline to reach, or null for absolute targets.
+ * @property {number} durationWeeks - The suggested length of the goal.
+ * @property {string | null} baselinePrompt - The question asking for the user's current value.
+ * @property {'target' | 'recurring'} kind - Whether the template is a one-off target or a habit.
+ * @property {{frequency: string, aggregation: string, gracePeriods: number} | null} recurrence - The recurrence rule of a habit template.
+ */
+
+/**
+ * @typedef {Object} GoalDraft
+ * @property {string} name
+ * @property {string} description
+ * @property {string} type
+ * @property {string} unit
+ * @property {string} targetValue
+ * @property {string} startDate
+ * @property {string} endDate
+ * @property {string} baseline - The user's current value, recorded as the first progress entry when set.
+ * @property {string} frequency - The recurrence frequency of a habit, or '' for a one-off target.
+ * @property {string} aggregation - How the progress entries of a period are combined.
+ * @property {string} gracePeriods - Missed periods a streak survives.
+ * @property {string} metric - The body metric the goal's progress is derived from, or '' for manual entries.
+ */
+
+const GOAL_TYPES = ['weight loss', 'muscle gain', 'endurance', 'other'];
+// Goal types whose progress can follow a body metric logged on the Metrics page
+const METRIC_GOAL_TYPES = ['weight loss', 'muscle gain'];
+const WIZARD_STEPS = ['Template', 'Details', 'Schedule', 'Review'];
+const PERIOD_NAMES = { daily: 'day', weekly: 'week', monthly: 'month' };
+const STATUS_LABELS = { paused: 'Paused', completed: 'Completed', abandoned: 'Abandoned', expired: 'Expired' };
+
+/**
+ * Returns today's date plus a number of weeks, formatted for a date input.
+ * @param {number} weeks
+ * @returns {string}
+ */
+const weeksFromToday = (weeks) => {
+    const date = new Date();
+    date.setDate(date.getDate() + weeks * 7);
+    return formatDate(date);
+};
+
+/**
+ * Creates an empty goal draft for the wizard, starting today and lasting four weeks.
+ * @returns {GoalDraft}
+ */
+const createEmptyDraft = () => ({
+    name: '',
+    description: '',
+    type: GOAL_TYPES[0],
+    unit: 'kg',
+    targetValue: '',
+    startDate: formatDate(new Date()),
+    endDate: weeksFromToday(4),
+    baseline: '',
+    frequency: '',
+    aggregation: 'sum',
+    gracePeriods: '0',
+    metric: '',
+});
+
+/**
+ * Validates one wizard step of a goal draft, mirroring the rules of the Goal schema on the server.
+ * @param {GoalDraft} draft - The draft to validate.
+ * @param {number} step - The index of the wizard step whose fields are checked.
+ * @param {string[]} unitCodes - The supported unit codes.
+ * @returns {Object<string, string>} Error messages keyed by field; empty when the step is valid.
+ */
+const validateGoalDraft = (draft, step, unitCodes) => {
+    const errors = {};
+    if (step === 1) {
+        const name = draft.name.trim();
+        if (!name) {
+            errors.name = 'Goal name is required.';
+        } else if (name.length < 3) {
+            errors.name = 'Goal name must be at least 3 characters long.';
+        } else if (name.length > 50) {
+            errors.name = 'Goal name cannot exceed 50 characters.';
+        }
+        if (draft.description.trim().length > 200) {
+            errors.description = 'Goal description cannot exceed 200 characters.';
+        }
+        if (!GOAL_TYPES.includes(draft.type)) {
+            errors.type = 'Goal type is required.';
+        }
+        if (!draft.unit) {
+            errors.unit = 'Unit of measure is required.';
+        } else if (unitCodes.length > 0 && !unitCodes.includes(draft.unit)) {
+            errors.unit = `${draft.unit} is not a supported unit of measure.`;
+        }
+        if (draft.targetValue === '' || !Number.isFinite(Number(draft.targetValue))) {
+            errors.targetValue = 'Target value is required.';
+        }
+        if (draft.baseline !== '' && !Number.isFinite(Number(draft.baseline))) {
+            errors.baseline = 'Current value must be a number.';
+        }
+        if (draft.frequency) {
+            const gracePeriods = Number(draft.gracePeriods);
+            if (!Number.isInteger(gracePeriods) || gracePeriods < 0) {
+                errors.gracePeriods = 'Grace periods cannot be negative.';
+            } else if (gracePeriods > 7) {
+                errors.gracePeriods = 'Grace periods cannot exceed 7.';
+            }
+            if (draft.aggregation === 'count' && draft.unit !== 'sessions') {
+                errors.unit = 'Recurring goals that count entries must use the sessions unit.';
+            }
+        }
+    }
+    if (step === 2) {
+        if (!draft.startDate) {
+            errors.startDate = 'Start date is required.';
+        }
+        if (!draft.endDate) {
+            errors.endDate = 'End date is required.';
+        } else if (draft.startDate && draft.endDate < draft.startDate) {
+            errors.endDate = 'End date must be on or after the start date.';
+        }
+    }
+    return errors;
+};
+
+// The wizard step and draft field of each field the goals API can reject
+const DRAFT_FIELDS = {
+    name: { step: 1, field: 'name' },
+    description: { step: 1, field: 'description' },
+    type: { step: 1, field: 'type' },
+    targetValue: { step: 1, field: 'targetValue' },
+    unit: { step: 1, field: 'unit' },
+    kind: { step: 1, field: 'frequency' },
+    recurrence: { step: 1, field: 'frequency' },
+    'recurrence.frequency': { step: 1, field: 'frequency' },
+    'recurrence.aggregation': { step: 1, field: 'unit' },
+    'recurrence.gracePeriods': { step: 1, field: 'gracePeriods' },
+    metricLink: { step: 1, field: 'metric' },
+    'metricLink.metric': { step: 1, field: 'metric' },
+    startDate: { step: 2, field: 'startDate' },
+    endDate: { step: 2, field: 'endDate' },
+};
+
+/**
+ * Maps the field errors of a failed goal creation onto the wizard.
+ * @param {Object} error - The error thrown by the API client.
+ * @returns {{errors: Object<string, string>, step: number | null}} Error messages keyed by draft field, and the
+ * earliest step showing one of them; `step` is null when no error belongs to a wizard field.
+ */
+const mapGoalFieldErrors = (error) => {
+    const errors = {};
+    let step = null;
+    Object.entries(getFieldErrors(error)).forEach(([path, message]) => {
+        const target = DRAFT_FIELDS[path];
+        if (!target) {
+            return;
+        }
+        if (!errors[target.field]) {
+            errors[target.field] = message;
+        }
+        step = step === null ? target.step : Math.min(step, target.step);
+    });
+    return { errors, step };
+};
+
+const GOALS_PAGE_SIZE = 20;
+const ARCHIVE_PAGE_SIZE = 100;
+
 /**
  * Goals component
  *
  * This component allows users to view, create, update, and delete their fitness goals.
  * It uses the useApi hook to interact with the backend API and manages its own state
- * for goals, loading, error, and modal visibility. It includes comprehensive
+ * for goals, loading, error, and modal visibility. Goals are fetched one page at a time,
+ * without their progress arrays, and can be searched by name and filtered by status. Values are shown in
+ * the user's preferred unit system, which can be switched from this page. New goals are created with a
+ * step-by-step wizard that can start from a template, either as a one-off target or as a recurring habit
+ * ("3 workouts per week") whose streak is shown in the list; weight loss and muscle gain goals can follow a body
+ * metric logged on the Metrics page instead of manual entries. Each goal links to its detail page
+ * with the progress chart. Archived goals are kept out of the list and shown in a separate archive, next to
+ * the recently deleted goals, which can be restored until their restore window ends. Goals are cached on the device
+ * and changes made without a connection are queued and shown right away, then sent once it is back; changes made
+ * on the user's other devices show up live. It includes comprehensive
  * error handling, loading states, input sanitization, and uses Tailwind CSS for styling.
  *
  * Test Cases:
  * 1. Loading and error handling: Check for loading and error messages when data is fetching
  *    or if the API fails.
  * 2. Data rendering: Check if the goals are rendered correctly if the fetch is successful.
- * 3. Goal creation: Check if a new goal is created after submitting the form.
+ * 3. Goal creation: Check that each wizard step validates its fields and that a new goal is created from the review step.
  * 4. Goal update: Check if the modal is rendered correctly when the update button is clicked.
  * 5. Goal deletion: Verify if the goal is deleted as expected after clicking the delete button.
  */
 const Goals = () => {
-    const { get, post, put, delete: del } = useApi();
+    const api = useApi();
+    const { get, post } = api;
+    const { user, updateUser } = useAuth();
     const [goals, setGoals] = useState<Goal[]>([]);
+    const [units, setUnits] = useState<UnitOption[]>([]);
+    const [metricTypes, setMetricTypes] = useState<MetricOption[]>([]);
+    const [templates, setTemplates] = useState<GoalTemplate[]>([]);
     const [loading, setLoading] = useState(true);
     const [error, setError] = useState<string | null>(null);
-    const [newGoalName, setNewGoalName] = useState('');
+    const [wizardStep, setWizardStep] = useState(0);
+    const [draft, setDraft] = useState<GoalDraft>(createEmptyDraft());
+    const [draftErrors, setDraftErrors] = useState<Record<string, string>>({});
+    const [selectedTemplate, setSelectedTemplate] = useState<GoalTemplate | null>(null);
     const [isModalOpen, setIsModalOpen] = useState(false);
     const [editGoalId, setEditGoalId] = useState<string | null>(null);
     const [editGoalName, setEditGoalName] = useState('');
+    const [editGoalVisibility, setEditGoalVisibility] = useState('private');
     const [showDeleteConfirmation, setShowDeleteConfirmation] = useState(false);
     const [deleteGoalId, setDeleteGoalId] = useState<string | null>(null);
+    const [page, setPage] = useState(1);
+    const [totalPages, setTotalPages] = useState(1);
+    const [total, setTotal] = useState(0);
+    const [searchInput, setSearchInput] = useState('');
+    const [search, setSearch] = useState('');
+    const [statusFilter, setStatusFilter] = useState('');
+    const [shareGoalId, setShareGoalId] = useState<string | null>(null);
+    const [shareVisibility, setShareVisibility] = useState('percent');
+    const [shareLink, setShareLink] = useState('');
+    const [showArchive, setShowArchive] = useState(false);
+    const [archivedGoals, setArchivedGoals] = useState<Goal[]>([]);
+    const [deletedGoals, setDeletedGoals] = useState<Goal[]>([]);
+    const [fromCache, setFromCache] = useState(false);
 
-    const fetchGoals = useCallback(async () => {
+    // Quiet reloads, e.g. after a change made on another device, keep the list on screen while loading
+    const fetchGoals = useCallback(async ({ quiet = false } = {}) => {
         try {
-            setLoading(true);
+            if (!quiet) {
+                setLoading(true);
+            }
             setError(null);
-            const data = await get('/goals');
-            setGoals(data || []);
+            const params = new URLSearchParams({
+                page: String(page),
+                limit: String(GOALS_PAGE_SIZE),
+                includeProgress: 'false',
+            });
+            if (search) {
+                params.set('search', search);
+            }
+            if (statusFilter) {
+                params.set('status', statusFilter);
+            }
+            // Without a connection, the goals saved on the device the last time the page was loaded are shown
+            const { data, fromCache: cached } = await getWithOfflineCache(api, `/goals?${params.toString()}`);
+            setFromCache(cached);
+            setGoals(data.goals || []);
+            setTotalPages(Math.max(data.totalPages, 1));
+            setTotal(data.total);
         } catch (err: any) {
             setError(err.message);
         } finally {
             setLoading(false);
         }
-    }, [get]);
+    }, [api, page, search, statusFilter]);
 
     useEffect(() => {
       fetchGoals();
     }, [fetchGoals]);
 
+    // Queued changes are sent when the connection is back; the list is then reloaded from the server
+    const offlineSync = useOfflineSync({ onSynced: fetchGoals });
+
+    const fetchArchive = useCallback(async () => {
+        try {
+            setError(null);
+            const params = new URLSearchParams({
+                status: 'archived',
+                limit: String(ARCHIVE_PAGE_SIZE),
+                sort: '-updatedAt',
+                includeProgress: 'false',
+            });
+            const [archivedData, deletedData] = await Promise.all([
+                get(`/goals?${params.toString()}`),
+                get('/goals/deleted'),
+            ]);
+            setArchivedGoals(archivedData.goals || []);
+            setDeletedGoals(deletedData);
+        } catch (err: any) {
+            setError(err.message);
+        }
+    }, [get]);
+
+    useEffect(() => {
+        if (showArchive) {
+            fetchArchive();
+        }
+    }, [showArchive, fetchArchive]);
+
+    /**
+     * Whether a goal belongs in the list as currently filtered. The server's name search is
+     * case-insensitive, which the comparison mirrors.
+     */
+    const matchesList = (goal: Goal) => goal.status !== 'archived'
+        && (!statusFilter || goal.status === statusFilter)
+        && (!search || goal.name.toLowerCase().includes(search.toLowerCase()));
+
+    const isListed = (goalId: string) => goals.some((goal) => goal.id === goalId);
+
+    // Changes made on the user's other devices are applied as they happen. Where a new or changed goal
+    // lands depends on the sort and the page, so the page is reloaded unless the goal can be changed in place.
+    useLiveEvents({
+        'goal.created': () => fetchGoals({ quiet: true }),
+        'goal.updated': (updatedGoal: Goal) => {
+            if (isListed(updatedGoal.id) && matchesList(updatedGoal)) {
+                setGoals((prevGoals) => prevGoals.map((goal) => (goal.id === updatedGoal.id ? { ...goal, ...updatedGoal } : goal)));
+            } else {
+                fetchGoals({ quiet: true });
+            }
+            if (showArchive) {
+                fetchArchive();
+            }
+        },
+        'goal.deleted': ({ id }: { id: string }) => {
+            setGoals((prevGoals) => prevGoals.filter((goal) => goal.id !== id));
+            if (showArchive) {
+                fetchArchive();
+            }
+        },
+        // New entries can complete a goal or extend its streak
+        'progress.created': ({ goalId }: { goalId: string }) => isListed(goalId) && fetchGoals({ quiet: true }),
+        'progress.updated': ({ goalId }: { goalId: string }) => isListed(goalId) && fetchGoals({ quiet: true }),
+        'progress.deleted': ({ goalId }: { goalId: string }) => isListed(goalId) && fetchGoals({ quiet: true }),
+        'progress.synced': ({ goalId }: { goalId: string }) => isListed(goalId) && fetchGoals({ quiet: true }),
+        ready: ({ reconnected }: { reconnected: boolean }) => {
+            if (reconnected) {
+                fetchGoals({ quiet: true });
+            }
+        },
+    });
+
+    useEffect(() => {
+        const fetchWizardOptions = async () => {
+            try {
+                const [unitData, templateData, metricData] = await Promise.all([
+                    get('/units'),
+                    get('/goal-templates'),
+                    get('/metrics/types'),
+                ]);
+                setUnits(unitData.units);
+                setTemplates(templateData);
+                setMetricTypes(metricData);
+            } catch (err: any) {
+                setError(err.message);
+            }
+        };
+        fetchWizardOptions();
+    }, [get]);
+
+    const handleUnitSystemChange = async (event: React.ChangeEvent<HTMLSelectElement>) => {
+        try {
+            setError(null);
+            await updateUser({ unitSystem: event.target.value });
+            // Goal values are converted by the server, so they are refetched in the new units
+            await fetchGoals();
+        } catch (err: any) {
+            setError(err.message);
+        }
+    };
+
+
+    const handleSearch = (event: React.FormEvent) => {
+        event.preventDefault();
+        setPage(1);
+        setSearch(searchInput.trim());
+    };
+
+    const handleStatusFilterChange = (event: React.ChangeEvent<HTMLSelectElement>) => {
+        setPage(1);
+        setStatusFilter(event.target.value);
+    };
+
+    const handlePreviousPage = () => {
+        if (page > 1) {
+            setPage(page - 1);
+        }
+    };
+
+    const handleNextPage = () => {
+        if (page < totalPages) {
+            setPage(page + 1);
+        }
+    };
 
     const handleOpenModal = () => {
         setIsModalOpen(true);
     };
     const handleCloseModal = () => {
         setIsModalOpen(false);
-        setNewGoalName('');
+        setWizardStep(0);
+        setDraft(createEmptyDraft());
+        setDraftErrors({});
+        setSelectedTemplate(null);
         setEditGoalId(null);
         setEditGoalName('');
+        setEditGoalVisibility('private');
          setShowDeleteConfirmation(false);
         setDeleteGoalId(null)
+        setShareGoalId(null);
+        setShareVisibility('percent');
+        setShareLink('');
+    };
+
+    // One-off weight loss and muscle gain goals can follow a metric measured in a unit of the same kind
+    const dimensionOf = (code: string) => {
+        const unit = units.find((option) => option.code === code);
+        return unit ? unit.dimension : null;
+    };
+    const linkableMetrics = METRIC_GOAL_TYPES.includes(draft.type) && !draft.frequency
+        ? metricTypes.filter((metricType) => dimensionOf(metricType.unit) === dimensionOf(draft.unit))
+        : [];
+    const linkedMetric = linkableMetrics.find((metricType) => metricType.type === draft.metric) || null;
+
+    const updateDraft = (changes: Partial<GoalDraft>) => {
+        setDraft((prevDraft) => ({ ...prevDraft, ...changes }));
+    };
+
+    /**
+     * Starts the wizard from a template, or from scratch when no template is given.
+     */
+    const handleSelectTemplate = (template: GoalTemplate | null) => {
+        setSelectedTemplate(template);
+        setDraft(template ? {
+            ...createEmptyDraft(),
+            name: template.name,
+            description: template.description,
+            type: template.type,
+            unit: template.unit,
+            targetValue: template.targetValue !== null ? String(template.targetValue) : '',
+            endDate: weeksFromToday(template.durationWeeks),
+            frequency: template.recurrence ? template.recurrence.frequency : '',
+            aggregation: template.recurrence ? template.recurrence.aggregation : 'sum',
+            gracePeriods: template.recurrence ? String(template.recurrence.gracePeriods) : '0',
+        } : createEmptyDraft());
+        setDraftErrors({});
+        setWizardStep(1);
+    };
+
+    // Relative templates ("Lose 5 kg") derive the target from the current value
+    const handleBaselineChange = (baseline: string) => {
+        const changes: Partial<GoalDraft> = { baseline };
+        if (selectedTemplate && selectedTemplate.targetChange !== null && baseline !== '' && Number.isFinite(Number(baseline))) {
+            changes.targetValue = String(Number(baseline) + selectedTemplate.targetChange);
+        }
+        updateDraft(changes);
+    };
+
+    const handleNextStep = () => {
+        const errors = validateGoalDraft(draft, wizardStep, units.map((unit) => unit.code));
+        setDraftErrors(errors);
+        if (Object.keys(errors).length === 0) {
+            setWizardStep(wizardStep + 1);
+        }
+    };
+
+    const handlePreviousStep = () => {
+        setDraftErrors({});
+        setWizardStep(Math.max(wizardStep - 1, 0));
     };
 
     const handleCreateGoal = async (event: React.FormEvent) => {
         event.preventDefault();
-        if (!newGoalName.trim()) {
-           setError('Goal name cannot be empty');
-          return;
+        // Pressing Enter inside an earlier step moves on instead of submitting
+        if (wizardStep < WIZARD_STEPS.length - 1) {
+            if (wizardStep > 0) {
+                handleNextStep();
+            }
+            return;
         }
-        const sanitizedNewGoalName = newGoalName.replace(/</g, "&lt;").replace(/>/g, "&gt;");
+        const sanitizedNewGoalName = draft.name.trim().replace(/</g, "&lt;").replace(/>/g, "&gt;");
         try {
             setLoading(true);
             setError(null);
-            const newGoal = await post('/goals', { name: sanitizedNewGoalName });
-            setGoals((prevGoals) => [...prevGoals, newGoal]);
+            const goalData = {
+                name: sanitizedNewGoalName,
+                description: draft.description.trim() || null,
+                type: draft.type,
+                startDate: draft.startDate,
+                endDate: draft.endDate,
+                targetValue: Number(draft.targetValue),
+                unit: draft.unit,
+                kind: draft.frequency ? 'recurring' : 'target',
+                recurrence: draft.frequency
+                    ? { frequency: draft.frequency, aggregation: draft.aggregation, gracePeriods: Number(draft.gracePeriods) }
+                    : null,
+                metricLink: linkedMetric ? { metric: linkedMetric.type } : null,
+            };
+            // Offline, the goal gets a local ID that its queued changes use until the server assigns one
+            const localId = createLocalGoalId();
+            const created = await sendOrQueue(api, { kind: 'createGoal', method: 'post', url: '/goals', data: goalData, goalId: localId });
+            const goalId = created.queued ? localId : created.data.id;
+            // The current value is the first progress entry, so that progress is measured from it;
+            // goals following a metric are measured from its first measurement instead
+            if (draft.baseline !== '' && !linkedMetric) {
+                await sendOrQueue(api, {
+                    kind: 'addProgress',
+                    method: 'post',
+                    url: `/goals/${goalId}/progress`,
+                    data: { value: Number(draft.baseline), unit: draft.unit, date: draft.startDate },
+                    goalId,
+                });
+            }
+            if (!created.queued) {
+                // The goal may already be listed by a reload following its live event
+                setGoals((prevGoals) => [...prevGoals.filter((goal) => goal.id !== created.data.id), created.data]);
+            }
             handleCloseModal();
-           setNewGoalName('');
         } catch (err: any) {
-            setError(err.message);
+            // Send the user back to the step holding the first rejected field
+            const { errors, step } = mapGoalFieldErrors(err);
+            if (step !== null) {
+                setDraftErrors(errors);
+                setWizardStep(step);
+            } else {
+                setError(err.message);
+            }
         } finally {
           setLoading(false);
         }
     };
 
 
-  const handleOpenEditModal = (goalId: string, goalName: string) => {
+  const handleOpenEditModal = (goalId: string, goalName: string, friendVisibility: string) => {
       setEditGoalId(goalId);
     setEditGoalName(goalName);
+      setEditGoalVisibility(friendVisibility || 'private');
       setIsModalOpen(true)
   };
 
@@ -109,11 +591,24 @@ const Goals = () => {
         try {
             setLoading(true);
            setError(null);
-          const updatedData = await put(`/goals/${editGoalId}`, { name: sanitizedEditGoalName });
-          setGoals((prevGoals) => prevGoals.map(goal => goal.id === editGoalId ? updatedData : goal));
+          const editedGoal = goals.find((goal) => goal.id === editGoalId);
+          // The server refuses the change if the goal was changed elsewhere since this version was loaded
+          const result = await sendOrQueue(api, {
+              kind: 'updateGoal',
+              method: 'put',
+              url: `/goals/${editGoalId}`,
+              data: { name: sanitizedEditGoalName, friendVisibility: editGoalVisibility, expectedUpdatedAt: editedGoal && editedGoal.updatedAt },
+              goalId: editGoalId,
+          });
+          if (!result.queued) {
+              setGoals((prevGoals) => prevGoals.map(goal => goal.id === editGoalId ? result.data : goal));
+          }
             handleCloseModal();
         } catch (err: any) {
             setError(err.message)
+            if (err.status === 412) {
+                await fetchGoals();
+            }
         } finally {
             setLoading(false);
         }
@@ -125,13 +620,34 @@ const Goals = () => {
   };
 
 
+  const handleOpenShareModal = (goalId: string) => {
+      setShareGoalId(goalId);
+      setIsModalOpen(true);
+  };
+
+  const handleCreateShare = async (event: React.FormEvent) => {
+        event.preventDefault();
+        try {
+            setError(null);
+            const share = await post(`/goals/${shareGoalId}/shares`, { visibility: shareVisibility });
+            setShareLink(generateShareLink(share.token));
+        } catch (err: any) {
+            setError(err.message);
+        }
+  };
+
   const handleDeleteGoal = async () => {
         try {
             setLoading(true);
             setError(null);
-            await del(`/goals/${deleteGoalId}`);
-            setGoals(goals.filter(goal => goal.id !== deleteGoalId));
+            const result = await sendOrQueue(api, { kind: 'deleteGoal', method: 'delete', url: `/goals/${deleteGoalId}`, goalId: deleteGoalId });
+            if (!result.queued) {
+                setGoals(goals.filter(goal => goal.id !== deleteGoalId));
+            }
           handleCloseModal();
+          if (showArchive) {
+              await fetchArchive();
+          }
         } catch (err: any) {
            setError(err.message);
         } finally {
@@ -139,6 +655,70 @@ const Goals = () => {
         }
     };
 
+  /**
+   * Changes the status of a goal, or queues the change while offline. Until it is synced, a queued change
+   * shows the goal with its new status, or hides it when the status no longer matches the list's filter.
+   */
+  const changeGoalStatus = (goal: Goal, status: string) => sendOrQueue(api, {
+      kind: 'changeStatus',
+      method: 'put',
+      url: `/goals/${goal.id}/status`,
+      data: { status, expectedUpdatedAt: goal.updatedAt },
+      goalId: goal.id,
+  });
+
+  const handleArchiveGoal = async (goal: Goal) => {
+        try {
+            setError(null);
+            const result = await changeGoalStatus(goal, 'archived');
+            if (!result.queued) {
+                setGoals((prevGoals) => prevGoals.filter((prevGoal) => prevGoal.id !== goal.id));
+            }
+            if (showArchive) {
+                await fetchArchive();
+            }
+        } catch (err: any) {
+            setError(err.message);
+            if (err.status === 412) {
+                await fetchGoals();
+            }
+        }
+  };
+
+  // Archived goals come back as active, or completed when their target was reached
+  const handleUnarchiveGoal = async (goal: Goal) => {
+        try {
+            setError(null);
+            const result = await changeGoalStatus(goal, 'active');
+            setArchivedGoals((prevGoals) => prevGoals.filter((prevGoal) => prevGoal.id !== goal.id));
+            if (!result.queued) {
+                await fetchGoals();
+            }
+        } catch (err: any) {
+            setError(err.message);
+            if (err.status === 412) {
+                await fetchArchive();
+            }
+        }
+  };
+
+  const handleRestoreDeletedGoal = async (goalId: string) => {
+        try {
+            setError(null);
+            await post(`/goals/${goalId}/restore`, {});
+            setDeletedGoals((prevGoals) => prevGoals.filter((goal) => goal.id !== goalId));
+            await Promise.all([fetchGoals(), fetchArchive()]);
+        } catch (err: any) {
+            setError(err.message);
+        }
+  };
+
+
+  // Goals created offline are listed on the first page of the unfiltered and active lists
+  const visibleGoals = applyPendingMutations(goals, offlineSync.pendingMutations, {
+      includeCreated: page === 1 && !search && (!statusFilter || statusFilter === 'active'),
+      status: statusFilter,
+  });
 
   if (loading) {
         return <div className="container p-4 flex flex-col items-center justify-start min-h-screen bg-gray-100"><div className="text-gray-500 my-2">Loading goals...</div></div>;
@@ -149,16 +729,75 @@ const Goals = () => {
       <div className="container p-4 flex flex-col items-center justify-start min-h-screen bg-gray-100">
         <h2 className="text-2xl text-gray-800 font-bold mb-4">Goals</h2>
         {error && <div className="text-red-500 my-2">{error}</div>}
+        <OfflineStatus {...offlineSync} fromCache={fromCache} />
+        <div className="flex items-center space-x-2 mb-2">
+            <label htmlFor="unitSystem" className="text-gray-700 text-sm font-bold">Units:</label>
+            <select
+                id="unitSystem"
+                value={(user && user.unitSystem) || 'metric'}
+                onChange={handleUnitSystemChange}
+                className="p-2 border rounded"
+            >
+                <option value="metric">Metric (kg, km)</option>
+                <option value="imperial">Imperial (lbs, miles)</option>
+            </select>
+        </div>
           <Button onClick={handleOpenModal} style={{marginBottom: '10px'}}>Add Goal</Button>
+        <form onSubmit={handleSearch} className="w-full max-w-2xl flex items-center space-x-2">
+            <Input
+                type="text"
+                placeholder="Search goals by name"
+                value={searchInput}
+                onChange={(e) => setSearchInput(e.target.value)}
+                style={{flexGrow: 1}}
+            />
+            <select
+                value={statusFilter}
+                onChange={handleStatusFilterChange}
+                className="p-2 border rounded"
+                aria-label="Filter goals by status"
+            >
+                <option value="">All statuses</option>
+                <option value="active">Active</option>
+                <option value="paused">Paused</option>
+                <option value="completed">Completed</option>
+                <option value="expired">Expired</option>
+                <option value="abandoned">Abandoned</option>
+            </select>
+            <Button type="submit">Search</Button>
+        </form>
         <div className="w-full max-w-2xl mt-4">
-            {goals && goals.length > 0 ? (
-              goals.map((goal) => {
+            {visibleGoals.length > 0 ? (
+              visibleGoals.map((goal) => {
                   const sanitizedGoalName = goal.name ? goal.name.replace(/</g, "&lt;").replace(/>/g, "&gt;") : "No Name";
+                  // Goals created offline have no detail page or share links until they are synced
+                  const isLocal = isLocalGoalId(goal.id);
                   return (
                       <div key={goal.id} className="p-4 bg-white rounded shadow-md mb-4 flex items-center justify-between">
-                          <p className="text-gray-800 text-xl font-semibold">{sanitizedGoalName}</p>
+                          <div>
+                              {isLocal ? (
+                                  <span className="text-gray-800 text-xl font-semibold">{sanitizedGoalName}</span>
+                              ) : (
+                                  <a href={`/goals/${encodeURIComponent(goal.id)}`} className="text-gray-800 text-xl font-semibold hover:underline">{sanitizedGoalName}</a>
+                              )}
+                              {typeof goal.targetValue === 'number' && (
+                                  <p className="text-gray-500 text-sm">
+                                      Target: {goal.targetValue} {goal.unit}
+                                      {goal.kind === 'recurring' && goal.recurrence && ` per ${PERIOD_NAMES[goal.recurrence.frequency]}`}
+                                  </p>
+                              )}
+                              {goal.periodStatus && (
+                                  <p className="text-gray-500 text-sm">
+                                      Streak: {goal.periodStatus.currentStreak} (best {goal.periodStatus.longestStreak})
+                                  </p>
+                              )}
+                              {STATUS_LABELS[goal.status] && <p className="text-gray-500 text-sm">{STATUS_LABELS[goal.status]}</p>}
+                              {goal.pending && <p className="text-gray-500 text-sm">Waiting to sync</p>}
+                          </div>
                           <div className="flex space-x-2">
-                              <Button onClick={() => handleOpenEditModal(goal.id, goal.name)} style={{backgroundColor: '#4299e1', color: 'white', padding: '5px 10px'}}>Edit</Button>
+                              {!isLocal && <Button onClick={() => handleOpenShareModal(goal.id)} style={{padding: '5px 10px'}}>Share</Button>}
+                              <Button onClick={() => handleOpenEditModal(goal.id, goal.name, goal.friendVisibility)} style={{backgroundColor: '#4299e1', color: 'white', padding: '5px 10px'}}>Edit</Button>
+                              <Button onClick={() => handleArchiveGoal(goal)} style={{padding: '5px 10px'}}>Archive</Button>
                               <Button onClick={() => handleOpenDeleteModal(goal.id)} style={{backgroundColor: '#e53e3e', color: 'white', padding: '5px 10px'}}>Delete</Button>
                          </div>
                       </div>
@@ -169,17 +808,81 @@ const Goals = () => {
             )}
 
         </div>
+        {totalPages > 1 && (
+            <div className="flex items-center space-x-4 mt-2">
+                <Button onClick={handlePreviousPage}>Previous</Button>
+                <span className="text-gray-600">Page {page} of {totalPages} ({total} goals)</span>
+                <Button onClick={handleNextPage}>Next</Button>
+            </div>
+        )}
+        <Button onClick={() => setShowArchive(!showArchive)} style={{marginTop: '10px'}}>
+            {showArchive ? 'Hide archive' : 'Show archived and deleted goals'}
+        </Button>
+        {showArchive && (
+            <div className="w-full max-w-2xl mt-4">
+                <h3 className="text-lg font-semibold text-gray-800 mb-2">Archived goals</h3>
+                {archivedGoals.length > 0 ? archivedGoals.map((goal) => (
+                    <div key={goal.id} className="p-4 bg-white rounded shadow-md mb-2 flex items-center justify-between">
+                        <div>
+                            <a href={`/goals/${encodeURIComponent(goal.id)}`} className="text-gray-800 font-semibold hover:underline">
+                                {goal.name.replace(/</g, "&lt;").replace(/>/g, "&gt;")}
+                            </a>
+                            {goal.completedAt && <p className="text-gray-500 text-sm">Completed on {formatDate(new Date(goal.completedAt))}</p>}
+                        </div>
+                        <Button onClick={() => handleUnarchiveGoal(goal)} style={{padding: '5px 10px'}}>Restore</Button>
+                    </div>
+                )) : <div className="text-gray-500 my-2">No archived goals</div>}
+                <h3 className="text-lg font-semibold text-gray-800 mt-4 mb-2">Recently deleted</h3>
+                {deletedGoals.length > 0 ? deletedGoals.map((goal) => (
+                    <div key={goal.id} className="p-4 bg-white rounded shadow-md mb-2 flex items-center justify-between">
+                        <div>
+                            <p className="text-gray-800 font-semibold">{goal.name.replace(/</g, "&lt;").replace(/>/g, "&gt;")}</p>
+                            {goal.restorableUntil && (
+                                <p className="text-gray-500 text-sm">Can be restored until {formatDate(new Date(goal.restorableUntil))}</p>
+                            )}
+                        </div>
+                        <Button onClick={() => handleRestoreDeletedGoal(goal.id)} style={{padding: '5px 10px'}}>Restore</Button>
+                    </div>
+                )) : <div className="text-gray-500 my-2">No recently deleted goals</div>}
+            </div>
+        )}
 
             <Modal isOpen={isModalOpen} onClose={handleCloseModal}>
                 {showDeleteConfirmation ? (
                     <div className="p-4 flex flex-col items-center">
-                        <p className="text-gray-800 text-xl mb-4">Are you sure you want to delete this goal?</p>
+                        <p className="text-gray-800 text-xl mb-2">Are you sure you want to delete this goal?</p>
+                        <p className="text-gray-500 text-sm mb-4">You can restore it from the archive for 30 days. To keep its history without deleting it, archive it instead.</p>
                         <div className="flex space-x-4">
                             <Button style={{backgroundColor: '#4299e1', color: 'white'}} onClick={handleDeleteGoal}>Confirm</Button>
                             <Button onClick={handleCloseModal}>Cancel</Button>
                         </div>
 
                     </div>
+                ) : shareGoalId ? (
+                    <form onSubmit={handleCreateShare} className="p-4 flex flex-col">
+                        <h2 className="text-xl font-semibold text-gray-800 mb-4">Share Goal</h2>
+                        <label htmlFor="shareVisibility" className="block text-gray-700 text-sm font-bold mb-2">
+                            What should friends see?
+                        </label>
+                        <select
+                            id="shareVisibility"
+                            value={shareVisibility}
+                            onChange={(e) => setShareVisibility(e.target.value)}
+                            className="p-2 border rounded mb-4"
+                        >
+                            <option value="name">Goal name only</option>
+                            <option value="percent">Name and percent complete</option>
+                            <option value="full">Full progress history</option>
+                        </select>
+                        {shareLink ? (
+                            <div className="mb-4">
+                                <p className="text-gray-700 text-sm mb-2">Anyone with this link can view the goal until you revoke it:</p>
+                                <Input type="text" value={shareLink} onChange={() => {}} style={{width: '100%'}} />
+                            </div>
+                        ) : (
+                            <Button type="submit" style={{backgroundColor: '#4299e1', color: 'white'}}>Create Share Link</Button>
+                        )}
+                    </form>
                 ) : editGoalId ? (
                     <form onSubmit={handleUpdateGoal} className="p-4 flex flex-col">
                         <h2 className="text-xl font-semibold text-gray-800 mb-4">Edit Goal</h2>
@@ -195,24 +898,221 @@ const Goals = () => {
                                 style={{width: '100%'}}
                             />
                         </div>
+                        <div className="mb-4">
+                            <label htmlFor="editGoalVisibility" className="block text-gray-700 text-sm font-bold mb-2">
+                                Visible to Friends:
+                            </label>
+                            <select
+                                id="editGoalVisibility"
+                                value={editGoalVisibility}
+                                onChange={(e) => setEditGoalVisibility(e.target.value)}
+                                className="p-2 border rounded w-full"
+                            >
+                                <option value="private">Private</option>
+                                <option value="name">Goal name only</option>
+                                <option value="percent">Name and percent complete</option>
+                                <option value="full">Full progress history</option>
+                            </select>
+                        </div>
                         <Button type="submit" style={{backgroundColor: '#4299e1', color: 'white'}}>Update Goal</Button>
                     </form>
                 ) : (
                   <form onSubmit={handleCreateGoal} className="p-4 flex flex-col">
-                      <h2 className="text-xl font-semibold text-gray-800 mb-4">Create New Goal</h2>
-                      <div className="mb-4">
-                          <label htmlFor="newGoalName" className="block text-gray-700 text-sm font-bold mb-2">
-                              Goal Name:
-                          </label>
-                          <Input
-                            type="text"
-                            placeholder="Enter goal name"
-                            value={newGoalName}
-                            onChange={(e) => setNewGoalName(e.target.value)}
-                            style={{width: '100%'}}
-                          />
-                        </div>
-                      <Button type="submit" style={{backgroundColor: '#4299e1', color: 'white'}}>Create Goal</Button>
+                      <h2 className="text-xl font-semibold text-gray-800 mb-2">Create New Goal</h2>
+                      <p className="text-gray-500 text-sm mb-4">
+                          Step {wizardStep + 1} of {WIZARD_STEPS.length}: {WIZARD_STEPS[wizardStep]}
+                      </p>
+                      {wizardStep === 0 && (
+                          <div className="mb-4">
+                              {templates.map((template) => (
+                                  <div key={template.id} className="p-2 border rounded mb-2 flex items-center justify-between">
+                                      <div>
+                                          <p className="text-gray-800 font-semibold">{template.name}</p>
+                                          <p className="text-gray-500 text-sm">{template.description}</p>
+                                      </div>
+                                      <Button onClick={() => handleSelectTemplate(template)} style={{padding: '5px 10px'}}>Use</Button>
+                                  </div>
+                              ))}
+                              <Button onClick={() => handleSelectTemplate(null)}>Start from scratch</Button>
+                          </div>
+                      )}
+                      {wizardStep === 1 && (
+                          <>
+                              <div className="mb-4">
+                                  <label htmlFor="draftName" className="block text-gray-700 text-sm font-bold mb-2">
+                                      Goal Name:
+                                  </label>
+                                  <Input
+                                    type="text"
+                                    placeholder="Enter goal name"
+                                    value={draft.name}
+                                    onChange={(e) => updateDraft({ name: e.target.value })}
+                                    style={{width: '100%'}}
+                                    error={draftErrors.name}
+                                  />
+                              </div>
+                              <div className="mb-4">
+                                  <label htmlFor="draftDescription" className="block text-gray-700 text-sm font-bold mb-2">
+                                      Description (optional):
+                                  </label>
+                                  <Input
+                                    type="text"
+                                    placeholder="Why does this goal matter?"
+                                    value={draft.description}
+                                    onChange={(e) => updateDraft({ description: e.target.value })}
+                                    style={{width: '100%'}}
+                                    error={draftErrors.description}
+                                  />
+                              </div>
+                              <div className="mb-4">
+                                  <label htmlFor="draftType" className="block text-gray-700 text-sm font-bold mb-2">
+                                      Type:
+                                  </label>
+                                  <select
+                                      id="draftType"
+                                      value={draft.type}
+                                      onChange={(e) => updateDraft({ type: e.target.value })}
+                                      className="p-2 border rounded w-full"
+                                  >
+                                      {GOAL_TYPES.map((goalType) => (
+                                          <option key={goalType} value={goalType}>{goalType}</option>
+                                      ))}
+                                  </select>
+                                  {draftErrors.type && <p className="text-red-500 text-sm">{draftErrors.type}</p>}
+                              </div>
+                              {linkableMetrics.length > 0 && (
+                                  <div className="mb-4">
+                                      <label htmlFor="draftMetric" className="block text-gray-700 text-sm font-bold mb-2">
+                                          Progress from:
+                                      </label>
+                                      <select
+                                          id="draftMetric"
+                                          value={linkedMetric ? linkedMetric.type : ''}
+                                          onChange={(e) => updateDraft({ metric: e.target.value })}
+                                          className="p-2 border rounded w-full"
+                                      >
+                                          <option value="">Manual entries</option>
+                                          {linkableMetrics.map((metricType) => (
+                                              <option key={metricType.type} value={metricType.type}>{metricType.label} measurements</option>
+                                          ))}
+                                      </select>
+                                      {draftErrors.metric && <p className="text-red-500 text-sm">{draftErrors.metric}</p>}
+                                  </div>
+                              )}
+                              {selectedTemplate && selectedTemplate.baselinePrompt && (
+                                  <div className="mb-4">
+                                      <label htmlFor="draftBaseline" className="block text-gray-700 text-sm font-bold mb-2">
+                                          {selectedTemplate.baselinePrompt}
+                                      </label>
+                                      <Input
+                                        type="number"
+                                        placeholder={`Current value (${draft.unit})`}
+                                        value={draft.baseline}
+                                        onChange={(e) => handleBaselineChange(e.target.value)}
+                                        error={draftErrors.baseline}
+                                      />
+                                  </div>
+                              )}
+                              <div className="mb-4">
+                                  <label htmlFor="draftFrequency" className="block text-gray-700 text-sm font-bold mb-2">
+                                      Repeat:
+                                  </label>
+                                  <select
+                                      id="draftFrequency"
+                                      value={draft.frequency}
+                                      onChange={(e) => updateDraft({ frequency: e.target.value })}
+                                      className="p-2 border rounded w-full"
+                                  >
+                                      <option value="">One-off target</option>
+                                      <option value="daily">Every day</option>
+                                      <option value="weekly">Every week</option>
+                                      <option value="monthly">Every month</option>
+                                  </select>
+                                  {draftErrors.frequency && <p className="text-red-500 text-sm">{draftErrors.frequency}</p>}
+                              </div>
+                              {draft.frequency && (
+                                  <div className="mb-4 flex space-x-2">
+                                      <select
+                                          value={draft.aggregation}
+                                          onChange={(e) => updateDraft({ aggregation: e.target.value })}
+                                          className="p-2 border rounded"
+                                          aria-label="How entries of a period are combined"
+                                      >
+                                          <option value="sum">Add up entries</option>
+                                          <option value="count">Count entries</option>
+                                          <option value="max">Best entry</option>
+                                      </select>
+                                      <Input
+                                        type="number"
+                                        placeholder="Grace periods"
+                                        value={draft.gracePeriods}
+                                        onChange={(e) => updateDraft({ gracePeriods: e.target.value })}
+                                        style={{width: '120px'}}
+                                      />
+                                  </div>
+                              )}
+                              {draftErrors.gracePeriods && <p className="text-red-500 text-sm mb-2">{draftErrors.gracePeriods}</p>}
+                              <div className="mb-4 flex space-x-2">
+                                  <Input
+                                    type="number"
+                                    placeholder={draft.frequency ? `Target per ${PERIOD_NAMES[draft.frequency]}` : 'Target value'}
+                                    value={draft.targetValue}
+                                    onChange={(e) => updateDraft({ targetValue: e.target.value })}
+                                  />
+                                  <select
+                                      value={draft.unit}
+                                      onChange={(e) => updateDraft({ unit: e.target.value })}
+                                      className="p-2 border rounded"
+                                      aria-label="Unit"
+                                  >
+                                      {units.map((unit) => (
+                                          <option key={unit.code} value={unit.code}>{unit.label}</option>
+                                      ))}
+                                  </select>
+                              </div>
+                              {draftErrors.targetValue && <p className="text-red-500 text-sm mb-2">{draftErrors.targetValue}</p>}
+                              {draftErrors.unit && <p className="text-red-500 text-sm mb-2">{draftErrors.unit}</p>}
+                          </>
+                      )}
+                      {wizardStep === 2 && (
+                          <>
+                              <div className="mb-4">
+                                  <label htmlFor="draftStartDate" className="block text-gray-700 text-sm font-bold mb-2">
+                                      Start Date:
+                                  </label>
+                                  <Input type="date" value={draft.startDate} onChange={(e) => updateDraft({ startDate: e.target.value })} error={draftErrors.startDate} />
+                              </div>
+                              <div className="mb-4">
+                                  <label htmlFor="draftEndDate" className="block text-gray-700 text-sm font-bold mb-2">
+                                      End Date:
+                                  </label>
+                                  <Input type="date" value={draft.endDate} onChange={(e) => updateDraft({ endDate: e.target.value })} error={draftErrors.endDate} />
+                              </div>
+                          </>
+                      )}
+                      {wizardStep === 3 && (
+                          <div className="mb-4 text-gray-700">
+                              <p className="font-semibold text-gray-800">{draft.name}</p>
+                              {draft.description && <p className="text-sm">{draft.description}</p>}
+                              <p>Type: {draft.type}</p>
+                              <p>Target: {draft.targetValue} {draft.unit}{draft.frequency && ` per ${PERIOD_NAMES[draft.frequency]}`}</p>
+                              {draft.frequency && Number(draft.gracePeriods) > 0 && (
+                                  <p>Streaks survive {draft.gracePeriods} missed {PERIOD_NAMES[draft.frequency]}(s)</p>
+                              )}
+                              {linkedMetric && <p>Progress from your {linkedMetric.label.toLowerCase()} measurements</p>}
+                              {draft.baseline !== '' && !linkedMetric && <p>Starting from: {draft.baseline} {draft.unit}</p>}
+                              <p>From {draft.startDate} to {draft.endDate}</p>
+                          </div>
+                      )}
+                      <div className="flex space-x-2">
+                          {wizardStep > 0 && <Button onClick={handlePreviousStep}>Back</Button>}
+                          {wizardStep > 0 && wizardStep < WIZARD_STEPS.length - 1 && (
+                              <Button onClick={handleNextStep} style={{backgroundColor: '#4299e1', color: 'white'}}>Next</Button>
+                          )}
+                          {wizardStep === WIZARD_STEPS.length - 1 && (
+                              <Button type="submit" style={{backgroundColor: '#4299e1', color: 'white'}}>Create Goal</Button>
+                          )}
+                      </div>
                   </form>
                 )}
 
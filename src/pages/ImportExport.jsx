@@ -0,0 +1,184 @@
+import React, { useState } from 'react';
+import Button from '../components/Button';
+import useApi from '../hooks/useApi';
+import { formatDate } from '../utils/helpers';
+
+/**
+ * @typedef {Object} ImportError
+ * @property {number} row - The CSV row or JSON goal number the error refers to.
+ * @property {string} field - The column or property the error refers to.
+ * @property {string} message - A description of the problem.
+ */
+
+/**
+ * @typedef {Object} ImportSummary
+ * @property {boolean} dryRun - Whether the import was only validated.
+ * @property {boolean} valid - Whether every row passed validation.
+ * @property {number} goals - The number of valid goals.
+ * @property {number} progressEntries - The number of progress entries on the valid goals.
+ * @property {ImportError[]} errors - The per-row validation errors.
+ */
+
+/**
+ * Offers a string to the browser as a file download.
+ * @param {string} contents - The file contents.
+ * @param {string} filename - The suggested file name.
+ * @param {string} mimeType - The MIME type of the file.
+ */
+const downloadFile = (contents, filename, mimeType) => {
+    const url = URL.createObjectURL(new Blob([contents], { type: mimeType }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+};
+
+/**
+ * ImportExport component
+ *
+ * This component lets users download all of their goals and progress history as CSV or
+ * JSON, and bring history in from a file in the same formats. Files are first checked
+ * with a dry run, which lists every invalid row, and can only be imported once they
+ * pass. It uses the useApi hook for all backend calls and Tailwind CSS for styling.
+ */
+const ImportExport = () => {
+    const { get, post } = useApi();
+    const [error, setError] = useState(null);
+    const [exporting, setExporting] = useState(false);
+    const [file, setFile] = useState(null);
+    const [summary, setSummary] = useState(null);
+    const [notice, setNotice] = useState(null);
+
+    const handleExport = async (format) => {
+        try {
+            setExporting(true);
+            setError(null);
+            const data = await get(`/export?format=${format}`);
+            const filename = `fitness-goals-${formatDate(new Date())}.${format}`;
+            if (format === 'csv') {
+                downloadFile(data, filename, 'text/csv');
+            } else {
+                downloadFile(JSON.stringify(data, null, 2), filename, 'application/json');
+            }
+        } catch (err) {
+            setError(err.message);
+        } finally {
+            setExporting(false);
+        }
+    };
+
+    const handleFileChange = (event) => {
+        setFile(event.target.files[0] || null);
+        setSummary(null);
+        setNotice(null);
+        setError(null);
+    };
+
+    /**
+     * Reads the selected file and sends it to the import endpoint.
+     * @param {boolean} dryRun - Whether to only validate the file.
+     */
+    const submitImport = async (dryRun) => {
+        if (!file) {
+            setError('Choose a CSV or JSON file first');
+            return;
+        }
+        try {
+            setError(null);
+            setNotice(null);
+            const format = file.name.toLowerCase().endsWith('.csv') ? 'csv' : 'json';
+            const text = await file.text();
+            let data = text;
+            if (format === 'json') {
+                try {
+                    data = JSON.parse(text);
+                } catch (parseError) {
+                    setError('The file is not valid JSON');
+                    return;
+                }
+            }
+            const result = await post('/import', { format, data, dryRun });
+            setSummary(result);
+            if (!dryRun) {
+                setNotice(`Imported ${result.goals} goals with ${result.progressEntries} progress entries.`);
+                setFile(null);
+            }
+        } catch (err) {
+            setError(err.message);
+        }
+    };
+
+    return (
+        <div className="container p-4 flex flex-col items-center justify-start min-h-screen bg-gray-100">
+            <h2 className="text-2xl text-gray-800 font-bold mb-4">Import & Export</h2>
+            {error && <div className="text-red-500 my-2">{error}</div>}
+            {notice && <div className="text-green-600 my-2">{notice}</div>}
+
+            <div className="w-full max-w-2xl p-4 bg-white rounded shadow-md mb-4">
+                <h3 className="text-xl font-semibold text-gray-800 mb-2">Export</h3>
+                <p className="text-gray-700 mb-4">Download all of your goals and progress history.</p>
+                {exporting ? (
+                    <div className="text-gray-500">Preparing your export...</div>
+                ) : (
+                    <div className="flex space-x-2">
+                        <Button onClick={() => handleExport('csv')}>Download CSV</Button>
+                        <Button onClick={() => handleExport('json')}>Download JSON</Button>
+                    </div>
+                )}
+            </div>
+
+            <div className="w-full max-w-2xl p-4 bg-white rounded shadow-md mb-4">
+                <h3 className="text-xl font-semibold text-gray-800 mb-2">Import</h3>
+                <p className="text-gray-700 mb-4">
+                    Upload a CSV with the columns goal_name, goal_type, goal_description, start_date, end_date,
+                    target_value, unit, progress_date and progress_value (one row per progress entry), or a JSON
+                    export. Check the file first; nothing is imported if any row is invalid.
+                </p>
+                <input type="file" accept=".csv,.json,text/csv,application/json" onChange={handleFileChange} className="mb-4" />
+                <div className="flex space-x-2">
+                    <Button onClick={() => submitImport(true)}>Check File</Button>
+                    {summary && summary.dryRun && summary.valid && (
+                        <Button onClick={() => submitImport(false)} style={{backgroundColor: '#4299e1', color: 'white'}}>Import</Button>
+                    )}
+                </div>
+
+                {summary && summary.dryRun && (
+                    <div className="mt-4">
+                        {summary.valid ? (
+                            <div className="text-green-600">
+                                Ready to import {summary.goals} goals with {summary.progressEntries} progress entries.
+                            </div>
+                        ) : (
+                            <>
+                                <div className="text-red-500 mb-2">{summary.errors.length} problems found. Fix them and check the file again.</div>
+                                <table className="w-full text-left text-sm">
+                                    <thead>
+                                        <tr className="text-gray-600">
+                                            <th className="p-1">Row</th>
+                                            <th className="p-1">Field</th>
+                                            <th className="p-1">Problem</th>
+                                        </tr>
+                                    </thead>
+                                    <tbody>
+                                        {summary.errors.map((importError, index) => (
+                                            <tr key={index} className="border-t text-gray-700">
+                                                <td className="p-1">{importError.row}</td>
+                                                <td className="p-1">{importError.field}</td>
+                                                <td className="p-1">{importError.message}</td>
+                                            </tr>
+                                        ))}
+                                    </tbody>
+                                </table>
+                            </>
+                        )}
+                    </div>
+                )}
+            </div>
+        </div>
+    );
+};
+
+export default ImportExport;
@@ -0,0 +1,225 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import Input from '../components/Input';
+import Button from '../components/Button';
+import useApi from '../hooks/useApi';
+import { formatDate, getFieldErrors } from '../utils/helpers';
+
+/**
+ * @typedef {Object} MetricType
+ * @property {string} type - The metric code, e.g. 'weight'.
+ * @property {string} label - The metric name.
+ * @property {string} unit - The unit the metric is entered and shown in for the user.
+ */
+
+/**
+ * @typedef {Object} Measurement
+ * @property {string} id - The unique identifier of the measurement.
+ * @property {string} type - The metric measured.
+ * @property {number} value - The measured value, in `unit`.
+ * @property {string} unit - The unit of the value.
+ * @property {string} date - When the measurement was taken.
+ * @property {string | null} note - An optional note.
+ */
+
+/**
+ * @typedef {Object} MetricSummary
+ * @property {string} type - The metric code.
+ * @property {string} label - The metric name.
+ * @property {string} unit - The unit of the values.
+ * @property {{date: string, value: number}} latest - The most recent measurement.
+ * @property {Array<{days: number, value: number | null}>} deltas - The change over the last 7, 30 and 90 days.
+ * @property {number} averageWindowDays - The length of the rolling average window.
+ * @property {Array<{average: number}>} series - The measurements with their rolling average, oldest first.
+ */
+
+/**
+ * Formats a change in value with its sign, e.g. "+1.2" or "-0.5".
+ * @param {number} value
+ * @returns {string}
+ */
+const formatDelta = (value) => `${value > 0 ? '+' : ''}${Math.round(value * 10) / 10}`;
+
+/**
+ * Metrics component
+ *
+ * This component lets users log body measurements (weight, body fat, waist, resting heart
+ * rate), several at once for the same date, and follow them over time with their latest
+ * value, recent changes and rolling average. Values are entered and shown in the user's
+ * preferred unit system. Goals deriving their progress from a metric are updated by the
+ * backend whenever a measurement is logged. It uses the useApi hook for all backend calls
+ * and Tailwind CSS for styling.
+ */
+const Metrics = () => {
+    const { get, post, delete: del } = useApi();
+    const [metricTypes, setMetricTypes] = useState([]);
+    const [summaries, setSummaries] = useState([]);
+    const [measurements, setMeasurements] = useState([]);
+    const [historyType, setHistoryType] = useState('');
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState(null);
+    const [message, setMessage] = useState('');
+    const [saving, setSaving] = useState(false);
+    const [measurementDate, setMeasurementDate] = useState(formatDate(new Date()));
+    const [values, setValues] = useState({});
+    const [fieldErrors, setFieldErrors] = useState({});
+
+    const fetchData = useCallback(async () => {
+        try {
+            setLoading(true);
+            setError(null);
+            const query = historyType ? `?type=${historyType}` : '';
+            const [typeData, summaryData, measurementData] = await Promise.all([
+                get('/metrics/types'),
+                get('/metrics/summary'),
+                get(`/metrics${query}`),
+            ]);
+            setMetricTypes(typeData);
+            setSummaries(summaryData.summaries);
+            setMeasurements(measurementData.measurements);
+        } catch (err) {
+            setError(err.message);
+        } finally {
+            setLoading(false);
+        }
+    }, [get, historyType]);
+
+    useEffect(() => {
+        fetchData();
+    }, [fetchData]);
+
+    const labelOf = (type) => {
+        const metricType = metricTypes.find((entry) => entry.type === type);
+        return metricType ? metricType.label : type;
+    };
+
+    const handleLogMeasurements = async (event) => {
+        event.preventDefault();
+        // Only the metrics given a value are logged; they share the date of the form
+        const filled = metricTypes.filter((metricType) => (values[metricType.type] || '').trim() !== '');
+        if (filled.length === 0) {
+            setError('Enter at least one measurement');
+            return;
+        }
+
+        setSaving(true);
+        setError(null);
+        setMessage('');
+        setFieldErrors({});
+        try {
+            await post('/metrics', {
+                measurements: filled.map((metricType) => ({
+                    type: metricType.type,
+                    value: Number(values[metricType.type]),
+                    unit: metricType.unit,
+                    date: measurementDate,
+                })),
+            });
+            setValues({});
+            setMessage(`${filled.length} measurement${filled.length === 1 ? '' : 's'} saved.`);
+            await fetchData();
+        } catch (err) {
+            // Errors are reported per measurement (`measurements.<index>.<field>`); show them on the matching row
+            const errorsByField = getFieldErrors(err);
+            const errorsByType = {};
+            Object.entries(errorsByField).forEach(([path, fieldMessage]) => {
+                const [, index] = path.split('.');
+                if (filled[Number(index)]) {
+                    errorsByType[filled[Number(index)].type] = fieldMessage;
+                }
+            });
+            setFieldErrors(errorsByType);
+            setError(Object.keys(errorsByType).length > 0 ? null : err.message);
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    const handleDeleteMeasurement = async (measurementId) => {
+        try {
+            setError(null);
+            await del(`/metrics/${measurementId}`);
+            await fetchData();
+        } catch (err) {
+            setError(err.message);
+        }
+    };
+
+    if (loading && metricTypes.length === 0) {
+        return <div className="container p-4 flex flex-col items-center justify-start min-h-screen bg-gray-100"><div className="text-gray-500 my-2">Loading measurements...</div></div>;
+    }
+
+    return (
+        <div className="container p-4 flex flex-col items-center justify-start min-h-screen bg-gray-100">
+            <h2 className="text-2xl text-gray-800 font-bold mb-4">Body Metrics</h2>
+            {error && <div className="text-red-500 my-2">{error}</div>}
+            {message && <div className="text-green-600 my-2">{message}</div>}
+
+            <form onSubmit={handleLogMeasurements} className="w-full max-w-2xl p-4 bg-white rounded shadow-md mb-4">
+                <h3 className="text-lg font-semibold text-gray-800 mb-2">Log measurements</h3>
+                <div className="mb-2">
+                    <Input type="date" value={measurementDate} onChange={(e) => setMeasurementDate(e.target.value)} />
+                </div>
+                {metricTypes.map((metricType) => (
+                    <div key={metricType.type} className="flex items-center space-x-2 mb-2">
+                        <label className="text-gray-700 w-48">{metricType.label} ({metricType.unit})</label>
+                        <Input
+                            type="number"
+                            placeholder="Leave blank to skip"
+                            value={values[metricType.type] || ''}
+                            onChange={(e) => setValues((prevValues) => ({ ...prevValues, [metricType.type]: e.target.value }))}
+                            error={fieldErrors[metricType.type]}
+                        />
+                    </div>
+                ))}
+                <Button type="submit" disabled={saving} style={{backgroundColor: '#4299e1', color: 'white'}}>
+                    {saving ? 'Saving...' : 'Save Measurements'}
+                </Button>
+            </form>
+
+            {summaries.length > 0 && (
+                <div className="w-full max-w-2xl flex flex-wrap mb-4">
+                    {summaries.map((summary) => {
+                        const latestAverage = summary.series[summary.series.length - 1].average;
+                        return (
+                            <div key={summary.type} className="p-4 bg-white rounded shadow-md mr-2 mb-2">
+                                <div className="text-gray-700 text-sm">{summary.label}</div>
+                                <div className="text-2xl font-bold text-gray-800">{summary.latest.value} {summary.unit}</div>
+                                <div className="text-gray-500 text-xs">{summary.averageWindowDays}-day average: {Math.round(latestAverage * 10) / 10} {summary.unit}</div>
+                                {summary.deltas.filter((delta) => delta.value !== null).map((delta) => (
+                                    <div key={delta.days} className="text-gray-500 text-xs">{delta.days} days: {formatDelta(delta.value)} {summary.unit}</div>
+                                ))}
+                            </div>
+                        );
+                    })}
+                </div>
+            )}
+
+            <div className="w-full max-w-2xl">
+                <div className="flex items-center justify-between mb-2">
+                    <h3 className="text-lg font-semibold text-gray-800">History</h3>
+                    <select value={historyType} onChange={(e) => setHistoryType(e.target.value)} className="p-2 border rounded">
+                        <option value="">All metrics</option>
+                        {metricTypes.map((metricType) => (
+                            <option key={metricType.type} value={metricType.type}>{metricType.label}</option>
+                        ))}
+                    </select>
+                </div>
+                {measurements.length > 0 ? (
+                    measurements.map((measurement) => (
+                        <div key={measurement.id} className="p-2 bg-white rounded shadow-md mb-2 flex items-center justify-between">
+                            <div className="text-gray-700">
+                                {formatDate(new Date(measurement.date))} · {labelOf(measurement.type)}: <span className="font-semibold">{measurement.value} {measurement.unit}</span>
+                                {measurement.note && <span className="text-gray-500 text-sm"> — {measurement.note}</span>}
+                            </div>
+                            <Button onClick={() => handleDeleteMeasurement(measurement.id)} style={{backgroundColor: '#e53e3e', color: 'white', padding: '5px 10px'}}>Delete</Button>
+                        </div>
+                    ))
+                ) : (
+                    <div className="text-gray-500 my-2">No measurements logged yet</div>
+                )}
+            </div>
+        </div>
+    );
+};
+
+export default Metrics;
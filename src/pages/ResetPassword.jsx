@@ -0,0 +1,129 @@
+import React, { useState } from 'react';
+import Input from '../components/Input';
+import Button from '../components/Button';
+import AuthForm from '../components/AuthForm';
+import useApi from '../hooks/useApi';
+import { getFieldErrors } from '../utils/helpers';
+
+/**
+ * Reads the reset token from the `?token=` query of the reset link.
+ * @returns {string | null}
+ */
+const getTokenFromLocation = () => {
+  if (typeof window === 'undefined') {
+    return null;
+  }
+  return new URLSearchParams(window.location.search).get('token');
+};
+
+/**
+ * ResetPassword component
+ *
+ * This page is opened from the link of a password reset email. It lets the user choose
+ * a new password with the single-use token of the link, then shows the login form.
+ * The token is taken from the `token` prop or, when absent, from the `?token=` query.
+ *
+ * @param {{token?: string}} props
+ * @returns {JSX.Element}
+ */
+const ResetPassword = ({ token }) => {
+  const { post } = useApi();
+  const [password, setPassword] = useState('');
+  const [confirmation, setConfirmation] = useState('');
+  const [error, setError] = useState('');
+  const [fieldErrors, setFieldErrors] = useState({});
+  const [message, setMessage] = useState('');
+  const [loading, setLoading] = useState(false);
+
+  const resetToken = token || getTokenFromLocation();
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    if (password.length < 8) {
+      setFieldErrors({ password: 'Password must be at least 8 characters long.' });
+      return;
+    }
+    if (password !== confirmation) {
+      setFieldErrors({ confirmation: 'Passwords do not match.' });
+      return;
+    }
+
+    setLoading(true);
+    setError('');
+    setFieldErrors({});
+    try {
+      const data = await post('/auth/reset-password', { token: resetToken, password });
+      setMessage(data.message);
+    } catch (err) {
+      const errorsByField = getFieldErrors(err);
+      setFieldErrors(errorsByField);
+      // A bad token is not an input the user can fix, so it is shown as the page error
+      setError(errorsByField.token || (Object.keys(errorsByField).length > 0 ? '' : err.message));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  if (!resetToken) {
+    return (
+      <div className="container p-4 flex flex-col items-center justify-start min-h-screen bg-gray-100">
+        <div className="text-red-500 my-2">This password reset link is invalid.</div>
+        <a href="/forgot-password" className="text-blue-600 text-sm hover:underline">Request a new link</a>
+      </div>
+    );
+  }
+
+  if (message) {
+    return (
+      <div className="container p-4 flex flex-col items-center justify-start min-h-screen bg-gray-100">
+        <p className="text-green-700 mb-4">{message}</p>
+        <AuthForm />
+      </div>
+    );
+  }
+
+  return (
+    <div className="container p-4 flex flex-col items-center justify-start min-h-screen bg-gray-100">
+      <form onSubmit={handleSubmit} className="p-4 bg-gray-100 rounded flex flex-col w-full sm:w-96">
+        <h2 className="text-2xl text-black font-bold mb-4">Choose a new password</h2>
+        <div className="mb-2">
+          <label htmlFor="password" className="block text-gray-700 text-sm font-bold mb-2">
+            New password:
+          </label>
+          <Input
+            type="password"
+            placeholder="At least 8 characters"
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+            error={fieldErrors.password}
+            style={{width: '100%'}}
+          />
+        </div>
+        <div className="mb-2">
+          <label htmlFor="confirmation" className="block text-gray-700 text-sm font-bold mb-2">
+            Confirm new password:
+          </label>
+          <Input
+            type="password"
+            placeholder="Repeat the new password"
+            value={confirmation}
+            onChange={(e) => setConfirmation(e.target.value)}
+            error={fieldErrors.confirmation}
+            style={{width: '100%'}}
+          />
+        </div>
+        {error && (
+          <div className="text-red-500 my-2">
+            {error}{' '}
+            {fieldErrors.token && <a href="/forgot-password" className="text-blue-600 hover:underline">Request a new link</a>}
+          </div>
+        )}
+        <Button type="submit" style={{backgroundColor:'#4299e1', color:'white'}} disabled={loading}>
+          {loading ? 'Saving...' : 'Reset password'}
+        </Button>
+      </form>
+    </div>
+  );
+};
+
+export default ResetPassword;
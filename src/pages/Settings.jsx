@@ -0,0 +1,287 @@
+import React, { useEffect, useState } from 'react';
+import Input from '../components/Input';
+import Button from '../components/Button';
+import useAuth from '../hooks/useAuth';
+import { formatDate, getFieldErrors } from '../utils/helpers';
+
+const PROFILE_FIELDS = ['username', 'email', 'displayName', 'avatarUrl', 'timezone', 'unitSystem'];
+
+/**
+ * Lists the IANA time zones known to the browser, or none when it cannot list them.
+ * @returns {string[]}
+ */
+const getTimeZones = () => {
+  if (typeof Intl === 'undefined' || typeof Intl.supportedValuesOf !== 'function') {
+    return [];
+  }
+  return Intl.supportedValuesOf('timeZone');
+};
+
+/**
+ * Builds the profile form values from the signed-in user.
+ * @param {Object | null} user
+ * @returns {Object<string, string>}
+ */
+const toProfileForm = (user) => ({
+  username: (user && user.username) || '',
+  email: (user && user.email) || '',
+  displayName: (user && user.displayName) || '',
+  avatarUrl: (user && user.avatarUrl) || '',
+  timezone: (user && user.timezone) || 'UTC',
+  unitSystem: (user && user.unitSystem) || 'metric',
+});
+
+/**
+ * Settings component
+ *
+ * This page lets the signed-in user manage their account: the profile (username, email,
+ * display name, avatar URL, time zone and unit system), the password, which requires the
+ * current one, and the deletion of the account. A deleted account is kept for a grace
+ * period, during which logging in again cancels the deletion.
+ *
+ * @returns {JSX.Element | null}
+ */
+const Settings = () => {
+  const { isAuthenticated, loading: authLoading, user, updateUser, changePassword, deleteAccount } = useAuth();
+
+  const [profile, setProfile] = useState(toProfileForm(user));
+  const [profileErrors, setProfileErrors] = useState({});
+  const [profileMessage, setProfileMessage] = useState('');
+  const [profileError, setProfileError] = useState('');
+  const [savingProfile, setSavingProfile] = useState(false);
+
+  const [passwords, setPasswords] = useState({ currentPassword: '', newPassword: '', confirmation: '' });
+  const [passwordErrors, setPasswordErrors] = useState({});
+  const [passwordMessage, setPasswordMessage] = useState('');
+  const [passwordError, setPasswordError] = useState('');
+  const [savingPassword, setSavingPassword] = useState(false);
+
+  const [deletePassword, setDeletePassword] = useState('');
+  const [confirmingDelete, setConfirmingDelete] = useState(false);
+  const [deleteErrors, setDeleteErrors] = useState({});
+  const [deleteError, setDeleteError] = useState('');
+  const [deletionDate, setDeletionDate] = useState(null);
+
+  const timeZones = getTimeZones();
+
+  // Reset the profile form whenever the session user changes, e.g. after saving
+  useEffect(() => {
+    setProfile(toProfileForm(user));
+  }, [user]);
+
+  const updateProfile = (changes) => {
+    setProfile((prevProfile) => ({ ...prevProfile, ...changes }));
+  };
+
+  const handleSaveProfile = async (event) => {
+    event.preventDefault();
+    const saved = toProfileForm(user);
+    const changes = Object.fromEntries(
+      PROFILE_FIELDS.filter((field) => profile[field].trim() !== saved[field]).map((field) => [field, profile[field].trim()])
+    );
+    if (Object.keys(changes).length === 0) {
+      setProfileMessage('Nothing to save.');
+      return;
+    }
+
+    setSavingProfile(true);
+    setProfileErrors({});
+    setProfileError('');
+    setProfileMessage('');
+    try {
+      await updateUser(changes);
+      setProfileMessage(changes.email
+        ? `Profile saved. A verification link has been sent to ${changes.email}.`
+        : 'Profile saved.');
+    } catch (err) {
+      const errorsByField = getFieldErrors(err);
+      setProfileErrors(errorsByField);
+      setProfileError(Object.keys(errorsByField).length > 0 ? '' : err.message);
+    } finally {
+      setSavingProfile(false);
+    }
+  };
+
+  const handleChangePassword = async (event) => {
+    event.preventDefault();
+    if (!passwords.currentPassword) {
+      setPasswordErrors({ currentPassword: 'Current password is required.' });
+      return;
+    }
+    if (passwords.newPassword.length < 8) {
+      setPasswordErrors({ newPassword: 'New password must be at least 8 characters long.' });
+      return;
+    }
+    if (passwords.newPassword !== passwords.confirmation) {
+      setPasswordErrors({ confirmation: 'Passwords do not match.' });
+      return;
+    }
+
+    setSavingPassword(true);
+    setPasswordErrors({});
+    setPasswordError('');
+    setPasswordMessage('');
+    try {
+      await changePassword(passwords.currentPassword, passwords.newPassword);
+      setPasswords({ currentPassword: '', newPassword: '', confirmation: '' });
+      setPasswordMessage('Password changed. Your other devices have been logged out.');
+    } catch (err) {
+      const errorsByField = getFieldErrors(err);
+      setPasswordErrors(errorsByField);
+      setPasswordError(Object.keys(errorsByField).length > 0 ? '' : err.message);
+    } finally {
+      setSavingPassword(false);
+    }
+  };
+
+  const handleDeleteAccount = async () => {
+    if (!deletePassword) {
+      setDeleteErrors({ password: 'Enter your password to delete your account.' });
+      return;
+    }
+    setDeleteErrors({});
+    setDeleteError('');
+    try {
+      const scheduledFor = await deleteAccount(deletePassword);
+      setDeletionDate(new Date(scheduledFor));
+    } catch (err) {
+      const errorsByField = getFieldErrors(err);
+      setDeleteErrors(errorsByField);
+      setDeleteError(Object.keys(errorsByField).length > 0 ? '' : err.message);
+      setConfirmingDelete(false);
+    }
+  };
+
+  if (deletionDate) {
+    return (
+      <div className="container p-4 flex flex-col items-center justify-start min-h-screen bg-gray-100">
+        <h2 className="text-2xl text-gray-800 font-bold mb-4">Account deleted</h2>
+        <p className="text-gray-700">
+          Your account and all of its goals and progress will be permanently deleted on {formatDate(deletionDate)}.
+          Log in again before then if you change your mind.
+        </p>
+      </div>
+    );
+  }
+
+  if (authLoading) {
+    return <div className="container p-4 flex flex-col items-center justify-start min-h-screen bg-gray-100"><div className="text-gray-500 my-2">Loading...</div></div>;
+  }
+
+  if (!isAuthenticated) {
+    return null;
+  }
+
+  return (
+    <div className="container p-4 flex flex-col items-center justify-start min-h-screen bg-gray-100">
+      <h2 className="text-2xl text-gray-800 font-bold mb-4">Settings</h2>
+
+      <form onSubmit={handleSaveProfile} className="w-full max-w-2xl p-4 bg-white rounded shadow-md mb-4">
+        <h3 className="text-lg font-semibold text-gray-800 mb-2">Profile</h3>
+        <div className="mb-2">
+          <label htmlFor="username" className="block text-gray-700 text-sm font-bold mb-2">Username:</label>
+          <Input value={profile.username} onChange={(e) => updateProfile({ username: e.target.value })} error={profileErrors.username} style={{width: '100%'}} />
+        </div>
+        <div className="mb-2">
+          <label htmlFor="email" className="block text-gray-700 text-sm font-bold mb-2">Email:</label>
+          <Input type="email" value={profile.email} onChange={(e) => updateProfile({ email: e.target.value })} error={profileErrors.email} style={{width: '100%'}} />
+          {user.emailVerified === false && <p className="text-yellow-700 text-sm mt-1">This address has not been verified yet.</p>}
+        </div>
+        <div className="mb-2">
+          <label htmlFor="displayName" className="block text-gray-700 text-sm font-bold mb-2">Display name (optional):</label>
+          <Input placeholder="Shown to your friends" value={profile.displayName} onChange={(e) => updateProfile({ displayName: e.target.value })} error={profileErrors.displayName} style={{width: '100%'}} />
+        </div>
+        <div className="mb-2">
+          <label htmlFor="avatarUrl" className="block text-gray-700 text-sm font-bold mb-2">Avatar URL (optional):</label>
+          <div className="flex items-center space-x-2">
+            {profile.avatarUrl && /^https?:\/\//i.test(profile.avatarUrl) && (
+              <img src={profile.avatarUrl} alt="Avatar preview" className="w-10 h-10 rounded-full object-cover" />
+            )}
+            <div className="flex-1">
+              <Input type="url" placeholder="https://..." value={profile.avatarUrl} onChange={(e) => updateProfile({ avatarUrl: e.target.value })} error={profileErrors.avatarUrl} style={{width: '100%'}} />
+            </div>
+          </div>
+        </div>
+        <div className="mb-2">
+          <label htmlFor="timezone" className="block text-gray-700 text-sm font-bold mb-2">Time zone:</label>
+          {timeZones.length > 0 ? (
+            <select
+              id="timezone"
+              value={profile.timezone}
+              onChange={(e) => updateProfile({ timezone: e.target.value })}
+              className="p-2 border rounded w-full"
+            >
+              {!timeZones.includes(profile.timezone) && <option value={profile.timezone}>{profile.timezone}</option>}
+              {timeZones.map((timeZone) => (
+                <option key={timeZone} value={timeZone}>{timeZone}</option>
+              ))}
+            </select>
+          ) : (
+            <Input placeholder="e.g. Europe/Paris" value={profile.timezone} onChange={(e) => updateProfile({ timezone: e.target.value })} style={{width: '100%'}} />
+          )}
+          {profileErrors.timezone && <p className="text-red-500 text-sm">{profileErrors.timezone}</p>}
+        </div>
+        <div className="mb-4">
+          <label htmlFor="unitSystem" className="block text-gray-700 text-sm font-bold mb-2">Units:</label>
+          <select
+            id="unitSystem"
+            value={profile.unitSystem}
+            onChange={(e) => updateProfile({ unitSystem: e.target.value })}
+            className="p-2 border rounded w-full"
+          >
+            <option value="metric">Metric (kg, km)</option>
+            <option value="imperial">Imperial (lb, mi)</option>
+          </select>
+        </div>
+        {profileError && <div className="text-red-500 my-2">{profileError}</div>}
+        {profileMessage && <div className="text-green-700 my-2">{profileMessage}</div>}
+        <Button type="submit" style={{backgroundColor:'#4299e1', color:'white'}} disabled={savingProfile}>
+          {savingProfile ? 'Saving...' : 'Save profile'}
+        </Button>
+      </form>
+
+      <form onSubmit={handleChangePassword} className="w-full max-w-2xl p-4 bg-white rounded shadow-md mb-4">
+        <h3 className="text-lg font-semibold text-gray-800 mb-2">Password</h3>
+        <div className="mb-2">
+          <label htmlFor="currentPassword" className="block text-gray-700 text-sm font-bold mb-2">Current password:</label>
+          <Input type="password" value={passwords.currentPassword} onChange={(e) => setPasswords({ ...passwords, currentPassword: e.target.value })} error={passwordErrors.currentPassword} style={{width: '100%'}} />
+        </div>
+        <div className="mb-2">
+          <label htmlFor="newPassword" className="block text-gray-700 text-sm font-bold mb-2">New password:</label>
+          <Input type="password" placeholder="At least 8 characters" value={passwords.newPassword} onChange={(e) => setPasswords({ ...passwords, newPassword: e.target.value })} error={passwordErrors.newPassword} style={{width: '100%'}} />
+        </div>
+        <div className="mb-4">
+          <label htmlFor="confirmation" className="block text-gray-700 text-sm font-bold mb-2">Confirm new password:</label>
+          <Input type="password" value={passwords.confirmation} onChange={(e) => setPasswords({ ...passwords, confirmation: e.target.value })} error={passwordErrors.confirmation} style={{width: '100%'}} />
+        </div>
+        {passwordError && <div className="text-red-500 my-2">{passwordError}</div>}
+        {passwordMessage && <div className="text-green-700 my-2">{passwordMessage}</div>}
+        <Button type="submit" style={{backgroundColor:'#4299e1', color:'white'}} disabled={savingPassword}>
+          {savingPassword ? 'Saving...' : 'Change password'}
+        </Button>
+      </form>
+
+      <div className="w-full max-w-2xl p-4 bg-white rounded shadow-md border border-red-300">
+        <h3 className="text-lg font-semibold text-red-700 mb-2">Delete account</h3>
+        <p className="text-gray-700 text-sm mb-2">
+          Your account, goals and progress history are deleted after a grace period. Logging in again before then cancels the deletion.
+        </p>
+        <div className="mb-2">
+          <label htmlFor="deletePassword" className="block text-gray-700 text-sm font-bold mb-2">Password:</label>
+          <Input type="password" value={deletePassword} onChange={(e) => setDeletePassword(e.target.value)} error={deleteErrors.password} style={{width: '100%'}} />
+        </div>
+        {deleteError && <div className="text-red-500 my-2">{deleteError}</div>}
+        {confirmingDelete ? (
+          <div className="flex space-x-2">
+            <Button onClick={handleDeleteAccount} style={{backgroundColor: '#e53e3e', color: 'white'}}>Yes, delete my account</Button>
+            <Button onClick={() => setConfirmingDelete(false)}>Cancel</Button>
+          </div>
+        ) : (
+          <Button onClick={() => setConfirmingDelete(true)} style={{backgroundColor: '#e53e3e', color: 'white'}}>Delete account</Button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default Settings;
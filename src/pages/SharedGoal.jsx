@@ -0,0 +1,122 @@
+import React, { useEffect, useState } from 'react';
+import useApi from '../hooks/useApi';
+import { formatDate } from '../utils/helpers';
+
+/**
+ * @typedef {Object} SharedGoalView
+ * @property {string} name - The name of the goal.
+ * @property {string} type - The type of the goal.
+ * @property {'name' | 'percent' | 'full'} visibility - How much of the goal the owner chose to share.
+ * @property {number} [percentComplete] - Completion percentage (percent and full visibility).
+ * @property {boolean} [completed] - Whether the goal has been reached (percent and full visibility).
+ * @property {string} [startDate] - The goal start date (percent and full visibility).
+ * @property {string} [endDate] - The goal end date (percent and full visibility).
+ * @property {string | null} [description] - The goal description (full visibility).
+ * @property {number} [targetValue] - The target value (full visibility).
+ * @property {string} [unit] - The unit of measure (full visibility).
+ * @property {{date: string, value: number}[]} [progress] - The progress history (full visibility).
+ */
+
+/**
+ * Reads the share token from a `/shared/:token` URL.
+ * @returns {string | null}
+ */
+const getTokenFromLocation = () => {
+  if (typeof window === 'undefined') {
+    return null;
+  }
+  const match = window.location.pathname.match(/\/shared\/([^/]+)/);
+  return match ? decodeURIComponent(match[1]) : null;
+};
+
+/**
+ * SharedGoal component
+ *
+ * This component renders the public view of a goal shared through a share link.
+ * It does not require authentication and only displays the fields allowed by the
+ * visibility level the owner picked when creating the link. The token is taken
+ * from the `token` prop or, when absent, from the `/shared/:token` URL.
+ *
+ * @param {{token?: string}} props
+ * @returns {JSX.Element}
+ */
+const SharedGoal = ({ token }) => {
+  const { get } = useApi();
+  const [goal, setGoal] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const shareToken = token || getTokenFromLocation();
+
+  useEffect(() => {
+    const fetchSharedGoal = async () => {
+      if (!shareToken) {
+        setError('This share link is invalid.');
+        setLoading(false);
+        return;
+      }
+      try {
+        setLoading(true);
+        setError(null);
+        const data = await get(`/shared/${encodeURIComponent(shareToken)}`);
+        setGoal(data);
+      } catch (err) {
+        setError('This shared goal is no longer available.');
+      } finally {
+        setLoading(false);
+      }
+    };
+    fetchSharedGoal();
+  }, [get, shareToken]);
+
+  if (loading) {
+    return <div className="container p-4 flex flex-col items-center justify-start min-h-screen bg-gray-100"><div className="text-gray-500 my-2">Loading shared goal...</div></div>;
+  }
+
+  if (error || !goal) {
+    return <div className="container p-4 flex flex-col items-center justify-start min-h-screen bg-gray-100"><div className="text-red-500 my-2">{error}</div></div>;
+  }
+
+  const percent = typeof goal.percentComplete === 'number' ? goal.percentComplete : null;
+
+  return (
+    <div className="container p-4 flex flex-col items-center justify-start min-h-screen bg-gray-100">
+      <div className="w-full max-w-2xl p-4 bg-white rounded shadow-md">
+        <h2 className="text-2xl text-gray-800 font-bold">{goal.name}</h2>
+        <div className="text-gray-500 text-sm mb-2">{goal.type}</div>
+        {goal.description && <p className="text-gray-700 mb-2">{goal.description}</p>}
+        {percent !== null && (
+          <>
+            <div className="text-gray-600">
+              {goal.completed ? 'Completed!' : `Progress: ${percent.toFixed(0)}%`}
+            </div>
+            <div className="bg-gray-200 rounded-full h-2 mt-2">
+              <div className="bg-green-500 rounded-full h-2" style={{ width: `${percent}%` }}></div>
+            </div>
+            <div className="text-gray-500 text-sm mt-2">
+              {formatDate(new Date(goal.startDate))} to {formatDate(new Date(goal.endDate))}
+            </div>
+          </>
+        )}
+        {goal.visibility === 'full' && (
+          <div className="mt-4">
+            <div className="text-gray-700 font-semibold">Target: {goal.targetValue} {goal.unit}</div>
+            {goal.progress && goal.progress.length > 0 ? (
+              <ul className="mt-2">
+                {goal.progress.map((entry) => (
+                  <li key={entry.date} className="text-gray-600 text-sm">
+                    {formatDate(new Date(entry.date))}: {entry.value} {goal.unit}
+                  </li>
+                ))}
+              </ul>
+            ) : (
+              <div className="text-gray-500 text-sm mt-2">No progress recorded yet.</div>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default SharedGoal;
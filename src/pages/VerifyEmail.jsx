@@ -0,0 +1,81 @@
+import React, { useEffect, useRef, useState } from 'react';
+import useApi from '../hooks/useApi';
+import useAuth from '../hooks/useAuth';
+import { getFieldErrors } from '../utils/helpers';
+
+/**
+ * Reads the verification token from the `?token=` query of the verification link.
+ * @returns {string | null}
+ */
+const getTokenFromLocation = () => {
+  if (typeof window === 'undefined') {
+    return null;
+  }
+  return new URLSearchParams(window.location.search).get('token');
+};
+
+/**
+ * VerifyEmail component
+ *
+ * This page is opened from the link of a verification email and confirms the email
+ * address with the single-use token of the link as soon as it loads. It works without
+ * being logged in; when the user is logged in, their session is refreshed so that the
+ * rest of the app stops flagging the address as unverified.
+ * The token is taken from the `token` prop or, when absent, from the `?token=` query.
+ *
+ * @param {{token?: string}} props
+ * @returns {JSX.Element}
+ */
+const VerifyEmail = ({ token }) => {
+  const { post } = useApi();
+  const { checkAuth } = useAuth();
+  const [message, setMessage] = useState('');
+  const [error, setError] = useState('');
+  const [loading, setLoading] = useState(true);
+  // The token is single use, so it must not be sent twice when effects run again
+  const submitted = useRef(false);
+
+  const verificationToken = token || getTokenFromLocation();
+
+  useEffect(() => {
+    if (submitted.current) {
+      return;
+    }
+    submitted.current = true;
+
+    const verify = async () => {
+      if (!verificationToken) {
+        setError('This verification link is invalid.');
+        setLoading(false);
+        return;
+      }
+      try {
+        const data = await post('/auth/verify-email', { token: verificationToken });
+        setMessage(data.message);
+        // Does nothing when the user is not logged in on this device
+        await checkAuth();
+      } catch (err) {
+        setError(getFieldErrors(err).token || err.message);
+      } finally {
+        setLoading(false);
+      }
+    };
+    verify();
+  }, [post, verificationToken, checkAuth]);
+
+  return (
+    <div className="container p-4 flex flex-col items-center justify-start min-h-screen bg-gray-100">
+      <h2 className="text-2xl text-gray-800 font-bold mb-4">Email verification</h2>
+      {loading && <div className="text-gray-500 my-2">Verifying your email address...</div>}
+      {message && <p className="text-green-700 my-2">{message}</p>}
+      {error && (
+        <div className="text-red-500 my-2">
+          {error} You can request a new link from your dashboard.
+        </div>
+      )}
+      {!loading && <a href="/" className="text-blue-600 text-sm hover:underline mt-2">Continue to FitTrack</a>}
+    </div>
+  );
+};
+
+export default VerifyEmail;
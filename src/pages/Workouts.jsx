@@ -0,0 +1,257 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import Input from '../components/Input';
+import Button from '../components/Button';
+import Modal from '../components/Modal';
+import useApi from '../hooks/useApi';
+import useAuth from '../hooks/useAuth';
+import { formatDate } from '../utils/helpers';
+
+/**
+ * @typedef {Object} Exercise
+ * @property {string} id - The unique identifier for the exercise.
+ * @property {string} name - The name of the exercise.
+ * @property {string} category - The category of the exercise.
+ */
+
+/**
+ * @typedef {Object} Workout
+ * @property {string} id - The unique identifier for the workout.
+ * @property {string | null} name - The optional name of the session.
+ * @property {string} date - The date of the session.
+ * @property {number | null} durationMinutes - The duration of the session.
+ * @property {{exerciseId: Exercise, sets: {reps: number, weight: number, rpe: number}[]}[]} exercises - The exercises performed, with the exercise populated.
+ */
+
+// Weights are stored in kilograms and entered and shown in pounds for users of the imperial system
+const KG_PER_LB = 0.45359237;
+
+/**
+ * Creates an empty set row for the workout form.
+ * @returns {{reps: string, weight: string, rpe: string}}
+ */
+const emptySet = () => ({ reps: '', weight: '', rpe: '' });
+
+/**
+ * Converts a form field to a number, or null when left blank.
+ * @param {string} value
+ * @returns {number | null}
+ */
+const toNumberOrNull = (value) => (value === '' ? null : Number(value));
+
+/**
+ * Workouts component
+ *
+ * This component lets users log training sessions (exercises with sets, reps, weight
+ * and RPE), review recent workouts and define their own exercises. Weights are entered
+ * and shown in the user's preferred unit system. Goals linked to an exercise are updated
+ * by the backend whenever a workout is logged. It uses the useApi hook for all backend
+ * calls and Tailwind CSS for styling.
+ */
+const Workouts = () => {
+    const { get, post, delete: del } = useApi();
+    const { user } = useAuth();
+    const weightUnit = user && user.unitSystem === 'imperial' ? 'lbs' : 'kg';
+    const toStoredWeight = (weight) => (weight !== null && weightUnit === 'lbs' ? weight * KG_PER_LB : weight);
+    const toDisplayedWeight = (weight) => (typeof weight === 'number' && weightUnit === 'lbs' ? Math.round((weight / KG_PER_LB) * 10) / 10 : weight);
+    const [workouts, setWorkouts] = useState([]);
+    const [exercises, setExercises] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState(null);
+    const [isModalOpen, setIsModalOpen] = useState(false);
+    const [newExerciseName, setNewExerciseName] = useState('');
+    const [workoutName, setWorkoutName] = useState('');
+    const [workoutDate, setWorkoutDate] = useState(formatDate(new Date()));
+    const [durationMinutes, setDurationMinutes] = useState('');
+    const [draftExercises, setDraftExercises] = useState([]);
+
+    const fetchData = useCallback(async () => {
+        try {
+            setLoading(true);
+            setError(null);
+            const [workoutData, exerciseData] = await Promise.all([get('/workouts'), get('/exercises')]);
+            setWorkouts(workoutData.workouts);
+            setExercises(exerciseData);
+        } catch (err) {
+            setError(err.message);
+        } finally {
+            setLoading(false);
+        }
+    }, [get]);
+
+    useEffect(() => {
+        fetchData();
+    }, [fetchData]);
+
+    const handleCreateExercise = async (event) => {
+        event.preventDefault();
+        if (newExerciseName.trim().length < 2) {
+            setError('Exercise name must be at least 2 characters long');
+            return;
+        }
+        try {
+            setError(null);
+            const exercise = await post('/exercises', { name: newExerciseName.trim() });
+            setExercises((prevExercises) => [...prevExercises, exercise].sort((a, b) => a.name.localeCompare(b.name)));
+            setNewExerciseName('');
+        } catch (err) {
+            setError(err.message);
+        }
+    };
+
+    const handleOpenModal = () => {
+        setDraftExercises(exercises.length > 0 ? [{ exerciseId: exercises[0].id, sets: [emptySet()] }] : []);
+        setIsModalOpen(true);
+    };
+
+    const handleCloseModal = () => {
+        setIsModalOpen(false);
+        setWorkoutName('');
+        setWorkoutDate(formatDate(new Date()));
+        setDurationMinutes('');
+        setDraftExercises([]);
+    };
+
+    const updateDraftExercise = (index, changes) => {
+        setDraftExercises((prevDrafts) => prevDrafts.map((draft, i) => (i === index ? { ...draft, ...changes } : draft)));
+    };
+
+    const updateDraftSet = (exerciseIndex, setIndex, field, value) => {
+        const draft = draftExercises[exerciseIndex];
+        const sets = draft.sets.map((set, i) => (i === setIndex ? { ...set, [field]: value } : set));
+        updateDraftExercise(exerciseIndex, { sets });
+    };
+
+    const handleAddExerciseToWorkout = () => {
+        if (exercises.length === 0) {
+            return;
+        }
+        setDraftExercises((prevDrafts) => [...prevDrafts, { exerciseId: exercises[0].id, sets: [emptySet()] }]);
+    };
+
+    const handleLogWorkout = async (event) => {
+        event.preventDefault();
+        if (draftExercises.length === 0) {
+            setError('Add at least one exercise to the workout');
+            return;
+        }
+        try {
+            setError(null);
+            await post('/workouts', {
+                name: workoutName.trim() || null,
+                date: workoutDate,
+                durationMinutes: toNumberOrNull(durationMinutes),
+                exercises: draftExercises.map((draft) => ({
+                    exerciseId: draft.exerciseId,
+                    sets: draft.sets.map((set) => ({
+                        reps: toNumberOrNull(set.reps),
+                        weight: toStoredWeight(toNumberOrNull(set.weight)),
+                        rpe: toNumberOrNull(set.rpe),
+                    })),
+                })),
+            });
+            handleCloseModal();
+            // Refetch so that the new workout comes back with its exercises populated
+            await fetchData();
+        } catch (err) {
+            setError(err.message);
+        }
+    };
+
+    const handleDeleteWorkout = async (workoutId) => {
+        try {
+            setError(null);
+            await del(`/workouts/${workoutId}`);
+            setWorkouts((prevWorkouts) => prevWorkouts.filter((workout) => workout.id !== workoutId));
+        } catch (err) {
+            setError(err.message);
+        }
+    };
+
+    if (loading) {
+        return <div className="container p-4 flex flex-col items-center justify-start min-h-screen bg-gray-100"><div className="text-gray-500 my-2">Loading workouts...</div></div>;
+    }
+
+    return (
+        <div className="container p-4 flex flex-col items-center justify-start min-h-screen bg-gray-100">
+            <h2 className="text-2xl text-gray-800 font-bold mb-4">Workouts</h2>
+            {error && <div className="text-red-500 my-2">{error}</div>}
+            <Button onClick={handleOpenModal} style={{marginBottom: '10px'}}>Log Workout</Button>
+            <form onSubmit={handleCreateExercise} className="w-full max-w-2xl flex items-center space-x-2 mb-4">
+                <Input
+                    type="text"
+                    placeholder="New exercise name (e.g. Bench Press)"
+                    value={newExerciseName}
+                    onChange={(e) => setNewExerciseName(e.target.value)}
+                    style={{flexGrow: 1}}
+                />
+                <Button type="submit">Add Exercise</Button>
+            </form>
+            <div className="w-full max-w-2xl">
+                {workouts.length > 0 ? (
+                    workouts.map((workout) => (
+                        <div key={workout.id} className="p-4 bg-white rounded shadow-md mb-4">
+                            <div className="flex items-center justify-between">
+                                <h3 className="text-xl font-semibold text-gray-800">
+                                    {workout.name || 'Workout'} · {formatDate(new Date(workout.date))}
+                                </h3>
+                                <Button onClick={() => handleDeleteWorkout(workout.id)} style={{backgroundColor: '#e53e3e', color: 'white', padding: '5px 10px'}}>Delete</Button>
+                            </div>
+                            {workout.durationMinutes !== null && <div className="text-gray-500 text-sm">{workout.durationMinutes} minutes</div>}
+                            {workout.exercises.map((exercise, index) => (
+                                <div key={index} className="text-gray-700 mt-2">
+                                    <span className="font-semibold">{exercise.exerciseId ? exercise.exerciseId.name : 'Unknown exercise'}</span>
+                                    {': '}
+                                    {exercise.sets.map((set) => `${set.reps ?? '-'} × ${toDisplayedWeight(set.weight) ?? '-'} ${weightUnit}${set.rpe ? ` @${set.rpe}` : ''}`).join(', ')}
+                                </div>
+                            ))}
+                        </div>
+                    ))
+                ) : (
+                    <div className="text-gray-500 my-2">No workouts logged yet</div>
+                )}
+            </div>
+
+            <Modal isOpen={isModalOpen} onClose={handleCloseModal}>
+                <form onSubmit={handleLogWorkout} className="p-4 flex flex-col">
+                    <h2 className="text-xl font-semibold text-gray-800 mb-4">Log Workout</h2>
+                    {exercises.length === 0 ? (
+                        <p className="text-gray-700 mb-4">Add an exercise first, then log your workout.</p>
+                    ) : (
+                        <>
+                            <div className="flex space-x-2 mb-4">
+                                <Input type="text" placeholder="Name (optional)" value={workoutName} onChange={(e) => setWorkoutName(e.target.value)} />
+                                <Input type="date" value={workoutDate} onChange={(e) => setWorkoutDate(e.target.value)} />
+                                <Input type="number" placeholder="Minutes" value={durationMinutes} onChange={(e) => setDurationMinutes(e.target.value)} style={{width: '100px'}} />
+                            </div>
+                            {draftExercises.map((draft, exerciseIndex) => (
+                                <div key={exerciseIndex} className="mb-4 p-2 border rounded">
+                                    <select
+                                        value={draft.exerciseId}
+                                        onChange={(e) => updateDraftExercise(exerciseIndex, { exerciseId: e.target.value })}
+                                        className="p-2 border rounded mb-2 w-full"
+                                    >
+                                        {exercises.map((exercise) => (
+                                            <option key={exercise.id} value={exercise.id}>{exercise.name}</option>
+                                        ))}
+                                    </select>
+                                    {draft.sets.map((set, setIndex) => (
+                                        <div key={setIndex} className="flex space-x-2 mb-2">
+                                            <Input type="number" placeholder="Reps" value={set.reps} onChange={(e) => updateDraftSet(exerciseIndex, setIndex, 'reps', e.target.value)} style={{width: '80px'}} />
+                                            <Input type="number" placeholder={`Weight (${weightUnit})`} value={set.weight} onChange={(e) => updateDraftSet(exerciseIndex, setIndex, 'weight', e.target.value)} style={{width: '80px'}} />
+                                            <Input type="number" placeholder="RPE" value={set.rpe} onChange={(e) => updateDraftSet(exerciseIndex, setIndex, 'rpe', e.target.value)} style={{width: '80px'}} />
+                                        </div>
+                                    ))}
+                                    <Button onClick={() => updateDraftExercise(exerciseIndex, { sets: [...draft.sets, emptySet()] })} style={{padding: '5px 10px'}}>Add Set</Button>
+                                </div>
+                            ))}
+                            <Button onClick={handleAddExerciseToWorkout} style={{marginBottom: '10px'}}>Add Another Exercise</Button>
+                            <Button type="submit" style={{backgroundColor: '#4299e1', color: 'white'}}>Save Workout</Button>
+                        </>
+                    )}
+                </form>
+            </Modal>
+        </div>
+    );
+};
+
+export default Workouts;
@@ -1,6 +1,4 @@
 import axios from 'axios';
-import AuthContext from '../context/AuthContext';
-import { useContext } from 'react';
 
 /**
  * @typedef {Object} AuthContextType
@@ -17,26 +15,45 @@ import { useContext } from 'react';
  * @property {number} status
  */
 
+/**
+ * @typedef {Object} FieldError
+ * @property {string} path - The request field the error is about, e.g. 'endDate' or 'recurrence.frequency'.
+ * @property {string} message
+ */
+
 /**
  * @typedef {Object} APIError
  * @property {string} message
+ * @property {number} [status] - The HTTP status, when the server responded.
+ * @property {string} [code] - The server's error code, e.g. 'validation_failed'.
+ * @property {FieldError[]} [fields] - The invalid fields, for validation errors.
+ * @property {number} [retryAfter] - Seconds to wait before retrying, for rate limited requests (429).
+ * @property {boolean} [network] - Set when no response was received, e.g. while the device is offline.
  */
 
 /**
- * Handles response errors by logging them and throwing a generic APIError
+ * Handles response errors by logging them and throwing an APIError that keeps
+ * the status, code and field errors of the server's error response.
  * @param {AxiosError} error
  * @throws {APIError}
  */
-const handleResponseError = (error) => {
+export const handleResponseError = (error) => {
   if (error.response) {
     // The request was made and the server responded with a status code
     // that falls out of the range of 2xx
-    console.error('API Error:', error.response.data);
-    throw { message: `API Error: ${error.response.status} - ${error.response.data.message || 'Unknown error'}` };
+    const data = error.response.data || {};
+    console.error('API Error:', data);
+    throw {
+      message: `API Error: ${error.response.status} - ${data.message || 'Unknown error'}`,
+      status: error.response.status,
+      code: data.code,
+      fields: Array.isArray(data.fields) ? data.fields : [],
+      retryAfter: data.retryAfter,
+    };
   } else if (error.request) {
     // The request was made but no response was received
     console.error('Network Error:', error.request);
-      throw { message: 'Network Error: No response received from the server' };
+      throw { message: 'Network Error: No response received from the server', network: true };
   } else {
     // Something happened in setting up the request that triggered an Error
     console.error('Request setup error', error.message);
@@ -44,8 +61,73 @@ const handleResponseError = (error) => {
   }
 };
 
+export const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:3001';
+
+/**
+ * Name of the window event dispatched when the session can no longer be refreshed.
+ * AuthProvider listens for it to reset the authentication state.
+ */
+export const SESSION_EXPIRED_EVENT = 'auth:session-expired';
+
+let refreshPromise = null;
+
+/**
+ * Exchanges the stored refresh token for a new token pair and stores it.
+ * Concurrent callers share a single in-flight request, so a burst of 401 responses
+ * only rotates the refresh token once.
+ * @returns {Promise<string>} The new access token.
+ * @throws {Error} If there is no refresh token or the server rejects it.
+ */
+export const refreshSession = () => {
+  if (!refreshPromise) {
+    refreshPromise = (async () => {
+      const refreshToken = localStorage.getItem('refreshToken');
+      if (!refreshToken) {
+        throw new Error('No refresh token available');
+      }
+      // Plain axios call so that the refresh request bypasses the interceptors below
+      const response = await axios.post(`${API_BASE_URL}/auth/refresh`, { refreshToken });
+      localStorage.setItem('authToken', response.data.token);
+      localStorage.setItem('refreshToken', response.data.refreshToken);
+      return response.data.token;
+    })().finally(() => {
+      refreshPromise = null;
+    });
+  }
+  return refreshPromise;
+};
+
+/**
+ * Removes the stored tokens and notifies listeners that the session has ended.
+ */
+export const clearSession = () => {
+  localStorage.removeItem('authToken');
+  localStorage.removeItem('refreshToken');
+  window.dispatchEvent(new Event(SESSION_EXPIRED_EVENT));
+};
+
+// Endpoints whose 401 responses mean bad credentials rather than an expired access token
+const NO_REFRESH_URLS = ['/auth/login', '/auth/signup', '/auth/refresh', '/auth/logout'];
+
+/**
+ * Whether a failed request should be retried after refreshing the session.
+ * Credential endpoints are excluded so that bad credentials and failed refreshes are not retried.
+ * @param {AxiosError} error
+ * @returns {boolean}
+ */
+export const shouldRefreshAndRetry = (error) => {
+  const originalRequest = error.config;
+  return Boolean(
+    error.response &&
+    error.response.status === 401 &&
+    originalRequest &&
+    !originalRequest._retry &&
+    !NO_REFRESH_URLS.includes(originalRequest.url)
+  );
+};
+
 const api = axios.create({
-  baseURL: process.env.REACT_APP_API_URL || 'http://localhost:3001',
+  baseURL: API_BASE_URL,
   headers: {
     'Content-Type': 'application/json',
   },
@@ -69,10 +151,16 @@ api.interceptors.response.use(
     return response;
   },
   async (error) => {
-    const { logout } = useContext(AuthContext);
-      if (error.response && error.response.status === 401) {
-          if(logout){
-              logout();
+      // Transparently refresh the access token and replay the request once
+      if (shouldRefreshAndRetry(error)) {
+          const originalRequest = error.config;
+          originalRequest._retry = true;
+          try {
+              const token = await refreshSession();
+              originalRequest.headers.Authorization = `Bearer ${token}`;
+              return api(originalRequest);
+          } catch (refreshError) {
+              clearSession();
           }
       }
       handleResponseError(error);
@@ -80,6 +168,13 @@ api.interceptors.response.use(
   }
 );
 
+// Keep references to the underlying axios methods: the wrappers below replace them on the instance
+const axiosGet = api.get;
+const axiosPost = api.post;
+const axiosPut = api.put;
+const axiosPatch = api.patch;
+const axiosDelete = api.delete;
+
 /**
  * Makes a GET request to the specified URL
  * @param {string} url
@@ -87,7 +182,7 @@ api.interceptors.response.use(
  */
 api.get = async (url) => {
   try {
-    const response = await api.get(url);
+    const response = await axiosGet(url);
     return response.data;
   } catch (error) {
       throw error;
@@ -102,7 +197,7 @@ api.get = async (url) => {
  */
 api.post = async (url, data) => {
   try {
-    const response = await api.post(url, JSON.stringify(data));
+    const response = await axiosPost(url, JSON.stringify(data));
     return response.data;
   } catch (error) {
       throw error;
@@ -117,7 +212,22 @@ api.post = async (url, data) => {
  */
 api.put = async (url, data) => {
   try {
-    const response = await api.put(url, JSON.stringify(data));
+    const response = await axiosPut(url, JSON.stringify(data));
+    return response.data;
+  } catch (error) {
+      throw error;
+  }
+};
+
+/**
+ * Makes a PATCH request to the specified URL with the given data
+ * @param {string} url
+ * @param {any} data
+ * @returns {Promise<any>}
+ */
+api.patch = async (url, data) => {
+  try {
+    const response = await axiosPatch(url, JSON.stringify(data));
     return response.data;
   } catch (error) {
       throw error;
@@ -125,13 +235,14 @@ api.put = async (url, data) => {
 };
 
 /**
- * Makes a DELETE request to the specified URL
+ * Makes a DELETE request to the specified URL, with an optional body (e.g. a password confirmation)
  * @param {string} url
+ * @param {any} [data]
  * @returns {Promise<any>}
  */
-api.delete = async (url) => {
+api.delete = async (url, data) => {
   try {
-    const response = await api.delete(url);
+    const response = await axiosDelete(url, data === undefined ? undefined : { data: JSON.stringify(data) });
       return response.data;
   } catch (error) {
       throw error;
@@ -143,6 +254,7 @@ api.delete = async (url) => {
 // api.get('/goals')
 // api.post('/goals', { name: 'new goal' })
 // api.put('/goals/1', { name: 'updated goal' })
+// api.patch('/users/me', { unitSystem: 'imperial' })
 // api.delete('/goals/1')
 
 export default api;
\ No newline at end of file
@@ -0,0 +1,158 @@
+import { API_BASE_URL, clearSession, refreshSession } from './api';
+
+/**
+ * @typedef {Object} LiveEvent
+ * @property {string} type - The event type, e.g. 'goal.updated' or 'leaderboard.updated'; see `GET /events`.
+ * @property {any} data - The event data. For the `ready` event sent when the stream opens, `{reconnected}`
+ *   tells whether events may have been missed since the previous stream, in which case data should be reloaded.
+ */
+
+// Reconnection delays grow from the first to the last while the server cannot be reached
+const MIN_RECONNECT_DELAY_MS = 1000;
+const MAX_RECONNECT_DELAY_MS = 60 * 1000;
+
+const listeners = new Set();
+let controller = null;
+let reconnectTimer = null;
+let reconnectDelay = MIN_RECONNECT_DELAY_MS;
+let connectedBefore = false;
+
+const emit = (event) => {
+  listeners.forEach((listener) => {
+    try {
+      listener(event);
+    } catch (error) {
+      console.error('Error handling live event:', error);
+    }
+  });
+};
+
+/**
+ * Parses one block of the Server-Sent Events wire format into an event.
+ * @param {string} block - The lines of one event, without the blank line ending it.
+ * @returns {LiveEvent | null} The event, or null for comments and reconnection hints.
+ */
+const parseEventBlock = (block) => {
+  let type = 'message';
+  const dataLines = [];
+  block.split('\n').forEach((line) => {
+    if (line.startsWith('event:')) {
+      type = line.slice(6).trim();
+    } else if (line.startsWith('data:')) {
+      dataLines.push(line.slice(5).trimStart());
+    }
+  });
+  if (dataLines.length === 0) {
+    return null;
+  }
+  try {
+    return { type, data: JSON.parse(dataLines.join('\n')) };
+  } catch (error) {
+    console.error('Invalid live event:', block);
+    return null;
+  }
+};
+
+/**
+ * Reads the event stream until it ends, emitting its events.
+ * @param {Response} response
+ * @returns {Promise<void>}
+ */
+const readStream = async (response) => {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) {
+      return;
+    }
+    buffer += decoder.decode(value, { stream: true }).replace(/\r\n?/g, '\n');
+    let end = buffer.indexOf('\n\n');
+    while (end !== -1) {
+      const event = parseEventBlock(buffer.slice(0, end));
+      buffer = buffer.slice(end + 2);
+      if (event && event.type === 'ready') {
+        reconnectDelay = MIN_RECONNECT_DELAY_MS;
+        emit({ type: 'ready', data: { reconnected: connectedBefore } });
+        connectedBefore = true;
+      } else if (event) {
+        emit(event);
+      }
+      end = buffer.indexOf('\n\n');
+    }
+  }
+};
+
+/**
+ * Opens the event stream with the stored access token. The browser's EventSource cannot send the
+ * Authorization header, so the stream is read with fetch. The stream is reopened whenever it ends,
+ * e.g. when the access token expires, after refreshing the session if the server refuses the token.
+ */
+const connect = async () => {
+  const token = localStorage.getItem('authToken');
+  if (listeners.size === 0 || !token) {
+    return;
+  }
+  const ownController = new AbortController();
+  controller = ownController;
+  try {
+    const response = await fetch(`${API_BASE_URL}/events`, {
+      headers: { Authorization: `Bearer ${token}`, Accept: 'text/event-stream' },
+      signal: ownController.signal,
+    });
+    if (response.status === 401) {
+      try {
+        await refreshSession();
+      } catch (refreshError) {
+        clearSession();
+        return;
+      }
+      reconnectDelay = MIN_RECONNECT_DELAY_MS;
+    } else if (response.ok) {
+      await readStream(response);
+    }
+  } catch (error) {
+    if (ownController.signal.aborted) {
+      return;
+    }
+  }
+  if (controller === ownController) {
+    scheduleReconnect();
+  }
+};
+
+const scheduleReconnect = () => {
+  clearTimeout(reconnectTimer);
+  reconnectTimer = setTimeout(connect, reconnectDelay);
+  reconnectDelay = Math.min(reconnectDelay * 2, MAX_RECONNECT_DELAY_MS);
+};
+
+const disconnect = () => {
+  clearTimeout(reconnectTimer);
+  if (controller) {
+    controller.abort();
+    controller = null;
+  }
+  connectedBefore = false;
+  reconnectDelay = MIN_RECONNECT_DELAY_MS;
+};
+
+/**
+ * Listens to the signed-in user's live events. A single stream is shared by all listeners; it is opened
+ * with the first listener and closed with the last one.
+ * @param {(event: LiveEvent) => void} listener
+ * @returns {() => void} A function removing the listener.
+ */
+export const subscribeToLiveEvents = (listener) => {
+  listeners.add(listener);
+  if (listeners.size === 1) {
+    connect();
+  }
+  return () => {
+    listeners.delete(listener);
+    if (listeners.size === 0) {
+      disconnect();
+    }
+  };
+};
@@ -0,0 +1,367 @@
+import {
+  addMutation,
+  cacheResponse,
+  listMutations,
+  loadCachedResponse,
+  removeMutation,
+  updateMutation,
+} from './offlineStore';
+
+/**
+ * @typedef {import('./offlineStore').Mutation} Mutation
+ * @typedef {import('./api').APIError} APIError
+ * @typedef {import('../hooks/useApi').ApiClient} ApiClient
+ */
+
+/**
+ * @typedef {Object} SyncFailure
+ * @property {Mutation} mutation - The change that was not applied.
+ * @property {string} message - Why it was dropped.
+ */
+
+/**
+ * Name of the window event dispatched whenever the queue changes. Its `detail` is `{queued: true}` when
+ * a mutation was queued, and `{synced: number, failures: SyncFailure[]}` when a replay ended.
+ */
+export const OFFLINE_QUEUE_EVENT = 'offline:queue-changed';
+
+// Prefix of the IDs given to goals created offline, until the server assigns theirs
+const LOCAL_ID_PREFIX = 'local-';
+
+/**
+ * Creates a random identifier, used for idempotency keys and local goal IDs.
+ * @returns {string}
+ */
+const createId = () => {
+  if (window.crypto && window.crypto.randomUUID) {
+    return window.crypto.randomUUID();
+  }
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 12)}`;
+};
+
+/**
+ * Whether a goal ID was assigned on this device to a goal that has not reached the server yet.
+ * @param {string} goalId
+ * @returns {boolean}
+ */
+export const isLocalGoalId = (goalId) => typeof goalId === 'string' && goalId.startsWith(LOCAL_ID_PREFIX);
+
+/**
+ * Creates the ID of a goal created offline.
+ * @returns {string}
+ */
+export const createLocalGoalId = () => `${LOCAL_ID_PREFIX}${createId()}`;
+
+/**
+ * Whether a request failed because the server could not be reached, rather than being refused.
+ * @param {APIError} error
+ * @returns {boolean}
+ */
+export const isNetworkError = (error) => Boolean(error && error.network);
+
+const notifyQueueChanged = (detail) => {
+  window.dispatchEvent(new CustomEvent(OFFLINE_QUEUE_EVENT, { detail }));
+};
+
+/**
+ * Sends a mutation with its idempotency key, so that a replay of a request whose response was lost
+ * gets the stored response instead of applying the change twice.
+ * @param {ApiClient} api
+ * @param {Mutation} mutation
+ * @returns {Promise<any>}
+ */
+const sendMutation = (api, mutation) => {
+  const config = { headers: { 'Idempotency-Key': mutation.idempotencyKey } };
+  if (mutation.method === 'delete') {
+    return api.delete(mutation.url, config);
+  }
+  return api[mutation.method](mutation.url, mutation.data, config);
+};
+
+/**
+ * Adds a change to the offline queue, to be sent by `replayQueue` once the server is reachable.
+ * @param {Omit<Mutation, 'seq' | 'idempotencyKey' | 'createdAt'>} mutation
+ * @returns {Promise<Mutation>} The queued mutation.
+ */
+export const queueMutation = async (mutation) => {
+  const queued = { ...mutation, idempotencyKey: createId(), createdAt: Date.now() };
+  queued.seq = await addMutation(queued);
+  notifyQueueChanged({ queued: true });
+  return queued;
+};
+
+/**
+ * Sends a change to the server, or queues it when the device is offline, the request fails for lack
+ * of a connection, or earlier changes are still queued (changes are always applied in order).
+ * Errors returned by the server are thrown as usual.
+ * @param {ApiClient} api
+ * @param {Omit<Mutation, 'seq' | 'idempotencyKey' | 'createdAt'>} mutation
+ * @returns {Promise<{queued: true, mutation: Mutation} | {queued: false, data: any}>}
+ * @throws {APIError} If the server refuses the change.
+ */
+export const sendOrQueue = async (api, mutation) => {
+  const pending = await listMutations().catch(() => []);
+  if (!navigator.onLine || pending.length > 0) {
+    return { queued: true, mutation: await queueMutation(mutation) };
+  }
+  const attempt = { ...mutation, idempotencyKey: createId() };
+  try {
+    return { queued: false, data: await sendMutation(api, attempt) };
+  } catch (error) {
+    if (!isNetworkError(error)) {
+      throw error;
+    }
+    // The request may have reached the server: the retry keeps its key so that it is not applied twice
+    const queued = { ...attempt, createdAt: Date.now() };
+    queued.seq = await addMutation(queued);
+    notifyQueueChanged({ queued: true });
+    return { queued: true, mutation: queued };
+  }
+};
+
+/**
+ * Reads an API URL and caches the response, falling back to the cached response when the server
+ * cannot be reached.
+ * @param {ApiClient} api
+ * @param {string} url
+ * @returns {Promise<{data: any, fromCache: boolean}>}
+ * @throws {APIError} If the request fails and no response is cached.
+ */
+export const getWithOfflineCache = async (api, url) => {
+  try {
+    const data = await api.get(url);
+    cacheResponse(url, data).catch((error) => console.error('Error caching response:', error));
+    return { data, fromCache: false };
+  } catch (error) {
+    if (isNetworkError(error)) {
+      const cached = await loadCachedResponse(url).catch(() => undefined);
+      if (cached) {
+        return { data: cached.data, fromCache: true };
+      }
+    }
+    throw error;
+  }
+};
+
+/**
+ * Lists the changes waiting to be sent, oldest first.
+ * @returns {Promise<Mutation[]>}
+ */
+export const getPendingMutations = () => listMutations();
+
+/**
+ * Whether a goal with the given lifecycle status is listed by `GET /goals` under a status filter. The
+ * unfiltered list leaves out archived goals only; active and expired goals are both stored as active.
+ * @param {string} status - The goal's lifecycle status.
+ * @param {string} [statusFilter] - The `status` the list was read with, if any.
+ * @returns {boolean}
+ */
+const matchesStatusFilter = (status, statusFilter) => {
+  if (!statusFilter) {
+    return status !== 'archived';
+  }
+  if (statusFilter === 'active' || statusFilter === 'expired') {
+    return status === 'active';
+  }
+  return status === statusFilter;
+};
+
+/**
+ * Applies the queued changes to goals read from the server or the cache, so that the pages show
+ * what the user did while offline. Projected goals carry `pending: true`, and goals with queued
+ * progress entries carry them in `pendingProgress`. A queued status change takes a goal out of
+ * the list only when its new status no longer matches the list's status filter.
+ * @param {Object[]} goals - The goals as returned by `GET /goals`.
+ * @param {Mutation[]} mutations - The queued changes, oldest first.
+ * @param {{includeCreated?: boolean, status?: string}} [options] - Whether goals created offline are added
+ *   to the list, and the `status` filter the list was read with.
+ * @returns {Object[]}
+ */
+export const applyPendingMutations = (goals, mutations, { includeCreated = true, status: statusFilter } = {}) => mutations.reduce((projected, mutation) => {
+  switch (mutation.kind) {
+    case 'createGoal':
+      return includeCreated
+        ? [{ ...mutation.data, id: mutation.goalId, status: 'active', createdAt: new Date(mutation.createdAt).toISOString(), pending: true }, ...projected]
+        : projected;
+    case 'updateGoal': {
+      const { expectedUpdatedAt, ...changes } = mutation.data;
+      return projected.map((goal) => (goal.id === mutation.goalId ? { ...goal, ...changes, pending: true } : goal));
+    }
+    case 'changeStatus': {
+      const { status } = mutation.data;
+      if (!matchesStatusFilter(status, statusFilter)) {
+        return projected.filter((goal) => goal.id !== mutation.goalId);
+      }
+      return projected.map((goal) => (goal.id === mutation.goalId ? { ...goal, status, pending: true } : goal));
+    }
+    case 'deleteGoal':
+      return projected.filter((goal) => goal.id !== mutation.goalId);
+    case 'addProgress':
+      return projected.map((goal) => (goal.id === mutation.goalId
+        ? { ...goal, pendingProgress: [...(goal.pendingProgress || []), mutation.data] }
+        : goal));
+    default:
+      return projected;
+  }
+}, goals);
+
+/**
+ * Points the queued changes of a goal created offline to the ID the server gave it.
+ * @param {string} localId
+ * @param {string} serverId
+ * @returns {Promise<void>}
+ */
+const assignServerGoalId = async (localId, serverId) => {
+  const mutations = await listMutations();
+  await Promise.all(mutations
+    .filter((mutation) => mutation.goalId === localId)
+    .map((mutation) => updateMutation({
+      ...mutation,
+      goalId: serverId,
+      url: mutation.url.replace(`/goals/${localId}`, `/goals/${encodeURIComponent(serverId)}`),
+    })));
+};
+
+/**
+ * Drops the queued changes of a goal created offline that the server refused.
+ * @param {string} localId
+ * @returns {Promise<Mutation[]>} The dropped mutations.
+ */
+const dropLocalGoal = async (localId) => {
+  const dependents = (await listMutations()).filter((mutation) => mutation.goalId === localId);
+  await Promise.all(dependents.map((mutation) => removeMutation(mutation.seq)));
+  return dependents;
+};
+
+/**
+ * Resolves a conditional goal change the server refused because the goal changed since it was read,
+ * using the server's `updatedAt`: whichever change was made last wins. An older offline change is
+ * dropped; a newer one is sent again against the server's current version.
+ * @param {ApiClient} api
+ * @param {Mutation} mutation
+ * @returns {Promise<{retry: Mutation} | {failure: SyncFailure}>}
+ */
+const resolveStaleUpdate = async (api, mutation) => {
+  const serverGoal = await api.get(`/goals/${encodeURIComponent(mutation.goalId)}`);
+  if (new Date(serverGoal.updatedAt).getTime() > mutation.createdAt) {
+    return {
+      failure: {
+        mutation,
+        message: `"${serverGoal.name}" was changed on another device after your offline change, so the newer version was kept`,
+      },
+    };
+  }
+  // A new key: the refused attempt's response is stored under the old one
+  const retry = {
+    ...mutation,
+    data: { ...mutation.data, expectedUpdatedAt: serverGoal.updatedAt },
+    idempotencyKey: createId(),
+  };
+  await updateMutation(retry);
+  return { retry };
+};
+
+/**
+ * Carries the goal version created by a synced change over to the queued changes of the same goal. They
+ * were made on top of the synced change, so they must not be refused as conflicting with it. Progress
+ * entries do not return their goal, which is read again when later changes need its version.
+ * @param {ApiClient} api
+ * @param {Mutation} mutation - The synced change.
+ * @param {any} data - The response to it.
+ * @returns {Promise<void>}
+ */
+const carryOverGoalVersion = async (api, mutation, data) => {
+  const goalId = mutation.kind === 'createGoal' ? data.id : mutation.goalId;
+  const dependents = (await listMutations())
+    .filter((queued) => queued.goalId === goalId && queued.data && queued.data.expectedUpdatedAt);
+  if (dependents.length === 0 || mutation.kind === 'deleteGoal') {
+    return;
+  }
+  const updatedAt = data && data.updatedAt
+    ? data.updatedAt
+    : (await api.get(`/goals/${encodeURIComponent(goalId)}`)).updatedAt;
+  await Promise.all(dependents.map((queued) => updateMutation({
+    ...queued,
+    data: { ...queued.data, expectedUpdatedAt: updatedAt },
+  })));
+};
+
+let replayPromise = null;
+
+/**
+ * Whether a failed request should be retried later rather than dropped: the server could not be reached,
+ * failed, rate limited the client or is still running the first attempt, or the session must be restored.
+ * @param {APIError} error
+ * @returns {boolean}
+ */
+const isRetryableLater = (error) => isNetworkError(error)
+  || !error.status
+  || error.status >= 500
+  || error.status === 429
+  || error.status === 401
+  || error.code === 'request_in_progress';
+
+/**
+ * Sends the queued changes in order, stopping at the first one that cannot reach the server so that
+ * the rest stay in order for the next attempt. Changes the server refuses are dropped and reported,
+ * except stale goal updates, which are resolved with `resolveStaleUpdate` once per replay. Concurrent
+ * callers share a single replay.
+ * @param {ApiClient} api
+ * @returns {Promise<{synced: number, failures: SyncFailure[]}>}
+ */
+export const replayQueue = (api) => {
+  if (!replayPromise) {
+    replayPromise = (async () => {
+      let synced = 0;
+      const failures = [];
+      const resolved = new Set();
+      let mutations = await listMutations();
+      while (mutations.length > 0) {
+        const mutation = mutations[0];
+        try {
+          const data = await sendMutation(api, mutation);
+          await removeMutation(mutation.seq);
+          if (mutation.kind === 'createGoal') {
+            await assignServerGoalId(mutation.goalId, data.id);
+          }
+          synced += 1;
+          await carryOverGoalVersion(api, mutation, data)
+            .catch((versionError) => console.error('Error reading the synced goal version:', versionError));
+        } catch (error) {
+          if (isRetryableLater(error)) {
+            break;
+          }
+          if (error.status === 412 && !resolved.has(mutation.seq)) {
+            resolved.add(mutation.seq);
+            let resolution;
+            try {
+              resolution = await resolveStaleUpdate(api, mutation);
+            } catch (resolveError) {
+              if (isRetryableLater(resolveError)) {
+                break;
+              }
+              resolution = { failure: { mutation, message: resolveError.message } };
+            }
+            if (resolution.failure) {
+              failures.push(resolution.failure);
+              await removeMutation(mutation.seq);
+            }
+          } else {
+            failures.push({ mutation, message: error.message });
+            await removeMutation(mutation.seq);
+            if (mutation.kind === 'createGoal') {
+              const dependents = await dropLocalGoal(mutation.goalId);
+              failures.push(...dependents.map((dependent) => ({ mutation: dependent, message: 'The goal it belongs to could not be created' })));
+            }
+          }
+        }
+        mutations = await listMutations();
+      }
+      notifyQueueChanged({ synced, failures });
+      return { synced, failures };
+    })().finally(() => {
+      replayPromise = null;
+    });
+  }
+  return replayPromise;
+};
@@ -0,0 +1,150 @@
+/**
+ * @typedef {Object} CachedResponse
+ * @property {string} url - The API URL the response was read from, e.g. '/goals?status=active'.
+ * @property {any} data - The response data.
+ * @property {number} savedAt - When the response was cached, in milliseconds since the epoch.
+ */
+
+/**
+ * @typedef {Object} Mutation
+ * @property {number} [seq] - The position of the mutation in the queue, assigned when it is stored.
+ * @property {'createGoal' | 'updateGoal' | 'deleteGoal' | 'changeStatus' | 'addProgress'} kind
+ * @property {'post' | 'put' | 'patch' | 'delete'} method
+ * @property {string} url - The API URL, e.g. '/goals/123/progress'.
+ * @property {any} [data] - The request body.
+ * @property {string} [goalId] - The goal the mutation applies to; a `local-` ID for goals created offline.
+ * @property {string} idempotencyKey - Sent with every attempt so that the server applies the mutation once.
+ * @property {number} createdAt - When the change was made on this device, in milliseconds since the epoch.
+ */
+
+const DB_NAME = 'fitness-tracker-offline';
+const DB_VERSION = 1;
+const RESPONSES_STORE = 'responses';
+const MUTATIONS_STORE = 'mutations';
+// The user the stored data belongs to, so that it is never shown to or replayed for someone else
+const OWNER_KEY = 'offlineDataOwner';
+
+let dbPromise = null;
+
+/**
+ * Opens the offline database, creating its stores on first use. The connection is shared.
+ * @returns {Promise<IDBDatabase>}
+ */
+const openDatabase = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined') {
+        reject(new Error('IndexedDB is not available'));
+        return;
+      }
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        db.createObjectStore(RESPONSES_STORE, { keyPath: 'url' });
+        db.createObjectStore(MUTATIONS_STORE, { keyPath: 'seq', autoIncrement: true });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    }).catch((error) => {
+      // Let a later call try again, e.g. after the user freed storage
+      dbPromise = null;
+      throw error;
+    });
+  }
+  return dbPromise;
+};
+
+/**
+ * Runs a request against one object store and resolves with its result once the transaction completes.
+ * @param {string} storeName
+ * @param {IDBTransactionMode} mode
+ * @param {(store: IDBObjectStore) => IDBRequest} operation
+ * @returns {Promise<any>}
+ */
+const withStore = async (storeName, mode, operation) => {
+  const db = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(storeName, mode);
+    const request = operation(transaction.objectStore(storeName));
+    transaction.oncomplete = () => resolve(request.result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+};
+
+/**
+ * Saves the data of a successful GET request, to be shown while the device is offline.
+ * @param {string} url
+ * @param {any} data
+ * @returns {Promise<void>}
+ */
+export const cacheResponse = async (url, data) => {
+  await withStore(RESPONSES_STORE, 'readwrite', (store) => store.put({ url, data, savedAt: Date.now() }));
+};
+
+/**
+ * Loads the last cached response of a GET request.
+ * @param {string} url
+ * @returns {Promise<CachedResponse | undefined>}
+ */
+export const loadCachedResponse = (url) => withStore(RESPONSES_STORE, 'readonly', (store) => store.get(url));
+
+/**
+ * Appends a mutation to the queue.
+ * @param {Mutation} mutation
+ * @returns {Promise<number>} The sequence number of the stored mutation.
+ */
+export const addMutation = (mutation) => withStore(MUTATIONS_STORE, 'readwrite', (store) => store.add(mutation));
+
+/**
+ * Lists the queued mutations, oldest first.
+ * @returns {Promise<Mutation[]>}
+ */
+export const listMutations = () => withStore(MUTATIONS_STORE, 'readonly', (store) => store.getAll());
+
+/**
+ * Replaces a queued mutation, keeping its place in the queue.
+ * @param {Mutation} mutation - The mutation, with its `seq`.
+ * @returns {Promise<void>}
+ */
+export const updateMutation = async (mutation) => {
+  await withStore(MUTATIONS_STORE, 'readwrite', (store) => store.put(mutation));
+};
+
+/**
+ * Removes a mutation from the queue.
+ * @param {number} seq
+ * @returns {Promise<void>}
+ */
+export const removeMutation = async (seq) => {
+  await withStore(MUTATIONS_STORE, 'readwrite', (store) => store.delete(seq));
+};
+
+/**
+ * Removes all cached responses and queued mutations, e.g. when the user logs out.
+ * @returns {Promise<void>}
+ */
+export const clearOfflineData = async () => {
+  localStorage.removeItem(OWNER_KEY);
+  try {
+    await withStore(RESPONSES_STORE, 'readwrite', (store) => store.clear());
+    await withStore(MUTATIONS_STORE, 'readwrite', (store) => store.clear());
+  } catch (error) {
+    console.error('Error clearing offline data:', error);
+  }
+};
+
+/**
+ * Marks the offline data as belonging to a user, first discarding it if it was left by another user.
+ * @param {string} userId
+ * @returns {Promise<void>}
+ */
+export const claimOfflineData = async (userId) => {
+  const owner = localStorage.getItem(OWNER_KEY);
+  if (owner !== userId) {
+    if (owner !== null) {
+      await clearOfflineData();
+    }
+    localStorage.setItem(OWNER_KEY, userId);
+  }
+};
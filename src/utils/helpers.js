@@ -52,31 +52,28 @@ const validateInput = (input, type) => {
 
 
 /**
- * Generates a shareable URL string for a goal.
- * @param {string} goalId - The ID of the goal.
- * @param {string} userId - The ID of the user.
+ * Generates a shareable URL string for a goal from a share token.
+ * Share tokens are created with `POST /goals/:id/shares`; the URL never exposes goal or user IDs.
+ * @param {string} shareToken - The token returned when the share link was created.
  * @returns {string} The shareable URL string.
  */
-const generateShareLink = (goalId, userId) => {
-  if (!goalId || typeof goalId !== 'string') {
-      console.error("Error generating share link: goalId must be a non empty string");
+const generateShareLink = (shareToken) => {
+  if (!shareToken || typeof shareToken !== 'string') {
+      console.error("Error generating share link: shareToken must be a non empty string");
       return '';
   }
-    if (!userId || typeof userId !== 'string') {
-        console.error("Error generating share link: userId must be a non empty string");
-        return '';
-    }
 
     if (typeof window === 'undefined') {
       console.error("Error generating share link: window object is not available");
       return '';
   }
   const baseUrl = window.location.origin;
-    return `${baseUrl}/goal/${goalId}?user=${userId}`;
+    return `${baseUrl}/shared/${encodeURIComponent(shareToken)}`;
 };
 
 /**
  * Calculates the progress percentage of a goal.
+ * @deprecated Use the server-computed `percentComplete` from `GET /goals/:id/stats`, which is direction-aware.
  * @param {number} current - The current progress value.
  * @param {number} target - The target value.
  * @returns {number} The progress percentage, or 0 if the target is zero.
@@ -91,4 +88,20 @@ const calculateProgress = (current, target) => {
   return Math.min(Math.max((current / target) * 100, 0), 100);
 };
 
-export { formatDate, validateInput, generateShareLink, calculateProgress };
\ No newline at end of file
+/**
+ * Maps the field errors of an API error to their messages, keyed by field path.
+ * Only the first message of each field is kept.
+ * @param {{fields?: Array<{path: string, message: string}>}} error - The error thrown by the API client.
+ * @returns {Object<string, string>} The messages keyed by field path, empty when the error has no field errors.
+ */
+const getFieldErrors = (error) => {
+  const fieldErrors = {};
+  ((error && error.fields) || []).forEach(({ path, message }) => {
+    if (!(path in fieldErrors)) {
+      fieldErrors[path] = message;
+    }
+  });
+  return fieldErrors;
+};
+
+export { formatDate, validateInput, generateShareLink, calculateProgress, getFieldErrors };
\ No newline at end of file